@@ -4,31 +4,34 @@
  * Never exposes keys to content scripts or page context
  */
 
-import { getApiKey, hasApiKey } from './utils/storage.js';
-import { calculateCost, recordUsage, getProviderCosts } from './utils/cost.js';
-import * as openaiProvider from './providers/openai.js';
-import * as anthropicProvider from './providers/anthropic.js';
-import * as googleProvider from './providers/google.js';
+import { getApiKey, hasApiKey, saveApiKey, removeApiKey, getAllApiKeys, enableKeyVault, disableKeyVault, resetKeyVault } from './utils/storage.js';
+import { getVaultStatus, unlockVault, lockVault, setAutoLockMinutes, handleAutoLockAlarm } from './utils/vault.js';
+import { calculateCost, recordUsage, getProviderCosts, estimateTokens, estimateRequestCost, formatCost } from './utils/cost.js';
+import { checkBudget, checkBudgetAlerts, describeBudget } from './utils/budget.js';
+import { getSelectedModel, getBaseUrl, getStructuredOutput, getRetryPolicy, getFallbackChain } from './utils/preferences.js';
+import { getProvider, getProviderInfo, listProviders, isKnownProvider } from './providers/registry.js';
+import { supportsStructuredOutput, getGenerationSettings, getSystemPrompt, getUserPrompt } from './utils/prompts.js';
+import { getCategory, DEFAULT_CATEGORY_ID } from './utils/categories.js';
+import { createBackup, buildBackupFile } from './utils/backup.js';
+import { parseStructuredContent, validateAnalysis, analysisToMarkdown } from './utils/analysis-schema.js';
+import { migrateLegacyConversations } from './utils/conversations.js';
+import { compareAnalyses } from './utils/compare.js';
+import { withRetry, isRetryableError } from './utils/retry.js';
+import { ProviderError, ERROR_CODES, toErrorInfo } from './utils/errors.js';
 
 // Rate limiting: debounce analysis requests
 let lastAnalysisTime = 0;
 const MIN_ANALYSIS_INTERVAL = 5000; // 5 seconds
 
-/**
- * Get provider module based on provider name
- */
-function getProvider(provider) {
-  switch (provider) {
-    case 'openai':
-      return openaiProvider;
-    case 'anthropic':
-      return anthropicProvider;
-    case 'google':
-      return googleProvider;
-    default:
-      throw new Error(`Unknown provider: ${provider}`);
-  }
-}
+// In-flight analyses that can be cancelled, keyed by request ID
+const activeRequests = new Map(); // requestId -> AbortController
+
+// Messages that read or change API keys or the key vault; only extension pages may send them
+const KEY_ACTIONS = [
+  'checkApiKey', 'getApiKeyStatus', 'saveApiKey', 'removeApiKey', 'validateApiKey',
+  'downloadBackupWithKeys', 'importApiKeys',
+  'getVaultStatus', 'enableKeyVault', 'unlockVault', 'lockVault', 'disableKeyVault', 'resetKeyVault', 'setVaultAutoLock'
+];
 
 /**
  * Crop image using OffscreenCanvas (background script context)
@@ -117,10 +120,57 @@ async function captureAndCropChart(tabId, bounds) {
   }
 }
 
+/**
+ * Check whether a message comes from one of the extension's own pages (side panel)
+ * @param {chrome.runtime.MessageSender} sender - Message sender
+ * @returns {boolean}
+ */
+function isExtensionPage(sender) {
+  return sender.id === chrome.runtime.id && Boolean(sender.url?.startsWith(chrome.runtime.getURL('')));
+}
+
+/**
+ * Check whether a message comes from the extension's own pages or content scripts
+ * Content scripts are recognized by the page origins the manifest injects them into
+ * @param {chrome.runtime.MessageSender} sender - Message sender
+ * @returns {boolean}
+ */
+function isTrustedSender(sender) {
+  if (sender.id !== chrome.runtime.id) {
+    return false;
+  }
+  if (isExtensionPage(sender)) {
+    return true;
+  }
+  const contentScriptOrigins = (chrome.runtime.getManifest().content_scripts || [])
+    .flatMap(script => script.matches)
+    .map(pattern => pattern.replace(/\/\*$/, ''));
+  return Boolean(sender.tab) && Boolean(sender.origin || sender.url) &&
+    contentScriptOrigins.includes(sender.origin || new URL(sender.url).origin);
+}
+
 /**
  * Handle messages from content script and side panel
  */
 chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
+  if (!isTrustedSender(sender)) {
+    console.warn('Ignoring message from untrusted sender:', sender.url || sender.id);
+    sendResponse({ success: false, error: 'Sender not allowed' });
+    return false;
+  }
+
+  // API keys never leave the background: key messages only answer with masked status
+  if (KEY_ACTIONS.includes(message.action)) {
+    if (!isExtensionPage(sender)) {
+      sendResponse({ success: false, error: 'Sender not allowed' });
+      return false;
+    }
+    handleKeyMessage(message)
+      .then(result => sendResponse({ success: true, ...result }))
+      .catch(error => sendResponse({ success: false, error: error.message }));
+    return true;
+  }
+
   // Handle async operations
   if (message.action === 'captureScreenshot') {
     // Get tab ID from message or sender
@@ -138,26 +188,24 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
   if (message.action === 'analyzeChart') {
     handleAnalyzeChart(message.data)
       .then(result => sendResponse({ success: true, data: result }))
-      .catch(error => sendResponse({ success: false, error: error.message }));
+      .catch(error => sendResponse({ success: false, error: error.message, details: toErrorInfo(error) }));
     return true; // Keep channel open for async response
   }
 
-  if (message.action === 'checkApiKey') {
-    hasApiKey(message.provider)
-      .then(hasKey => sendResponse({ success: true, hasKey }))
-      .catch(error => sendResponse({ success: false, error: error.message }));
+  if (message.action === 'cancelAnalysis') {
+    sendResponse({ success: true, cancelled: cancelAnalysis(message.requestId) });
     return true;
   }
 
-  if (message.action === 'validateApiKey') {
-    validateApiKey(message.provider, message.apiKey)
-      .then(isValid => sendResponse({ success: true, isValid }))
+  if (message.action === 'listModels') {
+    handleListModels(message.provider)
+      .then(models => sendResponse({ success: true, models }))
       .catch(error => sendResponse({ success: false, error: error.message }));
     return true;
   }
 
   if (message.action === 'getProviderCosts') {
-    handleGetProviderCosts(message.provider, message.apiKey)
+    handleGetProviderCosts(message.provider)
       .then(costs => sendResponse({ success: true, costs }))
       .catch(error => sendResponse({ success: false, error: error.message }));
     return true;
@@ -165,13 +213,225 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
 });
 
 /**
- * Handle provider costs request
+ * Handle streaming analysis requests from the side panel
+ * The side panel opens a port named 'analysis' and posts { action: 'analyzeChart', data };
+ * the background replies with 'chunk' events as tokens arrive, then one 'done' or 'error' event.
+ * { action: 'compareChart', data } runs every ready provider instead, with one 'result'
+ * event per provider as each answers. 'retry' events report retries and fallbacks.
+ * 'error' events carry the message and its details (code, retryAfter...) from utils/errors.js
  */
-async function handleGetProviderCosts(provider, apiKey) {
-  // If no API key provided, try to get it from storage
-  if (!apiKey) {
-    apiKey = await getApiKey(provider);
+chrome.runtime.onConnect.addListener((port) => {
+  if (port.name !== 'analysis' || !isExtensionPage(port.sender)) {
+    return;
+  }
+
+  let connected = true;
+  const portRequests = new Set();
+
+  // Closing the side panel drops the port: stop whatever it was waiting on
+  port.onDisconnect.addListener(() => {
+    connected = false;
+    portRequests.forEach(requestId => cancelAnalysis(requestId));
+  });
+
+  // Posting to a port the side panel already closed throws, so guard every send
+  const post = (message) => {
+    if (connected) {
+      port.postMessage(message);
+    }
+  };
+
+  port.onMessage.addListener((message) => {
+    if (message.action === 'analyzeChart' || message.action === 'compareChart') {
+      const { requestId } = message;
+      const controller = new AbortController();
+      if (requestId) {
+        activeRequests.set(requestId, controller);
+        portRequests.add(requestId);
+      }
+
+      const onChunk = (text) => post({ type: 'chunk', requestId, text });
+      const onResult = (entry) => post({ type: 'result', requestId, entry });
+      const onRetry = (retry) => post({ type: 'retry', requestId, retry });
+      const run = message.action === 'compareChart'
+        ? handleCompareChart(message.data, onResult, controller.signal)
+        : handleAnalyzeChart(message.data, onChunk, controller.signal, onRetry);
+      run
+        .then(result => post({ type: 'done', requestId, data: result }))
+        .catch(error => post({ type: 'error', requestId, error: error.message, details: toErrorInfo(error) }))
+        .finally(() => {
+          activeRequests.delete(requestId);
+          portRequests.delete(requestId);
+        });
+    }
+
+    if (message.action === 'cancel') {
+      cancelAnalysis(message.requestId);
+    }
+  });
+});
+
+/**
+ * Abort an in-flight analysis
+ * @param {string} requestId - Request ID chosen by the side panel
+ * @returns {boolean} Whether a matching request was found
+ */
+function cancelAnalysis(requestId) {
+  const controller = activeRequests.get(requestId);
+  if (!controller) {
+    return false;
+  }
+  controller.abort();
+  return true;
+}
+
+/**
+ * Handle API key and key vault messages from the side panel
+ * Stored keys are only ever returned masked (e.g. "***1234"). A backup the user chooses to
+ * include API keys in is built and saved here, so the keys do not pass through the side panel
+ * @param {Object} message - Runtime message with one of KEY_ACTIONS
+ * @returns {Promise<Object>} Response fields (success is added by the caller)
+ */
+async function handleKeyMessage(message) {
+  switch (message.action) {
+    case 'checkApiKey':
+      return { hasKey: await hasApiKey(message.provider) };
+    case 'getApiKeyStatus':
+      return { apiKeys: await getAllApiKeys() };
+    case 'saveApiKey':
+      assertKnownProvider(message.provider);
+      await saveApiKey(message.provider, message.apiKey);
+      return { apiKeys: await getAllApiKeys() };
+    case 'removeApiKey':
+      await removeApiKey(message.provider);
+      return { apiKeys: await getAllApiKeys() };
+    case 'validateApiKey':
+      return { isValid: await validateApiKey(message.provider, message.apiKey) };
+    case 'downloadBackupWithKeys':
+      return await downloadBackupWithKeys();
+    case 'importApiKeys':
+      return { count: await importApiKeys(message.apiKeys) };
+    case 'getVaultStatus':
+      return { status: await getVaultStatus() };
+    case 'enableKeyVault':
+      return { count: await enableKeyVault(message.passphrase, message.autoLockMinutes) };
+    case 'unlockVault':
+      await unlockVault(message.passphrase);
+      return {};
+    case 'lockVault':
+      await lockVault();
+      return {};
+    case 'disableKeyVault':
+      return { count: await disableKeyVault(message.passphrase) };
+    case 'resetKeyVault':
+      return { count: await resetKeyVault() };
+    case 'setVaultAutoLock':
+      await setAutoLockMinutes(message.minutes);
+      return {};
+    default:
+      throw new Error(`Unknown action: ${message.action}`);
+  }
+}
+
+/**
+ * Reject provider ids that are not in the registry
+ * @param {string} provider - Provider id
+ */
+function assertKnownProvider(provider) {
+  if (!isKnownProvider(provider)) {
+    throw new Error(`Unknown provider: ${provider}`);
+  }
+}
+
+/**
+ * Get the stored API keys in plain text, for a backup the user chose to include them in
+ * @returns {Promise<Object<string, string>>} API key by provider id
+ * @throws {Error} When the key vault is locked
+ */
+async function getApiKeysForBackup() {
+  const apiKeys = {};
+  for (const provider of listProviders()) {
+    const apiKey = await getApiKey(provider.id);
+    if (apiKey) {
+      apiKeys[provider.id] = apiKey;
+    }
+  }
+  return apiKeys;
+}
+
+/**
+ * Build a backup archive with the API keys and save it with chrome.downloads
+ * @returns {Promise<{conversations: number}>} Number of conversations backed up
+ * @throws {Error} When the key vault is locked
+ */
+async function downloadBackupWithKeys() {
+  const archive = await createBackup({ apiKeys: await getApiKeysForBackup() });
+  await downloadFromWorker(buildBackupFile(archive));
+  return { conversations: archive.conversations.length };
+}
+
+/**
+ * Save a file with chrome.downloads from the service worker
+ * Service workers cannot create object URLs, so an offscreen document (offscreen.js) holds
+ * the file's blob URL until the download is done
+ * @param {{filename: string, content: string, mimeType: string}} file - File to save
+ * @returns {Promise<number>} Download ID
+ */
+async function downloadFromWorker(file) {
+  if (!(await chrome.offscreen.hasDocument())) {
+    await chrome.offscreen.createDocument({
+      url: 'offscreen.html',
+      reasons: ['BLOBS'],
+      justification: 'Create a blob URL for a backup file download'
+    });
+  }
+  const closeDocument = () => chrome.offscreen.closeDocument().catch(() => {}); // Also revokes the URL
+
+  try {
+    const { url } = await chrome.runtime.sendMessage({ target: 'offscreen', action: 'createBlobUrl', content: file.content, mimeType: file.mimeType });
+    const downloadId = await chrome.downloads.download({ url, filename: file.filename, saveAs: true });
+
+    // The blob URL must outlive the download, so close the document once Chrome is done with it
+    const onChanged = (delta) => {
+      if (delta.id === downloadId && delta.state && delta.state.current !== 'in_progress') {
+        chrome.downloads.onChanged.removeListener(onChanged);
+        closeDocument();
+      }
+    };
+    chrome.downloads.onChanged.addListener(onChanged);
+    return downloadId;
+  } catch (error) {
+    closeDocument();
+    throw error;
   }
+}
+
+/**
+ * Save API keys restored from a backup
+ * Unknown providers and empty keys are skipped
+ * @param {Object<string, string>} apiKeys - API key by provider id
+ * @returns {Promise<number>} Number of keys saved
+ */
+async function importApiKeys(apiKeys) {
+  if ((await getVaultStatus()).locked) {
+    throw new Error('Unlock the key vault in settings before restoring API keys');
+  }
+  let count = 0;
+  for (const [provider, apiKey] of Object.entries(apiKeys || {})) {
+    if (isKnownProvider(provider) && typeof apiKey === 'string' && apiKey.trim()) {
+      await saveApiKey(provider, apiKey);
+      count++;
+    }
+  }
+  return count;
+}
+
+/**
+ * Handle provider costs request
+ * The API key is read here; the side panel never sends or receives it
+ */
+async function handleGetProviderCosts(provider) {
+  const apiKey = await getApiKey(provider);
   
   if (!apiKey) {
     // No key, return zero costs
@@ -188,54 +448,355 @@ async function handleGetProviderCosts(provider, apiKey) {
 
 /**
  * Handle chart analysis request
- * This runs in the background script to keep API keys secure
+ * This runs in the background script to keep API keys secure. Temporary provider errors
+ * are retried per the provider's retry policy; if the provider stays unavailable, the
+ * other ready providers in the fallback chain are tried in order.
+ * @param {Object} data - Analysis request; allowOverBudget sends it even when it would go over
+ *   a budget, once the user has confirmed (budgets set to ask first only)
+ * @param {Function|null} onChunk - Receives text chunks when the provider supports streaming
+ * @param {AbortSignal|null} signal - Cancels the provider request
+ * @param {Function|null} onRetry - Called with {provider, attempt, delayMs, error, fallbackFrom?} before each retry or fallback
+ * @returns {Promise<Object>} Analysis text, structured analysis (if any), provider that answered, model, token usage,
+ *   cost and its usage record ID, whether it was interrupted, the generation settings used, attempts made with that provider,
+ *   and fallbackFrom (the requested provider) when another provider answered
  */
-async function handleAnalyzeChart({ imageDataUrl, metadata, provider, category = 'market-analysis', conversationHistory = [] }) {
-  // Rate limiting
+async function handleAnalyzeChart(data, onChunk = null, signal = null, onRetry = null) {
+  await assertWithinBudget(data, [data.provider]);
+  checkRateLimit();
+
+  // The requested provider first, then the other ready providers of the fallback chain
+  // (skipping any that would go over a budget: there is no one to ask mid-fallback)
+  const chain = [data.provider];
+  for (const provider of await getFallbackChain()) {
+    if (!chain.includes(provider) && await isProviderReady(getProviderInfo(provider)) &&
+        (await findExceededBudgets(data, [provider])).exceeded.length === 0) {
+      chain.push(provider);
+    }
+  }
+
+  for (const [index, provider] of chain.entries()) {
+    const isFallback = index > 0;
+    try {
+      const { result, attempts } = await withRetry(
+        // Fallback providers use their own selected model
+        () => analyzeWithProvider({ ...data, provider, model: isFallback ? null : data.model }, onChunk, signal),
+        {
+          policy: await getRetryPolicy(provider),
+          signal,
+          onRetry: ({ attempt, delayMs, error }) => onRetry?.({ provider, attempt, delayMs, error: error.message, code: error.code })
+        }
+      );
+      return { ...result, attempts, fallbackFrom: isFallback ? data.provider : null };
+    } catch (error) {
+      // Stopped while waiting to retry: nothing was generated to keep
+      if (error.name === 'AbortError') {
+        return { analysis: '', provider, model: null, usage: null, cost: 0, interrupted: true };
+      }
+      const next = chain[index + 1];
+      if (!next || !isRetryableError(error)) {
+        throw error;
+      }
+      console.warn(`${provider} is unavailable, falling back to ${next}:`, error.message);
+      onRetry?.({ provider: next, attempt: 0, delayMs: 0, error: error.message, code: error.code, fallbackFrom: provider });
+    }
+  }
+}
+
+/**
+ * Enforce the minimum interval between analysis requests
+ * A comparison counts as one request
+ */
+function checkRateLimit() {
   const now = Date.now();
   if (now - lastAnalysisTime < MIN_ANALYSIS_INTERVAL) {
-    throw new Error(`Please wait ${Math.ceil((MIN_ANALYSIS_INTERVAL - (now - lastAnalysisTime)) / 1000)} seconds before analyzing again`);
+    const waitMs = MIN_ANALYSIS_INTERVAL - (now - lastAnalysisTime);
+    throw new ProviderError(`Please wait ${Math.ceil(waitMs / 1000)} seconds before analyzing again`, {
+      code: ERROR_CODES.RATE_LIMIT,
+      retryable: false, // Local limit: the side panel offers to try again once it passes
+      retryAfter: waitMs
+    });
   }
   lastAnalysisTime = now;
+}
 
-  // Get API key
-  const apiKey = await getApiKey(provider);
-  if (!apiKey) {
-    throw new Error(`API key not configured for ${provider}. Please add your API key in settings.`);
+/**
+ * Find the budgets a request would go over
+ * The cost of each provider's call is estimated from its model's pricing (see estimateRequestCost)
+ * @param {Object} data - Analysis or comparison request
+ * @param {Array<string>} providers - Providers the request goes to
+ * @returns {Promise<{exceeded: Array<Object>, capAction: string}>} See checkBudget in utils/budget.js
+ */
+async function findExceededBudgets({ imageDataUrl, metadata, provider: requestedProvider, model, category = DEFAULT_CATEGORY_ID, conversationHistory = [] }, providers) {
+  const categoryDef = await getCategory(category) || await getCategory(DEFAULT_CATEGORY_ID);
+  const { maxTokens } = getGenerationSettings(categoryDef);
+  const prompt = `${getSystemPrompt(categoryDef, metadata)}\n${getUserPrompt(categoryDef, metadata)}`;
+  const imageSize = await getImageSize(imageDataUrl);
+
+  const estimates = {};
+  for (const provider of providers) {
+    const providerModel = (provider === requestedProvider && model) || await getSelectedModel(provider);
+    estimates[provider] = estimateRequestCost({ provider, model: providerModel, imageSize, prompt, conversationHistory, maxTokens }).cost;
+  }
+  return await checkBudget(estimates);
+}
+
+/**
+ * Get the pixel size of an image
+ * @param {string} imageDataUrl - Image data URL
+ * @returns {Promise<{width: number, height: number}|null>} Size, or null if the image cannot be read
+ */
+async function getImageSize(imageDataUrl) {
+  try {
+    const response = await fetch(imageDataUrl);
+    const imageBitmap = await createImageBitmap(await response.blob());
+    const size = { width: imageBitmap.width, height: imageBitmap.height };
+    imageBitmap.close();
+    return size;
+  } catch (error) {
+    console.warn('Could not read the chart image size:', error);
+    return null;
   }
+}
 
+/**
+ * Refuse a request that would go over a budget
+ * With budgets set to ask first, the side panel confirms with the user and resends the
+ * request with allowOverBudget
+ * @param {Object} data - Analysis or comparison request
+ * @param {Array<string>} providers - Providers the request goes to
+ * @throws {ProviderError} BUDGET error; its detail is the cap action ('confirm' or 'block')
+ */
+async function assertWithinBudget(data, providers) {
+  const { exceeded, capAction } = await findExceededBudgets(data, providers);
+  if (exceeded.length === 0 || (capAction === 'confirm' && data.allowOverBudget === true)) {
+    return;
+  }
+  const budget = exceeded[0];
+  throw new ProviderError(
+    `${describeBudget(budget)} of ${formatCost(budget.limit)} would be exceeded: ${formatCost(budget.spent)} spent, and this request may cost up to ${formatCost(budget.estimate)}`,
+    { code: ERROR_CODES.BUDGET, retryable: false, provider: budget.provider, detail: capAction }
+  );
+}
+
+/**
+ * Show a notification for each budget alert threshold newly crossed
+ * Failures are only logged: alerts never fail the analysis that triggered them
+ */
+async function notifyBudgetAlerts() {
+  try {
+    for (const { budget, threshold } of await checkBudgetAlerts()) {
+      // Same id for the same alert, so parallel comparison calls cannot show it twice
+      chrome.notifications.create(`budget_${budget.id}_${threshold}`, {
+        type: 'basic',
+        iconUrl: 'icons/icon128.png',
+        title: threshold >= 100 ? `${describeBudget(budget)} reached` : `${threshold}% of ${describeBudget(budget).toLowerCase()} used`,
+        message: `${formatCost(budget.spent)} of ${formatCost(budget.limit)} spent ${budget.period === 'daily' ? 'today' : 'this month'}.`
+      });
+    }
+  } catch (error) {
+    console.error('Failed to check budget alerts:', error);
+  }
+}
+
+/**
+ * Analyze a chart with one provider (no rate limiting, retries or fallback)
+ * @param {Object} data - Analysis request; conversationId (follow-ups) is stored with the usage record
+ * @param {Function|null} onChunk - Receives text chunks when the provider supports streaming
+ * @param {AbortSignal|null} signal - Cancels the provider request
+ * @returns {Promise<Object>} Analysis text, structured analysis (if any), provider, model, token usage,
+ *   cost and its usage record ID (usageId), whether it was interrupted, the provider's finishReason when it
+ *   cut the answer off, and the generation settings used
+ */
+async function analyzeWithProvider({ imageDataUrl, metadata, provider, model, category = DEFAULT_CATEGORY_ID, conversationHistory = [], conversationId = null }, onChunk = null, signal = null) {
   // Get provider module
   const providerModule = getProvider(provider);
+  const { capabilities } = providerModule.PROVIDER;
+
+  // Get API key (optional for self-hosted endpoints); fails while the key vault is locked
+  const apiKey = await getApiKey(provider).catch(error => {
+    throw new ProviderError(error.message, { code: ERROR_CODES.AUTH, provider, cause: error });
+  });
+  if (!apiKey && !capabilities.optionalApiKey) {
+    throw new ProviderError(`API key not configured for ${provider}. Please add your API key in settings.`, { code: ERROR_CODES.AUTH, provider });
+  }
+
+  // Self-hosted endpoints need the runtime host permission granted in settings
+  const baseUrl = capabilities.customEndpoint ? await getBaseUrl(provider) : null;
+  if (baseUrl) {
+    await assertEndpointPermission(providerModule, baseUrl);
+  }
+
+  // Resolve the user's category definition; unknown ids (e.g. a deleted custom category) use the default
+  const categoryDef = await getCategory(category) || await getCategory(DEFAULT_CATEGORY_ID);
+  const { temperature, maxTokens, stop } = getGenerationSettings(categoryDef);
+
+  // Use the requested model, falling back to the user's saved choice for this provider
+  const isOfferedModel = capabilities.dynamicModels ? Boolean(model) : Boolean(providerModule.PROVIDER.models[model]);
+  const selectedModel = (model && isOfferedModel)
+    ? model
+    : await getSelectedModel(provider);
+
+  // Structured output applies to the initial analysis of categories built around the schema fields
+  const structured = conversationHistory.length === 0 &&
+    capabilities.structuredOutput === true &&
+    supportsStructuredOutput(categoryDef) &&
+    await getStructuredOutput();
+
+  // Only stream from providers that actually support it; partial JSON is not worth streaming
+  const streamCallback = capabilities.streaming && !structured ? onChunk : null;
 
   // Analyze chart with conversation history and category
-  const result = await providerModule.analyzeChart(imageDataUrl, metadata, apiKey, null, conversationHistory, category);
+  const started = Date.now();
+  const usageDetails = () => ({
+    category: categoryDef.id,
+    conversationId,
+    latencyMs: Date.now() - started,
+    followUp: conversationHistory.length > 0
+  });
+  let result;
+  try {
+    result = await providerModule.analyzeChart(imageDataUrl, metadata, apiKey, streamCallback, conversationHistory, categoryDef, {
+      model: selectedModel,
+      baseUrl,
+      signal,
+      structured,
+      temperature,
+      maxTokens,
+      stop
+    });
+  } catch (error) {
+    // Cancelled before any text arrived - nothing was generated to keep
+    if (error.name === 'AbortError') {
+      return { analysis: '', provider, model: selectedModel, usage: null, cost: 0, interrupted: true, generation: { temperature, maxTokens, stop: structured ? null : stop } };
+    }
+    // Tokens billed before the failure still count towards spending and budgets
+    await recordCallUsage(provider, selectedModel, error.usage, usageDetails());
+    throw error;
+  }
   
   // Extract analysis content and usage
   let analysis;
   let usage = null;
+  let usedModel = selectedModel;
+  let interrupted = false;
+  let finishReason = null;
   
   if (typeof result === 'string') {
     // Legacy format - just string content
     analysis = result;
   } else if (result && typeof result === 'object') {
     // New format - object with content and usage
-    analysis = result.content || result;
+    analysis = result.content ?? result;
     usage = result.usage || null;
+    usedModel = result.model || selectedModel;
+    interrupted = result.interrupted === true;
+    finishReason = result.finishReason || null;
   } else {
     analysis = result;
   }
   
-  // Track cost if usage data is available
-  if (usage && usage.inputTokens && usage.outputTokens) {
-    const model = provider === 'openai' ? 'gpt-4o' : 
-                  provider === 'anthropic' ? 'claude-sonnet-4-5-20250929' :
-                  provider === 'google' ? 'gemini-1.5-pro' : 'gpt-4o';
-    
-    const cost = calculateCost(provider, model, usage.inputTokens, usage.outputTokens);
-    await recordUsage(provider, model, usage.inputTokens, usage.outputTokens, cost);
+  // Validate structured output; anything that does not match the schema is shown as plain text
+  let structuredAnalysis = null;
+  if (structured && !interrupted) {
+    const validation = validateAnalysis(parseStructuredContent(analysis));
+    if (validation.valid) {
+      structuredAnalysis = validation.value;
+      analysis = analysisToMarkdown(structuredAnalysis);
+    } else {
+      console.warn('Structured analysis did not match the schema:', validation.errors);
+    }
+  }
+  
+  // A stopped stream rarely gets its final usage event: count the output we did receive
+  if (interrupted) {
+    const outputTokens = Math.max(usage?.outputTokens || 0, estimateTokens(analysis));
+    const inputTokens = usage?.inputTokens || 0;
+    usage = { inputTokens, outputTokens, totalTokens: inputTokens + outputTokens };
   }
   
-  return { analysis };
+  // Track cost if usage data is available
+  const { cost, usageId } = await recordCallUsage(provider, usedModel, usage, usageDetails());
+  
+  // Settings the answer was generated with, shown next to it in the side panel
+  const generation = { temperature, maxTokens, stop: structured ? null : stop };
+
+  return { analysis, structured: structuredAnalysis, provider, model: usedModel, usage, cost, usageId, interrupted, finishReason, generation };
+}
+
+/**
+ * Record the usage of one provider call and notify about budget alerts it crosses
+ * @param {string} provider - Provider id
+ * @param {string} model - Model id
+ * @param {Object|null} usage - Token usage {inputTokens, outputTokens}
+ * @param {Object} details - Record details (see recordUsage in utils/cost.js)
+ * @returns {Promise<{cost: number|null, usageId: string|null}>} Cost in USD and record ID; null without usage
+ */
+async function recordCallUsage(provider, model, usage, details) {
+  if (!usage || !(usage.inputTokens || usage.outputTokens)) {
+    return { cost: null, usageId: null };
+  }
+  const cost = calculateCost(provider, model, usage.inputTokens, usage.outputTokens);
+  const usageId = await recordUsage(provider, model, usage.inputTokens, usage.outputTokens, cost, details);
+  await notifyBudgetAlerts();
+  return { cost, usageId };
+}
+
+/**
+ * Check whether a provider can analyze without further setup
+ * Providers with an optional key only need a model; the rest need an API key
+ * @param {Object} info - Provider registry entry
+ * @returns {Promise<boolean>}
+ */
+async function isProviderReady(info) {
+  if (info.capabilities.optionalApiKey) {
+    return Boolean(await getSelectedModel(info.id));
+  }
+  return await hasApiKey(info.id);
+}
+
+/**
+ * Analyze the same chart with every ready provider in parallel
+ * Each provider uses its selected model and retry policy (no fallback); one failing
+ * provider does not fail the comparison
+ * @param {Object} data - Comparison request {imageDataUrl, metadata, category, allowOverBudget}
+ * @param {Function|null} onResult - Receives each provider's entry as it finishes
+ * @param {AbortSignal|null} signal - Cancels every provider request
+ * @returns {Promise<{entries: Array<Object>, agreement: Object|null}>} One entry per provider
+ *   {provider, model, analysis, structured, usage, cost, latencyMs, interrupted, generation, error, errorCode},
+ *   in registry order, and where structured answers agree (see utils/compare.js)
+ */
+async function handleCompareChart({ imageDataUrl, metadata, category = DEFAULT_CATEGORY_ID, allowOverBudget = false }, onResult = null, signal = null) {
+  const providers = [];
+  for (const info of listProviders()) {
+    if (await isProviderReady(info)) {
+      providers.push(info.id);
+    }
+  }
+  if (providers.length < 2) {
+    throw new Error('Comparing needs at least two providers with an API key configured');
+  }
+  await assertWithinBudget({ imageDataUrl, metadata, category, allowOverBudget }, providers);
+  checkRateLimit();
+
+  const entries = await Promise.all(providers.map(async (provider) => {
+    const started = Date.now();
+    let entry;
+    try {
+      const { result, attempts } = await withRetry(
+        () => analyzeWithProvider({ imageDataUrl, metadata, provider, category }, null, signal),
+        { policy: await getRetryPolicy(provider), signal }
+      );
+      entry = { ...result, attempts, latencyMs: Date.now() - started, error: null, errorCode: null };
+    } catch (error) {
+      entry = { provider, model: null, analysis: '', structured: null, usage: null, cost: null, latencyMs: Date.now() - started, error: error.message, errorCode: toErrorInfo(error).code };
+    }
+    if (onResult) {
+      onResult(entry);
+    }
+    return entry;
+  }));
+
+  return { entries, agreement: compareAnalyses(entries) };
 }
 
 /**
@@ -243,7 +804,45 @@ async function handleAnalyzeChart({ imageDataUrl, metadata, provider, category =
  */
 async function validateApiKey(provider, apiKey) {
   const providerModule = getProvider(provider);
-  return await providerModule.validateApiKey(apiKey);
+  const baseUrl = providerModule.PROVIDER.capabilities.customEndpoint ? await getBaseUrl(provider) : null;
+  return await providerModule.validateApiKey(apiKey, { baseUrl });
+}
+
+/**
+ * List models offered by a provider
+ * Providers with dynamicModels query their endpoint; others return their registry models
+ * @param {string} provider - Provider name
+ * @returns {Promise<Array<{id: string, name: string}>>}
+ */
+async function handleListModels(provider) {
+  const providerModule = getProvider(provider);
+  const { PROVIDER } = providerModule;
+  
+  if (!PROVIDER.capabilities.dynamicModels) {
+    return Object.entries(PROVIDER.models).map(([id, model]) => ({ id, name: model.name }));
+  }
+  
+  const baseUrl = await getBaseUrl(provider);
+  await assertEndpointPermission(providerModule, baseUrl);
+  const apiKey = await getApiKey(provider);
+  return await providerModule.listModels(baseUrl, apiKey);
+}
+
+/**
+ * Ensure the extension may reach a user-configured endpoint
+ * The permission is requested from the side panel (it needs a user gesture)
+ * @param {Object} providerModule - Provider module exporting getOriginPattern
+ * @param {string} baseUrl - Endpoint base URL
+ */
+async function assertEndpointPermission(providerModule, baseUrl) {
+  const origin = providerModule.getOriginPattern(baseUrl);
+  const granted = await chrome.permissions.contains({ origins: [origin] });
+  if (!granted) {
+    throw new ProviderError(`Access to ${origin} has not been granted. Connect the endpoint in settings.`, {
+      code: ERROR_CODES.AUTH,
+      provider: providerModule.PROVIDER.id
+    });
+  }
 }
 
 /**
@@ -266,4 +865,34 @@ chrome.runtime.onInstalled.addListener(() => {
     path: 'sidepanel.html',
     enabled: true
   });
+  checkProviderHostPermissions();
+  
+  // Move conversation history saved by earlier versions into IndexedDB
+  migrateLegacyConversations().catch(error => {
+    console.error('Error migrating conversation history:', error);
+  });
 });
+
+/**
+ * Lock the key vault when its auto-lock alarm fires
+ */
+chrome.alarms.onAlarm.addListener((alarm) => {
+  handleAutoLockAlarm(alarm).catch(error => {
+    console.error('Error locking key vault:', error);
+  });
+});
+
+/**
+ * Warn when a registered provider's host permissions are missing from the manifest
+ */
+async function checkProviderHostPermissions() {
+  for (const provider of listProviders()) {
+    const origins = provider.hostPermissions || [];
+    if (origins.length === 0) continue;
+    
+    const granted = await chrome.permissions.contains({ origins });
+    if (!granted) {
+      console.warn(`Missing host permissions for ${provider.id}:`, origins);
+    }
+  }
+}
@@ -72,6 +72,299 @@ function getChartMetadata(chartElement) {
   return metadata;
 }
 
+/**
+ * Series data extraction
+ * Collects the numbers behind the chart so the analysis can quote exact values:
+ * legend entries, URL state, the axis scale and bitview's own JSON data requests
+ * (re-read from the browser cache via the Performance API).
+ */
+// Only bitview's read-only data API is re-read: the Performance API does not tell which
+// method a request used, so re-fetching any other request could repeat a POST as a GET
+const DATA_ENDPOINT_PATTERNS = [/^\/api\//];
+const MAX_DATA_REQUESTS = 6;
+const MAX_SERIES = 12;
+const MAX_RESPONSE_LENGTH = 5 * 1024 * 1024;
+const DATA_REQUEST_TIMEOUT = 3000;
+
+/**
+ * Parse a displayed number such as "65,432.1", "$1.2M" or "-3.5%"
+ */
+function parseDisplayNumber(text) {
+  const match = text.replace(/[$,\s]/g, '').match(/^([+-]?\d+(?:\.\d+)?)([kKmMbBtT%])?$/);
+  if (!match) return null;
+  const multipliers = { k: 1e3, m: 1e6, b: 1e9, t: 1e12 };
+  const suffix = match[2] ? match[2].toLowerCase() : null;
+  const value = parseFloat(match[1]) * (suffix && multipliers[suffix] ? multipliers[suffix] : 1);
+  return Number.isFinite(value) ? value : null;
+}
+
+/**
+ * Convert a timestamp, epoch number or date string to YYYY-MM-DD
+ */
+function toIsoDate(value) {
+  let time = null;
+  if (typeof value === 'number') {
+    if (value > 1e12) time = value; // milliseconds
+    else if (value > 1e9) time = value * 1000; // seconds
+  } else if (typeof value === 'string' && /\d{4}-\d{2}-\d{2}/.test(value)) {
+    time = Date.parse(value);
+  }
+  return time && Number.isFinite(time) ? new Date(time).toISOString().slice(0, 10) : null;
+}
+
+/**
+ * Read chart state from the URL (query string and hash)
+ * Returns the raw parameters plus any recognisable date range and scale
+ */
+function readUrlState() {
+  const params = new URLSearchParams(window.location.search);
+  const hash = window.location.hash.replace(/^#\/?/, '');
+  if (hash.includes('=')) {
+    new URLSearchParams(hash).forEach((value, key) => params.set(key, value));
+  }
+  
+  const state = {};
+  params.forEach((value, key) => {
+    state[key] = value;
+  });
+  
+  const pick = (...keys) => keys.map(key => state[key]).find(value => value !== undefined);
+  const scale = pick('scale', 'yscale', 'axis');
+  
+  return {
+    params: state,
+    from: pick('from', 'start', 'since'),
+    to: pick('to', 'end', 'until'),
+    scale: scale && /log/i.test(scale) ? 'log' : (scale && /lin/i.test(scale) ? 'linear' : null)
+  };
+}
+
+/**
+ * Read series names and current values from the chart legend
+ */
+function readLegend(chartElement) {
+  const scope = chartElement.closest('main, section, article') || chartElement.parentElement || document.body;
+  const legend = scope.querySelector('[class*="legend"], [data-legend]');
+  if (!legend) return [];
+  
+  const entries = [];
+  legend.querySelectorAll('*').forEach(element => {
+    if (element.childElementCount > 0 || entries.length >= MAX_SERIES) return;
+    const text = (element.textContent || '').replace(/\s+/g, ' ').trim();
+    if (!text || text.length > 80) return;
+    
+    // "Realized Price: 45,123" / "Realized Price 45,123"
+    const match = text.match(/^(.*?[A-Za-z][^:]*?)[:\s]+([$+-]?[\d,.]+\s*[kKmMbBtT%]?)$/);
+    if (match) {
+      entries.push({ name: match[1].trim(), last: parseDisplayNumber(match[2]), source: 'legend' });
+    } else if (/[A-Za-z]/.test(text) && !entries.some(entry => entry.name === text)) {
+      entries.push({ name: text, last: null, source: 'legend' });
+    }
+  });
+  
+  return entries;
+}
+
+/**
+ * Summarise a list of numeric values (with optional dates) as one series
+ */
+function summarizeValues(name, values, dates = []) {
+  const numbers = values.filter(value => typeof value === 'number' && Number.isFinite(value));
+  if (numbers.length < 2) return null;
+  
+  let lastIndex = values.length - 1;
+  while (lastIndex >= 0 && !(typeof values[lastIndex] === 'number' && Number.isFinite(values[lastIndex]))) {
+    lastIndex--;
+  }
+  
+  // A loop rather than Math.min(...numbers), which overflows the stack on long series
+  let min = numbers[0];
+  let max = numbers[0];
+  for (const number of numbers) {
+    if (number < min) min = number;
+    if (number > max) max = number;
+  }
+  
+  const summary = {
+    name,
+    source: 'data',
+    last: values[lastIndex],
+    first: numbers[0],
+    min,
+    max,
+    count: numbers.length
+  };
+  
+  const firstDate = dates.length ? toIsoDate(dates[0]) : null;
+  const lastDate = dates.length ? toIsoDate(dates[lastIndex]) : null;
+  if (firstDate) summary.firstDate = firstDate;
+  if (lastDate) summary.lastDate = lastDate;
+  return summary;
+}
+
+/**
+ * Find numeric series in a JSON response
+ * Handles plain number arrays, [time, value] pairs and arrays of records
+ */
+function findSeriesInJson(data, name, found, depth = 0) {
+  if (found.length >= MAX_SERIES || depth > 3 || data === null || typeof data !== 'object') return;
+  
+  if (Array.isArray(data)) {
+    if (data.length < 2) return;
+    const sample = data.slice(0, 20).filter(item => item !== null);
+    
+    if (sample.every(item => typeof item === 'number')) {
+      const summary = summarizeValues(name, data);
+      if (summary) found.push(summary);
+    } else if (sample.every(item => Array.isArray(item) && item.length >= 2 && typeof item[1] === 'number')) {
+      const summary = summarizeValues(name, data.map(item => item?.[1] ?? null), data.map(item => item?.[0]));
+      if (summary) found.push(summary);
+    } else if (sample.every(item => typeof item === 'object' && !Array.isArray(item))) {
+      const dateKey = ['time', 'date', 'timestamp', 't', 'x'].find(key => key in sample[0]);
+      const valueKeys = Object.keys(sample[0]).filter(key => key !== dateKey && typeof sample[0][key] === 'number');
+      valueKeys.forEach(key => {
+        const summary = summarizeValues(valueKeys.length === 1 ? name : `${name} ${key}`,
+          data.map(item => item?.[key] ?? null),
+          dateKey ? data.map(item => item?.[dateKey]) : []);
+        if (summary && found.length < MAX_SERIES) found.push(summary);
+      });
+    }
+    return;
+  }
+  
+  Object.entries(data).forEach(([key, value]) => {
+    findSeriesInJson(value, key, found, depth + 1);
+  });
+}
+
+/**
+ * Name a data request after the last meaningful part of its path
+ */
+function getRequestSeriesName(url) {
+  const segments = new URL(url).pathname.split('/').filter(Boolean);
+  return (segments.pop() || 'series').replace(/\.json$/i, '');
+}
+
+/**
+ * Check whether a URL is one of bitview's own data endpoints
+ */
+function isDataEndpoint(url) {
+  try {
+    const parsed = new URL(url);
+    return parsed.origin === window.location.origin &&
+      DATA_ENDPOINT_PATTERNS.some(pattern => pattern.test(parsed.pathname));
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Read a response body as text, giving up once it passes maxBytes
+ * Returns null for bodies that are too large, without reading the rest
+ */
+async function readLimitedText(response, maxBytes) {
+  const declared = Number(response.headers.get('content-length'));
+  if (declared > maxBytes) {
+    response.body?.cancel();
+    return null;
+  }
+  if (!response.body) return response.text();
+  
+  const reader = response.body.getReader();
+  const decoder = new TextDecoder();
+  let received = 0;
+  let text = '';
+  while (true) {
+    const { done, value } = await reader.read();
+    if (done) break;
+    received += value.byteLength;
+    if (received > maxBytes) {
+      reader.cancel();
+      return null;
+    }
+    text += decoder.decode(value, { stream: true });
+  }
+  return text + decoder.decode();
+}
+
+/**
+ * Re-read the page's recent JSON requests to bitview's data endpoints
+ * Responses usually come straight from the browser cache
+ */
+async function readDataRequests() {
+  const entries = performance.getEntriesByType('resource')
+    .filter(entry => entry.initiatorType === 'fetch' || entry.initiatorType === 'xmlhttprequest')
+    .filter(entry => isDataEndpoint(entry.name))
+    .slice(-MAX_DATA_REQUESTS);
+  
+  const found = [];
+  await Promise.all(entries.map(async entry => {
+    try {
+      const response = await fetch(entry.name, {
+        credentials: 'same-origin',
+        cache: 'force-cache',
+        signal: AbortSignal.timeout(DATA_REQUEST_TIMEOUT)
+      });
+      const type = response.headers.get('content-type') || '';
+      if (!response.ok || !type.includes('json')) return;
+      
+      const text = await readLimitedText(response, MAX_RESPONSE_LENGTH);
+      if (text === null) return;
+      findSeriesInJson(JSON.parse(text), getRequestSeriesName(entry.name), found);
+    } catch (error) {
+      console.warn('Could not read chart data request:', entry.name, error.message);
+    }
+  }));
+  
+  return found.slice(0, MAX_SERIES);
+}
+
+/**
+ * Extract the chart's underlying data: metrics, visible date range, last values and axis scale
+ * Every source is best effort - a failure leaves its part out rather than failing the capture
+ */
+async function extractSeriesData(chartElement) {
+  const urlState = readUrlState();
+  const legend = chartElement ? readLegend(chartElement) : [];
+  const data = await readDataRequests().catch(() => []);
+  
+  // Legend values are what the chart currently shows; fill in from data where the names match
+  const series = [...legend];
+  data.forEach(item => {
+    const match = series.find(entry => entry.name.toLowerCase() === item.name.toLowerCase());
+    if (match) {
+      Object.assign(match, { ...item, last: match.last ?? item.last, source: 'legend+data' });
+    } else if (series.length < MAX_SERIES) {
+      series.push(item);
+    }
+  });
+  
+  const dated = series.filter(item => item.firstDate && item.lastDate);
+  const dateRange = urlState.from || urlState.to
+    ? { from: urlState.from || null, to: urlState.to || null, source: 'url' }
+    : dated.length > 0
+      ? {
+        from: dated.map(item => item.firstDate).sort()[0],
+        to: dated.map(item => item.lastDate).sort().pop(),
+        source: 'data'
+      }
+      : null;
+  
+  const scale = urlState.scale || (chartElement ? readAxisCalibration(chartElement)?.scale : null) || null;
+  
+  if (series.length === 0 && !dateRange && !scale) {
+    return null;
+  }
+  
+  return {
+    metrics: [...new Set(series.map(item => item.name))],
+    series,
+    dateRange,
+    scale,
+    urlState: urlState.params
+  };
+}
+
 /**
  * Get bounding rectangle for chart element
  */
@@ -143,6 +436,7 @@ async function captureChart() {
   
   const bounds = getChartBounds(chartElement);
   const metadata = getChartMetadata(chartElement);
+  metadata.series = await extractSeriesData(chartElement);
   
   // Return bounds and metadata - background script will handle screenshot
   return {
@@ -252,6 +546,429 @@ function enableManualSelection() {
   });
 }
 
+/**
+ * Levels overlay
+ * Draws support, resistance and invalidation levels from an analysis on top of the chart.
+ * Prices map to chart positions through a calibration of the price axis, read from
+ * axis tick labels in the DOM or taken from two reference points the user clicks.
+ */
+const LEVEL_COLORS = {
+  support: '0, 255, 0',
+  resistance: '255, 77, 77',
+  invalidation: '255, 165, 0'
+};
+
+let levelsOverlay = null; // { container, chartElement, levels, frame, resizeObserver, onViewportChange }
+let priceCalibration = null; // { method, scale, a, b, url } - chart fraction = a + b * scale(price)
+let pendingCalibration = null; // Manual calibration waiting on the user, shared by every request meanwhile
+
+/**
+ * Parse a price axis tick label such as "60,000", "$60k" or "1.2M"
+ */
+function parseAxisNumber(text) {
+  if (text.includes('%')) return null;
+  const value = parseDisplayNumber(text);
+  return value !== null && value > 0 ? value : null;
+}
+
+/**
+ * Map a price onto the calibrated axis scale
+ */
+function scalePrice(price, scale) {
+  return scale === 'log' ? Math.log(price) : price;
+}
+
+/**
+ * Least-squares fit of chart fraction = a + b * scale(price)
+ * Returns the fit and its RMS error in chart fractions
+ */
+function fitAxis(points, scale) {
+  const xs = points.map(p => scalePrice(p.price, scale));
+  const ys = points.map(p => p.fraction);
+  const n = points.length;
+  const meanX = xs.reduce((sum, x) => sum + x, 0) / n;
+  const meanY = ys.reduce((sum, y) => sum + y, 0) / n;
+  
+  let covariance = 0;
+  let variance = 0;
+  for (let i = 0; i < n; i++) {
+    covariance += (xs[i] - meanX) * (ys[i] - meanY);
+    variance += (xs[i] - meanX) ** 2;
+  }
+  if (variance === 0) return null;
+  
+  const b = covariance / variance;
+  const a = meanY - b * meanX;
+  const error = Math.sqrt(ys.reduce((sum, y, i) => sum + (y - (a + b * xs[i])) ** 2, 0) / n);
+  return { scale, a, b, error };
+}
+
+/**
+ * Calibrate the price axis from tick labels rendered in the DOM
+ * Looks for numeric labels lined up along the left or right edge of the chart
+ */
+function readAxisCalibration(chartElement) {
+  const rect = chartElement.getBoundingClientRect();
+  const scope = chartElement.parentElement || chartElement;
+  const edgeDistance = 80;
+  const sides = { left: [], right: [] };
+  
+  scope.querySelectorAll('text, span, div, td').forEach(element => {
+    if (element.childElementCount > 0) return;
+    const text = element.textContent || '';
+    if (text.length === 0 || text.length > 12) return;
+    
+    const price = parseAxisNumber(text);
+    if (price === null) return;
+    
+    const labelRect = element.getBoundingClientRect();
+    const centerX = labelRect.left + labelRect.width / 2;
+    const centerY = labelRect.top + labelRect.height / 2;
+    if (labelRect.height === 0 || centerY < rect.top || centerY > rect.bottom) return;
+    
+    const point = { price, fraction: (centerY - rect.top) / rect.height };
+    if (Math.abs(centerX - rect.left) < edgeDistance) {
+      sides.left.push(point);
+    } else if (Math.abs(centerX - rect.right) < edgeDistance) {
+      sides.right.push(point);
+    }
+  });
+  
+  const points = sides.right.length >= sides.left.length ? sides.right : sides.left;
+  const distinctPrices = new Set(points.map(p => p.price));
+  if (distinctPrices.size < 3) return null;
+  
+  // Pick whichever scale fits the ticks best; higher prices must sit higher on the chart
+  const fits = ['linear', 'log']
+    .map(scale => fitAxis(points, scale))
+    .filter(fit => fit && fit.b < 0 && fit.error < 0.01)
+    .sort((x, y) => x.error - y.error);
+  
+  if (fits.length === 0) return null;
+  return { method: 'axis', scale: fits[0].scale, a: fits[0].a, b: fits[0].b, url: window.location.href };
+}
+
+/**
+ * Calibrate the price axis from two reference points the user clicks
+ * A banner collects the price at each point and whether the axis is logarithmic
+ */
+function startManualCalibration(chartElement) {
+  return new Promise((resolve, reject) => {
+    const rect = chartElement.getBoundingClientRect();
+    const points = [null, null];
+    let nextPoint = 0;
+    
+    const capture = document.createElement('div');
+    capture.style.cssText = `
+      position: fixed;
+      top: ${rect.top}px;
+      left: ${rect.left}px;
+      width: ${rect.width}px;
+      height: ${rect.height}px;
+      background: rgba(0, 0, 0, 0.2);
+      z-index: 999999;
+      cursor: crosshair;
+    `;
+    
+    const markers = points.map(() => {
+      const marker = document.createElement('div');
+      marker.style.cssText = `
+        position: absolute;
+        left: 0;
+        width: 100%;
+        border-top: 1px solid #00ff00;
+        pointer-events: none;
+        display: none;
+      `;
+      capture.appendChild(marker);
+      return marker;
+    });
+    
+    const banner = document.createElement('div');
+    banner.style.cssText = `
+      position: fixed;
+      top: 10px;
+      left: 50%;
+      transform: translateX(-50%);
+      background: rgba(0, 0, 0, 0.9);
+      color: #ffffff;
+      padding: 10px 12px;
+      border-radius: 4px;
+      border: 1px solid #00ff00;
+      font-family: monospace;
+      font-size: 12px;
+      z-index: 1000000;
+      display: flex;
+      flex-direction: column;
+      gap: 6px;
+    `;
+    
+    const instructions = document.createElement('div');
+    instructions.textContent = 'Click two points on the chart, then enter the price at each';
+    banner.appendChild(instructions);
+    
+    const inputStyle = 'width: 110px; background: #1a1a1a; color: #ffffff; border: 1px solid #333333; padding: 2px 4px; font-family: monospace;';
+    const priceInputs = points.map((_, index) => {
+      const row = document.createElement('label');
+      row.textContent = `Point ${index + 1} price: `;
+      const input = document.createElement('input');
+      input.type = 'text';
+      input.placeholder = 'click chart first';
+      input.style.cssText = inputStyle;
+      row.appendChild(input);
+      banner.appendChild(row);
+      return input;
+    });
+    
+    const logLabel = document.createElement('label');
+    const logCheckbox = document.createElement('input');
+    logCheckbox.type = 'checkbox';
+    logLabel.appendChild(logCheckbox);
+    logLabel.appendChild(document.createTextNode(' Logarithmic price axis'));
+    banner.appendChild(logLabel);
+    
+    const buttons = document.createElement('div');
+    buttons.style.cssText = 'display: flex; gap: 6px; justify-content: flex-end;';
+    const applyButton = document.createElement('button');
+    applyButton.textContent = 'Apply';
+    const cancelButton = document.createElement('button');
+    cancelButton.textContent = 'Cancel';
+    buttons.appendChild(cancelButton);
+    buttons.appendChild(applyButton);
+    banner.appendChild(buttons);
+    
+    document.body.appendChild(capture);
+    document.body.appendChild(banner);
+    
+    const cleanup = () => {
+      capture.remove();
+      banner.remove();
+      document.removeEventListener('keydown', keyHandler);
+    };
+    
+    capture.addEventListener('click', (e) => {
+      const y = e.clientY - rect.top;
+      points[nextPoint] = y / rect.height;
+      markers[nextPoint].style.top = `${y}px`;
+      markers[nextPoint].style.display = 'block';
+      priceInputs[nextPoint].placeholder = 'price';
+      priceInputs[nextPoint].focus();
+      nextPoint = (nextPoint + 1) % points.length;
+    });
+    
+    applyButton.addEventListener('click', () => {
+      const scale = logCheckbox.checked ? 'log' : 'linear';
+      const prices = priceInputs.map(input => parseAxisNumber(input.value));
+      
+      if (points.some(point => point === null)) {
+        instructions.textContent = 'Click two points on the chart first';
+        return;
+      }
+      if (prices.some(price => price === null) || prices[0] === prices[1] || points[0] === points[1]) {
+        instructions.textContent = 'Enter two different positive prices at two different heights';
+        return;
+      }
+      
+      const b = (points[1] - points[0]) / (scalePrice(prices[1], scale) - scalePrice(prices[0], scale));
+      const a = points[0] - b * scalePrice(prices[0], scale);
+      cleanup();
+      resolve({ method: 'manual', scale, a, b, url: window.location.href });
+    });
+    
+    cancelButton.addEventListener('click', () => {
+      cleanup();
+      reject(new Error('Calibration cancelled'));
+    });
+    
+    const keyHandler = (e) => {
+      if (e.key === 'Escape') {
+        cleanup();
+        reject(new Error('Calibration cancelled'));
+      }
+    };
+    document.addEventListener('keydown', keyHandler);
+  });
+}
+
+/**
+ * Get the chart fraction (0 = top, 1 = bottom) for a price
+ */
+function priceToFraction(price, calibration) {
+  return calibration.a + calibration.b * scalePrice(price, calibration.scale);
+}
+
+/**
+ * Build the overlay elements for a set of levels
+ * Returns how many levels fall inside the visible price range
+ */
+function renderLevels(container, levels, calibration) {
+  container.innerHTML = '';
+  let drawn = 0;
+  
+  levels.forEach(level => {
+    const color = LEVEL_COLORS[level.kind] || LEVEL_COLORS.invalidation;
+    // A log axis has no place for prices at or below zero
+    if (calibration.scale === 'log' && (level.price <= 0 || level.priceHigh <= 0)) return;
+    const top = priceToFraction(level.priceHigh ?? level.price, calibration);
+    const bottom = priceToFraction(level.price, calibration);
+    if (Math.max(top, bottom) < 0 || Math.min(top, bottom) > 1) return;
+    drawn++;
+    
+    const element = document.createElement('div');
+    element.dataset.top = Math.min(top, bottom);
+    element.dataset.bottom = Math.max(top, bottom);
+    element.style.cssText = `
+      position: absolute;
+      left: 0;
+      width: 100%;
+      box-sizing: border-box;
+      border-top: 1px dashed rgb(${color});
+      ${level.priceHigh ? `border-bottom: 1px dashed rgb(${color}); background: rgba(${color}, 0.12);` : ''}
+    `;
+    
+    const label = document.createElement('span');
+    const priceText = level.priceHigh
+      ? `$${Math.round(level.price).toLocaleString()}–$${Math.round(level.priceHigh).toLocaleString()}`
+      : `$${Math.round(level.price).toLocaleString()}`;
+    label.textContent = `${level.kind.charAt(0).toUpperCase()}${level.kind.slice(1)} ${priceText}${level.label ? ` · ${level.label}` : ''}`;
+    label.style.cssText = `
+      position: absolute;
+      right: 4px;
+      bottom: 100%;
+      max-width: 60%;
+      overflow: hidden;
+      text-overflow: ellipsis;
+      white-space: nowrap;
+      background: rgba(0, 0, 0, 0.75);
+      color: rgb(${color});
+      font-family: monospace;
+      font-size: 11px;
+      padding: 1px 4px;
+      border-radius: 2px;
+    `;
+    element.appendChild(label);
+    container.appendChild(element);
+  });
+  
+  return drawn;
+}
+
+/**
+ * Keep the overlay on top of the chart element
+ */
+function positionLevelsOverlay() {
+  if (!levelsOverlay) return;
+  levelsOverlay.frame = null;
+  
+  const { container, chartElement } = levelsOverlay;
+  const rect = chartElement.getBoundingClientRect();
+  container.style.top = `${rect.top}px`;
+  container.style.left = `${rect.left}px`;
+  container.style.width = `${rect.width}px`;
+  container.style.height = `${rect.height}px`;
+  
+  container.childNodes.forEach(element => {
+    const top = parseFloat(element.dataset.top) * rect.height;
+    const bottom = parseFloat(element.dataset.bottom) * rect.height;
+    element.style.top = `${top}px`;
+    element.style.height = `${Math.max(bottom - top, 0)}px`;
+  });
+}
+
+/**
+ * Schedule a reposition on the next frame (scroll and resize fire often)
+ */
+function scheduleLevelsOverlayPosition() {
+  if (levelsOverlay && !levelsOverlay.frame) {
+    levelsOverlay.frame = requestAnimationFrame(positionLevelsOverlay);
+  }
+}
+
+/**
+ * Remove the levels overlay and its listeners
+ */
+function removeLevelsOverlay() {
+  if (!levelsOverlay) return;
+  
+  const { container, frame, resizeObserver, onViewportChange } = levelsOverlay;
+  if (frame) cancelAnimationFrame(frame);
+  resizeObserver.disconnect();
+  window.removeEventListener('scroll', onViewportChange, true);
+  window.removeEventListener('resize', onViewportChange);
+  container.remove();
+  levelsOverlay = null;
+}
+
+/**
+ * Show levels on the chart, calibrating the price axis first if needed
+ */
+async function showLevelsOverlay(levels, recalibrate = false) {
+  if (!Array.isArray(levels) || levels.length === 0) {
+    throw new Error('No price levels to draw');
+  }
+  
+  const chartElement = findChartContainer();
+  if (!chartElement) {
+    throw new Error('Chart container not found. Please ensure the chart is visible.');
+  }
+  
+  removeLevelsOverlay();
+  
+  // A calibration only holds for the chart it was taken on. While the user is calibrating,
+  // later requests wait for that calibration rather than opening a second banner
+  if (!pendingCalibration && (recalibrate || !priceCalibration || priceCalibration.url !== window.location.href)) {
+    const axisCalibration = !recalibrate && readAxisCalibration(chartElement);
+    if (axisCalibration) {
+      priceCalibration = axisCalibration;
+    } else {
+      pendingCalibration = startManualCalibration(chartElement).finally(() => {
+        pendingCalibration = null;
+      });
+    }
+  }
+  if (pendingCalibration) {
+    priceCalibration = await pendingCalibration;
+    removeLevelsOverlay(); // Drawn by an earlier request that shared the calibration
+  }
+  
+  const container = document.createElement('div');
+  container.id = 'clarionchain-levels-overlay';
+  container.style.cssText = `
+    position: fixed;
+    overflow: hidden;
+    pointer-events: none;
+    z-index: 999997;
+  `;
+  const drawn = renderLevels(container, levels, priceCalibration);
+  document.body.appendChild(container);
+  
+  const onViewportChange = () => scheduleLevelsOverlayPosition();
+  const resizeObserver = new ResizeObserver(() => {
+    // Axis labels move with the chart; re-read them so levels stay on the right prices
+    if (priceCalibration.method === 'axis') {
+      const calibration = readAxisCalibration(chartElement);
+      if (calibration) {
+        priceCalibration = calibration;
+        renderLevels(container, levels, priceCalibration);
+      }
+    }
+    scheduleLevelsOverlayPosition();
+  });
+  resizeObserver.observe(chartElement);
+  window.addEventListener('scroll', onViewportChange, { capture: true, passive: true });
+  window.addEventListener('resize', onViewportChange);
+  
+  levelsOverlay = { container, chartElement, levels, frame: null, resizeObserver, onViewportChange };
+  positionLevelsOverlay();
+  
+  return {
+    method: priceCalibration.method,
+    scale: priceCalibration.scale,
+    drawn,
+    outOfRange: levels.length - drawn
+  };
+}
+
 /**
  * Initialize content script
  */
@@ -263,6 +980,29 @@ function init() {
         .catch(error => sendResponse({ success: false, error: error.message }));
       return true;
     }
+    
+    if (message.action === 'showLevelsOverlay') {
+      showLevelsOverlay(message.levels, message.recalibrate)
+        .then(result => sendResponse({ success: true, data: result }))
+        .catch(error => sendResponse({ success: false, error: error.message }));
+      return true;
+    }
+    
+    if (message.action === 'hideLevelsOverlay') {
+      removeLevelsOverlay();
+      sendResponse({ success: true });
+    }
+    
+    // Size the chart would be captured at, for the side panel's cost estimate
+    if (message.action === 'getChartSize') {
+      const chartElement = findChartContainer();
+      if (chartElement) {
+        const { width, height } = getChartBounds(chartElement);
+        sendResponse({ success: true, data: { width, height } });
+      } else {
+        sendResponse({ success: false, error: 'Chart container not found' });
+      }
+    }
   });
 
   injectActiveIndicator();
@@ -282,7 +1022,8 @@ async function handleCaptureChart(useManualSelection = false) {
         metadata: {
           title: document.title || 'Bitcoin Chart',
           url: window.location.href,
-          timestamp: new Date().toISOString()
+          timestamp: new Date().toISOString(),
+          series: await extractSeriesData(findChartContainer())
         }
       };
     } else {
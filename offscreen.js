@@ -0,0 +1,19 @@
+/**
+ * Offscreen document
+ * Service workers cannot create object URLs, so the background script opens this page
+ * to turn file contents into a blob URL for chrome.downloads. The URL lives as long as
+ * this page; the background closes it once the download is done.
+ */
+
+chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
+  // Other extension messages are not for this page
+  if (message.target !== 'offscreen' || sender.id !== chrome.runtime.id) {
+    return false;
+  }
+
+  if (message.action === 'createBlobUrl') {
+    const blob = new Blob([message.content], { type: `${message.mimeType};charset=utf-8` });
+    sendResponse({ success: true, url: URL.createObjectURL(blob) });
+  }
+  return false;
+});
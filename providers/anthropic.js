@@ -7,16 +7,81 @@ const ANTHROPIC_API_URL = 'https://api.anthropic.com/v1/messages';
 const DEFAULT_MODEL = 'claude-sonnet-4-5-20250929'; // Claude Sonnet 4.5 - latest Sonnet model
 
 import { getSystemPrompt, getUserPrompt } from '../utils/prompts.js';
+import { ANALYSIS_SCHEMA, ANALYSIS_SCHEMA_NAME, STRUCTURED_OUTPUT_INSTRUCTION } from '../utils/analysis-schema.js';
+import { ProviderError, ERROR_CODES, createResponseError, createStreamError, normalizeError } from '../utils/errors.js';
+
+/**
+ * Provider definition used by the provider registry
+ * Pricing is in USD per million tokens
+ */
+export const PROVIDER = {
+  id: 'anthropic',
+  name: 'Anthropic',
+  displayName: 'Anthropic (Claude)',
+  defaultModel: DEFAULT_MODEL,
+  models: {
+    'claude-sonnet-4-5-20250929': {
+      name: 'Claude Sonnet 4.5',
+      vision: true,
+      contextWindow: 200000,
+      pricing: { input: 3.00, output: 15.00 }
+    },
+    'claude-haiku-4-5-20251001': {
+      name: 'Claude Haiku 4.5',
+      vision: true,
+      contextWindow: 200000,
+      pricing: { input: 1.00, output: 5.00 }
+    },
+    'claude-opus-4-1-20250805': {
+      name: 'Claude Opus 4.1',
+      vision: true,
+      contextWindow: 200000,
+      pricing: { input: 15.00, output: 75.00 }
+    },
+    'claude-3-7-sonnet-20250219': {
+      name: 'Claude 3.7 Sonnet',
+      vision: true,
+      contextWindow: 200000,
+      pricing: { input: 3.00, output: 15.00 }
+    },
+    'claude-3-opus-20240229': {
+      name: 'Claude 3 Opus',
+      vision: true,
+      contextWindow: 200000,
+      pricing: { input: 15.00, output: 75.00 }
+    },
+    'claude-3-sonnet-20240229': {
+      name: 'Claude 3 Sonnet',
+      vision: true,
+      contextWindow: 200000,
+      pricing: { input: 3.00, output: 15.00 }
+    },
+    'claude-3-haiku-20240307': {
+      name: 'Claude 3 Haiku',
+      vision: true,
+      contextWindow: 200000,
+      pricing: { input: 0.25, output: 1.25 }
+    }
+  },
+  capabilities: {
+    streaming: true,
+    multiTurn: true,
+    images: true,
+    costApi: true, // Requires an admin key (sk-ant-admin...)
+    structuredOutput: true // Forced tool use with the schema as input_schema
+  },
+  hostPermissions: ['https://api.anthropic.com/*']
+};
 
 /**
  * Create analysis prompt for Bitcoin chart
  * @param {Object} metadata - Chart metadata
- * @param {string} category - Prompt category
+ * @param {Object|string} category - Category definition (or built-in category id)
  * @returns {string} Analysis prompt
  */
 function createAnalysisPrompt(metadata, category = 'market-analysis') {
   const systemPrompt = getSystemPrompt(category, metadata);
-  const userPrompt = getUserPrompt(metadata);
+  const userPrompt = getUserPrompt(category, metadata);
   // Anthropic combines system and user prompts differently
   return `${systemPrompt}\n\n${userPrompt}`;
 }
@@ -28,19 +93,32 @@ function createAnalysisPrompt(metadata, category = 'market-analysis') {
  * @param {string} apiKey - Anthropic API key
  * @param {Function} onChunk - Optional streaming callback
  * @param {Array} conversationHistory - Previous conversation messages
- * @returns {Promise<string>} Analysis text
+ * @param {Object|string} category - Category definition (or built-in category id)
+ * @param {Object} options - Request options
+ * @param {string} options.model - Model id (defaults to the provider default)
+ * @param {AbortSignal} options.signal - Aborts the request; a streamed answer returns its partial text
+ * @param {boolean} options.structured - Return JSON matching ANALYSIS_SCHEMA instead of free text
+ * @param {number} options.temperature - Sampling temperature (default 0.7, capped at Anthropic's maximum of 1)
+ * @param {number} options.maxTokens - Maximum output tokens (default 1500)
+ * @param {string|null} options.stop - Stop sequence (ignored for structured output)
+ * @returns {Promise<{content: string, usage: Object|null, model: string, interrupted?: boolean}>} Analysis text and usage
  */
-export async function analyzeChart(imageDataUrl, metadata, apiKey, onChunk = null, conversationHistory = [], category = 'market-analysis') {
+export async function analyzeChart(imageDataUrl, metadata, apiKey, onChunk = null, conversationHistory = [], category = 'market-analysis', options = {}) {
   if (!apiKey) {
-    throw new Error('Anthropic API key is required');
+    throw new ProviderError('Anthropic API key is required', { code: ERROR_CODES.AUTH, provider: 'anthropic' });
   }
 
+  const model = options.model || DEFAULT_MODEL;
+
   // Extract base64 data
   const base64Image = imageDataUrl.includes(',') 
     ? imageDataUrl.split(',')[1] 
     : imageDataUrl;
 
-  const prompt = createAnalysisPrompt(metadata, category);
+  let prompt = createAnalysisPrompt(metadata, category);
+  if (options.structured) {
+    prompt += `\n\n${STRUCTURED_OUTPUT_INSTRUCTION}`;
+  }
 
   // Build messages array
   const messages = [];
@@ -126,11 +204,32 @@ export async function analyzeChart(imageDataUrl, metadata, apiKey, onChunk = nul
   }
 
   const requestBody = {
-    model: DEFAULT_MODEL,
-    max_tokens: 1500,
+    model,
+    max_tokens: options.maxTokens ?? 1500,
+    temperature: Math.min(options.temperature ?? 0.7, 1),
     messages: messages
   };
 
+  // A stop sequence could cut the structured tool input short
+  if (options.stop && !options.structured) {
+    requestBody.stop_sequences = [options.stop];
+  }
+
+  // Structured output: force a single tool call whose input is the analysis
+  if (options.structured) {
+    requestBody.tools = [{
+      name: ANALYSIS_SCHEMA_NAME,
+      description: 'Record the structured chart analysis',
+      input_schema: ANALYSIS_SCHEMA
+    }];
+    requestBody.tool_choice = { type: 'tool', name: ANALYSIS_SCHEMA_NAME };
+  }
+
+  // Add streaming if callback provided
+  if (onChunk) {
+    requestBody.stream = true;
+  }
+
   // Log request for debugging
   console.log('Anthropic API request:', {
     model: requestBody.model,
@@ -144,6 +243,7 @@ export async function analyzeChart(imageDataUrl, metadata, apiKey, onChunk = nul
   try {
     const response = await fetch(ANTHROPIC_API_URL, {
       method: 'POST',
+      signal: options.signal,
       headers: {
         'Content-Type': 'application/json',
         'x-api-key': apiKey,
@@ -154,40 +254,8 @@ export async function analyzeChart(imageDataUrl, metadata, apiKey, onChunk = nul
     });
 
     if (!response.ok) {
-      let errorMessage = `Anthropic API error: ${response.status} ${response.statusText}`;
-      try {
-        const errorData = await response.json();
-        console.error('Anthropic API error details (full):', JSON.stringify(errorData, null, 2));
-        
-        // Anthropic error format: { error: { type, message } }
-        if (errorData.error) {
-          const errorObj = errorData.error;
-          // Try multiple possible error message fields
-          if (errorObj.message) {
-            errorMessage = errorObj.message;
-          } else if (errorObj.type) {
-            errorMessage = `${errorObj.type}: ${JSON.stringify(errorObj)}`;
-          } else {
-            errorMessage = JSON.stringify(errorObj);
-          }
-        } else if (errorData.message) {
-          errorMessage = errorData.message;
-        } else if (errorData.model) {
-          // Sometimes errors include the model name
-          errorMessage = `Model error: ${errorData.model}. Full error: ${JSON.stringify(errorData)}`;
-        } else {
-          // If no standard error format, show the whole response
-          errorMessage = `Anthropic API error: ${JSON.stringify(errorData)}`;
-        }
-        
-        console.error('Anthropic API parsed error message:', errorMessage);
-      } catch (parseError) {
-        console.error('Could not parse Anthropic error response:', parseError);
-        const text = await response.text().catch(() => '');
-        console.error('Anthropic API raw error response:', text);
-        errorMessage = `Anthropic API error ${response.status}: ${text || response.statusText}`;
-      }
-      throw new Error(errorMessage);
+      // Anthropic error format: { type: 'error', error: { type, message } }
+      throw await createResponseError(response, 'anthropic', 'Anthropic');
     }
 
     if (onChunk) {
@@ -196,38 +264,72 @@ export async function analyzeChart(imageDataUrl, metadata, apiKey, onChunk = nul
       const decoder = new TextDecoder();
       let buffer = '';
       let fullText = '';
+      let inputTokens = 0;
+      let outputTokens = 0;
 
-      while (true) {
-        const { done, value } = await reader.read();
-        if (done) break;
+      const currentUsage = () => ({ inputTokens, outputTokens, totalTokens: inputTokens + outputTokens });
 
-        buffer += decoder.decode(value, { stream: true });
-        const lines = buffer.split('\n');
-        buffer = lines.pop() || '';
+      let interrupted = false;
+      let streamError = null; // Error event sent after the response started, e.g. overloaded_error
+      try {
+        while (true) {
+          const { done, value } = await reader.read();
+          if (done) break;
+
+          buffer += decoder.decode(value, { stream: true });
+          const lines = buffer.split('\n');
+          buffer = lines.pop() || '';
 
-        for (const line of lines) {
-          if (line.startsWith('data: ')) {
-            try {
-              const data = JSON.parse(line.slice(6));
-              if (data.type === 'content_block_delta' && data.delta?.text) {
-                fullText += data.delta.text;
-                onChunk(data.delta.text);
+          for (const line of lines) {
+            if (line.startsWith('data: ')) {
+              try {
+                const data = JSON.parse(line.slice(6));
+                if (data.type === 'content_block_delta' && data.delta?.text) {
+                  fullText += data.delta.text;
+                  onChunk(data.delta.text);
+                } else if (data.type === 'message_start') {
+                  // Input tokens are reported once, when the message starts
+                  inputTokens = data.message?.usage?.input_tokens || 0;
+                  outputTokens = data.message?.usage?.output_tokens || 0;
+                } else if (data.type === 'message_delta' && data.usage) {
+                  // Output token count is cumulative in each message_delta
+                  outputTokens = data.usage.output_tokens || outputTokens;
+                } else if (data.type === 'error') {
+                  streamError = data.error || { type: 'api_error' };
+                }
+              } catch (e) {
+                // Skip invalid JSON
               }
-            } catch (e) {
-              // Skip invalid JSON
             }
           }
         }
+      } catch (error) {
+        // Stopped mid-stream: keep the partial text instead of failing
+        if (error.name !== 'AbortError') {
+          // Tokens reported before the connection broke were billed; the caller records them
+          throw Object.assign(normalizeError(error, 'anthropic'), { usage: inputTokens ? currentUsage() : null });
+        }
+        interrupted = true;
+      }
+
+      if (streamError && !interrupted) {
+        const error = createStreamError(streamError, 'anthropic', 'Anthropic');
+        error.usage = inputTokens ? currentUsage() : null;
+        throw error;
       }
 
-      // For streaming, we don't get usage in the stream, so return content only
       return {
         content: fullText,
-        usage: null // Anthropic streaming doesn't include usage in stream
+        usage: currentUsage(),
+        model,
+        interrupted
       };
     } else {
       const data = await response.json();
-      const content = data.content?.[0]?.text || 'No analysis returned';
+      const toolUse = data.content?.find(block => block.type === 'tool_use');
+      const content = toolUse
+        ? JSON.stringify(toolUse.input)
+        : data.content?.find(block => block.type === 'text')?.text || 'No analysis returned';
       
       // Extract usage information
       const usage = data.usage || {};
@@ -237,16 +339,13 @@ export async function analyzeChart(imageDataUrl, metadata, apiKey, onChunk = nul
           inputTokens: usage.input_tokens || 0,
           outputTokens: usage.output_tokens || 0,
           totalTokens: (usage.input_tokens || 0) + (usage.output_tokens || 0)
-        }
+        },
+        model
       };
     }
   } catch (error) {
-    // If it's already an API error with a message, throw it as-is
-    if (error.message && (error.message.includes('API') || error.message.includes('Anthropic'))) {
-      throw error;
-    }
-    // Otherwise wrap it
-    throw new Error(`Failed to analyze chart: ${error.message}`);
+    // Cancellations pass through untouched so the caller can tell them apart from failures
+    throw normalizeError(error, 'anthropic');
   }
 }
 
@@ -334,3 +433,69 @@ export async function validateApiKey(apiKey) {
     return false;
   }
 }
+
+/**
+ * Fetch actual costs for the current month from the Anthropic cost report API
+ * @param {string} apiKey - Anthropic API key (must be admin key: sk-ant-admin...)
+ * @returns {Promise<{thisMonthTotal: number, thisMonthAvg: number, totalCount: number}|null>}
+ */
+export async function fetchCosts(apiKey) {
+  if (!apiKey || !apiKey.startsWith('sk-ant-admin')) {
+    // Admin keys start with sk-ant-admin
+    return null;
+  }
+  
+  try {
+    const now = new Date();
+    const monthStart = new Date(now.getFullYear(), now.getMonth(), 1);
+    const monthEnd = new Date(now.getFullYear(), now.getMonth() + 1, 0, 23, 59, 59);
+    
+    const startTime = monthStart.toISOString();
+    const endTime = monthEnd.toISOString();
+    
+    const response = await fetch(
+      `https://api.anthropic.com/v1/organizations/cost_report?starting_at=${encodeURIComponent(startTime)}&ending_at=${encodeURIComponent(endTime)}&bucket_width=1d&limit=31`,
+      {
+        headers: {
+          'x-api-key': apiKey,
+          'anthropic-version': '2023-06-01',
+          'Content-Type': 'application/json'
+        }
+      }
+    );
+    
+    if (!response.ok) {
+      return null;
+    }
+    
+    const data = await response.json();
+    let totalCost = 0;
+    let bucketCount = 0;
+    
+    // Sum costs from all buckets
+    // Anthropic returns costs as decimal strings in cents
+    if (data.data && Array.isArray(data.data)) {
+      for (const bucket of data.data) {
+        if (bucket.results && Array.isArray(bucket.results)) {
+          for (const result of bucket.results) {
+            if (result.amount && result.amount.value) {
+              // Convert from cents (decimal string) to dollars
+              const costInCents = parseFloat(result.amount.value);
+              totalCost += costInCents / 100;
+              bucketCount++;
+            }
+          }
+        }
+      }
+    }
+    
+    return {
+      thisMonthTotal: totalCost,
+      thisMonthAvg: bucketCount > 0 ? totalCost / bucketCount : 0,
+      totalCount: bucketCount
+    };
+  } catch (error) {
+    console.error('Error fetching Anthropic costs:', error);
+    return null; // Fallback to token calculation
+  }
+}
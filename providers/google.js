@@ -1,24 +1,240 @@
 /**
  * Google (Gemini) provider implementation
- * Placeholder for future implementation
+ * Uses the Gemini generateContent / streamGenerateContent API with multi-turn history
  */
 
-const GOOGLE_API_URL = 'https://generativelanguage.googleapis.com/v1beta/models/gemini-pro-vision:generateContent';
-const DEFAULT_MODEL = 'gemini-pro-vision';
+const GOOGLE_API_BASE = 'https://generativelanguage.googleapis.com/v1beta/models';
+const DEFAULT_MODEL = 'gemini-2.5-flash';
 
 import { getSystemPrompt, getUserPrompt } from '../utils/prompts.js';
+import { ANALYSIS_SCHEMA, STRUCTURED_OUTPUT_INSTRUCTION } from '../utils/analysis-schema.js';
+import { ProviderError, ERROR_CODES, classifyError, createResponseError, normalizeError } from '../utils/errors.js';
+
+/**
+ * Provider definition used by the provider registry
+ * Pricing is in USD per million tokens (prompts up to 128K/200K tokens)
+ * thinkingBudget: thinking tokens allowed on top of the answer's max output tokens (2.5 models
+ * think by default, and their thinking counts against maxOutputTokens)
+ */
+export const PROVIDER = {
+  id: 'google',
+  name: 'Google',
+  displayName: 'Google (Gemini)',
+  defaultModel: DEFAULT_MODEL,
+  models: {
+    'gemini-2.5-flash': {
+      name: 'Gemini 2.5 Flash',
+      vision: true,
+      contextWindow: 1048576,
+      thinkingBudget: 1024,
+      pricing: { input: 0.30, output: 2.50 }
+    },
+    'gemini-2.5-pro': {
+      name: 'Gemini 2.5 Pro',
+      vision: true,
+      contextWindow: 1048576,
+      thinkingBudget: 1024, // 2.5 Pro cannot turn thinking off (minimum 128)
+      pricing: { input: 1.25, output: 10.00 }
+    },
+    'gemini-2.0-flash': {
+      name: 'Gemini 2.0 Flash',
+      vision: true,
+      contextWindow: 1048576,
+      pricing: { input: 0.10, output: 0.40 }
+    },
+    'gemini-1.5-pro': {
+      name: 'Gemini 1.5 Pro',
+      vision: true,
+      contextWindow: 2097152,
+      pricing: { input: 1.25, output: 5.00 }
+    },
+    'gemini-1.5-flash': {
+      name: 'Gemini 1.5 Flash',
+      vision: true,
+      contextWindow: 1048576,
+      pricing: { input: 0.075, output: 0.30 }
+    }
+  },
+  capabilities: {
+    streaming: true,
+    multiTurn: true,
+    images: true,
+    costApi: false, // Google doesn't have a direct cost API
+    structuredOutput: true // responseSchema with JSON mime type
+  },
+  hostPermissions: ['https://generativelanguage.googleapis.com/*']
+};
 
 /**
  * Create analysis prompt for Bitcoin chart
  * @param {Object} metadata - Chart metadata
- * @param {string} category - Prompt category
- * @returns {string} Analysis prompt
+ * @param {Object|string} category - Category definition (or built-in category id)
+ * @returns {Object} System and user prompts
  */
 function createAnalysisPrompt(metadata, category = 'market-analysis') {
   const systemPrompt = getSystemPrompt(category, metadata);
-  const userPrompt = getUserPrompt(metadata);
-  // Google combines system and user prompts
-  return `${systemPrompt}\n\n${userPrompt}`;
+  const userPrompt = getUserPrompt(category, metadata);
+  return { systemPrompt, userPrompt };
+}
+
+/**
+ * Get the plain text of a stored conversation message
+ * @param {Object} message - Message with string or content-part array content
+ * @returns {string} Message text
+ */
+function getMessageText(message) {
+  if (typeof message.content === 'string') {
+    return message.content;
+  }
+  if (Array.isArray(message.content)) {
+    return message.content.find(c => c.type === 'text')?.text || '';
+  }
+  return String(message.content ?? '');
+}
+
+/**
+ * Build Gemini contents from the conversation
+ * The chart image is attached to the latest user turn, as with the other providers
+ * @param {Array} conversationHistory - Previous conversation messages
+ * @param {string} userPrompt - Initial analysis prompt
+ * @param {string} base64Image - Chart image (base64, no data URL prefix)
+ * @returns {Array} Gemini contents array
+ */
+function buildContents(conversationHistory, userPrompt, base64Image) {
+  const imagePart = {
+    inline_data: {
+      mime_type: 'image/png',
+      data: base64Image
+    }
+  };
+
+  // Initial analysis - prompt with image
+  if (conversationHistory.length === 0) {
+    return [
+      {
+        role: 'user',
+        parts: [{ text: userPrompt }, imagePart]
+      }
+    ];
+  }
+
+  // Gemini requires the conversation to open with a user turn. Stored history starts with
+  // the model's analysis, so replay the original analysis request (text only) first.
+  const contents = [
+    {
+      role: 'user',
+      parts: [{ text: userPrompt }]
+    }
+  ];
+
+  const historyWithoutLast = conversationHistory.slice(0, -1);
+  historyWithoutLast.forEach(msg => {
+    const text = getMessageText(msg);
+    if (!text) return;
+    contents.push({
+      role: msg.role === 'assistant' ? 'model' : 'user',
+      parts: [{ text }]
+    });
+  });
+
+  // Add the latest user question with the image
+  const lastUserMessage = conversationHistory[conversationHistory.length - 1];
+  if (lastUserMessage && lastUserMessage.role === 'user') {
+    contents.push({
+      role: 'user',
+      parts: [{ text: getMessageText(lastUserMessage) }, imagePart]
+    });
+  }
+
+  return contents;
+}
+
+/**
+ * Convert a JSON schema to Gemini's OpenAPI-style responseSchema
+ * Gemini has no additionalProperties or type arrays; ["x", "null"] becomes nullable
+ * @param {Object} schema - JSON schema
+ * @returns {Object} Gemini schema
+ */
+function toGeminiSchema(schema) {
+  const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+  const type = types.find(t => t !== 'null');
+  const converted = { type: type.toUpperCase() };
+
+  if (types.includes('null')) converted.nullable = true;
+  if (schema.description) converted.description = schema.description;
+  if (schema.enum) converted.enum = schema.enum;
+  if (schema.items) converted.items = toGeminiSchema(schema.items);
+  if (schema.properties) {
+    converted.properties = Object.fromEntries(
+      Object.entries(schema.properties).map(([key, value]) => [key, toGeminiSchema(value)])
+    );
+    converted.required = schema.required || [];
+    converted.propertyOrdering = Object.keys(schema.properties);
+  }
+
+  return converted;
+}
+
+/**
+ * Convert Gemini usageMetadata to the common usage shape
+ * Thinking tokens (2.5 models) are billed as output, so they count towards output tokens
+ * @param {Object|null} usageMetadata - Gemini usage metadata
+ * @returns {Object|null} Usage with inputTokens, outputTokens, totalTokens
+ */
+function normalizeUsage(usageMetadata) {
+  if (!usageMetadata) {
+    return null;
+  }
+  const inputTokens = usageMetadata.promptTokenCount || 0;
+  const outputTokens = (usageMetadata.candidatesTokenCount || 0) + (usageMetadata.thoughtsTokenCount || 0);
+  return {
+    inputTokens,
+    outputTokens,
+    totalTokens: usageMetadata.totalTokenCount || inputTokens + outputTokens
+  };
+}
+
+/**
+ * Extract the text of the first candidate in a Gemini response
+ * @param {Object} data - generateContent response (or one streamed chunk)
+ * @returns {string} Candidate text
+ */
+function getCandidateText(data) {
+  const parts = data.candidates?.[0]?.content?.parts || [];
+  return parts
+    .filter(part => part.text && !part.thought)
+    .map(part => part.text)
+    .join('');
+}
+
+/**
+ * Turn a finish or block reason that cut the answer off into an error
+ * Callers that already have answer text keep it and only report the reason
+ * @param {Object} data - generateContent response (or the last streamed chunk)
+ * @returns {ProviderError|null} Error, or null when the answer finished normally
+ */
+function getFinishError(data) {
+  const blockReason = data.promptFeedback?.blockReason;
+  if (blockReason) {
+    return new ProviderError(`Google blocked the request (${blockReason})`, {
+      code: ERROR_CODES.INVALID_REQUEST,
+      provider: 'google',
+      detail: blockReason
+    });
+  }
+
+  const finishReason = data.candidates?.[0]?.finishReason;
+  if (!finishReason || finishReason === 'STOP' || finishReason === 'FINISH_REASON_UNSPECIFIED') {
+    return null;
+  }
+  const message = finishReason === 'MAX_TOKENS'
+    ? 'Google stopped the answer at the max output tokens; raise them in the category settings'
+    : `Google stopped the answer (${finishReason})`;
+  return new ProviderError(message, {
+    code: ERROR_CODES.INVALID_REQUEST,
+    provider: 'google',
+    detail: finishReason
+  });
 }
 
 /**
@@ -26,109 +242,198 @@ function createAnalysisPrompt(metadata, category = 'market-analysis') {
  * @param {string} imageDataUrl - Base64 encoded chart image
  * @param {Object} metadata - Chart metadata
  * @param {string} apiKey - Google API key
- * @param {Function} onChunk - Optional streaming callback (not supported by Gemini)
+ * @param {Function} onChunk - Optional streaming callback
  * @param {Array} conversationHistory - Previous conversation messages
- * @returns {Promise<string>} Analysis text
+ * @param {Object|string} category - Category definition (or built-in category id)
+ * @param {Object} options - Request options
+ * @param {string} options.model - Model id (defaults to the provider default)
+ * @param {AbortSignal} options.signal - Aborts the request; a streamed answer returns its partial text
+ * @param {boolean} options.structured - Return JSON matching ANALYSIS_SCHEMA instead of free text
+ * @param {number} options.temperature - Sampling temperature (default 0.7)
+ * @param {number} options.maxTokens - Maximum output tokens of the answer (default 1500); thinking
+ *   models get their thinkingBudget on top
+ * @param {string|null} options.stop - Stop sequence (ignored for structured output)
+ * @returns {Promise<{content: string, usage: Object|null, model: string, interrupted?: boolean, finishReason: string|null}>}
+ *   Analysis text and usage; finishReason (e.g. MAX_TOKENS, SAFETY) when Google cut the answer off
  */
-export async function analyzeChart(imageDataUrl, metadata, apiKey, onChunk = null, conversationHistory = [], category = 'market-analysis') {
+export async function analyzeChart(imageDataUrl, metadata, apiKey, onChunk = null, conversationHistory = [], category = 'market-analysis', options = {}) {
   if (!apiKey) {
-    throw new Error('Google API key is required');
+    throw new ProviderError('Google API key is required', { code: ERROR_CODES.AUTH, provider: 'google' });
   }
 
+  const model = options.model || DEFAULT_MODEL;
+
   // Extract base64 data
-  const base64Image = imageDataUrl.includes(',') 
-    ? imageDataUrl.split(',')[1] 
+  const base64Image = imageDataUrl.includes(',')
+    ? imageDataUrl.split(',')[1]
     : imageDataUrl;
 
-  const prompt = createAnalysisPrompt(metadata, category);
+  const { systemPrompt, userPrompt } = createAnalysisPrompt(metadata, category);
+  const systemText = options.structured
+    ? `${systemPrompt}\n\n${STRUCTURED_OUTPUT_INSTRUCTION}`
+    : systemPrompt;
 
   const requestBody = {
-    contents: [
-      {
-        parts: [
-          {
-            text: prompt
-          },
-          {
-            inline_data: {
-              mime_type: 'image/png',
-              data: base64Image
-            }
-          }
-        ]
-      }
-    ],
+    systemInstruction: {
+      parts: [{ text: systemText }]
+    },
+    contents: buildContents(conversationHistory, userPrompt, base64Image),
     generationConfig: {
-      maxOutputTokens: 1500,
-      temperature: 0.7
+      maxOutputTokens: options.maxTokens ?? 1500,
+      temperature: options.temperature ?? 0.7
     }
   };
 
+  // Thinking is capped and paid for separately, so it cannot use up the answer's tokens
+  const thinkingBudget = PROVIDER.models[model]?.thinkingBudget;
+  if (thinkingBudget) {
+    requestBody.generationConfig.thinkingConfig = { thinkingBudget };
+    requestBody.generationConfig.maxOutputTokens += thinkingBudget;
+  }
+
+  // A stop sequence could cut structured JSON short
+  if (options.stop && !options.structured) {
+    requestBody.generationConfig.stopSequences = [options.stop];
+  }
+
+  if (options.structured) {
+    requestBody.generationConfig.responseMimeType = 'application/json';
+    requestBody.generationConfig.responseSchema = toGeminiSchema(ANALYSIS_SCHEMA);
+  }
+
+  // Streaming uses server-sent events from streamGenerateContent
+  const url = onChunk
+    ? `${GOOGLE_API_BASE}/${model}:streamGenerateContent?alt=sse`
+    : `${GOOGLE_API_BASE}/${model}:generateContent`;
+
   try {
-    const url = `${GOOGLE_API_URL}?key=${encodeURIComponent(apiKey)}`;
     const response = await fetch(url, {
       method: 'POST',
+      signal: options.signal,
       headers: {
-        'Content-Type': 'application/json'
+        'Content-Type': 'application/json',
+        'x-goog-api-key': apiKey
       },
       body: JSON.stringify(requestBody)
     });
 
     if (!response.ok) {
-      const errorData = await response.json().catch(() => ({}));
-      throw new Error(
-        errorData.error?.message || 
-        `Google API error: ${response.status} ${response.statusText}`
-      );
+      // Google error format: { error: { code, message, status } }
+      throw await createResponseError(response, 'google', 'Google');
     }
 
-    const data = await response.json();
-    const text = data.candidates?.[0]?.content?.parts?.[0]?.text || 'No analysis returned';
-    
-    // Extract usage information
-    const usage = data.usageMetadata || {};
-    
-    // Call onChunk with full text if provided (Gemini doesn't support streaming in this format)
     if (onChunk) {
-      onChunk(text);
-    }
-    
-    return {
-      content: text,
-      usage: {
-        inputTokens: usage.promptTokenCount || 0,
-        outputTokens: usage.candidatesTokenCount || 0,
-        totalTokens: usage.totalTokenCount || 0
+      // Handle streaming response
+      const reader = response.body.getReader();
+      const decoder = new TextDecoder();
+      let buffer = '';
+      let fullText = '';
+
+      // Each chunk carries cumulative usage metadata; the last one is the total
+      let usageMetadata = null;
+      let interrupted = false;
+      let streamError = null; // Error payload sent after the response started
+      let finishError = null;
+      try {
+        while (true) {
+          const { done, value } = await reader.read();
+          if (done) break;
+
+          buffer += decoder.decode(value, { stream: true });
+          const lines = buffer.split('\n');
+          buffer = lines.pop() || '';
+
+          for (const line of lines) {
+            if (line.startsWith('data: ')) {
+              try {
+                const data = JSON.parse(line.slice(6));
+                if (data.error) {
+                  // Google error format: { error: { code, message, status }; code is the HTTP status
+                  const { code = null, message = 'stream failed', status = null } = data.error;
+                  streamError = new ProviderError(`Google API error: ${message}`, {
+                    code: classifyError(code, status, message),
+                    provider: 'google',
+                    status: code,
+                    detail: status
+                  });
+                  continue;
+                }
+                finishError = getFinishError(data) || finishError;
+                const text = getCandidateText(data);
+                if (text) {
+                  fullText += text;
+                  onChunk(text);
+                }
+                if (data.usageMetadata) {
+                  usageMetadata = data.usageMetadata;
+                }
+              } catch (e) {
+                // Skip invalid JSON
+              }
+            }
+          }
+        }
+      } catch (error) {
+        // Stopped mid-stream: keep the partial text instead of failing
+        if (error.name !== 'AbortError') {
+          // Tokens reported before the connection broke were billed; the caller records them
+          throw Object.assign(normalizeError(error, 'google'), { usage: normalizeUsage(usageMetadata) });
+        }
+        interrupted = true;
       }
-    };
-  } catch (error) {
-    if (error.message.includes('API')) {
-      throw error;
+
+      const usage = normalizeUsage(usageMetadata);
+      const stopError = interrupted ? null : streamError || finishError;
+      if (stopError && !fullText) {
+        stopError.usage = usage; // Billed even without an answer, so the caller still records it
+        throw stopError;
+      }
+
+      // Text already streamed (and billed) is kept; finishReason marks it as cut off
+      return {
+        content: fullText,
+        usage,
+        model,
+        interrupted,
+        finishReason: stopError ? stopError.detail || 'ERROR' : null
+      };
+    } else {
+      // Handle non-streaming response
+      const data = await response.json();
+      const usage = normalizeUsage(data.usageMetadata || {});
+      const text = getCandidateText(data);
+      const finishError = getFinishError(data);
+      if (finishError && !text) {
+        finishError.usage = usage;
+        throw finishError;
+      }
+
+      return {
+        content: text || 'No analysis returned',
+        usage,
+        model,
+        finishReason: finishError ? finishError.detail : null
+      };
     }
-    throw new Error(`Failed to analyze chart: ${error.message}`);
+  } catch (error) {
+    // Cancellations pass through untouched so the caller can tell them apart from failures
+    throw normalizeError(error, 'google');
   }
 }
 
 /**
- * Validate API key
+ * Validate API key by listing available models
  * @param {string} apiKey - Google API key
  * @returns {Promise<boolean>}
  */
 export async function validateApiKey(apiKey) {
   try {
-    const url = `${GOOGLE_API_URL}?key=${encodeURIComponent(apiKey)}`;
-    const response = await fetch(url, {
-      method: 'POST',
+    const response = await fetch(GOOGLE_API_BASE, {
       headers: {
-        'Content-Type': 'application/json'
-      },
-      body: JSON.stringify({
-        contents: [{
-          parts: [{ text: 'test' }]
-        }]
-      })
+        'x-goog-api-key': apiKey
+      }
     });
-    return response.status !== 401 && response.status !== 403;
+    return response.ok;
   } catch {
     return false;
   }
@@ -0,0 +1,146 @@
+/**
+ * OpenAI-compatible local endpoint provider
+ * Talks to any server exposing /v1/chat/completions and /v1/models
+ * (Ollama, LM Studio, llama.cpp server). Screenshots never leave the user's machine/network.
+ */
+
+import { buildChatMessages, sendChatCompletion } from './openai.js';
+import { ProviderError, ERROR_CODES } from '../utils/errors.js';
+
+const DEFAULT_BASE_URL = 'http://localhost:11434/v1'; // Ollama's OpenAI-compatible API
+
+/**
+ * Provider definition used by the provider registry
+ * Models come from the endpoint at runtime and all usage is free
+ */
+export const PROVIDER = {
+  id: 'local',
+  name: 'Local',
+  displayName: 'Local (OpenAI-compatible)',
+  defaultModel: null,
+  defaultBaseUrl: DEFAULT_BASE_URL,
+  models: {},
+  capabilities: {
+    streaming: true,
+    multiTurn: true,
+    images: true, // Depends on the model - pick a vision model such as llava or qwen2.5vl
+    costApi: false,
+    customEndpoint: true, // User sets the base URL; its host permission is requested at runtime
+    dynamicModels: true, // Models are listed from the endpoint's /models
+    optionalApiKey: true,
+    structuredOutput: false // JSON schema support varies between servers
+  },
+  hostPermissions: []
+};
+
+/**
+ * Normalize a base URL (trim whitespace and trailing slashes)
+ * @param {string} baseUrl - Base URL, e.g. http://localhost:11434/v1
+ * @returns {string} Normalized base URL
+ */
+export function normalizeBaseUrl(baseUrl) {
+  return (baseUrl || DEFAULT_BASE_URL).trim().replace(/\/+$/, '');
+}
+
+/**
+ * Get the host permission pattern for a base URL
+ * Match patterns without a port match every port on the host
+ * @param {string} baseUrl - Endpoint base URL
+ * @returns {string} Match pattern, e.g. http://localhost/*
+ */
+export function getOriginPattern(baseUrl) {
+  const url = new URL(normalizeBaseUrl(baseUrl));
+  return `${url.protocol}//${url.hostname}/*`;
+}
+
+/**
+ * Build request headers, adding Authorization only when a key is set
+ * @param {string|null} apiKey - Optional API key
+ * @returns {Object} Headers
+ */
+function buildHeaders(apiKey) {
+  return apiKey ? { 'Authorization': `Bearer ${apiKey}` } : {};
+}
+
+/**
+ * Analyze chart using an OpenAI-compatible endpoint
+ * @param {string} imageDataUrl - Base64 encoded chart image
+ * @param {Object} metadata - Chart metadata
+ * @param {string|null} apiKey - Optional API key
+ * @param {Function} onChunk - Optional streaming callback
+ * @param {Array} conversationHistory - Previous conversation messages
+ * @param {Object|string} category - Category definition (or built-in category id)
+ * @param {Object} options - Request options
+ * @param {string} options.model - Model id (required - there is no default)
+ * @param {string} options.baseUrl - Endpoint base URL
+ * @param {AbortSignal} options.signal - Aborts the request; a streamed answer returns its partial text
+ * @param {number} options.temperature - Sampling temperature (default 0.7)
+ * @param {number} options.maxTokens - Maximum output tokens (default 1500)
+ * @param {string|null} options.stop - Stop sequence
+ * @returns {Promise<{content: string, usage: Object|null, model: string, interrupted?: boolean}>} Analysis text and usage
+ */
+export async function analyzeChart(imageDataUrl, metadata, apiKey, onChunk = null, conversationHistory = [], category = 'market-analysis', options = {}) {
+  if (!options.model) {
+    throw new ProviderError('No local model selected. Choose a model in settings.', { code: ERROR_CODES.INVALID_REQUEST, provider: 'local' });
+  }
+
+  const baseUrl = normalizeBaseUrl(options.baseUrl);
+  const messages = buildChatMessages(imageDataUrl, metadata, conversationHistory, category);
+
+  const requestBody = {
+    model: options.model,
+    messages: messages,
+    max_tokens: options.maxTokens ?? 1500,
+    temperature: options.temperature ?? 0.7
+  };
+
+  if (options.stop) {
+    requestBody.stop = [options.stop];
+  }
+
+  // Add streaming if callback provided
+  if (onChunk) {
+    requestBody.stream = true;
+    requestBody.stream_options = { include_usage: true };
+  }
+
+  return await sendChatCompletion(`${baseUrl}/chat/completions`, buildHeaders(apiKey), requestBody, onChunk, options.signal, { id: 'local', name: 'Local endpoint' });
+}
+
+/**
+ * List models served by the endpoint
+ * @param {string} baseUrl - Endpoint base URL
+ * @param {string|null} apiKey - Optional API key
+ * @returns {Promise<Array<{id: string, name: string}>>} Available models
+ */
+export async function listModels(baseUrl, apiKey = null) {
+  const response = await fetch(`${normalizeBaseUrl(baseUrl)}/models`, {
+    headers: buildHeaders(apiKey)
+  });
+
+  if (!response.ok) {
+    throw new Error(`Local endpoint API error: ${response.status} ${response.statusText}`);
+  }
+
+  const data = await response.json();
+  const models = Array.isArray(data.data) ? data.data : [];
+  return models
+    .filter(model => model && model.id)
+    .map(model => ({ id: model.id, name: model.id }));
+}
+
+/**
+ * Validate API key (and endpoint) by listing models
+ * @param {string|null} apiKey - Optional API key
+ * @param {Object} options - Validation options
+ * @param {string} options.baseUrl - Endpoint base URL
+ * @returns {Promise<boolean>}
+ */
+export async function validateApiKey(apiKey, options = {}) {
+  try {
+    await listModels(options.baseUrl, apiKey);
+    return true;
+  } catch {
+    return false;
+  }
+}
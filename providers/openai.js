@@ -4,36 +4,79 @@
  */
 
 import { getSystemPrompt, getUserPrompt } from '../utils/prompts.js';
+import { ANALYSIS_SCHEMA, ANALYSIS_SCHEMA_NAME, STRUCTURED_OUTPUT_INSTRUCTION } from '../utils/analysis-schema.js';
+import { ProviderError, ERROR_CODES, createResponseError, normalizeError } from '../utils/errors.js';
 
 const OPENAI_API_URL = 'https://api.openai.com/v1/chat/completions';
 const DEFAULT_MODEL = 'gpt-4o'; // Vision-capable model
 
+/**
+ * Provider definition used by the provider registry
+ * Pricing is in USD per million tokens
+ */
+export const PROVIDER = {
+  id: 'openai',
+  name: 'OpenAI',
+  displayName: 'OpenAI (GPT-4o)',
+  defaultModel: DEFAULT_MODEL,
+  models: {
+    'gpt-4o': {
+      name: 'GPT-4o',
+      vision: true,
+      contextWindow: 128000,
+      pricing: { input: 2.50, output: 10.00 }
+    },
+    'gpt-4o-mini': {
+      name: 'GPT-4o mini',
+      vision: true,
+      contextWindow: 128000,
+      pricing: { input: 0.15, output: 0.60 }
+    },
+    'gpt-4.1': {
+      name: 'GPT-4.1',
+      vision: true,
+      contextWindow: 1047576,
+      pricing: { input: 2.00, output: 8.00 }
+    },
+    'gpt-4.1-mini': {
+      name: 'GPT-4.1 mini',
+      vision: true,
+      contextWindow: 1047576,
+      pricing: { input: 0.40, output: 1.60 }
+    }
+  },
+  capabilities: {
+    streaming: true,
+    multiTurn: true,
+    images: true,
+    costApi: true,
+    structuredOutput: true // response_format json_schema
+  },
+  hostPermissions: ['https://api.openai.com/*']
+};
+
 /**
  * Create analysis prompt for Bitcoin chart
  * @param {Object} metadata - Chart metadata
- * @param {string} category - Prompt category
+ * @param {Object|string} category - Category definition (or built-in category id)
  * @returns {Object} System and user prompts
  */
 function createAnalysisPrompt(metadata, category = 'market-analysis') {
   const systemPrompt = getSystemPrompt(category, metadata);
-  const userPrompt = getUserPrompt(metadata);
+  const userPrompt = getUserPrompt(category, metadata);
   return { systemPrompt, userPrompt };
 }
 
 /**
- * Analyze chart using OpenAI Vision API
+ * Build Chat Completions messages for a chart analysis or follow-up
+ * Shared with other OpenAI-compatible providers
  * @param {string} imageDataUrl - Base64 encoded chart image
  * @param {Object} metadata - Chart metadata
- * @param {string} apiKey - OpenAI API key
- * @param {Function} onChunk - Optional streaming callback
  * @param {Array} conversationHistory - Previous conversation messages
- * @returns {Promise<string>} Analysis text
+ * @param {Object|string} category - Category definition (or built-in category id)
+ * @returns {Array} Messages array
  */
-export async function analyzeChart(imageDataUrl, metadata, apiKey, onChunk = null, conversationHistory = [], category = 'market-analysis') {
-  if (!apiKey) {
-    throw new Error('OpenAI API key is required');
-  }
-
+export function buildChatMessages(imageDataUrl, metadata, conversationHistory = [], category = 'market-analysis') {
   // Extract base64 data (remove data:image/png;base64, prefix if present)
   const base64Image = imageDataUrl.includes(',') 
     ? imageDataUrl.split(',')[1] 
@@ -98,34 +141,97 @@ export async function analyzeChart(imageDataUrl, metadata, apiKey, onChunk = nul
     });
   }
 
+  return messages;
+}
+
+/**
+ * Analyze chart using OpenAI Vision API
+ * @param {string} imageDataUrl - Base64 encoded chart image
+ * @param {Object} metadata - Chart metadata
+ * @param {string} apiKey - OpenAI API key
+ * @param {Function} onChunk - Optional streaming callback
+ * @param {Array} conversationHistory - Previous conversation messages
+ * @param {Object|string} category - Category definition (or built-in category id)
+ * @param {Object} options - Request options
+ * @param {string} options.model - Model id (defaults to the provider default)
+ * @param {AbortSignal} options.signal - Aborts the request; a streamed answer returns its partial text
+ * @param {boolean} options.structured - Return JSON matching ANALYSIS_SCHEMA instead of free text
+ * @param {number} options.temperature - Sampling temperature (default 0.7)
+ * @param {number} options.maxTokens - Maximum output tokens (default 1500)
+ * @param {string|null} options.stop - Stop sequence (ignored for structured output)
+ * @returns {Promise<{content: string, usage: Object|null, model: string, interrupted?: boolean}>} Analysis text and usage
+ */
+export async function analyzeChart(imageDataUrl, metadata, apiKey, onChunk = null, conversationHistory = [], category = 'market-analysis', options = {}) {
+  if (!apiKey) {
+    throw new ProviderError('OpenAI API key is required', { code: ERROR_CODES.AUTH, provider: 'openai' });
+  }
+
+  const model = options.model || DEFAULT_MODEL;
+
+  const messages = buildChatMessages(imageDataUrl, metadata, conversationHistory, category);
+
   const requestBody = {
-    model: DEFAULT_MODEL,
+    model,
     messages: messages,
-    max_tokens: 1500,
-    temperature: 0.7
+    max_tokens: options.maxTokens ?? 1500,
+    temperature: options.temperature ?? 0.7
   };
 
+  // A stop sequence could cut structured JSON short
+  if (options.stop && !options.structured) {
+    requestBody.stop = [options.stop];
+  }
+
+  if (options.structured) {
+    messages[0].content += `\n\n${STRUCTURED_OUTPUT_INSTRUCTION}`;
+    requestBody.response_format = {
+      type: 'json_schema',
+      json_schema: {
+        name: ANALYSIS_SCHEMA_NAME,
+        strict: true,
+        schema: ANALYSIS_SCHEMA
+      }
+    };
+  }
+
   // Add streaming if callback provided
   if (onChunk) {
     requestBody.stream = true;
+    // Ask for a final chunk carrying token usage so streamed calls can still be costed
+    requestBody.stream_options = { include_usage: true };
   }
 
+  return await sendChatCompletion(OPENAI_API_URL, {
+    'Authorization': `Bearer ${apiKey}`
+  }, requestBody, onChunk, options.signal);
+}
+
+/**
+ * Send a Chat Completions request and read the (optionally streamed) answer
+ * Shared with other OpenAI-compatible providers
+ * @param {string} url - Chat Completions endpoint
+ * @param {Object} headers - Extra request headers (e.g. Authorization)
+ * @param {Object} requestBody - Request body; streams when onChunk is provided
+ * @param {Function|null} onChunk - Optional streaming callback
+ * @param {AbortSignal|null} signal - Aborts the request; a streamed answer returns its partial text
+ * @param {{id: string, name: string}} provider - Provider the request is for, used in errors
+ * @returns {Promise<{content: string, usage: Object|null, model: string, interrupted?: boolean}>}
+ * @throws {ProviderError} When the request fails (cancellations throw an AbortError)
+ */
+export async function sendChatCompletion(url, headers, requestBody, onChunk = null, signal = null, provider = { id: 'openai', name: 'OpenAI' }) {
   try {
-    const response = await fetch(OPENAI_API_URL, {
+    const response = await fetch(url, {
       method: 'POST',
+      signal,
       headers: {
         'Content-Type': 'application/json',
-        'Authorization': `Bearer ${apiKey}`
+        ...headers
       },
       body: JSON.stringify(requestBody)
     });
 
     if (!response.ok) {
-      const errorData = await response.json().catch(() => ({}));
-      throw new Error(
-        errorData.error?.message || 
-        `OpenAI API error: ${response.status} ${response.statusText}`
-      );
+      throw await createResponseError(response, provider.id, provider.name);
     }
 
     if (onChunk) {
@@ -136,33 +242,40 @@ export async function analyzeChart(imageDataUrl, metadata, apiKey, onChunk = nul
       let fullText = '';
 
       let usageData = null;
-      while (true) {
-        const { done, value } = await reader.read();
-        if (done) break;
-
-        buffer += decoder.decode(value, { stream: true });
-        const lines = buffer.split('\n');
-        buffer = lines.pop() || '';
-
-        for (const line of lines) {
-          if (line.startsWith('data: ') && line !== 'data: [DONE]') {
-            try {
-              const data = JSON.parse(line.slice(6));
-              const content = data.choices?.[0]?.delta?.content;
-              if (content) {
-                fullText += content;
-                onChunk(content);
-              }
+      let interrupted = false;
+      try {
+        while (true) {
+          const { done, value } = await reader.read();
+          if (done) break;
+
+          buffer += decoder.decode(value, { stream: true });
+          const lines = buffer.split('\n');
+          buffer = lines.pop() || '';
+
+          for (const line of lines) {
+            if (line.startsWith('data: ') && line !== 'data: [DONE]') {
+              try {
+                const data = JSON.parse(line.slice(6));
+                const content = data.choices?.[0]?.delta?.content;
+                if (content) {
+                  fullText += content;
+                  onChunk(content);
+                }
               
-              // Capture usage data if present (usually in final chunk)
-              if (data.usage) {
-                usageData = data.usage;
+                // Capture usage data if present (usually in final chunk)
+                if (data.usage) {
+                  usageData = data.usage;
+                }
+              } catch (e) {
+                // Skip invalid JSON
               }
-            } catch (e) {
-              // Skip invalid JSON
             }
           }
         }
+      } catch (error) {
+        // Stopped mid-stream: keep the partial text instead of failing
+        if (error.name !== 'AbortError') throw error;
+        interrupted = true;
       }
 
       // Return content with usage info
@@ -172,12 +285,16 @@ export async function analyzeChart(imageDataUrl, metadata, apiKey, onChunk = nul
           inputTokens: usageData.prompt_tokens || 0,
           outputTokens: usageData.completion_tokens || 0,
           totalTokens: usageData.total_tokens || 0
-        } : null
+        } : null,
+        model: requestBody.model,
+        interrupted
       };
     } else {
       // Handle non-streaming response
       const data = await response.json();
-      const content = data.choices?.[0]?.message?.content || 'No analysis returned';
+      const message = data.choices?.[0]?.message;
+      // Structured output puts a refusal in its own field instead of the content
+      const content = message?.content || message?.refusal || 'No analysis returned';
       
       // Extract usage information for cost tracking
       const usage = data.usage || {};
@@ -187,14 +304,13 @@ export async function analyzeChart(imageDataUrl, metadata, apiKey, onChunk = nul
           inputTokens: usage.prompt_tokens || 0,
           outputTokens: usage.completion_tokens || 0,
           totalTokens: usage.total_tokens || 0
-        }
+        },
+        model: requestBody.model
       };
     }
   } catch (error) {
-    if (error.message.includes('API')) {
-      throw error;
-    }
-    throw new Error(`Failed to analyze chart: ${error.message}`);
+    // Cancellations pass through untouched so the caller can tell them apart from failures
+    throw normalizeError(error, provider.id);
   }
 }
 
@@ -215,3 +331,60 @@ export async function validateApiKey(apiKey) {
     return false;
   }
 }
+
+/**
+ * Fetch actual costs for the current month from the OpenAI costs API
+ * @param {string} apiKey - OpenAI API key (can be admin key)
+ * @returns {Promise<{thisMonthTotal: number, thisMonthAvg: number, totalCount: number}|null>}
+ */
+export async function fetchCosts(apiKey) {
+  if (!apiKey) return null;
+  
+  try {
+    const now = new Date();
+    const monthStart = Math.floor(new Date(now.getFullYear(), now.getMonth(), 1).getTime() / 1000);
+    const monthEnd = Math.floor(new Date(now.getFullYear(), now.getMonth() + 1, 0, 23, 59, 59).getTime() / 1000);
+    
+    const response = await fetch(
+      `https://api.openai.com/v1/organization/costs?start_time=${monthStart}&end_time=${monthEnd}&bucket_width=1d&limit=31`,
+      {
+        headers: {
+          'Authorization': `Bearer ${apiKey}`,
+          'Content-Type': 'application/json'
+        }
+      }
+    );
+    
+    if (!response.ok) {
+      // If not admin key or other error, return null to use fallback
+      return null;
+    }
+    
+    const data = await response.json();
+    let totalCost = 0;
+    let requestCount = 0;
+    
+    // Sum costs from all buckets
+    if (data.data && Array.isArray(data.data)) {
+      for (const bucket of data.data) {
+        if (bucket.results && Array.isArray(bucket.results)) {
+          for (const result of bucket.results) {
+            if (result.amount && result.amount.value) {
+              totalCost += parseFloat(result.amount.value);
+              requestCount++;
+            }
+          }
+        }
+      }
+    }
+    
+    return {
+      thisMonthTotal: totalCost,
+      thisMonthAvg: requestCount > 0 ? totalCost / requestCount : 0,
+      totalCount: requestCount
+    };
+  } catch (error) {
+    console.error('Error fetching OpenAI costs:', error);
+    return null; // Fallback to token calculation
+  }
+}
@@ -0,0 +1,81 @@
+/**
+ * Provider registry
+ * Single source of truth for the available AI providers. Each provider module
+ * exports a PROVIDER definition (id, names, models, capabilities, pricing,
+ * host permissions) alongside its analyzeChart/validateApiKey implementation.
+ * To add a provider, create its module and list it in PROVIDER_MODULES.
+ */
+
+import * as openaiProvider from './openai.js';
+import * as anthropicProvider from './anthropic.js';
+import * as googleProvider from './google.js';
+import * as localProvider from './local.js';
+
+// Registration order is the display order in the side panel
+const PROVIDER_MODULES = [
+  openaiProvider,
+  anthropicProvider,
+  googleProvider,
+  localProvider
+].filter(isValidProviderModule);
+
+const providersById = new Map(
+  PROVIDER_MODULES.map(module => [module.PROVIDER.id, module])
+);
+
+export const DEFAULT_PROVIDER = PROVIDER_MODULES[0].PROVIDER.id;
+
+/**
+ * Check a provider module's definition before registering it. Costs are priced
+ * from the default model's entry in models, so it must have one; a provider
+ * without it is logged and left out rather than failing the whole registry.
+ * @param {Object} module - Provider module
+ * @returns {boolean}
+ */
+function isValidProviderModule({ PROVIDER }) {
+  if (PROVIDER.defaultModel && !PROVIDER.models[PROVIDER.defaultModel]) {
+    console.error(`Provider ${PROVIDER.id} not registered: default model ${PROVIDER.defaultModel} is not in its models`);
+    return false;
+  }
+  return true;
+}
+
+/**
+ * Get provider module by id
+ * @param {string} provider - Provider id
+ * @returns {Object} Provider module
+ */
+export function getProvider(provider) {
+  const module = providersById.get(provider);
+  if (!module) {
+    throw new Error(`Unknown provider: ${provider}`);
+  }
+  return module;
+}
+
+/**
+ * Get provider definition by id
+ * @param {string} provider - Provider id
+ * @returns {Object|null} Provider definition or null if unknown
+ */
+export function getProviderInfo(provider) {
+  return providersById.get(provider)?.PROVIDER || null;
+}
+
+/**
+ * List all registered provider definitions in display order
+ * @returns {Array<Object>} Provider definitions
+ */
+export function listProviders() {
+  return PROVIDER_MODULES.map(module => module.PROVIDER);
+}
+
+/**
+ * Check whether a provider id is registered
+ * @param {string} provider - Provider id
+ * @returns {boolean}
+ */
+export function isKnownProvider(provider) {
+  return providersById.has(provider);
+}
+
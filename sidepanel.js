@@ -1,26 +1,60 @@
 /**
  * Side panel logic
- * Handles UI interactions and coordinates between content script and background
+ * Handles UI interactions and coordinates between content script and background.
+ * API keys are read and written only by the background script (see sendKeyMessage)
  */
 
-import { saveApiKey, getApiKey, hasApiKey, removeApiKey } from './utils/storage.js';
-import { getUsageStats, formatCost } from './utils/cost.js';
-import { saveConversation, updateConversation, getMostRecentConversation } from './utils/conversations.js';
+import { getUsageStats, formatCost, estimateRequestCost, getUsageRecords, linkUsageToConversation } from './utils/cost.js';
+import { summarizeUsage, buildUsageCsvFile } from './utils/analytics.js';
+import { getBudgetSettings, saveBudgetSettings, getBudgetStatus, describeBudget } from './utils/budget.js';
+import { saveConversation, updateConversation, getMostRecentConversation, getAllConversations, getConversationById, deleteConversation, clearAllConversations, getStorageSize, getChartImageBlob, applyRetentionPolicy, searchConversations, setConversationTags, setConversationPinned, getAllTags, saveComparison, getComparison } from './utils/conversations.js';
+import { DEFAULT_CATEGORIES, DEFAULT_USER_PROMPT, DEFAULT_GENERATION, TEMPLATE_VARIABLES, getGenerationSettings, getSystemPrompt, getUserPrompt } from './utils/prompts.js';
+import { getCategories, saveCategory, duplicateCategory, deleteCategory, restoreDefaultCategories, DEFAULT_CATEGORY_ID } from './utils/categories.js';
+import { getSelectedModel, saveSelectedModel, getBaseUrl, saveBaseUrl, getStructuredOutput, saveStructuredOutput, getRetentionPolicy, saveRetentionPolicy, getRetryPolicy, saveRetryPolicy, getFallbackChain, saveFallbackChain } from './utils/preferences.js';
+import { formatPrice } from './utils/analysis-schema.js';
+import { renderMarkdown } from './utils/markdown.js';
+import { getOverlayLevels } from './utils/levels.js';
+import { buildExport, downloadExport } from './utils/export.js';
+import { createBackup, buildBackupFile, restoreBackup } from './utils/backup.js';
+import { DEFAULT_PROVIDER, getProvider, getProviderInfo, listProviders, isKnownProvider } from './providers/registry.js';
+import { ProviderError, ERROR_CODES, fromErrorInfo } from './utils/errors.js';
 
 // UI Elements
 const providerSelect = document.getElementById('provider-select');
+const modelSelect = document.getElementById('model-select');
+const modelDetails = document.getElementById('model-details');
+const endpointGroup = document.getElementById('endpoint-group');
+const baseUrlInput = document.getElementById('base-url-input');
+const connectEndpointBtn = document.getElementById('connect-endpoint-btn');
+const endpointStatus = document.getElementById('endpoint-status');
 const apiKeyInput = document.getElementById('api-key-input');
 const saveKeyBtn = document.getElementById('save-key-btn');
 const apiKeyStatus = document.getElementById('api-key-status');
 const manualSelectionCheckbox = document.getElementById('manual-selection');
+const structuredOutputCheckbox = document.getElementById('structured-output');
 const analysisCategories = document.getElementById('analysis-categories');
+const compareModeCheckbox = document.getElementById('compare-mode');
+const analysisEstimate = document.getElementById('analysis-estimate');
 const loadingIndicator = document.getElementById('loading-indicator');
+const loadingText = document.getElementById('loading-text');
 const errorMessage = document.getElementById('error-message');
 const chatContainer = document.getElementById('chat-container');
 const chatMessages = document.getElementById('chat-messages');
 const chatInput = document.getElementById('chat-input');
 const sendBtn = document.getElementById('send-btn');
+const sendEstimate = document.getElementById('send-estimate');
+const stopBtn = document.getElementById('stop-btn');
+const stopAnalysisBtn = document.getElementById('stop-analysis-btn');
 const copyConversationBtn = document.getElementById('copy-conversation-btn');
+const viewComparisonBtn = document.getElementById('view-comparison-btn');
+const comparisonContainer = document.getElementById('comparison-container');
+const comparisonAgreement = document.getElementById('comparison-agreement');
+const comparisonTabs = document.getElementById('comparison-tabs');
+const comparisonPanel = document.getElementById('comparison-panel');
+const exportBtn = document.getElementById('export-btn');
+const exportMenu = document.getElementById('export-menu');
+const levelsOverlayBtn = document.getElementById('levels-overlay-btn');
+const recalibrateLevelsBtn = document.getElementById('recalibrate-levels-btn');
 const settingsGear = document.getElementById('settings-gear');
 const settingsModal = document.getElementById('settings-modal');
 const closeSettingsBtn = document.getElementById('close-settings');
@@ -31,35 +65,184 @@ const providerCostsSection = document.getElementById('provider-costs-section');
 const providerCostsContent = document.getElementById('provider-costs-content');
 const providerCostsLoading = document.querySelector('.cost-loading');
 const aiProviderName = document.getElementById('ai-provider-name');
+const historyBtn = document.getElementById('history-btn');
+const usageBtn = document.getElementById('usage-btn');
+const usageDrawer = document.getElementById('usage-drawer');
+const closeUsageBtn = document.getElementById('close-usage');
+const usageRangeSelect = document.getElementById('usage-range-select');
+const usageDashboard = document.getElementById('usage-dashboard');
+const exportUsageBtn = document.getElementById('export-usage-btn');
+const historyDrawer = document.getElementById('history-drawer');
+const closeHistoryBtn = document.getElementById('close-history');
+const historyList = document.getElementById('history-list');
+const historyStorage = document.getElementById('history-storage');
+const clearHistoryBtn = document.getElementById('clear-history-btn');
+const historySearchInput = document.getElementById('history-search-input');
+const historyProviderFilter = document.getElementById('history-provider-filter');
+const historyCategoryFilter = document.getElementById('history-category-filter');
+const historyTagFilter = document.getElementById('history-tag-filter');
+const historyFromFilter = document.getElementById('history-from-filter');
+const historyToFilter = document.getElementById('history-to-filter');
+const historyExportFormat = document.getElementById('history-export-format');
+const exportSelectedBtn = document.getElementById('export-selected-btn');
+const retentionSizeInput = document.getElementById('retention-size-input');
+const retentionAgeInput = document.getElementById('retention-age-input');
+const saveRetentionBtn = document.getElementById('save-retention-btn');
+const retentionStatus = document.getElementById('retention-status');
+const retryAttemptsInput = document.getElementById('retry-attempts-input');
+const retryBaseDelayInput = document.getElementById('retry-base-delay-input');
+const retryMaxDelayInput = document.getElementById('retry-max-delay-input');
+const saveRetryBtn = document.getElementById('save-retry-btn');
+const retryStatus = document.getElementById('retry-status');
+const fallbackList = document.getElementById('fallback-list');
+const budgetMonthlyInput = document.getElementById('budget-monthly-input');
+const budgetDailyInput = document.getElementById('budget-daily-input');
+const budgetProviderMonthlyLabel = document.getElementById('budget-provider-monthly-label');
+const budgetProviderMonthlyInput = document.getElementById('budget-provider-monthly-input');
+const budgetProviderDailyLabel = document.getElementById('budget-provider-daily-label');
+const budgetProviderDailyInput = document.getElementById('budget-provider-daily-input');
+const budgetThresholdsInput = document.getElementById('budget-thresholds-input');
+const budgetCapActionSelect = document.getElementById('budget-cap-action-select');
+const saveBudgetBtn = document.getElementById('save-budget-btn');
+const budgetStatus = document.getElementById('budget-status');
+const budgetSummary = document.getElementById('budget-summary');
+const categoryList = document.getElementById('category-list');
+const newCategoryBtn = document.getElementById('new-category-btn');
+const restoreCategoriesBtn = document.getElementById('restore-categories-btn');
+const categoryEditor = document.getElementById('category-editor');
+const categoryNameInput = document.getElementById('category-name-input');
+const categoryLabelInput = document.getElementById('category-label-input');
+const categoryDescriptionInput = document.getElementById('category-description-input');
+const categorySystemInput = document.getElementById('category-system-input');
+const categoryUserInput = document.getElementById('category-user-input');
+const categoryStructuredInput = document.getElementById('category-structured-input');
+const templateVariablesHelp = document.getElementById('template-variables-help');
+const categoryProviderInput = document.getElementById('category-provider-input');
+const categoryModelInput = document.getElementById('category-model-input');
+const categoryModelOptions = document.getElementById('category-model-options');
+const categoryTemperatureInput = document.getElementById('category-temperature-input');
+const categoryMaxTokensInput = document.getElementById('category-max-tokens-input');
+const categoryStopInput = document.getElementById('category-stop-input');
+const saveCategoryBtn = document.getElementById('save-category-btn');
+const cancelCategoryBtn = document.getElementById('cancel-category-btn');
+const categoryStatus = document.getElementById('category-status');
+const backupBtn = document.getElementById('backup-btn');
+const restoreBtn = document.getElementById('restore-btn');
+const restoreFileInput = document.getElementById('restore-file-input');
+const backupIncludeKeysCheckbox = document.getElementById('backup-include-keys');
+const backupStatus = document.getElementById('backup-status');
+const backupConflicts = document.getElementById('backup-conflicts');
+const vaultStatus = document.getElementById('vault-status');
+const vaultPassphraseInput = document.getElementById('vault-passphrase-input');
+const vaultConfirmInput = document.getElementById('vault-confirm-input');
+const vaultPrimaryBtn = document.getElementById('vault-primary-btn');
+const vaultLockBtn = document.getElementById('vault-lock-btn');
+const vaultResetBtn = document.getElementById('vault-reset-btn');
+const vaultAutoLockSelect = document.getElementById('vault-auto-lock-select');
 
-let currentProvider = 'openai';
+let currentProvider = DEFAULT_PROVIDER;
+let currentModel = null;
 let conversationHistory = [];
 let currentChartImage = null;
 let currentChartMetadata = null;
+let currentChartSize = null; // Pixel size of currentChartImage, for follow-up cost estimates
+let pageChartSize = null; // Size the chart on the page would be captured at, for analysis cost estimates
 let currentConversationId = null;
-let currentCategory = 'market-analysis'; // Default category
+let currentComparisonId = null; // Comparison the open conversation belongs to, if any
+let currentCategory = DEFAULT_CATEGORY_ID;
+let categories = []; // The user's analysis categories, in button order
+let editingCategoryId = null; // Category open in the editor (null for a new one)
+let activeRequest = null; // { requestId, port } while an analysis is in flight
+let levelsOverlayVisible = false; // Levels drawn on the chart in the active tab
+let historyObjectUrls = []; // Thumbnail object URLs in the history drawer
+let historySearchTimer = null; // Debounces history searches while typing
+let errorCountdownTimer = null; // Counts down to when a rate-limited request may be retried
+const selectedConversationIds = new Set(); // Conversations checked for batch export
+
+// Why a provider cut an answer off, shown next to the answer it kept
+const FINISH_REASON_LABELS = {
+  MAX_TOKENS: 'Cut off at max output tokens',
+  SAFETY: 'Cut off by the safety filter',
+  RECITATION: 'Cut off for recitation'
+};
+
+// What to tell the user for each provider error code, and what the error banner offers:
+// 'settings' opens settings, 'retry' repeats the request
+const ERROR_GUIDANCE = {
+  [ERROR_CODES.AUTH]: {
+    hint: 'Check the API key for this provider in settings.',
+    action: 'settings'
+  },
+  [ERROR_CODES.QUOTA]: {
+    hint: 'The provider account is out of credits or over its quota. Add credits with the provider, or switch to another provider.',
+    action: 'settings'
+  },
+  [ERROR_CODES.RATE_LIMIT]: {
+    hint: 'Too many requests for now.',
+    action: 'retry'
+  },
+  [ERROR_CODES.OVERLOADED]: {
+    hint: 'The provider is overloaded or having problems. Try again shortly, or add a fallback provider in settings.',
+    action: 'retry'
+  },
+  [ERROR_CODES.CONTENT_TOO_LARGE]: {
+    hint: 'The chart or conversation is too large for this model. Select a smaller chart area, start a new analysis, or choose a model with a larger context window.',
+    action: 'settings'
+  },
+  [ERROR_CODES.NETWORK]: {
+    hint: 'The provider could not be reached. Check your connection, or that the local endpoint is running.',
+    action: 'retry'
+  },
+  [ERROR_CODES.INVALID_REQUEST]: {
+    hint: 'The provider rejected the request. Check the selected model in settings.',
+    action: 'settings'
+  },
+  [ERROR_CODES.BUDGET]: {
+    hint: 'Raise or remove the budget in settings, or wait for the next day or month.',
+    action: 'settings'
+  },
+  [ERROR_CODES.UNKNOWN]: {
+    hint: '',
+    action: 'retry'
+  }
+};
 
 /**
  * Initialize side panel
  */
 async function init() {
+  // Build provider options from the registry
+  populateProviderSelect();
+  await updateEndpointSettings();
+  await populateModelSelect();
+  
   // Load saved API key for current provider
   await loadApiKeyStatus();
   
   // Update provider subtitle
   updateProviderSubtitle();
   
-  // Update category UI state based on API key availability
+  // Build category buttons, then enable them based on API key availability
+  await loadCategories();
   updateCategoryUIState();
+  updateAnalysisEstimate();
+  
+  structuredOutputCheckbox.checked = await getStructuredOutput();
+  await loadRetentionPolicy();
 
   // Event listeners
   providerSelect.addEventListener('change', async (e) => {
-    // Save current conversation before switching
+    // Stop any in-flight answer and save current conversation before switching
+    cancelActiveRequest();
     await saveCurrentConversation();
     
     currentProvider = e.target.value;
     updateProviderSubtitle(); // Update subtitle when provider changes
+    await updateEndpointSettings();
+    await populateModelSelect();
     await loadApiKeyStatus();
+    await loadRetryPolicy();
+    await loadBudgetSettings();
     await updateProviderCosts();
     
     // Start fresh conversation for new provider (but keep UI visible)
@@ -68,21 +251,40 @@ async function init() {
     // Don't clear the UI - user can continue or start new analysis
   });
 
+  modelSelect.addEventListener('change', handleModelChange);
+  connectEndpointBtn.addEventListener('click', handleConnectEndpoint);
   saveKeyBtn.addEventListener('click', handleSaveApiKey);
   removeKeyBtn.addEventListener('click', handleRemoveCurrentApiKey);
+  structuredOutputCheckbox.addEventListener('change', () => {
+    saveStructuredOutput(structuredOutputCheckbox.checked);
+  });
   
-  // Set up category click handlers
-  const categoryButtons = analysisCategories.querySelectorAll('.category-btn');
-  categoryButtons.forEach(btn => {
-    btn.addEventListener('click', () => {
-      const category = btn.dataset.category;
-      if (!btn.disabled) {
-        handleCategoryClick(category);
-      }
-    });
+  // Category buttons are rebuilt when categories change, so delegate their clicks
+  analysisCategories.addEventListener('click', (e) => {
+    const btn = e.target.closest('.category-btn');
+    if (btn && !btn.disabled) {
+      handleCategoryClick(btn.dataset.category);
+    }
   });
+  // Estimate the category under the pointer or focus, otherwise the current one
+  ['mouseover', 'focusin'].forEach(type => analysisCategories.addEventListener(type, (e) => {
+    const btn = e.target.closest('.category-btn');
+    if (btn) {
+      updateAnalysisEstimate(btn.dataset.category);
+    }
+  }));
+  ['mouseleave', 'focusout'].forEach(type => analysisCategories.addEventListener(type, () => updateAnalysisEstimate()));
+  compareModeCheckbox.addEventListener('change', () => updateAnalysisEstimate());
+  newCategoryBtn.addEventListener('click', () => openCategoryEditor(null));
+  restoreCategoriesBtn.addEventListener('click', handleRestoreCategories);
+  saveCategoryBtn.addEventListener('click', handleSaveCategory);
+  cancelCategoryBtn.addEventListener('click', closeCategoryEditor);
+  categoryProviderInput.addEventListener('change', updateCategoryModelOptions);
   
   sendBtn.addEventListener('click', handleSendMessage);
+  stopBtn.addEventListener('click', cancelActiveRequest);
+  stopAnalysisBtn.addEventListener('click', cancelActiveRequest);
+  chatInput.addEventListener('input', updateSendEstimate);
   chatInput.addEventListener('keypress', (e) => {
     if (e.key === 'Enter' && !e.shiftKey) {
       e.preventDefault();
@@ -90,8 +292,64 @@ async function init() {
     }
   });
   copyConversationBtn.addEventListener('click', handleCopyConversation);
+  viewComparisonBtn.addEventListener('click', () => handleOpenComparison(currentComparisonId));
+  exportBtn.addEventListener('click', (e) => {
+    e.stopPropagation();
+    setExportMenuOpen(exportMenu.style.display === 'none');
+  });
+  exportMenu.querySelectorAll('[data-format]').forEach(item => {
+    item.addEventListener('click', () => {
+      setExportMenuOpen(false);
+      handleExportConversation(item.dataset.format);
+    });
+  });
+  document.addEventListener('click', (e) => {
+    if (!exportMenu.contains(e.target)) {
+      setExportMenuOpen(false);
+    }
+  });
+  levelsOverlayBtn.addEventListener('click', handleToggleLevelsOverlay);
+  recalibrateLevelsBtn.addEventListener('click', () => showLevelsOverlay(true));
   settingsGear.addEventListener('click', openSettings);
   closeSettingsBtn.addEventListener('click', closeSettings);
+  historyBtn.addEventListener('click', openHistory);
+  closeHistoryBtn.addEventListener('click', closeHistory);
+  usageBtn.addEventListener('click', openUsage);
+  closeUsageBtn.addEventListener('click', closeUsage);
+  usageRangeSelect.addEventListener('change', renderUsageDashboard);
+  exportUsageBtn.addEventListener('click', handleExportUsage);
+  clearHistoryBtn.addEventListener('click', handleClearHistory);
+  exportSelectedBtn.addEventListener('click', handleExportSelected);
+  historySearchInput.addEventListener('input', () => {
+    clearTimeout(historySearchTimer);
+    historySearchTimer = setTimeout(renderHistory, 200);
+  });
+  [historyProviderFilter, historyCategoryFilter, historyTagFilter, historyFromFilter, historyToFilter]
+    .forEach(filter => filter.addEventListener('change', renderHistory));
+  saveRetentionBtn.addEventListener('click', handleSaveRetention);
+  saveRetryBtn.addEventListener('click', handleSaveRetryPolicy);
+  saveBudgetBtn.addEventListener('click', handleSaveBudget);
+  vaultPrimaryBtn.addEventListener('click', handleVaultPrimary);
+  vaultPassphraseInput.addEventListener('keydown', (e) => {
+    if (e.key === 'Enter') handleVaultPrimary();
+  });
+  vaultLockBtn.addEventListener('click', handleLockVault);
+  vaultResetBtn.addEventListener('click', handleResetVault);
+  vaultAutoLockSelect.addEventListener('change', handleAutoLockChange);
+  backupBtn.addEventListener('click', handleBackup);
+  restoreBtn.addEventListener('click', () => restoreFileInput.click());
+  restoreFileInput.addEventListener('change', handleRestoreFile);
+  
+  historyDrawer.addEventListener('click', (e) => {
+    if (e.target === historyDrawer) {
+      closeHistory();
+    }
+  });
+  usageDrawer.addEventListener('click', (e) => {
+    if (e.target === usageDrawer) {
+      closeUsage();
+    }
+  });
   
   // Close modal when clicking outside
   settingsModal.addEventListener('click', (e) => {
@@ -105,6 +363,15 @@ async function init() {
     if (e.key === 'Escape' && settingsModal.style.display !== 'none') {
       closeSettings();
     }
+    if (e.key === 'Escape' && historyDrawer.style.display !== 'none') {
+      closeHistory();
+    }
+    if (e.key === 'Escape' && usageDrawer.style.display !== 'none') {
+      closeUsage();
+    }
+    if (e.key === 'Escape' && exportMenu.style.display !== 'none') {
+      setExportMenuOpen(false);
+    }
   });
 
   // Check if we're on bitview.space
@@ -122,6 +389,10 @@ async function init() {
  */
 async function openSettings() {
   settingsModal.style.display = 'flex';
+  await loadVaultStatus();
+  await loadBudgetSettings();
+  await loadRetryPolicy();
+  await renderFallbackList();
   await updateProviderCosts();
 }
 
@@ -143,6 +414,7 @@ async function checkCurrentTab() {
       updateCategoryUIState(false);
     } else {
       updateCategoryUIState();
+      await refreshPageChartSize(tab.id);
     }
   } catch (error) {
     console.error('Error checking tab:', error);
@@ -150,29 +422,256 @@ async function checkCurrentTab() {
 }
 
 /**
- * Provider display names
+ * Populate provider select from the provider registry
  */
-const providerNames = {
-  openai: 'OpenAI (GPT-4o)',
-  anthropic: 'Anthropic (Claude)',
-  google: 'Google (Gemini)'
-};
+function populateProviderSelect() {
+  providerSelect.innerHTML = '';
+  listProviders().forEach(provider => {
+    const option = document.createElement('option');
+    option.value = provider.id;
+    option.textContent = provider.displayName;
+    providerSelect.appendChild(option);
+  });
+  providerSelect.value = currentProvider;
+}
 
 /**
- * Provider short names for subtitle
+ * Populate model select for the current provider and show the selected model's details
+ * Providers with dynamic models are asked (via the background) for their current list
  */
-const providerShortNames = {
-  openai: 'OpenAI',
-  anthropic: 'Anthropic',
-  google: 'Google'
-};
+async function populateModelSelect() {
+  const info = getProviderInfo(currentProvider);
+  modelSelect.innerHTML = '';
+  if (!info) return;
+  
+  let models = Object.entries(info.models).map(([id, model]) => ({ id, name: model.name }));
+  if (info.capabilities.dynamicModels) {
+    models = await fetchDynamicModels(currentProvider);
+  }
+  
+  models.forEach(model => {
+    const option = document.createElement('option');
+    option.value = model.id;
+    option.textContent = model.name;
+    modelSelect.appendChild(option);
+  });
+  
+  currentModel = await getSelectedModel(currentProvider);
+  
+  if (info.capabilities.dynamicModels) {
+    if (models.length === 0) {
+      const option = document.createElement('option');
+      option.value = '';
+      option.textContent = 'No models found - connect the endpoint';
+      option.disabled = true;
+      modelSelect.appendChild(option);
+    } else if (!models.some(model => model.id === currentModel)) {
+      // Saved model no longer served - fall back to the first one listed
+      currentModel = models[0].id;
+      await saveSelectedModel(currentProvider, currentModel);
+    }
+  }
+  
+  modelSelect.value = currentModel || '';
+  renderModelDetails();
+  updateCostEstimates();
+}
+
+/**
+ * Fetch the model list of a dynamic-model provider from the background
+ * @returns {Promise<Array<{id: string, name: string}>>} Models, empty if the endpoint is unreachable
+ */
+async function fetchDynamicModels(provider) {
+  try {
+    const response = await chrome.runtime.sendMessage({ action: 'listModels', provider });
+    if (!response || !response.success) {
+      console.warn('Could not list models:', response?.error);
+      return [];
+    }
+    return response.models;
+  } catch (error) {
+    console.error('Error listing models:', error);
+    return [];
+  }
+}
+
+/**
+ * Handle model selection change
+ */
+async function handleModelChange() {
+  try {
+    await saveSelectedModel(currentProvider, modelSelect.value);
+    currentModel = modelSelect.value;
+    renderModelDetails();
+    updateCostEstimates();
+    updateCategoryUIState();
+  } catch (error) {
+    showError(`Failed to save model: ${error.message}`);
+  }
+}
+
+/**
+ * Render capability tags (vision, context window, price) for the selected model
+ */
+function renderModelDetails() {
+  modelDetails.innerHTML = '';
+  const info = getProviderInfo(currentProvider);
+  const model = info?.models[currentModel];
+  
+  let tags;
+  if (model) {
+    tags = [
+      {
+        text: model.vision ? 'Vision' : 'No vision',
+        className: model.vision ? 'model-tag-vision' : 'model-tag-no-vision'
+      },
+      { text: `${formatTokenCount(model.contextWindow)} context` },
+      { text: `$${model.pricing.input.toFixed(2)} in / $${model.pricing.output.toFixed(2)} out per 1M` }
+    ];
+  } else if (info?.capabilities.dynamicModels && currentModel) {
+    // Capabilities of self-hosted models are unknown; usage is free
+    tags = [
+      { text: 'Self-hosted' },
+      { text: 'Needs a vision model', className: 'model-tag-no-vision' },
+      { text: 'Free' }
+    ];
+  } else {
+    return;
+  }
+  
+  tags.forEach(tag => {
+    const span = document.createElement('span');
+    span.className = `model-tag ${tag.className || ''}`.trim();
+    span.textContent = tag.text;
+    modelDetails.appendChild(span);
+  });
+}
+
+/**
+ * Show endpoint settings for providers with a configurable base URL
+ */
+async function updateEndpointSettings() {
+  const info = getProviderInfo(currentProvider);
+  if (!info?.capabilities.customEndpoint) {
+    endpointGroup.style.display = 'none';
+    return;
+  }
+  
+  endpointGroup.style.display = 'block';
+  endpointStatus.style.display = 'none';
+  baseUrlInput.value = await getBaseUrl(currentProvider) || '';
+}
+
+/**
+ * Connect a self-hosted endpoint: request host access, save the base URL and list its models
+ */
+async function handleConnectEndpoint() {
+  const baseUrl = baseUrlInput.value.trim() || getProviderInfo(currentProvider).defaultBaseUrl;
+  
+  let origin;
+  try {
+    origin = getProvider(currentProvider).getOriginPattern(baseUrl);
+  } catch (error) {
+    setEndpointStatus('Base URL is not a valid URL', false);
+    return;
+  }
+  
+  try {
+    // Request first: Chrome only shows the prompt while the click's user gesture is active
+    const granted = await chrome.permissions.request({ origins: [origin] });
+    if (!granted) {
+      setEndpointStatus(`Access to ${origin} was not granted`, false);
+      return;
+    }
+    
+    await saveBaseUrl(currentProvider, baseUrl);
+    await populateModelSelect();
+    
+    const count = modelSelect.querySelectorAll('option:not([disabled])').length;
+    if (count > 0) {
+      setEndpointStatus(`✓ Connected - ${count} model${count === 1 ? '' : 's'} available`, true);
+    } else {
+      setEndpointStatus('Connected, but the endpoint listed no models', false);
+    }
+    updateCategoryUIState();
+  } catch (error) {
+    setEndpointStatus(`Failed to connect: ${error.message}`, false);
+  }
+}
+
+/**
+ * Show endpoint connection status
+ */
+function setEndpointStatus(text, ok) {
+  endpointStatus.textContent = text;
+  endpointStatus.className = `status-message ${ok ? 'status-success' : 'status-warning'}`;
+  endpointStatus.style.display = 'block';
+}
+
+/**
+ * Send an API key or key vault message to the background script
+ * @param {Object} message - Runtime message (one of the background's KEY_ACTIONS)
+ * @returns {Promise<Object>} Response
+ * @throws {Error} When the background reports a failure
+ */
+async function sendKeyMessage(message) {
+  const response = await chrome.runtime.sendMessage(message);
+  if (!response?.success) {
+    throw new Error(response?.error || 'No response from the background service');
+  }
+  return response;
+}
+
+/**
+ * Check whether a provider has an API key saved
+ * @param {string} provider - Provider id
+ * @returns {Promise<boolean>}
+ */
+async function hasApiKey(provider) {
+  const { hasKey } = await sendKeyMessage({ action: 'checkApiKey', provider });
+  return hasKey;
+}
+
+/**
+ * Check whether a provider is ready to analyze
+ * Providers with an optional key only need a model; the rest need an API key
+ */
+async function isProviderReady(provider) {
+  const info = getProviderInfo(provider);
+  if (info?.capabilities.optionalApiKey) {
+    return Boolean(await getSelectedModel(provider));
+  }
+  return await hasApiKey(provider);
+}
+
+/**
+ * Format a token count compactly (e.g. 128000 -> 128K, 1048576 -> 1M)
+ */
+function formatTokenCount(tokens) {
+  if (!tokens) return 'Unknown';
+  if (tokens >= 1_000_000) return `${+(tokens / 1_048_576).toFixed(1)}M`;
+  if (tokens >= 1000) return `${Math.round(tokens / 1000)}K`;
+  return String(tokens);
+}
+
+/**
+ * Look up a model's display name across all providers
+ */
+function getModelName(modelId) {
+  for (const provider of listProviders()) {
+    if (provider.models[modelId]) {
+      return provider.models[modelId].name;
+    }
+  }
+  return modelId;
+}
 
 /**
  * Update AI provider subtitle
  */
 function updateProviderSubtitle() {
   if (aiProviderName) {
-    const providerName = providerShortNames[currentProvider] || 'Powered';
+    const providerName = getProviderInfo(currentProvider)?.name || 'Powered';
     aiProviderName.textContent = providerName;
   }
 }
@@ -181,12 +680,12 @@ function updateProviderSubtitle() {
  * Handle removing current provider's API key
  */
 async function handleRemoveCurrentApiKey() {
-  if (!confirm(`Remove API key for ${providerNames[currentProvider]}?`)) {
+  if (!confirm(`Remove API key for ${getProviderInfo(currentProvider)?.displayName || currentProvider}?`)) {
     return;
   }
   
   try {
-    await removeApiKey(currentProvider);
+    await sendKeyMessage({ action: 'removeApiKey', provider: currentProvider });
     await loadApiKeyStatus();
     updateCategoryUIState();
     
@@ -199,15 +698,22 @@ async function handleRemoveCurrentApiKey() {
  * Load API key status for current provider
  */
 async function loadApiKeyStatus() {
-  const hasKey = await hasApiKey(currentProvider);
+  // Only the masked key (e.g. ***1234) reaches the side panel
+  const { apiKeys } = await sendKeyMessage({ action: 'getApiKeyStatus' });
+  const maskedKey = apiKeys[currentProvider];
   
-  if (hasKey) {
-    // Don't show the actual key value for security
+  if (maskedKey) {
     apiKeyInput.value = '';
     apiKeyInput.placeholder = 'Key saved - enter new key to update';
-    apiKeyStatus.textContent = '✓ API key saved';
+    apiKeyStatus.textContent = `✓ API key saved (${maskedKey})`;
     apiKeyStatus.className = 'status-message status-success';
     apiKeyActions.style.display = 'block';
+  } else if (getProviderInfo(currentProvider)?.capabilities.optionalApiKey) {
+    apiKeyInput.value = '';
+    apiKeyInput.placeholder = 'Optional - only if your endpoint requires one';
+    apiKeyStatus.textContent = 'No API key needed';
+    apiKeyStatus.className = 'status-message status-success';
+    apiKeyActions.style.display = 'none';
   } else {
     apiKeyInput.value = '';
     apiKeyInput.placeholder = 'Enter your API key';
@@ -234,13 +740,10 @@ async function updateProviderCosts() {
   providerCostsContent.innerHTML = '';
   
   try {
-    const apiKey = await getApiKey(currentProvider);
-    
-    // Fetch costs from background script (which can access APIs)
+    // Fetch costs from background script (which holds the key and can access APIs)
     const response = await chrome.runtime.sendMessage({
       action: 'getProviderCosts',
-      provider: currentProvider,
-      apiKey: apiKey
+      provider: currentProvider
     });
     
     providerCostsLoading.style.display = 'none';
@@ -306,8 +809,8 @@ async function handleSaveApiKey() {
       // return;
     }
 
-    // Save key
-    await saveApiKey(currentProvider, apiKey);
+    // Save key (the background stores it; only its masked form comes back)
+    await sendKeyMessage({ action: 'saveApiKey', provider: currentProvider, apiKey });
     
     // Update status
     await loadApiKeyStatus();
@@ -362,8 +865,8 @@ async function validateApiKey(provider, apiKey) {
  * Update category UI state based on API key availability
  */
 async function updateCategoryUIState(isOnBitview = true) {
-  const hasKey = await hasApiKey(currentProvider);
-  const enabled = hasKey && isOnBitview;
+  const ready = await isProviderReady(currentProvider);
+  const enabled = ready && isOnBitview;
   
   const categoryButtons = analysisCategories.querySelectorAll('.category-btn');
   categoryButtons.forEach(btn => {
@@ -372,234 +875,1939 @@ async function updateCategoryUIState(isOnBitview = true) {
 }
 
 /**
- * Handle category click
+ * Load the user's categories and rebuild the category buttons and settings list
  */
-async function handleCategoryClick(category) {
-  currentCategory = category;
-  await handleAnalyze(category);
+async function loadCategories() {
+  categories = await getCategories();
+  renderCategoryButtons();
+  renderCategoryList();
+  updateAnalysisEstimate();
+  
+  // The history category filter is filled once; refill it with the new names
+  historyCategoryFilter.length = 1;
+  if (historyProviderFilter.options.length > 1) {
+    categories.forEach(category => {
+      historyCategoryFilter.appendChild(new Option(category.name, category.id));
+    });
+  }
 }
 
 /**
- * Handle analyze with category
+ * Build one button per category, keeping the current enabled and active state
  */
-async function handleAnalyze(category = currentCategory) {
-  // Reset UI for new analysis
-  hideError();
-  
-  // Clear current UI state (but don't delete stored conversations)
-  chatMessages.innerHTML = '';
-  currentConversationId = null;
-  conversationHistory = [];
-  currentChartImage = null;
-  currentChartMetadata = null;
-  
-  // Hide chat container initially, will show after analysis
-  chatContainer.style.display = 'none';
-  chatInput.value = '';
-  chatInput.disabled = true;
-  sendBtn.disabled = true;
+function renderCategoryButtons() {
+  const disabled = analysisCategories.querySelector('.category-btn')?.disabled ?? true;
+  const active = analysisCategories.querySelector('.category-btn-active')?.dataset.category;
   
-  // Update active category visual state
-  const categoryButtons = analysisCategories.querySelectorAll('.category-btn');
-  categoryButtons.forEach(btn => {
-    btn.classList.remove('category-btn-active');
-    if (btn.dataset.category === category) {
-      btn.classList.add('category-btn-active');
-    }
+  analysisCategories.innerHTML = '';
+  categories.forEach(category => {
+    const btn = document.createElement('button');
+    btn.className = 'category-btn';
+    btn.classList.toggle('category-btn-active', category.id === active);
+    btn.dataset.category = category.id;
+    btn.textContent = category.label;
+    btn.title = category.description || category.name;
+    btn.disabled = disabled;
+    analysisCategories.appendChild(btn);
   });
-  
-  loadingIndicator.style.display = 'block';
-  updateCategoryUIState(false); // Disable categories during analysis
-
-  try {
-    // Get current tab
-    const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
-    
-    if (!tab.url || !tab.url.includes('bitview.space')) {
-      throw new Error('Please navigate to bitview.space to analyze charts');
-    }
+}
 
-    // Check API key
-    const hasKey = await hasApiKey(currentProvider);
-    if (!hasKey) {
-      throw new Error(`Please configure an API key for ${currentProvider}`);
-    }
+/**
+ * Get the display name of a category, including built-ins the user deleted
+ * @param {string} categoryId - Category id
+ * @returns {string} Category name
+ */
+function getCategoryName(categoryId) {
+  return categories.find(c => c.id === categoryId)?.name ||
+    DEFAULT_CATEGORIES[categoryId]?.name ||
+    (categoryId ? 'Deleted category' : DEFAULT_CATEGORIES[DEFAULT_CATEGORY_ID].name);
+}
 
-    // Inject content script if needed and get chart bounds
-    const useManualSelection = manualSelectionCheckbox.checked;
+/**
+ * List categories in settings with edit, duplicate and delete actions
+ */
+function renderCategoryList() {
+  categoryList.innerHTML = '';
+  
+  categories.forEach(category => {
+    const row = document.createElement('div');
+    row.className = 'category-row';
     
-    // Send message to content script to get chart bounds
-    const captureResponse = await chrome.tabs.sendMessage(tab.id, {
-      action: 'captureChart',
-      useManualSelection
-    });
-
-    if (!captureResponse.success) {
-      throw new Error(captureResponse.error || 'Failed to capture chart');
-    }
-
-    const { bounds, metadata } = captureResponse.data;
-
-    // Request screenshot capture and cropping from background script
-    const screenshotResponse = await chrome.runtime.sendMessage({
-      action: 'captureScreenshot',
-      tabId: tab.id,
-      bounds
-    });
-
-    if (!screenshotResponse.success) {
-      throw new Error(screenshotResponse.error || 'Failed to capture screenshot');
-    }
-
-    const imageDataUrl = screenshotResponse.imageDataUrl;
-
-    // Store chart data for follow-ups
-    currentChartImage = imageDataUrl;
-    currentChartMetadata = metadata;
+    const name = document.createElement('span');
+    name.className = 'category-row-name';
+    name.textContent = category.name;
+    name.title = category.description || category.name;
     
-    // Start a new conversation (reset ID for new analysis)
-    currentConversationId = null;
-    conversationHistory = [];
-
-    // Send to background script for analysis (no conversation history for initial)
-    const analysisResponse = await chrome.runtime.sendMessage({
-      action: 'analyzeChart',
-      data: {
-        imageDataUrl,
-        metadata,
-        provider: currentProvider,
-        category: category,
-        conversationHistory: []
-      }
-    });
-
-    if (!analysisResponse.success) {
-      throw new Error(analysisResponse.error || 'Failed to analyze chart');
-    }
-
-    // Display result as first message
-    const analysis = analysisResponse.data.analysis;
-    addMessage('assistant', analysis);
-    conversationHistory = [{ role: 'assistant', content: analysis }]; // Start fresh conversation
+    const label = document.createElement('span');
+    label.className = 'category-row-label';
+    label.textContent = category.label;
     
-    // Save conversation (will create new one since currentConversationId is null)
-    await saveCurrentConversation();
+    row.appendChild(name);
+    row.appendChild(label);
     
-    // Update cost metrics after analysis
-    await updateCostMetrics();
-
-    // Show chat interface
-    chatContainer.style.display = 'flex';
-    chatInput.disabled = false;
-    sendBtn.disabled = false;
+    const actions = [
+      ['Edit', () => openCategoryEditor(category)],
+      ['Duplicate', () => handleDuplicateCategory(category.id)],
+      ['Delete', () => handleDeleteCategory(category)]
+    ];
+    actions.forEach(([text, onClick]) => {
+      const btn = document.createElement('button');
+      btn.textContent = text;
+      btn.setAttribute('aria-label', `${text} ${category.name}`);
+      btn.addEventListener('click', onClick);
+      row.appendChild(btn);
+    });
+    
+    categoryList.appendChild(row);
+  });
+}
 
-  } catch (error) {
-    showError(error.message || 'An error occurred during analysis');
-  } finally {
-    loadingIndicator.style.display = 'none';
-    updateCategoryUIState(); // Re-enable categories
-  }
+/**
+ * Show the category status line
+ * @param {string} text - Status text
+ * @param {boolean} ok - Success or error styling
+ */
+function setCategoryStatus(text, ok) {
+  categoryStatus.textContent = text;
+  categoryStatus.className = `status-message ${ok ? 'status-success' : 'status-error'}`;
 }
 
 /**
- * Add a message to the chat
+ * Open the category editor
+ * @param {Object|null} category - Category to edit, or null for a new one
  */
-function addMessage(role, content) {
-  const messageDiv = document.createElement('div');
-  messageDiv.className = `chat-message ${role}`;
-  
-  const bubble = document.createElement('div');
-  bubble.className = `message-bubble ${role}`;
+function openCategoryEditor(category) {
+  editingCategoryId = category ? category.id : null;
+  categoryNameInput.value = category?.name || '';
+  categoryLabelInput.value = category?.label || '';
+  categoryDescriptionInput.value = category?.description || '';
+  categorySystemInput.value = category?.systemPrompt || '';
+  categoryUserInput.value = category?.userPrompt || DEFAULT_USER_PROMPT;
+  categoryStructuredInput.checked = Boolean(category?.structured);
   
-  if (role === 'assistant') {
-    // Format markdown for assistant messages
-    bubble.innerHTML = formatMessage(content);
-  } else {
-    bubble.textContent = content;
+  const generation = { ...DEFAULT_GENERATION, ...(category?.generation || {}) };
+  if (categoryProviderInput.options.length === 1) {
+    listProviders().forEach(provider => categoryProviderInput.appendChild(new Option(provider.name, provider.id)));
   }
+  categoryProviderInput.value = generation.provider || '';
+  categoryModelInput.value = generation.model || '';
+  updateCategoryModelOptions();
+  categoryTemperatureInput.value = generation.temperature;
+  categoryMaxTokensInput.value = generation.maxTokens;
+  categoryStopInput.value = generation.stop || '';
+  templateVariablesHelp.textContent = `Template variables: ${Object.entries(TEMPLATE_VARIABLES)
+    .map(([name, description]) => `{{${name}}} ${description.toLowerCase()}`)
+    .join(' · ')}`;
   
-  messageDiv.appendChild(bubble);
-  chatMessages.appendChild(messageDiv);
-  
-  // Auto-scroll to bottom
-  chatMessages.scrollTop = chatMessages.scrollHeight;
+  categoryStatus.textContent = '';
+  categoryEditor.style.display = 'flex';
+  categoryNameInput.focus();
 }
 
 /**
- * Format message content with markdown
+ * Suggest the preferred provider's models in the category editor
+ * The model field only applies with a preferred provider
  */
-function formatMessage(text) {
-  let formatted = text
-    .replace(/\*\*(.*?)\*\*/g, '<strong>$1</strong>')
-    .replace(/\*(.*?)\*/g, '<em>$1</em>')
-    .replace(/#{3}\s+(.*?)(?=\n|$)/g, '<h3>$1</h3>')
-    .replace(/#{2}\s+(.*?)(?=\n|$)/g, '<h2>$1</h2>')
-    .replace(/#{1}\s+(.*?)(?=\n|$)/g, '<h1>$1</h1>')
-    .replace(/\n\n/g, '</p><p>')
-    .replace(/\n/g, '<br>');
+function updateCategoryModelOptions() {
+  const provider = getProviderInfo(categoryProviderInput.value);
   
-  formatted = '<p>' + formatted + '</p>';
-  return formatted;
+  categoryModelOptions.innerHTML = '';
+  Object.entries(provider?.models || {}).forEach(([id, model]) => {
+    categoryModelOptions.appendChild(new Option(model.name, id));
+  });
+  categoryModelInput.disabled = !provider;
+  if (!provider) {
+    categoryModelInput.value = '';
+  }
+  categoryModelInput.placeholder = provider ? `${provider.name} model (default: selected model)` : 'Model (choose a provider first)';
 }
 
 /**
- * Load the most recent conversation from storage
+ * Close the category editor without saving
  */
-async function loadMostRecentConversation() {
+function closeCategoryEditor() {
+  editingCategoryId = null;
+  categoryEditor.style.display = 'none';
+}
+
+/**
+ * Save the category in the editor
+ */
+async function handleSaveCategory() {
   try {
-    const recent = await getMostRecentConversation();
-    if (recent && recent.messages && recent.messages.length > 0) {
-      // Restore conversation state
-      currentConversationId = recent.id;
-      conversationHistory = [...recent.messages];
-      currentChartImage = recent.chartImage;
-      currentChartMetadata = recent.metadata;
-      currentProvider = recent.provider;
-      currentCategory = recent.category || 'market-analysis'; // Default to market-analysis for old conversations
-      
-      // Update provider select to match
-      providerSelect.value = currentProvider;
-      updateProviderSubtitle(); // Update subtitle when loading conversation
-      await loadApiKeyStatus();
-      
-      // Restore UI
-      chatMessages.innerHTML = '';
-      conversationHistory.forEach(msg => {
-        addMessage(msg.role, msg.content);
-      });
-      
-      // Show chat interface if there are messages
-      if (conversationHistory.length > 0) {
-        chatContainer.style.display = 'flex';
-        chatInput.disabled = false;
-        sendBtn.disabled = false;
+    const saved = await saveCategory({
+      id: editingCategoryId,
+      name: categoryNameInput.value,
+      label: categoryLabelInput.value,
+      description: categoryDescriptionInput.value,
+      systemPrompt: categorySystemInput.value,
+      userPrompt: categoryUserInput.value,
+      structured: categoryStructuredInput.checked,
+      generation: {
+        provider: categoryProviderInput.value || null,
+        model: categoryModelInput.value,
+        temperature: categoryTemperatureInput.value === '' ? DEFAULT_GENERATION.temperature : Number(categoryTemperatureInput.value),
+        maxTokens: categoryMaxTokensInput.value === '' ? DEFAULT_GENERATION.maxTokens : Number(categoryMaxTokensInput.value),
+        stop: categoryStopInput.value || null
       }
-    }
+    });
+    closeCategoryEditor();
+    await loadCategories();
+    updateCategoryUIState();
+    setCategoryStatus(`Saved "${saved.name}".`, true);
   } catch (error) {
-    console.error('Error loading conversation:', error);
+    setCategoryStatus(error.message, false);
   }
 }
 
 /**
- * Save current conversation to storage
+ * Duplicate a category and open the copy in the editor
+ * @param {string} categoryId - Category id
  */
-async function saveCurrentConversation() {
-  if (conversationHistory.length === 0 || !currentChartImage) {
-    return;
-  }
-  
+async function handleDuplicateCategory(categoryId) {
   try {
-    if (currentConversationId) {
+    const copy = await duplicateCategory(categoryId);
+    await loadCategories();
+    updateCategoryUIState();
+    openCategoryEditor(copy);
+  } catch (error) {
+    setCategoryStatus(error.message, false);
+  }
+}
+
+/**
+ * Delete a category after confirmation
+ * @param {Object} category - Category definition
+ */
+async function handleDeleteCategory(category) {
+  const note = category.builtIn ? ' Built-in categories can be brought back with Restore Defaults.' : '';
+  if (!confirm(`Delete the "${category.name}" category?${note}`)) return;
+  
+  try {
+    await deleteCategory(category.id);
+    if (editingCategoryId === category.id) {
+      closeCategoryEditor();
+    }
+    await loadCategories();
+    updateCategoryUIState();
+    setCategoryStatus(`Deleted "${category.name}".`, true);
+  } catch (error) {
+    setCategoryStatus(error.message, false);
+  }
+}
+
+/**
+ * Restore the built-in categories (custom categories are kept)
+ */
+async function handleRestoreCategories() {
+  if (!confirm('Restore the built-in categories? Your edits to them will be lost; custom categories are kept.')) return;
+  
+  await restoreDefaultCategories();
+  closeCategoryEditor();
+  await loadCategories();
+  updateCategoryUIState();
+  setCategoryStatus('Built-in categories restored.', true);
+}
+
+/**
+ * Handle category click
+ */
+async function handleCategoryClick(category) {
+  currentCategory = category;
+  if (compareModeCheckbox.checked) {
+    await handleCompare(category);
+  } else {
+    await handleAnalyze(category);
+  }
+}
+
+/**
+ * Highlight the button of the category being analyzed
+ * @param {string} category - Category id
+ */
+function setActiveCategoryButton(category) {
+  analysisCategories.querySelectorAll('.category-btn').forEach(btn => {
+    btn.classList.toggle('category-btn-active', btn.dataset.category === category);
+  });
+}
+
+/**
+ * Capture the chart in the active bitview.space tab
+ * @returns {Promise<{imageDataUrl: string, metadata: Object}>} Cropped chart image and chart metadata
+ */
+async function captureChart() {
+  // Get current tab
+  const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+  
+  if (!tab.url || !tab.url.includes('bitview.space')) {
+    throw new Error('Please navigate to bitview.space to analyze charts');
+  }
+
+  // Inject content script if needed and get chart bounds
+  const useManualSelection = manualSelectionCheckbox.checked;
+  
+  // Send message to content script to get chart bounds
+  const captureResponse = await chrome.tabs.sendMessage(tab.id, {
+    action: 'captureChart',
+    useManualSelection
+  });
+
+  if (!captureResponse.success) {
+    throw new Error(captureResponse.error || 'Failed to capture chart');
+  }
+
+  const { bounds, metadata } = captureResponse.data;
+  pageChartSize = { width: bounds.width, height: bounds.height };
+
+  // Request screenshot capture and cropping from background script
+  const screenshotResponse = await chrome.runtime.sendMessage({
+    action: 'captureScreenshot',
+    tabId: tab.id,
+    bounds
+  });
+
+  if (!screenshotResponse.success) {
+    throw new Error(screenshotResponse.error || 'Failed to capture screenshot');
+  }
+
+  return { imageDataUrl: screenshotResponse.imageDataUrl, metadata };
+}
+
+/**
+ * Choose the provider and model an analysis in a category goes to
+ * The category's preferred provider when it is set up, without changing the selected provider
+ * (other categories keep using it; follow-ups go to whoever answered); otherwise the selected one
+ * @param {string} categoryId - Category id
+ * @returns {Promise<{provider: string, model: string|null}>}
+ */
+async function resolveAnalysisTarget(categoryId) {
+  const generation = getGenerationSettings(categories.find(c => c.id === categoryId) || categoryId);
+  let provider = currentProvider;
+  if (generation.provider && generation.provider !== currentProvider && await isProviderReady(generation.provider)) {
+    provider = generation.provider;
+  }
+  const model = (provider === generation.provider && generation.model) ||
+    (provider === currentProvider ? currentModel : await getSelectedModel(provider));
+  return { provider, model };
+}
+
+/**
+ * Handle analyze with category
+ */
+async function handleAnalyze(category = currentCategory) {
+  // Reset UI for new analysis
+  hideError();
+  
+  // Clear current UI state (but don't delete stored conversations)
+  chatMessages.innerHTML = '';
+  currentConversationId = null;
+  conversationHistory = [];
+  currentChartImage = null;
+  currentChartMetadata = null;
+  
+  // Hide chat container initially, will show after analysis
+  chatContainer.style.display = 'none';
+  comparisonContainer.style.display = 'none';
+  setCurrentComparison(null);
+  chatInput.value = '';
+  chatInput.disabled = true;
+  sendBtn.disabled = true;
+  
+  // Update active category visual state
+  setActiveCategoryButton(category);
+  
+  loadingIndicator.style.display = 'block';
+  updateCategoryUIState(false); // Disable categories during analysis
+
+  try {
+    const { provider, model } = await resolveAnalysisTarget(category);
+
+    // Check API key (or model, for self-hosted endpoints)
+    const ready = await isProviderReady(provider);
+    if (!ready) {
+      throw new Error(`Please finish setting up ${getProviderInfo(provider)?.name || provider} in settings`);
+    }
+
+    const { imageDataUrl, metadata } = await captureChart();
+
+    // Store chart data for follow-ups
+    currentChartImage = imageDataUrl;
+    currentChartMetadata = metadata;
+    measureCurrentChart();
+    
+    // Start a new conversation (reset ID for new analysis)
+    currentConversationId = null;
+    conversationHistory = [];
+
+    // Stream the analysis into a new message bubble as tokens arrive
+    const streamingMessage = createStreamingMessage(() => {
+      // First chunk: swap the loading indicator for the chat view, keeping Stop available
+      loadingIndicator.style.display = 'none';
+      chatContainer.style.display = 'flex';
+      setRequestInFlight(true);
+    });
+
+    // Send to background script for analysis (no conversation history for initial)
+    const result = await requestAnalysis({
+      imageDataUrl,
+      metadata,
+      provider,
+      model,
+      category: category,
+      conversationHistory: []
+    }, streamingMessage.append, {
+      onRetry: (retry) => {
+        loadingText.textContent = describeRetry(retry);
+        streamingMessage.reset(describeRetry(retry));
+      }
+    });
+
+    // Replace the streamed bubble with the final first message
+    streamingMessage.remove();
+    
+    if (result.interrupted && !result.analysis) {
+      throw new Error('Analysis stopped');
+    }
+    
+    const assistantMessage = createAssistantMessage(result);
+    addMessage('assistant', assistantMessage.content, assistantMessage);
+    conversationHistory = [assistantMessage]; // Start fresh conversation
+    
+    // Save conversation (will create new one since currentConversationId is null)
+    await saveCurrentConversation();
+    await linkUsageToConversation([result.usageId], currentConversationId);
+    refreshLevelsOverlay(); // Not awaited: may wait on the user to calibrate the chart
+    
+    // Update cost metrics after analysis
+    await updateCostMetrics();
+
+    // Show chat interface
+    chatContainer.style.display = 'flex';
+    chatInput.disabled = false;
+    sendBtn.disabled = false;
+    updateSendEstimate();
+
+  } catch (error) {
+    showError(error.message ? error : 'An error occurred during analysis', { onRetry: () => handleAnalyze(category) });
+  } finally {
+    loadingIndicator.style.display = 'none';
+    loadingText.textContent = 'Analyzing chart...';
+    setRequestInFlight(false);
+    updateCategoryUIState(); // Re-enable categories
+  }
+}
+
+/**
+ * Analyze the chart with every ready provider in parallel and show the answers side by side
+ * @param {string} category - Category id
+ */
+async function handleCompare(category = currentCategory) {
+  hideError();
+  
+  // Stop any in-flight answer and keep the open conversation before leaving it
+  cancelActiveRequest();
+  await saveCurrentConversation();
+  resetConversationView();
+  comparisonContainer.style.display = 'none';
+  chatInput.value = '';
+  chatInput.disabled = true;
+  sendBtn.disabled = true;
+  
+  setActiveCategoryButton(category);
+  loadingText.textContent = 'Comparing providers...';
+  loadingIndicator.style.display = 'block';
+  updateCategoryUIState(false); // Disable categories during analysis
+
+  try {
+    const { imageDataUrl, metadata } = await captureChart();
+
+    let finished = 0;
+    const result = await requestAnalysis({ imageDataUrl, metadata, category }, null, {
+      action: 'compareChart',
+      onResult: (entry) => {
+        finished++;
+        const name = getProviderInfo(entry.provider)?.name || entry.provider;
+        loadingText.textContent = `Comparing providers... ${name} ${entry.error ? 'failed' : 'answered'} (${finished} done)`;
+      }
+    });
+
+    const entries = result.entries.map(entry => ({
+      ...entry,
+      messages: !entry.error && entry.analysis ? [createAssistantMessage(entry)] : []
+    }));
+    if (!entries.some(entry => entry.messages.length > 0)) {
+      const errors = result.entries
+        .map(entry => `${getProviderInfo(entry.provider)?.name || entry.provider}: ${entry.error || 'stopped'}`)
+        .join('; ');
+      throw new Error(`No provider answered. ${errors}`);
+    }
+
+    const { comparisonId, conversationIds } = await saveComparison({
+      entries,
+      chartImage: imageDataUrl,
+      metadata,
+      category,
+      agreement: result.agreement
+    });
+    for (const entry of entries) {
+      await linkUsageToConversation([entry.usageId], conversationIds[entry.provider]);
+    }
+    showComparison(await getComparison(comparisonId));
+    
+    await updateCostMetrics();
+  } catch (error) {
+    showError(error.message ? error : 'An error occurred during comparison', { onRetry: () => handleCompare(category) });
+  } finally {
+    loadingIndicator.style.display = 'none';
+    loadingText.textContent = 'Analyzing chart...';
+    updateCategoryUIState(); // Re-enable categories
+  }
+}
+
+/**
+ * Remember which comparison the open conversation belongs to
+ * @param {string|null} comparisonId - Comparison ID
+ */
+function setCurrentComparison(comparisonId) {
+  currentComparisonId = comparisonId;
+  viewComparisonBtn.style.display = comparisonId ? 'inline-block' : 'none';
+}
+
+/**
+ * Open a saved comparison
+ * @param {string} comparisonId - Comparison ID
+ */
+async function handleOpenComparison(comparisonId) {
+  try {
+    cancelActiveRequest();
+    await saveCurrentConversation();
+    
+    const comparison = await getComparison(comparisonId);
+    if (!comparison) {
+      throw new Error('Comparison not found. Comparisons are not included in backups.');
+    }
+    
+    hideError();
+    showComparison(comparison);
+  } catch (error) {
+    showError(error.message || 'Failed to open comparison');
+  }
+}
+
+/**
+ * Format an answer's latency and cost for the comparison tabs
+ * @param {Object} entry - Comparison entry
+ * @returns {string} e.g. "4.2s · $0.0123"
+ */
+function formatComparisonStats(entry) {
+  const parts = [`${(entry.latencyMs / 1000).toFixed(1)}s`];
+  if (entry.cost !== null && entry.cost !== undefined) {
+    parts.push(formatCost(entry.cost));
+  }
+  return parts.join(' · ');
+}
+
+/**
+ * Show a comparison: agreement summary, one tab per provider
+ * @param {Object} comparison - Comparison from getComparison
+ */
+function showComparison(comparison) {
+  resetConversationView();
+  currentCategory = comparison.category || DEFAULT_CATEGORY_ID;
+  
+  renderComparisonAgreement(comparison.agreement);
+  
+  comparisonTabs.innerHTML = '';
+  const tabs = comparison.entries.map((entry, index) => {
+    const tab = document.createElement('button');
+    tab.className = 'comparison-tab';
+    tab.classList.toggle('failed', Boolean(entry.error));
+    tab.setAttribute('role', 'tab');
+    
+    const name = document.createElement('strong');
+    name.textContent = getProviderInfo(entry.provider)?.name || entry.provider;
+    const stats = document.createElement('span');
+    stats.textContent = entry.error ? 'Failed' : formatComparisonStats(entry);
+    tab.appendChild(name);
+    tab.appendChild(stats);
+    
+    tab.addEventListener('click', () => {
+      tabs.forEach((other, otherIndex) => {
+        other.classList.toggle('active', otherIndex === index);
+        other.setAttribute('aria-selected', String(otherIndex === index));
+      });
+      renderComparisonPanel(entry);
+    });
+    comparisonTabs.appendChild(tab);
+    return tab;
+  });
+  
+  // Start on the first provider that answered
+  const first = Math.max(0, comparison.entries.findIndex(entry => !entry.error));
+  tabs[first]?.click();
+  
+  comparisonContainer.style.display = 'flex';
+}
+
+/**
+ * Show where the providers' structured answers agree on trend and key levels
+ * @param {Object|null} agreement - Agreement summary from compareAnalyses
+ */
+function renderComparisonAgreement(agreement) {
+  comparisonAgreement.innerHTML = '';
+  
+  const summary = document.createElement('p');
+  summary.className = 'agreement-summary';
+  comparisonAgreement.appendChild(summary);
+  
+  if (!agreement) {
+    summary.textContent = 'Trend and key levels are compared when at least two providers return a structured analysis (Structured analysis in settings).';
+    return;
+  }
+  
+  summary.classList.toggle('disagree', agreement.disagreements > 0);
+  summary.textContent = agreement.disagreements === 0
+    ? 'The providers agree on the trend and key levels.'
+    : `${agreement.disagreements} disagreement${agreement.disagreements === 1 ? '' : 's'} on trend and key levels (highlighted).`;
+  
+  const providerNames = agreement.providers.map(provider => getProviderInfo(provider)?.name || provider);
+  const table = document.createElement('table');
+  table.className = 'levels-table';
+  
+  const addRow = (cells, className, tag = 'td') => {
+    const row = document.createElement('tr');
+    if (className) row.className = className;
+    cells.forEach(text => {
+      const cell = document.createElement(tag);
+      cell.textContent = text;
+      row.appendChild(cell);
+    });
+    table.appendChild(row);
+    return row;
+  };
+  
+  addRow(['', ...providerNames], null, 'th');
+  addRow(['Trend', ...agreement.providers.map(provider => {
+    const trend = agreement.trend.byProvider[provider];
+    return `${trend.direction} · ${trend.strength}`;
+  })], agreement.trend.agree ? null : 'disagree');
+  
+  agreement.levels.forEach(level => {
+    const row = addRow([level.type, ...agreement.providers.map(provider =>
+      (provider in level.prices ? formatPrice(level.prices[provider]) : '—')
+    )], `${level.type}${level.agree ? '' : ' disagree'}`);
+    row.firstChild.className = 'level-type';
+  });
+  
+  comparisonAgreement.appendChild(table);
+}
+
+/**
+ * Show one provider's answer in the comparison
+ * @param {Object} entry - Comparison entry with messages
+ */
+function renderComparisonPanel(entry) {
+  comparisonPanel.innerHTML = '';
+  
+  const meta = document.createElement('div');
+  meta.className = 'message-meta';
+  const parts = [];
+  if (entry.model) parts.push(getModelName(entry.model));
+  if (!entry.error) parts.push(formatComparisonStats(entry));
+  if (entry.usage) parts.push(`${(entry.usage.inputTokens || 0).toLocaleString()} in / ${(entry.usage.outputTokens || 0).toLocaleString()} out tokens`);
+  meta.textContent = parts.join(' · ');
+  comparisonPanel.appendChild(meta);
+  
+  if (entry.error) {
+    const error = document.createElement('div');
+    error.className = 'error-message';
+    error.textContent = entry.error;
+    const hint = ERROR_GUIDANCE[entry.errorCode]?.hint;
+    if (hint) {
+      const guidance = document.createElement('p');
+      guidance.className = 'error-guidance';
+      guidance.textContent = hint;
+      error.appendChild(guidance);
+    }
+    comparisonPanel.appendChild(error);
+    return;
+  }
+  
+  const answer = entry.messages?.find(msg => msg.role === 'assistant');
+  if (!answer) {
+    const removed = document.createElement('p');
+    removed.className = 'message-meta';
+    removed.textContent = 'This answer was removed from history.';
+    comparisonPanel.appendChild(removed);
+    return;
+  }
+  
+  if (answer.structured) {
+    comparisonPanel.appendChild(renderStructuredAnalysis(answer.structured));
+  } else {
+    const bubble = document.createElement('div');
+    bubble.className = 'message-bubble assistant';
+    bubble.replaceChildren(renderMarkdown(answer.content));
+    comparisonPanel.appendChild(bubble);
+  }
+  
+  const continueBtn = document.createElement('button');
+  continueBtn.className = 'btn btn-secondary btn-small';
+  continueBtn.textContent = 'Continue in Chat';
+  continueBtn.title = 'Ask this provider follow-up questions';
+  continueBtn.addEventListener('click', () => handleOpenConversation(entry.conversationId));
+  comparisonPanel.appendChild(continueBtn);
+}
+
+/**
+ * Describe a retry or fallback for the loading indicator or answer bubble
+ * @param {Object} retry - {provider, attempt, delayMs, error, fallbackFrom?}
+ * @returns {string} e.g. "OpenAI: Rate limit reached. Retrying in 4s (attempt 2)..."
+ */
+function describeRetry(retry) {
+  const name = (id) => getProviderInfo(id)?.name || id;
+  if (retry.fallbackFrom) {
+    return `${name(retry.fallbackFrom)} is unavailable (${retry.error}). Trying ${name(retry.provider)}...`;
+  }
+  return `${name(retry.provider)}: ${retry.error}. Retrying in ${Math.ceil(retry.delayMs / 1000)}s (attempt ${retry.attempt + 1})...`;
+}
+
+/**
+ * Describe the generation settings an answer was produced with
+ * @param {Object} generation - {temperature, maxTokens, stop}
+ * @returns {Array<string>} Display parts, e.g. ['temp 0.3', '1,500 max tokens']
+ */
+function formatGenerationSettings(generation) {
+  const parts = [];
+  if (typeof generation.temperature === 'number') {
+    parts.push(`temp ${generation.temperature}`);
+  }
+  if (generation.maxTokens) {
+    parts.push(`${generation.maxTokens.toLocaleString()} max tokens`);
+  }
+  if (generation.stop) {
+    parts.push(`stop "${generation.stop}"`);
+  }
+  return parts;
+}
+
+/**
+ * Add a message to the chat
+ * @param {string} role - 'user' or 'assistant'
+ * @param {string} content - Message text
+ * @param {Object} details - Stored message fields (provider and model that produced an assistant answer, fallback and attempts, generation settings, interrupted flag, finish reason, structured analysis)
+ * @returns {HTMLElement} The message element
+ */
+function addMessage(role, content, details = {}) {
+  const messageDiv = document.createElement('div');
+  messageDiv.className = `chat-message ${role}`;
+  
+  const bubble = document.createElement('div');
+  bubble.className = `message-bubble ${role}`;
+  
+  if (role === 'assistant' && details.structured) {
+    bubble.appendChild(renderStructuredAnalysis(details.structured));
+  } else if (role === 'assistant') {
+    // Render markdown for assistant messages (sanitized: see utils/markdown.js)
+    bubble.replaceChildren(renderMarkdown(content));
+  } else {
+    bubble.textContent = content;
+  }
+  
+  messageDiv.appendChild(bubble);
+  
+  if (role === 'assistant' && (details.interrupted || details.finishReason)) {
+    bubble.classList.add('interrupted');
+  }
+  
+  if (role === 'assistant' && (details.model || details.generation || details.interrupted || details.finishReason)) {
+    const meta = document.createElement('div');
+    meta.className = 'message-meta';
+    const parts = [];
+    if (details.provider) {
+      const providerName = getProviderInfo(details.provider)?.name || details.provider;
+      parts.push(details.fallbackFrom
+        ? `${providerName} (fallback from ${getProviderInfo(details.fallbackFrom)?.name || details.fallbackFrom})`
+        : providerName);
+    }
+    if (details.attempts > 1) {
+      parts.push(`${details.attempts} attempts`);
+    }
+    if (details.model) {
+      parts.push(getModelName(details.model));
+    }
+    if (details.generation) {
+      parts.push(...formatGenerationSettings(details.generation));
+    }
+    meta.appendChild(document.createTextNode(parts.join(' · ')));
+    if (details.interrupted || details.finishReason) {
+      const text = details.interrupted
+        ? 'Interrupted'
+        : FINISH_REASON_LABELS[details.finishReason] || `Cut off (${details.finishReason})`;
+      const label = document.createElement('span');
+      label.className = 'interrupted-label';
+      label.textContent = parts.length > 0 ? ` · ${text}` : text;
+      meta.appendChild(label);
+    }
+    messageDiv.appendChild(meta);
+  }
+  
+  chatMessages.appendChild(messageDiv);
+  
+  // Auto-scroll to bottom
+  chatMessages.scrollTop = chatMessages.scrollHeight;
+  
+  return messageDiv;
+}
+
+/**
+ * Render a structured analysis as cards: trend and volatility badges, levels table, scenario rows
+ * @param {Object} analysis - Validated analysis (utils/analysis-schema.js)
+ * @returns {HTMLElement} Cards container
+ */
+function renderStructuredAnalysis(analysis) {
+  const container = document.createElement('div');
+  container.className = 'analysis-cards';
+  
+  const createElement = (tag, className, text) => {
+    const element = document.createElement(tag);
+    if (className) element.className = className;
+    if (text !== undefined) element.textContent = text;
+    return element;
+  };
+  
+  const createCard = (title) => {
+    const card = createElement('div', 'analysis-card');
+    card.appendChild(createElement('h4', null, title));
+    container.appendChild(card);
+    return card;
+  };
+  
+  // Overview: trend and volatility badges with the summary
+  const overview = createCard('Overview');
+  const badges = createElement('div', 'analysis-badges');
+  badges.appendChild(createElement('span', `analysis-badge ${analysis.trend.direction}`,
+    `${analysis.trend.direction} · ${analysis.trend.strength}`));
+  badges.appendChild(createElement('span', 'analysis-badge', `${analysis.volatility.regime} volatility`));
+  overview.appendChild(badges);
+  overview.appendChild(createElement('p', null, analysis.summary));
+  overview.appendChild(createElement('p', 'scenario-invalidation', analysis.trend.rationale));
+  
+  // Levels, highest price first
+  if (analysis.levels.length > 0) {
+    const levelsCard = createCard('Key Levels');
+    const table = createElement('table', 'levels-table');
+    const header = createElement('tr');
+    ['Type', 'Price', 'Level'].forEach(label => header.appendChild(createElement('th', null, label)));
+    table.appendChild(header);
+    
+    [...analysis.levels]
+      .sort((a, b) => b.price - a.price)
+      .forEach(level => {
+        const row = createElement('tr', level.type);
+        row.appendChild(createElement('td', 'level-type', level.strength === 'major' ? `${level.type} ★` : level.type));
+        row.appendChild(createElement('td', 'level-price', formatPrice(level.price)));
+        row.appendChild(createElement('td', null, level.label));
+        table.appendChild(row);
+      });
+    levelsCard.appendChild(table);
+  }
+  
+  // Scenarios
+  if (analysis.scenarios.length > 0) {
+    const scenariosCard = createCard('Scenarios');
+    analysis.scenarios.forEach(scenario => {
+      const row = createElement('div', 'scenario-row');
+      const header = createElement('div', 'scenario-header');
+      header.appendChild(createElement('span', `analysis-badge ${scenario.name}`, scenario.name));
+      header.appendChild(createElement('span', 'scenario-probability', `${scenario.probability}%`));
+      if (scenario.target !== null) {
+        header.appendChild(createElement('span', 'scenario-target', `Target ${formatPrice(scenario.target)}`));
+      }
+      row.appendChild(header);
+      row.appendChild(createElement('p', null, scenario.description));
+      row.appendChild(createElement('p', 'scenario-invalidation', `Invalidated if ${scenario.invalidation}`));
+      scenariosCard.appendChild(row);
+    });
+  }
+  
+  // Invalidation conditions
+  if (analysis.invalidation.length > 0) {
+    const invalidationCard = createCard('Invalidation');
+    const list = createElement('ul', 'invalidation-list');
+    analysis.invalidation.forEach(item => {
+      const price = item.price !== null ? ` (${formatPrice(item.price)})` : '';
+      list.appendChild(createElement('li', null, `${item.condition}${price}`));
+    });
+    invalidationCard.appendChild(list);
+  }
+  
+  if (analysis.onChainImplications) {
+    const onChainCard = createCard('On-Chain Implications');
+    onChainCard.appendChild(createElement('p', null, analysis.onChainImplications));
+  }
+  
+  return container;
+}
+
+/**
+ * Load the most recent conversation from storage
+ */
+async function loadMostRecentConversation() {
+  try {
+    const recent = await getMostRecentConversation();
+    if (recent && recent.messages && recent.messages.length > 0) {
+      await restoreConversation(recent);
+    }
+  } catch (error) {
+    console.error('Error loading conversation:', error);
+  }
+}
+
+/**
+ * Restore a saved conversation into the chat so it can be continued
+ * @param {Object} conversation - Stored conversation
+ */
+async function restoreConversation(conversation) {
+  // Levels on the chart belong to the previous conversation
+  if (levelsOverlayVisible) {
+    hideLevelsOverlay();
+  }
+  
+  // Restore conversation state
+  currentConversationId = conversation.id;
+  conversationHistory = [...conversation.messages];
+  currentChartImage = conversation.chartImage;
+  currentChartMetadata = conversation.metadata;
+  measureCurrentChart();
+  if (isKnownProvider(conversation.provider)) {
+    currentProvider = conversation.provider;
+  }
+  currentCategory = conversation.category || DEFAULT_CATEGORY_ID; // Old conversations have no category
+  setCurrentComparison(conversation.comparisonId || null);
+  comparisonContainer.style.display = 'none';
+  
+  // Update provider select to match
+  await switchProvider(currentProvider);
+  
+  // Restore UI
+  chatMessages.innerHTML = '';
+  conversationHistory.forEach(msg => {
+    addMessage(msg.role, msg.content, msg);
+  });
+  
+  // Show chat interface if there are messages
+  if (conversationHistory.length > 0) {
+    chatContainer.style.display = 'flex';
+    chatInput.disabled = false;
+    sendBtn.disabled = false;
+  }
+  updateCostEstimates();
+}
+
+/**
+ * Make a provider the selected one and refresh the settings that depend on it
+ * @param {string} provider - Provider id
+ */
+async function switchProvider(provider) {
+  currentProvider = provider;
+  providerSelect.value = provider;
+  updateProviderSubtitle();
+  await updateEndpointSettings();
+  await populateModelSelect();
+  await loadApiKeyStatus();
+}
+
+/**
+ * Clear the chat after its conversation was deleted
+ */
+function resetConversationView() {
+  if (levelsOverlayVisible) {
+    hideLevelsOverlay();
+  }
+  currentConversationId = null;
+  conversationHistory = [];
+  currentChartImage = null;
+  currentChartMetadata = null;
+  currentChartSize = null;
+  setCurrentComparison(null);
+  chatMessages.innerHTML = '';
+  chatContainer.style.display = 'none';
+  updateSendEstimate();
+}
+
+/**
+ * Open the history drawer
+ */
+async function openHistory() {
+  historyDrawer.style.display = 'flex';
+  populateHistoryFilters();
+  await populateTagFilter();
+  await renderHistory();
+  historySearchInput.focus();
+}
+
+/**
+ * Fill the provider and category filters (once)
+ */
+function populateHistoryFilters() {
+  if (historyProviderFilter.options.length > 1) return;
+  
+  listProviders().forEach(provider => {
+    historyProviderFilter.appendChild(new Option(provider.name, provider.id));
+  });
+  categories.forEach(category => {
+    historyCategoryFilter.appendChild(new Option(category.name, category.id));
+  });
+}
+
+/**
+ * Fill the tag filter with the tags in use, keeping the current choice
+ */
+async function populateTagFilter() {
+  const selected = historyTagFilter.value;
+  const tags = await getAllTags();
+  
+  historyTagFilter.length = 1; // Keep "All tags"
+  tags.forEach(tag => historyTagFilter.appendChild(new Option(tag, tag)));
+  historyTagFilter.value = tags.includes(selected) ? selected : '';
+}
+
+/**
+ * Read the history search box and filters
+ * @returns {Object} Filters for searchConversations
+ */
+function getHistoryFilters() {
+  // Date inputs are local calendar days; include the whole "to" day
+  const from = historyFromFilter.value ? new Date(`${historyFromFilter.value}T00:00:00`).getTime() : null;
+  const to = historyToFilter.value ? new Date(`${historyToFilter.value}T23:59:59.999`).getTime() : null;
+  
+  return {
+    text: historySearchInput.value.trim(),
+    provider: historyProviderFilter.value,
+    category: historyCategoryFilter.value,
+    tag: historyTagFilter.value,
+    from,
+    to
+  };
+}
+
+/**
+ * Close the history drawer
+ */
+function closeHistory() {
+  historyDrawer.style.display = 'none';
+}
+
+/**
+ * Open the usage dashboard
+ */
+async function openUsage() {
+  usageDrawer.style.display = 'flex';
+  await renderUsageDashboard();
+}
+
+/**
+ * Close the usage dashboard
+ */
+function closeUsage() {
+  usageDrawer.style.display = 'none';
+}
+
+/**
+ * Render spending and token statistics for the selected period
+ */
+async function renderUsageDashboard() {
+  const [records, conversations] = await Promise.all([getUsageRecords(), getAllConversations()]);
+  const summary = summarizeUsage(records, { days: Number(usageRangeSelect.value) });
+  
+  usageDashboard.innerHTML = '';
+  if (summary.callCount === 0) {
+    const empty = document.createElement('div');
+    empty.className = 'history-empty';
+    empty.textContent = 'No usage in this period';
+    usageDashboard.appendChild(empty);
+    return;
+  }
+  
+  const formatTokens = ({ input, output }) => `${formatTokenCount(input)} in / ${formatTokenCount(output)} out`;
+  const totals = [
+    ['Spent', formatCost(summary.totalCost)],
+    ['Calls', `${summary.analysisCount} analyses, ${summary.followUpCount} follow-ups`],
+    ['Tokens per analysis', formatTokens(summary.avgTokensPerAnalysis)],
+    ['Tokens per follow-up', summary.followUpCount > 0 ? formatTokens(summary.avgTokensPerFollowUp) : 'n/a'],
+    ['Average response time', summary.avgLatencyMs !== null ? `${(summary.avgLatencyMs / 1000).toFixed(1)}s` : 'n/a']
+  ];
+  const totalsGrid = document.createElement('div');
+  totalsGrid.className = 'usage-totals';
+  totals.forEach(([label, value]) => {
+    const stat = document.createElement('div');
+    const labelEl = document.createElement('small');
+    labelEl.textContent = label;
+    const valueEl = document.createElement('strong');
+    valueEl.textContent = value;
+    stat.appendChild(labelEl);
+    stat.appendChild(valueEl);
+    totalsGrid.appendChild(stat);
+  });
+  usageDashboard.appendChild(totalsGrid);
+  
+  const modelLabel = (key) => {
+    if (!key) return 'Unknown model';
+    const [provider, ...model] = key.split('/'); // Local model ids may contain slashes
+    return `${getModelName(model.join('/'))} (${getProviderInfo(provider)?.name || provider})`;
+  };
+  const conversationsById = new Map(conversations.map(conversation => [conversation.id, conversation]));
+  
+  usageDashboard.appendChild(createUsageSection('Daily spend', createDailySpendChart(summary.daily)));
+  usageDashboard.appendChild(createUsageSection('By provider', createUsageBreakdown(summary.byProvider, key => getProviderInfo(key)?.name || key)));
+  usageDashboard.appendChild(createUsageSection('By model', createUsageBreakdown(summary.byModel, modelLabel)));
+  usageDashboard.appendChild(createUsageSection('By category', createUsageBreakdown(summary.byCategory, key => (key ? getCategoryName(key) : 'Not recorded'))));
+  if (summary.topConversations.length > 0) {
+    usageDashboard.appendChild(createUsageSection('Most expensive conversations', createUsageBreakdown(summary.topConversations, (key) => {
+      const conversation = conversationsById.get(key);
+      return conversation
+        ? `${conversation.metadata?.title || 'Bitcoin Chart'} · ${new Date(conversation.timestamp).toLocaleDateString()}`
+        : 'Deleted conversation';
+    }, (key) => {
+      if (conversationsById.has(key)) {
+        closeUsage();
+        handleOpenConversation(key);
+      }
+    })));
+  }
+}
+
+/**
+ * Create a titled dashboard section
+ * @param {string} title - Section title
+ * @param {HTMLElement} content - Section content
+ * @returns {HTMLElement}
+ */
+function createUsageSection(title, content) {
+  const section = document.createElement('section');
+  section.className = 'usage-section';
+  const heading = document.createElement('h3');
+  heading.textContent = title;
+  section.appendChild(heading);
+  section.appendChild(content);
+  return section;
+}
+
+/**
+ * Create a bar chart of spend per day
+ * @param {Array<{date: string, cost: number, count: number}>} daily - One entry per day, oldest first
+ * @returns {HTMLElement}
+ */
+function createDailySpendChart(daily) {
+  const chart = document.createElement('div');
+  chart.className = 'usage-chart';
+  const max = Math.max(...daily.map(day => day.cost));
+  
+  const bars = document.createElement('div');
+  bars.className = 'usage-chart-bars';
+  daily.forEach(day => {
+    const bar = document.createElement('div');
+    bar.className = 'usage-chart-bar';
+    bar.style.height = max > 0 ? `${Math.max(day.cost > 0 ? 2 : 0, (day.cost / max) * 100)}%` : '0';
+    bar.title = `${day.date}: ${formatCost(day.cost)} (${day.count} call${day.count === 1 ? '' : 's'})`;
+    bars.appendChild(bar);
+  });
+  
+  const axis = document.createElement('div');
+  axis.className = 'usage-chart-axis';
+  const first = document.createElement('span');
+  first.textContent = daily[0].date;
+  const peak = document.createElement('span');
+  peak.textContent = `max ${formatCost(max)}/day`;
+  const last = document.createElement('span');
+  last.textContent = daily[daily.length - 1].date;
+  axis.appendChild(first);
+  axis.appendChild(peak);
+  axis.appendChild(last);
+  
+  chart.appendChild(bars);
+  chart.appendChild(axis);
+  return chart;
+}
+
+/**
+ * Create a list of spend per group, with bars relative to the largest
+ * @param {Array<{key: string|null, cost: number, count: number}>} groups - Groups, most expensive first
+ * @param {Function} getLabel - Returns the label for a group key
+ * @param {Function|null} onSelect - Called with the group key when a row is clicked
+ * @returns {HTMLElement}
+ */
+function createUsageBreakdown(groups, getLabel, onSelect = null) {
+  const list = document.createElement('div');
+  list.className = 'usage-breakdown';
+  const max = groups[0]?.cost || 0;
+  
+  groups.forEach(group => {
+    const row = document.createElement('div');
+    row.className = 'usage-row';
+    
+    const label = document.createElement('span');
+    label.className = 'usage-row-label';
+    label.textContent = getLabel(group.key);
+    label.title = label.textContent;
+    
+    const value = document.createElement('span');
+    value.className = 'usage-row-value';
+    value.textContent = `${formatCost(group.cost)} · ${group.count}`;
+    value.title = `${group.count} call${group.count === 1 ? '' : 's'}, ${(group.inputTokens || 0).toLocaleString()} in / ${(group.outputTokens || 0).toLocaleString()} out tokens`;
+    
+    const bar = document.createElement('div');
+    bar.className = 'usage-row-bar';
+    bar.style.width = max > 0 ? `${(group.cost / max) * 100}%` : '0';
+    
+    row.appendChild(label);
+    row.appendChild(value);
+    row.appendChild(bar);
+    if (onSelect) {
+      row.classList.add('usage-row-link');
+      row.addEventListener('click', () => onSelect(group.key));
+    }
+    list.appendChild(row);
+  });
+  return list;
+}
+
+/**
+ * Download every stored usage record as CSV
+ */
+async function handleExportUsage() {
+  try {
+    const records = await getUsageRecords();
+    if (records.length === 0) {
+      throw new Error('No usage recorded yet');
+    }
+    await downloadExport(buildUsageCsvFile(records));
+  } catch (error) {
+    showError(`Export failed: ${error.message}`);
+  }
+}
+
+/**
+ * Render saved conversations and storage usage in the history drawer
+ */
+async function renderHistory() {
+  const filters = getHistoryFilters();
+  const filtering = Boolean(filters.text || filters.provider || filters.category || filters.tag || filters.from || filters.to);
+  const [conversations, size, policy] = await Promise.all([searchConversations(filters), getStorageSize(), getRetentionPolicy()]);
+  const terms = filters.text.toLowerCase().split(/[^\p{L}\p{N}]+/u).filter(term => term.length >= 2);
+  
+  const limit = policy.maxSizeMB * 1024 * 1024;
+  historyStorage.textContent = `${conversations.length} ${filtering ? 'matching' : 'saved'} · ${formatBytes(size)} of ${formatBytes(limit)} used`;
+  historyStorage.classList.toggle('near-limit', size / limit > 0.8);
+  clearHistoryBtn.disabled = filtering || conversations.length === 0;
+  updateExportSelectedButton();
+  
+  // Thumbnails use object URLs for the stored image blobs
+  historyObjectUrls.forEach(url => URL.revokeObjectURL(url));
+  historyObjectUrls = [];
+  
+  historyList.innerHTML = '';
+  if (conversations.length === 0) {
+    const empty = document.createElement('div');
+    empty.className = 'history-empty';
+    empty.textContent = filtering ? 'No conversations match' : 'No saved conversations yet';
+    historyList.appendChild(empty);
+    return;
+  }
+  
+  conversations.forEach(conversation => {
+    historyList.appendChild(createHistoryItem(conversation, terms));
+  });
+}
+
+/**
+ * Append text to an element, wrapping search term matches in <mark>
+ * @param {HTMLElement} element - Target element
+ * @param {string} text - Text to show
+ * @param {Array<string>} terms - Lowercase search terms
+ */
+function appendHighlighted(element, text, terms) {
+  if (terms.length === 0) {
+    element.appendChild(document.createTextNode(text));
+    return;
+  }
+  
+  const escaped = terms.map(term => term.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'));
+  const pattern = new RegExp(`(${escaped.join('|')})`, 'gi');
+  text.split(pattern).forEach((part, index) => {
+    // Odd indexes are the captured matches
+    if (index % 2 === 1) {
+      const mark = document.createElement('mark');
+      mark.textContent = part;
+      element.appendChild(mark);
+    } else if (part) {
+      element.appendChild(document.createTextNode(part));
+    }
+  });
+}
+
+/**
+ * Build one history list entry
+ * @param {Object} conversation - Stored conversation (search result)
+ * @param {Array<string>} terms - Search terms to highlight
+ * @returns {HTMLElement} List item
+ */
+function createHistoryItem(conversation, terms = []) {
+  const item = document.createElement('div');
+  item.className = 'history-item';
+  item.classList.toggle('active', conversation.id === currentConversationId);
+  
+  const select = document.createElement('input');
+  select.type = 'checkbox';
+  select.className = 'history-select';
+  select.checked = selectedConversationIds.has(conversation.id);
+  select.title = 'Select for export';
+  select.setAttribute('aria-label', 'Select for export');
+  select.addEventListener('click', (e) => e.stopPropagation());
+  select.addEventListener('change', () => {
+    if (select.checked) {
+      selectedConversationIds.add(conversation.id);
+    } else {
+      selectedConversationIds.delete(conversation.id);
+    }
+    updateExportSelectedButton();
+  });
+  
+  const thumbnail = document.createElement('img');
+  thumbnail.className = 'history-thumbnail';
+  thumbnail.alt = '';
+  getChartImageBlob(conversation.imageHash)
+    .then(blob => {
+      if (!blob) return;
+      const url = URL.createObjectURL(blob);
+      historyObjectUrls.push(url);
+      thumbnail.src = url;
+    })
+    .catch(error => console.warn('Could not load thumbnail:', error));
+  
+  const info = document.createElement('div');
+  info.className = 'history-info';
+  
+  const title = document.createElement('div');
+  title.className = 'history-title';
+  title.title = conversation.metadata?.title || 'Bitcoin Chart';
+  appendHighlighted(title, title.title, terms);
+  
+  const details = document.createElement('div');
+  details.className = 'history-details';
+  const providerName = getProviderInfo(conversation.provider)?.name || conversation.provider;
+  const categoryName = getCategoryName(conversation.category);
+  details.textContent = `${providerName} · ${categoryName}${conversation.comparisonId ? ' · Comparison' : ''} · ${new Date(conversation.timestamp).toLocaleString()}`;
+  
+  info.appendChild(title);
+  info.appendChild(details);
+  
+  if (conversation.snippet) {
+    const snippet = document.createElement('div');
+    snippet.className = 'history-snippet';
+    appendHighlighted(snippet, conversation.snippet, terms);
+    info.appendChild(snippet);
+  }
+  
+  if (conversation.tags?.length) {
+    const tags = document.createElement('div');
+    tags.className = 'history-tags';
+    conversation.tags.forEach(tag => {
+      const chip = document.createElement('span');
+      chip.className = 'history-tag';
+      chip.textContent = tag;
+      tags.appendChild(chip);
+    });
+    info.appendChild(tags);
+  }
+  
+  const actions = document.createElement('div');
+  actions.className = 'history-actions';
+  
+  const pinBtn = document.createElement('button');
+  pinBtn.className = `history-pin-btn${conversation.pinned ? ' pinned' : ''}`;
+  pinBtn.textContent = conversation.pinned ? '★' : '☆';
+  pinBtn.title = conversation.pinned ? 'Unpin' : 'Pin (pinned conversations are listed first and never expire)';
+  pinBtn.setAttribute('aria-label', pinBtn.title);
+  pinBtn.addEventListener('click', async (e) => {
+    e.stopPropagation();
+    await setConversationPinned(conversation.id, !conversation.pinned);
+    await renderHistory();
+  });
+  
+  const tagBtn = document.createElement('button');
+  tagBtn.className = 'history-tag-btn';
+  tagBtn.textContent = '#';
+  tagBtn.title = 'Edit tags';
+  tagBtn.setAttribute('aria-label', 'Edit tags');
+  tagBtn.addEventListener('click', (e) => {
+    e.stopPropagation();
+    handleEditTags(conversation);
+  });
+  
+  const deleteBtn = document.createElement('button');
+  deleteBtn.className = 'history-delete-btn';
+  deleteBtn.textContent = '✕';
+  deleteBtn.title = 'Delete conversation';
+  deleteBtn.setAttribute('aria-label', 'Delete conversation');
+  deleteBtn.addEventListener('click', (e) => {
+    e.stopPropagation();
+    handleDeleteConversation(conversation.id);
+  });
+  
+  actions.appendChild(pinBtn);
+  actions.appendChild(tagBtn);
+  actions.appendChild(deleteBtn);
+  
+  item.appendChild(select);
+  item.appendChild(thumbnail);
+  item.appendChild(info);
+  item.appendChild(actions);
+  item.addEventListener('click', () => handleOpenConversation(conversation.id));
+  
+  return item;
+}
+
+/**
+ * Edit a conversation's tags (comma separated)
+ * @param {Object} conversation - Stored conversation
+ */
+async function handleEditTags(conversation) {
+  const input = prompt('Tags (comma separated)', (conversation.tags || []).join(', '));
+  if (input === null) return;
+  
+  try {
+    await setConversationTags(conversation.id, input.split(','));
+    await populateTagFilter();
+    await renderHistory();
+  } catch (error) {
+    showError(error.message || 'Failed to save tags');
+  }
+}
+
+/**
+ * Open a saved conversation from the history drawer
+ * @param {string} conversationId - Conversation ID
+ */
+async function handleOpenConversation(conversationId) {
+  try {
+    // Stop any in-flight answer and save the current conversation before switching
+    cancelActiveRequest();
+    await saveCurrentConversation();
+    
+    const conversation = await getConversationById(conversationId);
+    if (!conversation) {
+      throw new Error('Conversation not found');
+    }
+    
+    hideError();
+    await restoreConversation(conversation);
+    closeHistory();
+  } catch (error) {
+    showError(error.message || 'Failed to open conversation');
+  }
+}
+
+/**
+ * Delete a conversation from the history drawer
+ * @param {string} conversationId - Conversation ID
+ */
+async function handleDeleteConversation(conversationId) {
+  if (!confirm('Delete this conversation?')) return;
+  
+  if (conversationId === currentConversationId) {
+    cancelActiveRequest();
+    resetConversationView();
+  }
+  await deleteConversation(conversationId);
+  selectedConversationIds.delete(conversationId);
+  await renderHistory();
+}
+
+/**
+ * Delete all saved conversations
+ */
+async function handleClearHistory() {
+  if (!confirm('Delete all saved conversations? This cannot be undone.')) return;
+  
+  cancelActiveRequest();
+  resetConversationView();
+  await clearAllConversations();
+  selectedConversationIds.clear();
+  await renderHistory();
+}
+
+/**
+ * Enable the batch export button when conversations are selected
+ */
+function updateExportSelectedButton() {
+  exportSelectedBtn.disabled = selectedConversationIds.size === 0;
+  exportSelectedBtn.textContent = selectedConversationIds.size > 0
+    ? `Export Selected (${selectedConversationIds.size})`
+    : 'Export Selected';
+}
+
+/**
+ * Export the conversations selected in the history drawer as one file
+ */
+async function handleExportSelected() {
+  try {
+    const conversations = (await Promise.all([...selectedConversationIds].map(id => getConversationById(id))))
+      .filter(Boolean)
+      .sort((a, b) => a.timestamp - b.timestamp);
+    
+    await downloadExport(buildExport(conversations, historyExportFormat.value, categories));
+  } catch (error) {
+    showError(`Export failed: ${error.message}`);
+  }
+}
+
+/**
+ * Load the history retention policy into settings
+ */
+async function loadRetentionPolicy() {
+  const policy = await getRetentionPolicy();
+  retentionSizeInput.value = policy.maxSizeMB;
+  retentionAgeInput.value = policy.maxAgeDays;
+}
+
+/**
+ * Save the history retention policy and apply it right away
+ */
+async function handleSaveRetention() {
+  try {
+    await saveRetentionPolicy({
+      maxSizeMB: Number(retentionSizeInput.value),
+      maxAgeDays: Number(retentionAgeInput.value)
+    });
+    const removed = await applyRetentionPolicy();
+    retentionStatus.textContent = removed > 0
+      ? `Saved. Removed ${removed} old conversation${removed === 1 ? '' : 's'}.`
+      : 'Saved.';
+    retentionStatus.className = 'status-message status-success';
+  } catch (error) {
+    retentionStatus.textContent = error.message;
+    retentionStatus.className = 'status-message status-error';
+  }
+}
+
+/**
+ * Show the key vault state in settings
+ * The passphrase button encrypts keys when the vault is off, unlocks it when locked
+ * and turns it off when unlocked
+ */
+async function loadVaultStatus() {
+  const { status } = await sendKeyMessage({ action: 'getVaultStatus' });
+  vaultPassphraseInput.value = '';
+  vaultConfirmInput.value = '';
+  vaultConfirmInput.style.display = status.enabled ? 'none' : 'block';
+  vaultLockBtn.style.display = status.enabled && !status.locked ? 'inline-block' : 'none';
+  vaultResetBtn.style.display = status.enabled && status.locked ? 'inline-block' : 'none';
+  vaultAutoLockSelect.value = String(status.autoLockMinutes);
+
+  if (!status.enabled) {
+    vaultPassphraseInput.placeholder = 'New passphrase (8+ characters)';
+    vaultPrimaryBtn.textContent = 'Encrypt Keys';
+    vaultPrimaryBtn.className = 'btn btn-primary';
+    vaultStatus.textContent = 'Off - API keys are stored unencrypted';
+    vaultStatus.className = 'status-message status-warning';
+  } else if (status.locked) {
+    vaultPassphraseInput.placeholder = 'Passphrase';
+    vaultPrimaryBtn.textContent = 'Unlock';
+    vaultPrimaryBtn.className = 'btn btn-primary';
+    vaultStatus.textContent = '🔒 Locked - unlock to analyze or change keys';
+    vaultStatus.className = 'status-message status-warning';
+  } else {
+    vaultPassphraseInput.placeholder = 'Passphrase (to turn encryption off)';
+    vaultPrimaryBtn.textContent = 'Turn Off';
+    vaultPrimaryBtn.className = 'btn btn-secondary';
+    vaultStatus.textContent = status.expiresAt
+      ? `🔓 Unlocked - locks at ${new Date(status.expiresAt).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })} if unused`
+      : '🔓 Unlocked until the browser closes';
+    vaultStatus.className = 'status-message status-success';
+  }
+}
+
+/**
+ * Encrypt, unlock or decrypt the stored keys with the entered passphrase, depending on the vault state
+ */
+async function handleVaultPrimary() {
+  const passphrase = vaultPassphraseInput.value;
+  if (!passphrase) {
+    vaultStatus.textContent = 'Enter the passphrase';
+    vaultStatus.className = 'status-message status-error';
+    return;
+  }
+
+  vaultPrimaryBtn.disabled = true;
+  try {
+    const { status } = await sendKeyMessage({ action: 'getVaultStatus' });
+    if (!status.enabled) {
+      if (passphrase !== vaultConfirmInput.value) {
+        throw new Error('Passphrases do not match');
+      }
+      await sendKeyMessage({ action: 'enableKeyVault', passphrase, autoLockMinutes: Number(vaultAutoLockSelect.value) });
+    } else if (status.locked) {
+      await sendKeyMessage({ action: 'unlockVault', passphrase });
+    } else {
+      await sendKeyMessage({ action: 'disableKeyVault', passphrase });
+    }
+    await loadVaultStatus();
+    await loadApiKeyStatus();
+    await updateProviderCosts();
+  } catch (error) {
+    vaultStatus.textContent = error.message;
+    vaultStatus.className = 'status-message status-error';
+  } finally {
+    vaultPrimaryBtn.disabled = false;
+  }
+}
+
+/**
+ * Lock the key vault now
+ */
+async function handleLockVault() {
+  await sendKeyMessage({ action: 'lockVault' });
+  await loadVaultStatus();
+}
+
+/**
+ * Remove the vault and its encrypted keys when the passphrase is forgotten
+ */
+async function handleResetVault() {
+  if (!confirm('Remove the key vault? Your encrypted API keys will be deleted and must be entered again.')) {
+    return;
+  }
+  try {
+    await sendKeyMessage({ action: 'resetKeyVault' });
+    await loadVaultStatus();
+    await loadApiKeyStatus();
+  } catch (error) {
+    vaultStatus.textContent = error.message;
+    vaultStatus.className = 'status-message status-error';
+  }
+}
+
+/**
+ * Save the auto-lock time (used when the vault is enabled, or right away if it already is)
+ */
+async function handleAutoLockChange() {
+  const { status } = await sendKeyMessage({ action: 'getVaultStatus' });
+  if (!status.enabled) {
+    return;
+  }
+  try {
+    await sendKeyMessage({ action: 'setVaultAutoLock', minutes: Number(vaultAutoLockSelect.value) });
+    await loadVaultStatus();
+  } catch (error) {
+    vaultStatus.textContent = error.message;
+    vaultStatus.className = 'status-message status-error';
+  }
+}
+
+/**
+ * Load the budgets into settings
+ * Per-provider budgets are shown for the selected provider
+ */
+async function loadBudgetSettings() {
+  const { limits, alertThresholds, capAction } = await getBudgetSettings();
+  const providerName = getProviderInfo(currentProvider)?.name || currentProvider;
+  budgetMonthlyInput.value = limits.monthly.total ?? '';
+  budgetDailyInput.value = limits.daily.total ?? '';
+  budgetProviderMonthlyLabel.textContent = `Monthly, ${providerName} ($)`;
+  budgetProviderMonthlyInput.value = limits.monthly.providers[currentProvider] ?? '';
+  budgetProviderDailyLabel.textContent = `Daily, ${providerName} ($)`;
+  budgetProviderDailyInput.value = limits.daily.providers[currentProvider] ?? '';
+  budgetThresholdsInput.value = alertThresholds.join(', ');
+  budgetCapActionSelect.value = capAction;
+  budgetStatus.textContent = '';
+  budgetStatus.className = 'status-message';
+  await renderBudgetSummary();
+}
+
+/**
+ * List each budget with what has been spent against it this period
+ */
+async function renderBudgetSummary() {
+  budgetSummary.innerHTML = '';
+  for (const budget of await getBudgetStatus()) {
+    const item = document.createElement('li');
+    item.classList.toggle('over-budget', budget.spent >= budget.limit);
+    const name = document.createElement('span');
+    name.textContent = describeBudget(budget);
+    const spent = document.createElement('span');
+    spent.textContent = `${formatCost(budget.spent)} of ${formatCost(budget.limit)}`;
+    item.appendChild(name);
+    item.appendChild(spent);
+    budgetSummary.appendChild(item);
+  }
+}
+
+/**
+ * Save the budgets
+ * Empty amounts remove a budget; the other providers' budgets are kept as they are
+ */
+async function handleSaveBudget() {
+  const toLimit = (input) => (input.value.trim() === '' ? null : Number(input.value));
+  try {
+    const { limits } = await getBudgetSettings();
+    limits.monthly.total = toLimit(budgetMonthlyInput);
+    limits.daily.total = toLimit(budgetDailyInput);
+    limits.monthly.providers[currentProvider] = toLimit(budgetProviderMonthlyInput);
+    limits.daily.providers[currentProvider] = toLimit(budgetProviderDailyInput);
+
+    await saveBudgetSettings({
+      limits,
+      alertThresholds: budgetThresholdsInput.value.split(',').map(t => t.trim()).filter(Boolean).map(Number),
+      capAction: budgetCapActionSelect.value
+    });
+    budgetStatus.textContent = 'Saved.';
+    budgetStatus.className = 'status-message status-success';
+    await renderBudgetSummary();
+    await updateCostMetrics();
+  } catch (error) {
+    budgetStatus.textContent = error.message;
+    budgetStatus.className = 'status-message status-error';
+  }
+}
+
+/**
+ * Load the selected provider's retry policy into settings
+ */
+async function loadRetryPolicy() {
+  const policy = await getRetryPolicy(currentProvider);
+  retryAttemptsInput.value = policy.maxAttempts;
+  retryBaseDelayInput.value = policy.baseDelayMs / 1000;
+  retryMaxDelayInput.value = policy.maxDelayMs / 1000;
+  retryStatus.textContent = '';
+  retryStatus.className = 'status-message';
+}
+
+/**
+ * Save the selected provider's retry policy
+ */
+async function handleSaveRetryPolicy() {
+  try {
+    await saveRetryPolicy(currentProvider, {
+      maxAttempts: Number(retryAttemptsInput.value),
+      baseDelayMs: Math.round(Number(retryBaseDelayInput.value) * 1000),
+      maxDelayMs: Math.round(Number(retryMaxDelayInput.value) * 1000)
+    });
+    retryStatus.textContent = `Saved for ${getProviderInfo(currentProvider)?.name || currentProvider}.`;
+    retryStatus.className = 'status-message status-success';
+  } catch (error) {
+    retryStatus.textContent = error.message;
+    retryStatus.className = 'status-message status-error';
+  }
+}
+
+/**
+ * List providers for the fallback chain: ticked ones in chain order, then the rest
+ */
+async function renderFallbackList() {
+  const chain = await getFallbackChain();
+  const order = [...chain, ...listProviders().map(p => p.id).filter(id => !chain.includes(id))];
+  
+  // Save whatever the rows show, in their order
+  const save = async (ids, enabled) => {
+    await saveFallbackChain(ids.filter(id => enabled.has(id)));
+    await renderFallbackList();
+  };
+  
+  fallbackList.innerHTML = '';
+  order.forEach((providerId, index) => {
+    const row = document.createElement('div');
+    row.className = 'category-row';
+    
+    const enabled = document.createElement('input');
+    enabled.type = 'checkbox';
+    enabled.checked = chain.includes(providerId);
+    enabled.setAttribute('aria-label', `Use ${getProviderInfo(providerId)?.name || providerId} as a fallback`);
+    enabled.addEventListener('change', () => {
+      const ticked = new Set(chain);
+      if (enabled.checked) {
+        ticked.add(providerId);
+      } else {
+        ticked.delete(providerId);
+      }
+      save(order, ticked);
+    });
+    
+    const name = document.createElement('span');
+    name.className = 'category-row-name';
+    name.textContent = getProviderInfo(providerId)?.name || providerId;
+    
+    const move = (offset) => {
+      const reordered = [...order];
+      [reordered[index], reordered[index + offset]] = [reordered[index + offset], reordered[index]];
+      save(reordered, new Set(chain));
+    };
+    const upBtn = document.createElement('button');
+    upBtn.textContent = '▲';
+    upBtn.title = 'Move up';
+    upBtn.setAttribute('aria-label', 'Move up');
+    upBtn.disabled = !enabled.checked || index === 0; // Only ticked providers have an order
+    upBtn.addEventListener('click', () => move(-1));
+    const downBtn = document.createElement('button');
+    downBtn.textContent = '▼';
+    downBtn.title = 'Move down';
+    downBtn.setAttribute('aria-label', 'Move down');
+    downBtn.disabled = !enabled.checked || index === chain.length - 1;
+    downBtn.addEventListener('click', () => move(1));
+    
+    row.appendChild(enabled);
+    row.appendChild(name);
+    row.appendChild(upBtn);
+    row.appendChild(downBtn);
+    fallbackList.appendChild(row);
+  });
+}
+
+/**
+ * Show the backup/restore status line
+ * @param {string} text - Status text
+ * @param {boolean} ok - Success or error styling
+ */
+function setBackupStatus(text, ok) {
+  backupStatus.textContent = text;
+  backupStatus.className = `status-message ${ok ? 'status-success' : 'status-error'}`;
+}
+
+/**
+ * Download a backup of conversations, usage records and preferences
+ */
+async function handleBackup() {
+  const includeApiKeys = backupIncludeKeysCheckbox.checked;
+  if (includeApiKeys && !confirm('The backup file will contain your API keys in plain text. Anyone with the file can use them. Continue?')) {
+    return;
+  }
+  
+  backupBtn.disabled = true;
+  backupConflicts.style.display = 'none';
+  try {
+    await saveCurrentConversation();
+    let count;
+    if (includeApiKeys) {
+      // The background adds the keys and saves the file, so they never reach this page
+      count = (await sendKeyMessage({ action: 'downloadBackupWithKeys' })).conversations;
+    } else {
+      const archive = await createBackup();
+      await downloadExport(buildBackupFile(archive));
+      count = archive.conversations.length;
+    }
+    setBackupStatus(`Backed up ${count} conversation${count === 1 ? '' : 's'}${includeApiKeys ? ' and API keys' : ''}.`, true);
+  } catch (error) {
+    setBackupStatus(`Backup failed: ${error.message}`, false);
+  } finally {
+    backupBtn.disabled = false;
+  }
+}
+
+/**
+ * Restore a backup file chosen by the user and report the merge result
+ */
+async function handleRestoreFile() {
+  const file = restoreFileInput.files[0];
+  restoreFileInput.value = ''; // Allow choosing the same file again
+  if (!file) return;
+  
+  restoreBtn.disabled = true;
+  backupConflicts.style.display = 'none';
+  backupConflicts.innerHTML = '';
+  try {
+    let archive;
+    try {
+      archive = JSON.parse(await file.text());
+    } catch {
+      throw new Error('The file is not valid JSON');
+    }
+    
+    const restoreApiKeys = Boolean(archive?.apiKeys && Object.keys(archive.apiKeys).length > 0) &&
+      confirm('This backup contains API keys. Replace your saved keys with them?');
+    // Checked up front so a locked vault does not stop the restore halfway
+    if (restoreApiKeys && (await sendKeyMessage({ action: 'getVaultStatus' })).status.locked) {
+      throw new Error('Unlock the key vault in settings before restoring API keys');
+    }
+    
+    cancelActiveRequest();
+    await saveCurrentConversation();
+    const report = await restoreBackup(archive);
+    if (restoreApiKeys) {
+      report.apiKeys = (await sendKeyMessage({ action: 'importApiKeys', apiKeys: archive.apiKeys })).count;
+    }
+    
+    const parts = [`${report.added} added`, `${report.updated} updated`, `${report.unchanged} unchanged`];
+    if (report.conflicts.length > 0) parts.push(`${report.conflicts.length} conflict${report.conflicts.length === 1 ? '' : 's'}`);
+    let summary = `Restored conversations: ${parts.join(', ')}. ${report.usageRecords} usage records, ${report.preferences} preferences and ${report.categories} categories restored`;
+    if (report.apiKeys > 0) summary += `, ${report.apiKeys} API key${report.apiKeys === 1 ? '' : 's'}`;
+    if (report.removedByRetention > 0) summary += `. ${report.removedByRetention} removed by the retention policy`;
+    setBackupStatus(`${summary}.`, report.conflicts.length === 0);
+    
+    report.conflicts.forEach(conflict => {
+      const item = document.createElement('li');
+      item.textContent = `${conflict.title}: ${conflict.reason}`;
+      backupConflicts.appendChild(item);
+    });
+    backupConflicts.style.display = report.conflicts.length > 0 ? 'block' : 'none';
+    
+    // Restored preferences and keys change what the settings show
+    await updateEndpointSettings();
+    await populateModelSelect();
+    await loadApiKeyStatus();
+    await loadCategories();
+    updateCategoryUIState();
+    structuredOutputCheckbox.checked = await getStructuredOutput();
+    await loadRetentionPolicy();
+    await updateCostMetrics();
+    if (!currentConversationId) {
+      await loadMostRecentConversation();
+    }
+  } catch (error) {
+    setBackupStatus(error.message || 'Restore failed', false);
+  } finally {
+    restoreBtn.disabled = false;
+  }
+}
+
+/**
+ * Format a byte count for display
+ * @param {number} bytes - Size in bytes
+ * @returns {string} Human readable size
+ */
+function formatBytes(bytes) {
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+  return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+}
+
+/**
+ * Save current conversation to storage
+ */
+async function saveCurrentConversation() {
+  if (conversationHistory.length === 0 || !currentChartImage) {
+    return;
+  }
+  
+  // Model of the most recent answer
+  const model = [...conversationHistory].reverse().find(msg => msg.role === 'assistant' && msg.model)?.model || null;
+  // Provider the analysis was requested from, which may be the category's rather than the selected one
+  const firstAnswer = conversationHistory.find(msg => msg.role === 'assistant');
+  const provider = firstAnswer?.fallbackFrom || firstAnswer?.provider || currentProvider;
+  
+  try {
+    if (currentConversationId) {
       // Update existing conversation
-      await updateConversation(currentConversationId, conversationHistory);
+      await updateConversation(currentConversationId, conversationHistory, { model });
     } else {
       // Create new conversation
       currentConversationId = await saveConversation(
-        currentProvider,
+        provider,
         conversationHistory,
         currentChartImage,
         currentChartMetadata || {},
-        currentCategory
+        currentCategory,
+        model
       );
     }
   } catch (error) {
@@ -615,7 +2823,7 @@ async function handleSendMessage() {
   if (!question || !currentChartImage) return;
 
   // Add user message to UI
-  addMessage('user', question);
+  const questionElement = addMessage('user', question);
   conversationHistory.push({ role: 'user', content: question });
 
   // Clear input and disable
@@ -624,53 +2832,261 @@ async function handleSendMessage() {
   sendBtn.disabled = true;
 
   // Show loading indicator
+  setRequestInFlight(true);
   const loadingMsg = document.createElement('div');
   loadingMsg.className = 'chat-message assistant';
   loadingMsg.innerHTML = '<div class="message-bubble assistant"><div class="spinner" style="width: 16px; height: 16px; margin: 0 auto;"></div></div>';
   chatMessages.appendChild(loadingMsg);
   chatMessages.scrollTop = chatMessages.scrollHeight;
 
+  // Fill the loading bubble in place as the answer streams
+  const streamingMessage = createStreamingMessage(null, loadingMsg);
+
   try {
-    // Send to background script with conversation history (include the user question)
-    const response = await chrome.runtime.sendMessage({
-      action: 'analyzeChart',
-      data: {
-        imageDataUrl: currentChartImage,
-        metadata: currentChartMetadata,
-        provider: currentProvider,
-        conversationHistory: conversationHistory // Include full history including the question
-      }
+    // Send to background script with conversation history (include the user question), to
+    // the model that answered so far even when another provider is selected now
+    const { provider, model } = getFollowUpTarget();
+    const result = await requestAnalysis({
+      imageDataUrl: currentChartImage,
+      metadata: currentChartMetadata,
+      provider,
+      model,
+      category: currentCategory, // Same prompt and generation settings as the analysis
+      conversationHistory: conversationHistory, // Include full history including the question
+      conversationId: currentConversationId // Stored with the usage record
+    }, streamingMessage.append, {
+      onRetry: (retry) => streamingMessage.reset(describeRetry(retry))
     });
 
-    // Remove loading indicator
-    chatMessages.removeChild(loadingMsg);
+    // Remove loading / streamed bubble
+    streamingMessage.remove();
 
-    if (!response.success) {
-      throw new Error(response.error || 'Failed to get response');
+    if (result.interrupted && !result.analysis) {
+      // Stopped before any answer: withdraw the question and hand it back for editing
+      conversationHistory.pop();
+      questionElement.remove();
+      chatInput.value = question;
+      return;
     }
 
     // Add assistant response
-    const assistantResponse = response.data.analysis;
-    addMessage('assistant', assistantResponse);
-    conversationHistory.push({ role: 'assistant', content: assistantResponse });
+    const assistantMessage = createAssistantMessage(result);
+    addMessage('assistant', assistantMessage.content, assistantMessage);
+    conversationHistory.push(assistantMessage);
     
     // Save conversation
     await saveCurrentConversation();
+    refreshLevelsOverlay(); // Not awaited: may wait on the user to calibrate the chart
     
     // Update cost metrics after analysis
     await updateCostMetrics();
 
   } catch (error) {
     // Remove loading indicator
-    if (loadingMsg.parentNode) {
-      chatMessages.removeChild(loadingMsg);
-    }
-    addMessage('assistant', `Error: ${error.message}`);
+    streamingMessage.remove();
+    const hint = error instanceof ProviderError ? ERROR_GUIDANCE[error.code].hint : '';
+    addMessage('assistant', `Error: ${error.message}${hint ? `\n\n${hint}` : ''}`);
   } finally {
+    setRequestInFlight(false);
     chatInput.disabled = false;
     sendBtn.disabled = false;
     chatInput.focus();
+    updateSendEstimate();
+  }
+}
+
+/**
+ * Get the provider and model that answered the open conversation, which its follow-ups go to
+ * Falls back to the selected provider for answers saved before messages recorded their provider
+ * @returns {{provider: string, model: string|null}}
+ */
+function getFollowUpTarget() {
+  const answer = [...conversationHistory].reverse()
+    .find(msg => msg.role === 'assistant' && isKnownProvider(msg.provider));
+  return answer
+    ? { provider: answer.provider, model: answer.model || null }
+    : { provider: currentProvider, model: currentModel };
+}
+
+/**
+ * Build the stored assistant message from an analysis result
+ */
+function createAssistantMessage(result) {
+  const message = { role: 'assistant', content: result.analysis, model: result.model };
+  if (result.structured) {
+    // Machine-readable levels and scenarios; content keeps the Markdown rendering for follow-ups
+    message.structured = result.structured;
+  }
+  if (result.interrupted) {
+    message.interrupted = true;
+  }
+  if (result.finishReason) {
+    message.finishReason = result.finishReason; // The provider cut the answer off, e.g. MAX_TOKENS
+  }
+  if (result.generation) {
+    message.generation = result.generation;
+  }
+  if (result.provider) {
+    message.provider = result.provider; // Who answered, which differs from the conversation's after a fallback
+  }
+  if (result.fallbackFrom) {
+    message.fallbackFrom = result.fallbackFrom;
+  }
+  if (result.attempts > 1) {
+    message.attempts = result.attempts;
+  }
+  return message;
+}
+
+/**
+ * Toggle between Send and Stop while a follow-up or streamed analysis is running
+ */
+function setRequestInFlight(inFlight) {
+  stopBtn.style.display = inFlight ? 'inline-block' : 'none';
+  sendBtn.style.display = inFlight ? 'none' : 'inline-block';
+}
+
+/**
+ * Stop the in-flight analysis, if any
+ * The background aborts the provider request and replies with whatever text had arrived
+ */
+function cancelActiveRequest() {
+  if (!activeRequest) return;
+  
+  try {
+    activeRequest.port.postMessage({ action: 'cancel', requestId: activeRequest.requestId });
+  } catch (error) {
+    // Port already closed - the background cancels on disconnect
+    console.warn('Could not send cancel request:', error);
   }
+  stopBtn.disabled = true;
+  stopAnalysisBtn.disabled = true;
+}
+
+/**
+ * Run an analysis over a runtime port so text can stream in
+ * @param {Object} data - Analysis request (same shape as the analyzeChart message data)
+ * @param {Function|null} onChunk - Called with each text chunk as it arrives
+ * @param {Object} options - Request options
+ * @param {string} options.action - 'analyzeChart', or 'compareChart' to ask every ready provider
+ * @param {Function|null} options.onResult - Called with each provider's entry as a comparison runs
+ * @param {Function|null} options.onRetry - Called before a retry or fallback with {provider, attempt, delayMs, error, fallbackFrom?}
+ * @returns {Promise<Object>} Final result with analysis, provider, model and usage (entries and agreement for a comparison);
+ *   rejects with a ProviderError (see utils/errors.js). A request over a budget that is set to ask
+ *   first is sent again if the user confirms
+ */
+function requestAnalysis(data, onChunk, { action = 'analyzeChart', onResult = null, onRetry = null } = {}) {
+  return new Promise((resolve, reject) => {
+    const port = chrome.runtime.connect({ name: 'analysis' });
+    const requestId = `req_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+    let settled = false;
+    
+    activeRequest = { requestId, port };
+    stopBtn.disabled = false;
+    stopAnalysisBtn.disabled = false;
+    
+    const settle = () => {
+      settled = true;
+      if (activeRequest?.requestId === requestId) {
+        activeRequest = null;
+      }
+      port.disconnect();
+    };
+    
+    port.onMessage.addListener((message) => {
+      if (message.type === 'chunk') {
+        onChunk?.(message.text);
+      } else if (message.type === 'result') {
+        onResult?.(message.entry);
+      } else if (message.type === 'retry') {
+        onRetry?.(message.retry);
+      } else if (message.type === 'done') {
+        settle();
+        resolve(message.data);
+      } else if (message.type === 'error') {
+        settle();
+        const error = fromErrorInfo(message.details || message.error || 'Failed to analyze chart');
+        // Budgets set to ask first: send again once the user agrees to go over
+        if (error.code === ERROR_CODES.BUDGET && error.detail === 'confirm' && !data.allowOverBudget &&
+            confirm(`${error.message}. Send anyway?`)) {
+          resolve(requestAnalysis({ ...data, allowOverBudget: true }, onChunk, { action, onResult, onRetry }));
+          return;
+        }
+        reject(error);
+      }
+    });
+    
+    port.onDisconnect.addListener(() => {
+      if (!settled) {
+        if (activeRequest?.requestId === requestId) {
+          activeRequest = null;
+        }
+        reject(new ProviderError('Lost connection to the background service', { code: ERROR_CODES.NETWORK }));
+      }
+    });
+    
+    port.postMessage({ action, requestId, data });
+  });
+}
+
+/**
+ * Create an assistant bubble that renders streamed text as it arrives
+ * @param {Function|null} onStart - Called once, before the first chunk renders
+ * @param {HTMLElement|null} placeholder - Existing message element to fill (e.g. a loading spinner)
+ * @returns {{append: Function, reset: Function, remove: Function}}
+ */
+function createStreamingMessage(onStart = null, placeholder = null) {
+  let messageDiv = placeholder;
+  let bubble = placeholder ? placeholder.querySelector('.message-bubble') : null;
+  let text = '';
+  let started = false;
+  let renderScheduled = false;
+  
+  const render = () => {
+    renderScheduled = false;
+    if (!bubble) return;
+    bubble.replaceChildren(renderMarkdown(text));
+    chatMessages.scrollTop = chatMessages.scrollHeight;
+  };
+  
+  return {
+    append(chunk) {
+      if (!started) {
+        started = true;
+        if (onStart) onStart();
+        if (!messageDiv) {
+          messageDiv = document.createElement('div');
+          messageDiv.className = 'chat-message assistant';
+          bubble = document.createElement('div');
+          bubble.className = 'message-bubble assistant';
+          messageDiv.appendChild(bubble);
+          chatMessages.appendChild(messageDiv);
+        }
+      }
+      
+      text += chunk;
+      
+      // Batch re-renders to one per frame
+      if (!renderScheduled) {
+        renderScheduled = true;
+        requestAnimationFrame(render);
+      }
+    },
+    reset(status) {
+      // A retry starts the answer over: drop the partial text and show why
+      text = '';
+      if (bubble) {
+        bubble.textContent = status;
+      }
+    },
+    remove() {
+      if (messageDiv && messageDiv.parentNode) {
+        messageDiv.parentNode.removeChild(messageDiv);
+      }
+      messageDiv = null;
+      bubble = null;
+    }
+  };
 }
 
 /**
@@ -687,12 +3103,254 @@ async function updateCostMetrics() {
     } else {
       costMetrics.textContent = `This Month: ${thisMonth} | Avg: ${avg}`;
     }
+    
+    // What is left of the monthly budget for all providers, if one is set
+    const monthly = (await getBudgetStatus()).find(budget => budget.id === 'monthly:total');
+    if (monthly) {
+      const left = formatCost(Math.max(0, monthly.limit - monthly.spent));
+      costMetrics.textContent = costMetrics.textContent ? `${costMetrics.textContent} | Left: ${left}` : `Budget left: ${left}`;
+    }
   } catch (error) {
     console.error('Error updating cost metrics:', error);
     costMetrics.textContent = '';
   }
 }
 
+/**
+ * Refresh both pre-flight cost estimates
+ */
+function updateCostEstimates() {
+  updateAnalysisEstimate();
+  updateSendEstimate();
+}
+
+/**
+ * Estimate a request before it is sent (see estimateRequestCost in utils/cost.js)
+ * @param {Object} category - Category definition
+ * @param {string} provider - Provider id
+ * @param {string|null} model - Model id
+ * @param {Array} history - Messages sent with the request, including a new question
+ * @param {{width: number, height: number}|null} imageSize - Chart image size, if known
+ * @returns {{imageTokens: number, textTokens: number, inputTokens: number, outputTokens: number, cost: number}}
+ */
+function estimateCategoryRequest(category, provider, model, history, imageSize) {
+  const metadata = currentChartMetadata || {};
+  return estimateRequestCost({
+    provider,
+    model,
+    imageSize,
+    prompt: `${getSystemPrompt(category, metadata)}\n${getUserPrompt(category, metadata)}`,
+    conversationHistory: history,
+    maxTokens: getGenerationSettings(category).maxTokens
+  });
+}
+
+/**
+ * Describe an estimate in a tooltip
+ * @param {Object} estimate - From estimateCategoryRequest (tokens summed over providers for a comparison)
+ * @returns {string}
+ */
+function describeEstimate(estimate) {
+  return `Chart image: ~${formatTokenCount(estimate.imageTokens)} tokens\n` +
+    `Prompt and conversation: ~${formatTokenCount(estimate.textTokens)} tokens\n` +
+    `Answer: up to ${formatTokenCount(estimate.outputTokens)} tokens\n` +
+    'Estimated before sending at the most the answer can use; actual cost is usually lower.';
+}
+
+/**
+ * Show what analyzing with a category will cost, below the category buttons
+ * Covers the category's preferred provider and model, or every ready provider in compare mode
+ * @param {string} categoryId - Category to estimate (defaults to the current one)
+ */
+async function updateAnalysisEstimate(categoryId = currentCategory) {
+  const category = categories.find(c => c.id === categoryId);
+  if (!category) {
+    analysisEstimate.textContent = '';
+    return;
+  }
+
+  try {
+    const targets = [];
+    if (compareModeCheckbox.checked) {
+      for (const info of listProviders()) {
+        if (await isProviderReady(info.id)) {
+          targets.push({ provider: info.id, model: await getSelectedModel(info.id) });
+        }
+      }
+    } else {
+      targets.push(await resolveAnalysisTarget(categoryId));
+    }
+    if (targets.length === 0) {
+      analysisEstimate.textContent = '';
+      return;
+    }
+
+    const estimate = targets
+      .map(({ provider, model }) => estimateCategoryRequest(category, provider, model, [], pageChartSize))
+      .reduce((sum, e) => ({
+        imageTokens: sum.imageTokens + e.imageTokens,
+        textTokens: sum.textTokens + e.textTokens,
+        inputTokens: sum.inputTokens + e.inputTokens,
+        outputTokens: sum.outputTokens + e.outputTokens,
+        cost: sum.cost + e.cost
+      }));
+    const scope = targets.length > 1 ? ` on ${targets.length} providers` : '';
+    analysisEstimate.textContent = `${category.label}${scope}: up to ${formatCost(estimate.cost)} ` +
+      `(~${formatTokenCount(estimate.inputTokens)} tokens in, up to ${formatTokenCount(estimate.outputTokens)} out)`;
+    analysisEstimate.title = describeEstimate(estimate);
+  } catch (error) {
+    console.error('Error estimating analysis cost:', error);
+    analysisEstimate.textContent = '';
+  }
+}
+
+/**
+ * Show what sending the follow-up being typed will cost, next to Send
+ * Follow-ups re-send the chart and the whole conversation, so each costs more than the last
+ */
+function updateSendEstimate() {
+  const category = categories.find(c => c.id === currentCategory) || categories.find(c => c.id === DEFAULT_CATEGORY_ID);
+  if (!currentChartImage || !category || conversationHistory.length === 0) {
+    sendEstimate.textContent = '';
+    return;
+  }
+
+  const question = chatInput.value.trim();
+  const history = question ? [...conversationHistory, { role: 'user', content: question }] : conversationHistory;
+  const { provider, model } = getFollowUpTarget(); // Where handleSendMessage sends it
+  const estimate = estimateCategoryRequest(category, provider, model, history, currentChartSize);
+  sendEstimate.textContent = `≤ ${formatCost(estimate.cost)}`;
+  sendEstimate.title = describeEstimate(estimate);
+}
+
+/**
+ * Measure the open conversation's chart image, then refresh the follow-up estimate
+ */
+async function measureCurrentChart() {
+  const image = currentChartImage;
+  currentChartSize = null;
+  if (!image) return;
+
+  try {
+    const bitmap = await createImageBitmap(await (await fetch(image)).blob());
+    if (image === currentChartImage) { // Still the open chart
+      currentChartSize = { width: bitmap.width, height: bitmap.height };
+    }
+    bitmap.close();
+  } catch (error) {
+    console.warn('Could not measure the chart image:', error);
+  }
+  updateSendEstimate();
+}
+
+/**
+ * Ask the page for the size its chart would be captured at, then refresh the analysis estimate
+ * @param {number} tabId - bitview.space tab
+ */
+async function refreshPageChartSize(tabId) {
+  try {
+    const response = await chrome.tabs.sendMessage(tabId, { action: 'getChartSize' });
+    pageChartSize = response?.success ? response.data : null;
+  } catch (error) {
+    pageChartSize = null; // Content script not loaded yet: the estimate assumes a typical chart
+  }
+  updateAnalysisEstimate();
+}
+
+/**
+ * Send a message to the content script in the active tab
+ * @param {Object} message - Message for content.js
+ * @returns {Promise<Object>} Response data
+ */
+async function sendToActiveTab(message) {
+  const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+  if (!tab || !tab.url || !tab.url.includes('bitview.space')) {
+    throw new Error('Please navigate to bitview.space to show levels on the chart');
+  }
+  
+  const response = await chrome.tabs.sendMessage(tab.id, message);
+  if (!response || !response.success) {
+    throw new Error(response?.error || 'The chart page did not respond');
+  }
+  return response.data;
+}
+
+/**
+ * Toggle the levels overlay on the chart
+ */
+async function handleToggleLevelsOverlay() {
+  if (levelsOverlayVisible) {
+    await hideLevelsOverlay();
+  } else {
+    await showLevelsOverlay();
+  }
+}
+
+/**
+ * Draw the conversation's latest levels on the chart
+ * The content script calibrates the price axis first (from axis labels, or by asking for two reference points)
+ * @param {boolean} recalibrate - Ask for new reference points even if a calibration exists
+ */
+async function showLevelsOverlay(recalibrate = false) {
+  const levels = getOverlayLevels(conversationHistory);
+  if (levels.length === 0) {
+    showError('No support, resistance or invalidation prices found in this conversation.');
+    return;
+  }
+  
+  hideError();
+  levelsOverlayBtn.disabled = true;
+  recalibrateLevelsBtn.disabled = true;
+  
+  try {
+    const result = await sendToActiveTab({ action: 'showLevelsOverlay', levels, recalibrate });
+    setLevelsOverlayVisible(true);
+    if (result.drawn === 0) {
+      showError('None of the levels fall inside the visible price range. Zoom the chart out or recalibrate.');
+    }
+  } catch (error) {
+    setLevelsOverlayVisible(false);
+    if (error.message !== 'Calibration cancelled') {
+      showError(error.message);
+    }
+  } finally {
+    levelsOverlayBtn.disabled = false;
+    recalibrateLevelsBtn.disabled = false;
+  }
+}
+
+/**
+ * Remove the levels overlay from the chart
+ */
+async function hideLevelsOverlay() {
+  setLevelsOverlayVisible(false);
+  try {
+    await sendToActiveTab({ action: 'hideLevelsOverlay' });
+  } catch (error) {
+    // Tab changed or reloaded - there is nothing left to hide
+    console.warn('Could not hide levels overlay:', error);
+  }
+}
+
+/**
+ * Redraw the overlay after a new answer so it shows the latest levels
+ */
+async function refreshLevelsOverlay() {
+  if (levelsOverlayVisible && getOverlayLevels(conversationHistory).length > 0) {
+    await showLevelsOverlay();
+  }
+}
+
+/**
+ * Update the overlay buttons for the current overlay state
+ * @param {boolean} visible - Whether levels are drawn on the chart
+ */
+function setLevelsOverlayVisible(visible) {
+  levelsOverlayVisible = visible;
+  levelsOverlayBtn.textContent = visible ? 'Hide Levels' : 'Show Levels';
+  recalibrateLevelsBtn.style.display = visible ? 'inline-block' : 'none';
+}
+
 /**
  * Handle copying entire conversation to clipboard
  */
@@ -723,18 +3381,117 @@ async function handleCopyConversation() {
   }
 }
 
+/**
+ * Open or close the chat export menu
+ * @param {boolean} open - Whether the menu should be shown
+ */
+function setExportMenuOpen(open) {
+  exportMenu.style.display = open ? 'flex' : 'none';
+  exportBtn.setAttribute('aria-expanded', String(open));
+}
+
+/**
+ * Export the conversation in the chat
+ * @param {string} format - Export format (markdown, html or json)
+ */
+async function handleExportConversation(format) {
+  if (conversationHistory.length === 0) return;
+  
+  try {
+    // Export the stored copy (with tags) when the conversation has been saved
+    await saveCurrentConversation();
+    const stored = currentConversationId ? await getConversationById(currentConversationId) : null;
+    const conversation = stored || {
+      timestamp: Date.now(),
+      provider: currentProvider,
+      category: currentCategory,
+      metadata: currentChartMetadata || {},
+      messages: conversationHistory,
+      chartImage: currentChartImage
+    };
+    
+    await downloadExport(buildExport([conversation], format, categories));
+  } catch (error) {
+    showError(`Export failed: ${error.message}`);
+  }
+}
+
 /**
  * Show error message
+ * Provider errors also get guidance for their error code and a button to open settings
+ * or try again; rate-limited requests count down to when they may be retried
+ * @param {string|Error} error - Message, or the error to show
+ * @param {Object} options - Display options
+ * @param {Function|null} options.onRetry - Repeats the failed request; without it no Try Again button is shown
  */
-function showError(message) {
-  errorMessage.textContent = message;
+function showError(error, { onRetry = null } = {}) {
+  clearInterval(errorCountdownTimer);
+  errorMessage.textContent = typeof error === 'string' ? error : error.message;
+
+  const guidance = error instanceof ProviderError ? ERROR_GUIDANCE[error.code] : null;
+  if (guidance?.hint) {
+    const hint = document.createElement('p');
+    hint.className = 'error-guidance';
+    hint.textContent = guidance.hint;
+    errorMessage.appendChild(hint);
+  }
+
+  if (guidance?.action === 'settings') {
+    errorMessage.appendChild(createErrorAction('Open Settings', () => {
+      hideError();
+      openSettings();
+    }));
+  } else if (guidance?.action === 'retry' && onRetry) {
+    const button = createErrorAction('Try Again', onRetry);
+    errorMessage.appendChild(button);
+    if (error.retryAfter > 0) {
+      startRetryCountdown(button, Date.now() + error.retryAfter);
+    }
+  }
+
   errorMessage.style.display = 'block';
 }
 
+/**
+ * Create a button for the error banner
+ * @param {string} label - Button text
+ * @param {Function} onClick - Click handler
+ * @returns {HTMLButtonElement}
+ */
+function createErrorAction(label, onClick) {
+  const button = document.createElement('button');
+  button.className = 'btn btn-secondary btn-small error-action';
+  button.textContent = label;
+  button.addEventListener('click', onClick);
+  return button;
+}
+
+/**
+ * Keep the Try Again button disabled until the provider's Retry-After delay has passed
+ * @param {HTMLButtonElement} button - Try Again button
+ * @param {number} readyAt - Time the request may be retried (ms since epoch)
+ */
+function startRetryCountdown(button, readyAt) {
+  const tick = () => {
+    const seconds = Math.ceil((readyAt - Date.now()) / 1000);
+    if (seconds > 0) {
+      button.disabled = true;
+      button.textContent = `Try again in ${seconds}s`;
+      return;
+    }
+    clearInterval(errorCountdownTimer);
+    button.disabled = false;
+    button.textContent = 'Try Again';
+  };
+  tick();
+  errorCountdownTimer = setInterval(tick, 1000);
+}
+
 /**
  * Hide error message
  */
 function hideError() {
+  clearInterval(errorCountdownTimer);
   errorMessage.style.display = 'none';
 }
 
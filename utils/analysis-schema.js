@@ -0,0 +1,326 @@
+/**
+ * Structured analysis schema
+ * One JSON schema shared by every provider's structured output mode
+ * (OpenAI response_format, Anthropic tool use, Gemini responseSchema),
+ * plus validation and a Markdown rendering used for chat history and copy
+ */
+
+export const ANALYSIS_SCHEMA_NAME = 'chart_analysis';
+
+const PRICE = {
+  type: 'number',
+  description: 'Price level in USD as a plain number (no currency symbols or separators)'
+};
+
+const NULLABLE_PRICE = {
+  type: ['number', 'null'],
+  description: 'Price level in USD as a plain number, or null if not price-based'
+};
+
+/**
+ * JSON schema for a structured chart analysis
+ * Every property is required and no extras are allowed, as OpenAI strict mode demands
+ */
+export const ANALYSIS_SCHEMA = {
+  type: 'object',
+  additionalProperties: false,
+  required: ['summary', 'trend', 'volatility', 'levels', 'scenarios', 'invalidation', 'onChainImplications'],
+  properties: {
+    summary: {
+      type: 'string',
+      description: 'Two or three sentence overview of the chart'
+    },
+    trend: {
+      type: 'object',
+      additionalProperties: false,
+      required: ['direction', 'strength', 'rationale'],
+      properties: {
+        direction: { type: 'string', enum: ['bullish', 'bearish', 'neutral'] },
+        strength: { type: 'string', enum: ['weak', 'moderate', 'strong'] },
+        rationale: { type: 'string' }
+      }
+    },
+    volatility: {
+      type: 'object',
+      additionalProperties: false,
+      required: ['regime', 'rationale'],
+      properties: {
+        regime: { type: 'string', enum: ['low', 'moderate', 'high'] },
+        rationale: { type: 'string' }
+      }
+    },
+    levels: {
+      type: 'array',
+      description: 'Key support and resistance levels visible on the chart',
+      items: {
+        type: 'object',
+        additionalProperties: false,
+        required: ['type', 'price', 'label', 'strength'],
+        properties: {
+          type: { type: 'string', enum: ['support', 'resistance'] },
+          price: PRICE,
+          label: { type: 'string', description: 'Short reason for the level, e.g. "Realized price"' },
+          strength: { type: 'string', enum: ['minor', 'major'] }
+        }
+      }
+    },
+    scenarios: {
+      type: 'array',
+      description: 'Bullish, base case and bearish scenarios',
+      items: {
+        type: 'object',
+        additionalProperties: false,
+        required: ['name', 'probability', 'description', 'target', 'invalidation'],
+        properties: {
+          name: { type: 'string', enum: ['bullish', 'base', 'bearish'] },
+          probability: { type: 'number', minimum: 0, maximum: 100, description: 'Estimated probability in percent' },
+          description: { type: 'string' },
+          target: NULLABLE_PRICE,
+          invalidation: { type: 'string', description: 'What would invalidate this scenario' }
+        }
+      }
+    },
+    invalidation: {
+      type: 'array',
+      description: 'Conditions that would invalidate the overall analysis',
+      items: {
+        type: 'object',
+        additionalProperties: false,
+        required: ['condition', 'price'],
+        properties: {
+          condition: { type: 'string' },
+          price: NULLABLE_PRICE
+        }
+      }
+    },
+    onChainImplications: {
+      type: 'string',
+      description: 'On-chain implications of the visible metrics'
+    }
+  }
+};
+
+/**
+ * Instruction appended to the system prompt in structured mode
+ */
+export const STRUCTURED_OUTPUT_INSTRUCTION = 'Return your analysis as structured data matching the provided schema. Use plain numbers for all price levels, estimated from the chart axis.';
+
+/**
+ * Validate a value against a (subset of) JSON schema
+ * Supports type (including type arrays), enum, required, properties,
+ * additionalProperties: false, items, minimum and maximum
+ * @param {*} value - Value to check
+ * @param {Object} schema - JSON schema
+ * @param {string} path - Path used in error messages
+ * @returns {Array<string>} Validation errors (empty when valid)
+ */
+function validateAgainstSchema(value, schema, path = '$') {
+  const errors = [];
+  const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+
+  const typeMatches = types.some(type => {
+    switch (type) {
+      case 'null': return value === null;
+      case 'array': return Array.isArray(value);
+      case 'object': return value !== null && typeof value === 'object' && !Array.isArray(value);
+      case 'number': return typeof value === 'number' && Number.isFinite(value);
+      case 'string': return typeof value === 'string';
+      case 'boolean': return typeof value === 'boolean';
+      default: return true;
+    }
+  });
+
+  if (!typeMatches) {
+    errors.push(`${path} should be ${types.join(' or ')}`);
+    return errors;
+  }
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    errors.push(`${path} should be one of ${schema.enum.join(', ')}`);
+  }
+
+  if (typeof value === 'number') {
+    if (schema.minimum !== undefined && value < schema.minimum) {
+      errors.push(`${path} should be >= ${schema.minimum}`);
+    }
+    if (schema.maximum !== undefined && value > schema.maximum) {
+      errors.push(`${path} should be <= ${schema.maximum}`);
+    }
+  }
+
+  if (Array.isArray(value) && schema.items) {
+    value.forEach((item, index) => {
+      errors.push(...validateAgainstSchema(item, schema.items, `${path}[${index}]`));
+    });
+  }
+
+  if (value !== null && typeof value === 'object' && !Array.isArray(value) && schema.properties) {
+    (schema.required || []).forEach(key => {
+      if (!(key in value)) {
+        errors.push(`${path}.${key} is required`);
+      }
+    });
+
+    Object.entries(value).forEach(([key, child]) => {
+      if (schema.properties[key]) {
+        errors.push(...validateAgainstSchema(child, schema.properties[key], `${path}.${key}`));
+      } else if (schema.additionalProperties === false) {
+        errors.push(`${path}.${key} is not allowed`);
+      }
+    });
+  }
+
+  return errors;
+}
+
+/**
+ * Coerce a price written as text (e.g. "$65,000") to a number
+ * @param {*} value - Price value
+ * @returns {*} Number when coercible, otherwise the original value
+ */
+function coercePrice(value) {
+  if (typeof value !== 'string') return value;
+  const number = Number(value.replace(/[$,\s]/g, ''));
+  return value.trim() && Number.isFinite(number) ? number : value;
+}
+
+/**
+ * Normalize common model slips before validation (prices as strings, casing of enums)
+ * @param {Object} analysis - Parsed analysis
+ * @returns {Object} Normalized copy
+ */
+function normalizeAnalysis(analysis) {
+  if (!analysis || typeof analysis !== 'object') return analysis;
+
+  const lower = (value) => (typeof value === 'string' ? value.trim().toLowerCase() : value);
+  const normalized = { ...analysis };
+
+  if (normalized.trend && typeof normalized.trend === 'object') {
+    normalized.trend = {
+      ...normalized.trend,
+      direction: lower(normalized.trend.direction),
+      strength: lower(normalized.trend.strength)
+    };
+  }
+  if (normalized.volatility && typeof normalized.volatility === 'object') {
+    normalized.volatility = { ...normalized.volatility, regime: lower(normalized.volatility.regime) };
+  }
+  if (Array.isArray(normalized.levels)) {
+    normalized.levels = normalized.levels.map(level => ({
+      ...level,
+      type: lower(level.type),
+      strength: lower(level.strength),
+      price: coercePrice(level.price)
+    }));
+  }
+  if (Array.isArray(normalized.scenarios)) {
+    normalized.scenarios = normalized.scenarios.map(scenario => ({
+      ...scenario,
+      name: lower(scenario.name),
+      probability: coercePrice(scenario.probability),
+      target: coercePrice(scenario.target)
+    }));
+  }
+  if (Array.isArray(normalized.invalidation)) {
+    normalized.invalidation = normalized.invalidation.map(item => ({
+      ...item,
+      price: coercePrice(item.price)
+    }));
+  }
+
+  return normalized;
+}
+
+/**
+ * Parse structured output text into an object
+ * Tolerates Markdown code fences around the JSON
+ * @param {string} text - Model output
+ * @returns {Object|null} Parsed object or null if not JSON
+ */
+export function parseStructuredContent(text) {
+  if (!text || typeof text !== 'string') return null;
+
+  const trimmed = text.trim()
+    .replace(/^```(?:json)?\s*/i, '')
+    .replace(/\s*```$/, '');
+
+  try {
+    const parsed = JSON.parse(trimmed);
+    return parsed && typeof parsed === 'object' ? parsed : null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Validate a structured analysis against the shared schema
+ * @param {Object} analysis - Parsed analysis
+ * @returns {{valid: boolean, errors: Array<string>, value: Object|null}} Result with normalized value
+ */
+export function validateAnalysis(analysis) {
+  if (!analysis || typeof analysis !== 'object') {
+    return { valid: false, errors: ['Analysis is not an object'], value: null };
+  }
+
+  const value = normalizeAnalysis(analysis);
+  const errors = validateAgainstSchema(value, ANALYSIS_SCHEMA);
+  return { valid: errors.length === 0, errors, value: errors.length === 0 ? value : null };
+}
+
+/**
+ * Format a USD price for display
+ * @param {number|null} price - Price
+ * @returns {string} Formatted price
+ */
+export function formatPrice(price) {
+  if (typeof price !== 'number') return '—';
+  const digits = Math.abs(price) < 10 ? 2 : 0;
+  return `$${price.toLocaleString('en-US', { minimumFractionDigits: digits, maximumFractionDigits: digits })}`;
+}
+
+/**
+ * Render a structured analysis as Markdown
+ * Stored as the message text so follow-ups, copy and providers see readable content
+ * @param {Object} analysis - Validated analysis
+ * @returns {string} Markdown text
+ */
+export function analysisToMarkdown(analysis) {
+  const capitalize = (text) => text ? text.charAt(0).toUpperCase() + text.slice(1) : '';
+  const lines = [];
+
+  lines.push(analysis.summary, '');
+  lines.push(`**Trend:** ${capitalize(analysis.trend.direction)} (${analysis.trend.strength}) - ${analysis.trend.rationale}`);
+  lines.push(`**Volatility:** ${capitalize(analysis.volatility.regime)} - ${analysis.volatility.rationale}`, '');
+
+  if (analysis.levels.length > 0) {
+    lines.push('## Key Levels');
+    [...analysis.levels]
+      .sort((a, b) => b.price - a.price)
+      .forEach(level => {
+        lines.push(`- ${capitalize(level.type)} ${formatPrice(level.price)} (${level.strength}) - ${level.label}`);
+      });
+    lines.push('');
+  }
+
+  if (analysis.scenarios.length > 0) {
+    lines.push('## Scenarios');
+    analysis.scenarios.forEach(scenario => {
+      const target = scenario.target !== null ? `, target ${formatPrice(scenario.target)}` : '';
+      lines.push(`- **${capitalize(scenario.name)}** (${scenario.probability}%${target}): ${scenario.description} Invalidated if ${scenario.invalidation}`);
+    });
+    lines.push('');
+  }
+
+  if (analysis.invalidation.length > 0) {
+    lines.push('## Invalidation');
+    analysis.invalidation.forEach(item => {
+      const price = item.price !== null ? ` (${formatPrice(item.price)})` : '';
+      lines.push(`- ${item.condition}${price}`);
+    });
+    lines.push('');
+  }
+
+  lines.push('## On-Chain Implications', analysis.onChainImplications);
+
+  return lines.join('\n').trim();
+}
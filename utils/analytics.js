@@ -0,0 +1,149 @@
+/**
+ * Usage analytics
+ * Summarizes the usage records kept by utils/cost.js for the usage dashboard (spend per
+ * day, provider, model and category, token averages, most expensive conversations) and
+ * exports the raw records as CSV
+ */
+
+// Columns of the CSV export, in order
+const CSV_COLUMNS = ['id', 'timestamp', 'provider', 'model', 'category', 'conversationId', 'followUp', 'inputTokens', 'outputTokens', 'latencyMs', 'cost'];
+
+const TOP_CONVERSATIONS = 5;
+
+/**
+ * Format a time as a local YYYY-MM-DD day key
+ * @param {number} timestamp - Time (ms since epoch)
+ * @returns {string}
+ */
+function toDayKey(timestamp) {
+  const date = new Date(timestamp);
+  const month = String(date.getMonth() + 1).padStart(2, '0');
+  const day = String(date.getDate()).padStart(2, '0');
+  return `${date.getFullYear()}-${month}-${day}`;
+}
+
+/**
+ * Add up records by a key
+ * @param {Array<Object>} records - Usage records
+ * @param {Function} getKey - Returns the group key for a record
+ * @returns {Array<{key: string|null, cost: number, count: number, inputTokens: number, outputTokens: number}>} Groups, most expensive first
+ */
+function groupRecords(records, getKey) {
+  const groups = new Map();
+  records.forEach(record => {
+    const key = getKey(record) ?? null;
+    const group = groups.get(key) || { key, cost: 0, count: 0, inputTokens: 0, outputTokens: 0 };
+    group.cost += record.cost || 0;
+    group.count++;
+    group.inputTokens += record.inputTokens || 0;
+    group.outputTokens += record.outputTokens || 0;
+    groups.set(key, group);
+  });
+  return [...groups.values()].sort((a, b) => b.cost - a.cost || b.count - a.count);
+}
+
+/**
+ * Average input and output tokens per call
+ * @param {Array<Object>} records - Usage records
+ * @returns {{input: number, output: number}} Rounded averages (0 without records)
+ */
+function averageTokens(records) {
+  if (records.length === 0) {
+    return { input: 0, output: 0 };
+  }
+  const sum = (field) => records.reduce((total, r) => total + (r[field] || 0), 0);
+  return {
+    input: Math.round(sum('inputTokens') / records.length),
+    output: Math.round(sum('outputTokens') / records.length)
+  };
+}
+
+/**
+ * Summarize usage over the last few days
+ * Records made before usage records had category, conversation and latency count as
+ * analyses with an unknown category
+ * @param {Array<Object>} records - Usage records (see recordUsage in utils/cost.js)
+ * @param {Object} options - Summary options
+ * @param {number} options.days - Days to cover, including today
+ * @param {number} options.now - Current time (ms since epoch)
+ * @returns {Object} {from, totalCost, callCount, analysisCount, followUpCount, avgTokensPerAnalysis,
+ *   avgTokensPerFollowUp, avgLatencyMs, daily: [{date, cost, count}], byProvider, byModel, byCategory,
+ *   topConversations: [{key (conversation ID), cost, count, ...}]}
+ */
+export function summarizeUsage(records, { days = 30, now = Date.now() } = {}) {
+  const today = new Date(now);
+  const from = new Date(today.getFullYear(), today.getMonth(), today.getDate() - (days - 1)).getTime();
+  const inRange = records.filter(r => r.timestamp >= from && r.timestamp <= now);
+  const analyses = inRange.filter(r => r.followUp !== true);
+  const followUps = inRange.filter(r => r.followUp === true);
+  const timed = inRange.filter(r => typeof r.latencyMs === 'number');
+
+  // One entry per day, including days without usage
+  const byDay = new Map(groupRecords(inRange, r => toDayKey(r.timestamp)).map(group => [group.key, group]));
+  const daily = [];
+  for (let offset = 0; offset < days; offset++) {
+    const date = toDayKey(new Date(today.getFullYear(), today.getMonth(), today.getDate() - (days - 1) + offset).getTime());
+    daily.push({ date, cost: byDay.get(date)?.cost || 0, count: byDay.get(date)?.count || 0 });
+  }
+
+  return {
+    from,
+    totalCost: inRange.reduce((sum, r) => sum + (r.cost || 0), 0),
+    callCount: inRange.length,
+    analysisCount: analyses.length,
+    followUpCount: followUps.length,
+    avgTokensPerAnalysis: averageTokens(analyses),
+    avgTokensPerFollowUp: averageTokens(followUps),
+    avgLatencyMs: timed.length > 0 ? Math.round(timed.reduce((sum, r) => sum + r.latencyMs, 0) / timed.length) : null,
+    daily,
+    byProvider: groupRecords(inRange, r => r.provider),
+    byModel: groupRecords(inRange, r => (r.model ? `${r.provider}/${r.model}` : null)),
+    byCategory: groupRecords(inRange, r => r.category),
+    topConversations: groupRecords(inRange.filter(r => r.conversationId), r => r.conversationId).slice(0, TOP_CONVERSATIONS)
+  };
+}
+
+/**
+ * Quote a CSV field when needed
+ * Text that a spreadsheet would run as a formula (=, +, -, @) is prefixed with a quote mark
+ * @param {*} value - Field value
+ * @returns {string}
+ */
+function toCsvField(value) {
+  if (value === null || value === undefined) {
+    return '';
+  }
+  let text = String(value);
+  if (typeof value === 'string' && /^[=+\-@]/.test(text)) {
+    text = `'${text}`;
+  }
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Convert usage records to CSV, one row per record with a header row
+ * Times are ISO 8601; cost is in USD
+ * @param {Array<Object>} records - Usage records
+ * @returns {string} CSV text
+ */
+export function usageRecordsToCsv(records) {
+  const rows = records.map(record => CSV_COLUMNS.map(column => {
+    if (column === 'timestamp') return toCsvField(new Date(record.timestamp).toISOString());
+    if (column === 'followUp') return toCsvField(record.followUp === undefined ? null : Boolean(record.followUp));
+    return toCsvField(record[column]);
+  }).join(','));
+  return [CSV_COLUMNS.join(','), ...rows].join('\r\n') + '\r\n';
+}
+
+/**
+ * Build the usage CSV file for download
+ * @param {Array<Object>} records - Usage records
+ * @returns {{filename: string, content: string, mimeType: string}} CSV file (see downloadExport in utils/export.js)
+ */
+export function buildUsageCsvFile(records) {
+  return {
+    filename: `clarion-lens-usage-${toDayKey(Date.now())}.csv`,
+    content: usageRecordsToCsv(records),
+    mimeType: 'text/csv'
+  };
+}
@@ -0,0 +1,252 @@
+/**
+ * Backup and restore
+ * Packs conversations, usage records, preferences and analysis categories into one
+ * versioned JSON archive, and restores an archive by merging conversations by ID.
+ * API keys are only included when the user opts in; reading and saving them is left to the
+ * background script, which owns the keys. The archive layout is documented in EXPORT_SCHEMA.md.
+ */
+
+import { getAllConversations, getConversationById, importConversation, applyRetentionPolicy, hasComparison } from './conversations.js';
+import { getUsageRecords, mergeUsageRecords } from './cost.js';
+import { getAllPreferences, restorePreferences } from './preferences.js';
+import { getCategories, mergeCategories } from './categories.js';
+import { toExportRecord } from './export.js';
+import { isKnownProvider } from '../providers/registry.js';
+
+export const BACKUP_FORMAT = 'clarion-lens.backup';
+export const BACKUP_VERSION = 1;
+
+/**
+ * Create a backup archive
+ * @param {Object} options - Backup options
+ * @param {Object<string, string>|null} options.apiKeys - API keys to include in plain text, by provider id
+ * @returns {Promise<Object>} Backup archive
+ */
+export async function createBackup({ apiKeys = null } = {}) {
+  const records = await getAllConversations();
+  const conversations = [];
+  for (const record of records.reverse()) { // Oldest first
+    const conversation = await getConversationById(record.id);
+    if (conversation) {
+      conversations.push(toExportRecord(conversation));
+    }
+  }
+
+  const archive = {
+    format: BACKUP_FORMAT,
+    version: BACKUP_VERSION,
+    createdAt: new Date().toISOString(),
+    extensionVersion: chrome.runtime.getManifest().version,
+    conversations,
+    usageRecords: await getUsageRecords(),
+    preferences: await getAllPreferences(),
+    categories: await getCategories(),
+    includesApiKeys: Boolean(apiKeys)
+  };
+
+  if (apiKeys) {
+    archive.apiKeys = apiKeys;
+  }
+
+  return archive;
+}
+
+/**
+ * Build the backup file for download
+ * @param {Object} archive - Backup archive
+ * @returns {{filename: string, content: string, mimeType: string}} Backup file
+ */
+export function buildBackupFile(archive) {
+  return {
+    filename: `clarion-lens-backup-${archive.createdAt.slice(0, 10)}.json`,
+    content: JSON.stringify(archive, null, 2),
+    mimeType: 'application/json'
+  };
+}
+
+/**
+ * Validate a backup archive
+ * @param {Object} archive - Parsed backup file
+ * @returns {{valid: boolean, errors: Array<string>}} Result
+ */
+export function validateBackup(archive) {
+  const errors = [];
+
+  if (!archive || typeof archive !== 'object' || archive.format !== BACKUP_FORMAT) {
+    return { valid: false, errors: ['Not a Clarion | Lens backup file'] };
+  }
+  if (!Number.isInteger(archive.version) || archive.version < 1) {
+    errors.push('Missing backup version');
+  } else if (archive.version > BACKUP_VERSION) {
+    errors.push(`Backup version ${archive.version} is newer than this extension supports (${BACKUP_VERSION})`);
+  }
+  if (!Array.isArray(archive.conversations)) {
+    errors.push('conversations should be an array');
+  }
+  if (archive.usageRecords !== undefined && !Array.isArray(archive.usageRecords)) {
+    errors.push('usageRecords should be an array');
+  }
+  if (archive.preferences !== undefined && (typeof archive.preferences !== 'object' || Array.isArray(archive.preferences))) {
+    errors.push('preferences should be an object');
+  }
+  if (archive.categories !== undefined && !Array.isArray(archive.categories)) {
+    errors.push('categories should be an array');
+  }
+  if (archive.apiKeys !== undefined && (typeof archive.apiKeys !== 'object' || Array.isArray(archive.apiKeys))) {
+    errors.push('apiKeys should be an object');
+  }
+
+  // Usage records feed budget and dashboard sums, so one bad number would spoil every total
+  (Array.isArray(archive.usageRecords) ? archive.usageRecords : []).forEach((record, index) => {
+    const path = `usageRecords[${index}]`;
+    if (!record || typeof record !== 'object') {
+      errors.push(`${path} should be an object`);
+      return;
+    }
+    if (!Number.isFinite(record.timestamp) || record.timestamp <= 0) {
+      errors.push(`${path}.timestamp should be a time in milliseconds`);
+    }
+    if (typeof record.provider !== 'string' || !record.provider) {
+      errors.push(`${path}.provider is required`);
+    }
+    ['cost', 'inputTokens', 'outputTokens'].forEach(field => {
+      if (!Number.isFinite(record[field]) || record[field] < 0) {
+        errors.push(`${path}.${field} should be a number of at least 0`);
+      }
+    });
+    if (record.latencyMs != null && (!Number.isFinite(record.latencyMs) || record.latencyMs < 0)) {
+      errors.push(`${path}.latencyMs should be a number of at least 0`);
+    }
+  });
+
+  (Array.isArray(archive.conversations) ? archive.conversations : []).forEach((conversation, index) => {
+    const path = `conversations[${index}]`;
+    if (!conversation || typeof conversation !== 'object') {
+      errors.push(`${path} should be an object`);
+      return;
+    }
+    if (typeof conversation.id !== 'string' || !conversation.id) {
+      errors.push(`${path}.id is required`);
+    }
+    if (!isKnownProvider(conversation.provider)) {
+      errors.push(`${path}.provider is unknown: ${conversation.provider}`);
+    }
+    if (Number.isNaN(Date.parse(conversation.createdAt)) || Number.isNaN(Date.parse(conversation.updatedAt))) {
+      errors.push(`${path} has invalid dates`);
+    }
+    if (conversation.chartImage !== null &&
+        (typeof conversation.chartImage?.mimeType !== 'string' || typeof conversation.chartImage?.data !== 'string')) {
+      errors.push(`${path}.chartImage should be {mimeType, data} or null`);
+    }
+    if (!Array.isArray(conversation.messages) ||
+        !conversation.messages.every(msg => ['user', 'assistant'].includes(msg?.role) && typeof msg.content === 'string')) {
+      errors.push(`${path}.messages should be {role, content} messages`);
+    }
+  });
+
+  return { valid: errors.length === 0, errors };
+}
+
+/**
+ * Convert an archive conversation record to the shape used by conversations.js
+ * @param {Object} record - Conversation from the archive
+ * @returns {Object} Conversation with messages and chartImage data URL
+ */
+function fromExportRecord(record) {
+  return {
+    id: record.id,
+    timestamp: Date.parse(record.updatedAt),
+    createdAt: Date.parse(record.createdAt),
+    provider: record.provider,
+    model: record.model || null,
+    category: record.category,
+    metadata: record.metadata || {},
+    tags: record.tags || [],
+    pinned: Boolean(record.pinned),
+    comparisonId: record.comparisonId || null,
+    chartImage: record.chartImage ? `data:${record.chartImage.mimeType};base64,${record.chartImage.data}` : null,
+    messages: record.messages
+  };
+}
+
+/**
+ * Check whether one message list starts with another
+ * @param {Array} messages - Longer message list
+ * @param {Array} prefix - Messages expected at the start
+ * @returns {boolean}
+ */
+function startsWithMessages(messages, prefix) {
+  return prefix.length <= messages.length &&
+    prefix.every((msg, index) => msg.role === messages[index].role && msg.content === messages[index].content);
+}
+
+/**
+ * Restore a backup archive
+ * Conversations are merged by ID: new ones are added, a stored conversation is replaced
+ * when the backup copy continues it, and kept when it is the same or further along.
+ * Copies whose messages diverge are conflicts: the stored copy is kept and reported.
+ * Preferences from the backup overwrite current ones; usage records are merged;
+ * categories are merged by ID. Comparison records are not in the archive, so restored
+ * conversations only keep a comparisonId whose comparison is stored here. API keys in the
+ * archive are not restored here (the background script saves them, see importApiKeys in background.js).
+ * @param {Object} archive - Parsed backup file
+ * @returns {Promise<Object>} Report: {added, updated, unchanged, conflicts, usageRecords, preferences, categories, removedByRetention}
+ */
+export async function restoreBackup(archive) {
+  const { valid, errors } = validateBackup(archive);
+  if (!valid) {
+    throw new Error(`Invalid backup: ${errors.slice(0, 3).join('; ')}${errors.length > 3 ? ` (+${errors.length - 3} more)` : ''}`);
+  }
+
+  const report = {
+    added: 0,
+    updated: 0,
+    unchanged: 0,
+    conflicts: [], // {id, title, reason}
+    usageRecords: 0,
+    preferences: 0,
+    categories: 0,
+    removedByRetention: 0
+  };
+
+  // Preferences first, so the restored retention policy applies to the merged history
+  report.preferences = await restorePreferences(archive.preferences);
+  report.categories = await mergeCategories(archive.categories);
+
+  const stored = new Set((await getAllConversations()).map(c => c.id));
+  for (const record of archive.conversations) {
+    const incoming = fromExportRecord(record);
+    if (incoming.comparisonId && !(await hasComparison(incoming.comparisonId))) {
+      incoming.comparisonId = null; // The comparison is not in the archive; don't link to nothing
+    }
+
+    if (!stored.has(incoming.id)) {
+      await importConversation(incoming);
+      report.added++;
+      continue;
+    }
+
+    const local = await getConversationById(incoming.id);
+    if (startsWithMessages(local.messages, incoming.messages)) {
+      report.unchanged++; // Same conversation, or the stored copy is further along
+    } else if (startsWithMessages(incoming.messages, local.messages)) {
+      await importConversation({
+        ...incoming,
+        tags: [...(local.tags || []), ...incoming.tags],
+        pinned: local.pinned || incoming.pinned
+      });
+      report.updated++;
+    } else {
+      report.conflicts.push({
+        id: incoming.id,
+        title: incoming.metadata.title || 'Bitcoin Chart',
+        reason: 'Messages differ from the stored conversation; kept the stored copy'
+      });
+    }
+  }
+
+  report.removedByRetention = await applyRetentionPolicy();
+  report.usageRecords = await mergeUsageRecords(archive.usageRecords || []);
+
+  return report;
+}
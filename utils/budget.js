@@ -0,0 +1,212 @@
+/**
+ * Spending budgets
+ * Daily and monthly budgets, for all providers together and for each provider, checked
+ * against the usage records kept by utils/cost.js. The background script checks each
+ * request's estimated cost against them before sending, and warns through notifications
+ * as spending crosses the alert thresholds.
+ */
+
+import { getUsageRecords } from './cost.js';
+import { getProviderInfo, isKnownProvider } from '../providers/registry.js';
+
+export const BUDGET_SETTINGS_KEY = 'budget_settings'; // Backed up with the preferences (utils/preferences.js)
+const BUDGET_ALERTS_KEY = 'budget_alerts'; // Highest alert threshold already shown, per budget and period
+
+export const BUDGET_PERIODS = ['daily', 'monthly'];
+
+// What happens when a request would go over a budget: 'confirm' asks first, 'block' refuses it
+export const CAP_ACTIONS = ['confirm', 'block'];
+
+export const DEFAULT_BUDGET_SETTINGS = {
+  limits: {
+    daily: { total: null, providers: {} }, // USD; null = no budget
+    monthly: { total: null, providers: {} }
+  },
+  alertThresholds: [50, 80, 100], // Percent of a budget spent
+  capAction: 'confirm'
+};
+
+/**
+ * Get the start of the current budget period
+ * @param {string} period - 'daily' or 'monthly'
+ * @param {number} now - Current time (ms since epoch)
+ * @returns {number} Timestamp of local midnight today, or of the first day of this month
+ */
+function getPeriodStart(period, now = Date.now()) {
+  const date = new Date(now);
+  return period === 'daily'
+    ? new Date(date.getFullYear(), date.getMonth(), date.getDate()).getTime()
+    : new Date(date.getFullYear(), date.getMonth(), 1).getTime();
+}
+
+/**
+ * Check a budget amount
+ * @param {*} value - Amount from settings
+ * @returns {boolean} Whether it is null (no budget) or a positive number of USD
+ */
+function isValidLimit(value) {
+  return value === null || (typeof value === 'number' && Number.isFinite(value) && value > 0);
+}
+
+/**
+ * Get the budget settings
+ * @returns {Promise<Object>} {limits: {daily, monthly}, alertThresholds, capAction}; see DEFAULT_BUDGET_SETTINGS
+ */
+export async function getBudgetSettings() {
+  const result = await chrome.storage.local.get([BUDGET_SETTINGS_KEY]);
+  const saved = result[BUDGET_SETTINGS_KEY] || {};
+  const limits = {};
+  for (const period of BUDGET_PERIODS) {
+    limits[period] = {
+      total: saved.limits?.[period]?.total ?? null,
+      providers: { ...(saved.limits?.[period]?.providers || {}) }
+    };
+  }
+  return {
+    limits,
+    alertThresholds: saved.alertThresholds || DEFAULT_BUDGET_SETTINGS.alertThresholds,
+    capAction: CAP_ACTIONS.includes(saved.capAction) ? saved.capAction : DEFAULT_BUDGET_SETTINGS.capAction
+  };
+}
+
+/**
+ * Save the budget settings
+ * @param {Object} settings - {limits, alertThresholds, capAction}; see DEFAULT_BUDGET_SETTINGS
+ * @returns {Promise<void>}
+ */
+export async function saveBudgetSettings({ limits, alertThresholds, capAction }) {
+  const clean = {};
+  for (const period of BUDGET_PERIODS) {
+    const { total = null, providers = {} } = limits?.[period] || {};
+    if (!isValidLimit(total)) {
+      throw new Error(`The ${period} budget must be a positive amount`);
+    }
+    const providerLimits = {};
+    for (const [provider, limit] of Object.entries(providers)) {
+      if (!isKnownProvider(provider)) {
+        throw new Error(`Unknown provider: ${provider}`);
+      }
+      if (!isValidLimit(limit)) {
+        throw new Error(`The ${period} budget for ${getProviderInfo(provider).name} must be a positive amount`);
+      }
+      if (limit !== null) {
+        providerLimits[provider] = limit;
+      }
+    }
+    clean[period] = { total, providers: providerLimits };
+  }
+
+  if (!Array.isArray(alertThresholds) || !alertThresholds.every(t => Number.isInteger(t) && t >= 1 && t <= 100)) {
+    throw new Error('Alert thresholds must be whole percentages from 1 to 100');
+  }
+  if (!CAP_ACTIONS.includes(capAction)) {
+    throw new Error(`Unknown over-budget action: ${capAction}`);
+  }
+
+  await chrome.storage.local.set({
+    [BUDGET_SETTINGS_KEY]: {
+      limits: clean,
+      alertThresholds: [...new Set(alertThresholds)].sort((a, b) => a - b),
+      capAction
+    }
+  });
+}
+
+/**
+ * Describe a budget for messages, e.g. "Monthly budget" or "Daily OpenAI budget"
+ * @param {{period: string, provider: string|null}} budget - Budget
+ * @returns {string}
+ */
+export function describeBudget({ period, provider }) {
+  const name = provider ? `${getProviderInfo(provider)?.name || provider} ` : '';
+  return `${period === 'daily' ? 'Daily' : 'Monthly'} ${name}budget`;
+}
+
+/**
+ * Get every budget that is set, with what has been spent against it this period
+ * @param {number} now - Current time (ms since epoch)
+ * @returns {Promise<Array<{id: string, period: string, provider: string|null, limit: number, spent: number, periodStart: number}>>}
+ *   Total budgets first, then per-provider budgets
+ */
+export async function getBudgetStatus(now = Date.now()) {
+  const { limits } = await getBudgetSettings();
+  const records = await getUsageRecords();
+  const budgets = [];
+
+  for (const period of BUDGET_PERIODS) {
+    const periodStart = getPeriodStart(period, now);
+    const periodRecords = records.filter(r => r.timestamp >= periodStart);
+    const spentBy = (provider) => periodRecords
+      .filter(r => !provider || r.provider === provider)
+      .reduce((sum, r) => sum + (r.cost || 0), 0);
+
+    if (limits[period].total !== null) {
+      budgets.push({ id: `${period}:total`, period, provider: null, limit: limits[period].total, spent: spentBy(null), periodStart });
+    }
+    for (const [provider, limit] of Object.entries(limits[period].providers)) {
+      budgets.push({ id: `${period}:${provider}`, period, provider, limit, spent: spentBy(provider), periodStart });
+    }
+  }
+
+  return budgets;
+}
+
+/**
+ * Check estimated request costs against the budgets
+ * @param {Object<string, number>} estimates - Estimated cost in USD, by provider the request goes to
+ * @returns {Promise<{exceeded: Array<Object>, capAction: string}>} Budgets the request would go over,
+ *   each with its estimate added (see getBudgetStatus), and what to do about it
+ */
+export async function checkBudget(estimates) {
+  const { capAction } = await getBudgetSettings();
+  const total = Object.values(estimates).reduce((sum, cost) => sum + cost, 0);
+
+  const exceeded = (await getBudgetStatus())
+    .map(budget => ({ ...budget, estimate: budget.provider ? (estimates[budget.provider] || 0) : total }))
+    .filter(budget => budget.provider === null || budget.provider in estimates)
+    .filter(budget => budget.spent + budget.estimate > budget.limit);
+
+  return { exceeded, capAction };
+}
+
+// Checks read the shown alerts and write them back; run them one at a time so parallel
+// calls cannot both alert for the same threshold or drop each other's updates
+let alertCheckQueue = Promise.resolve();
+
+/**
+ * Find alert thresholds crossed since the last check
+ * Each budget alerts once per threshold per period; when several thresholds were crossed
+ * at once only the highest is returned
+ * @returns {Promise<Array<{budget: Object, threshold: number}>>} New alerts
+ */
+export function checkBudgetAlerts() {
+  const run = alertCheckQueue.then(findNewAlerts);
+  alertCheckQueue = run.catch(() => {}); // A failed check must not block the next one
+  return run;
+}
+
+/**
+ * Compare spending with the alert thresholds and remember the ones now shown
+ * @returns {Promise<Array<{budget: Object, threshold: number}>>} New alerts
+ */
+async function findNewAlerts() {
+  const { alertThresholds } = await getBudgetSettings();
+  const result = await chrome.storage.local.get([BUDGET_ALERTS_KEY]);
+  const shown = result[BUDGET_ALERTS_KEY] || {};
+  const alerts = [];
+
+  for (const budget of await getBudgetStatus()) {
+    const percent = (budget.spent / budget.limit) * 100;
+    const crossed = alertThresholds.filter(t => percent >= t).pop();
+    const previous = shown[budget.id]?.periodStart === budget.periodStart ? shown[budget.id].threshold : 0;
+    if (crossed && crossed > previous) {
+      alerts.push({ budget, threshold: crossed });
+      shown[budget.id] = { periodStart: budget.periodStart, threshold: crossed };
+    }
+  }
+
+  if (alerts.length > 0) {
+    await chrome.storage.local.set({ [BUDGET_ALERTS_KEY]: shown });
+  }
+  return alerts;
+}
@@ -0,0 +1,243 @@
+/**
+ * Analysis category storage
+ * The user's categories (built-in and custom) in display order, stored in
+ * chrome.storage.local. Until the user changes anything the built-in defaults
+ * from utils/prompts.js are used; built-ins can always be restored.
+ */
+
+import { DEFAULT_CATEGORIES, DEFAULT_USER_PROMPT, DEFAULT_GENERATION } from './prompts.js';
+import { isKnownProvider } from '../providers/registry.js';
+
+const CATEGORIES_KEY = 'analysis_categories';
+const MAX_LABEL_LENGTH = 12; // Category buttons share one row in the side panel
+const MAX_OUTPUT_TOKENS = 32000;
+
+export const DEFAULT_CATEGORY_ID = 'market-analysis';
+
+/**
+ * Build the built-in category definitions in their default order
+ * @returns {Array<Object>} Category definitions
+ */
+function getBuiltInCategories() {
+  return Object.entries(DEFAULT_CATEGORIES).map(([id, category]) => ({
+    id,
+    name: category.name,
+    label: category.label,
+    description: category.description,
+    structured: category.structured,
+    systemPrompt: category.systemPrompt,
+    userPrompt: category.userPrompt,
+    generation: { ...category.generation },
+    builtIn: true
+  }));
+}
+
+/**
+ * Get the categories in display order
+ * @returns {Promise<Array<Object>>} Category definitions {id, name, label, description, structured, systemPrompt, userPrompt, generation, builtIn}
+ */
+export async function getCategories() {
+  const result = await chrome.storage.local.get([CATEGORIES_KEY]);
+  const stored = result[CATEGORIES_KEY];
+  return Array.isArray(stored) && stored.length > 0 ? stored : getBuiltInCategories();
+}
+
+/**
+ * Get a category by id
+ * Falls back to the built-in definition for built-in ids the user deleted, so
+ * conversations started with them can continue
+ * @param {string} id - Category id
+ * @returns {Promise<Object|null>} Category definition or null if unknown
+ */
+export async function getCategory(id) {
+  const categories = await getCategories();
+  return categories.find(category => category.id === id) ||
+    getBuiltInCategories().find(category => category.id === id) ||
+    null;
+}
+
+/**
+ * Store the category list
+ * @param {Array<Object>} categories - Category definitions in display order
+ * @returns {Promise<void>}
+ */
+async function storeCategories(categories) {
+  await chrome.storage.local.set({ [CATEGORIES_KEY]: categories });
+}
+
+/**
+ * Check generation settings and return a clean copy
+ * @param {Object} generation - Generation settings from the editor
+ * @returns {{provider: string|null, model: string|null, temperature: number, maxTokens: number, stop: string|null}}
+ */
+function normalizeGeneration(generation = {}) {
+  const settings = { ...DEFAULT_GENERATION, ...generation };
+  const temperature = Number(settings.temperature);
+  const maxTokens = Number(settings.maxTokens);
+  const provider = settings.provider || null;
+
+  if (!Number.isFinite(temperature) || temperature < 0 || temperature > 2) {
+    throw new Error('Temperature must be between 0 and 2');
+  }
+  if (!Number.isInteger(maxTokens) || maxTokens < 1 || maxTokens > MAX_OUTPUT_TOKENS) {
+    throw new Error(`Max output tokens must be a whole number from 1 to ${MAX_OUTPUT_TOKENS}`);
+  }
+  if (provider && !isKnownProvider(provider)) {
+    throw new Error(`Unknown provider: ${provider}`);
+  }
+
+  return {
+    provider,
+    model: provider ? (String(settings.model || '').trim() || null) : null, // A model only makes sense with its provider
+    temperature,
+    maxTokens,
+    stop: settings.stop ? String(settings.stop) : null
+  };
+}
+
+/**
+ * Check a category's fields and return a clean copy
+ * @param {Object} category - Category fields from the editor
+ * @returns {Object} Normalized category (without id)
+ */
+function normalizeCategory(category) {
+  const name = String(category.name || '').trim();
+  const label = String(category.label || '').trim();
+  const systemPrompt = String(category.systemPrompt || '').trim();
+
+  if (!name) {
+    throw new Error('Category name is required');
+  }
+  if (!label) {
+    throw new Error('Button label is required');
+  }
+  if (label.length > MAX_LABEL_LENGTH) {
+    throw new Error(`Button label must be ${MAX_LABEL_LENGTH} characters or fewer`);
+  }
+  if (!systemPrompt) {
+    throw new Error('System prompt is required');
+  }
+
+  return {
+    name,
+    label,
+    description: String(category.description || '').trim(),
+    structured: Boolean(category.structured),
+    systemPrompt,
+    userPrompt: String(category.userPrompt || '').trim() || DEFAULT_USER_PROMPT,
+    generation: normalizeGeneration(category.generation)
+  };
+}
+
+/**
+ * Create or update a category
+ * @param {Object} category - Category fields; include `id` to update an existing category
+ * @returns {Promise<Object>} Saved category
+ */
+export async function saveCategory(category) {
+  const categories = await getCategories();
+  const fields = normalizeCategory(category);
+  const index = category.id ? categories.findIndex(c => c.id === category.id) : -1;
+
+  let saved;
+  if (index >= 0) {
+    saved = { ...categories[index], ...fields };
+    categories[index] = saved;
+  } else {
+    saved = {
+      id: `custom_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+      ...fields,
+      builtIn: false
+    };
+    categories.push(saved);
+  }
+
+  await storeCategories(categories);
+  return saved;
+}
+
+/**
+ * Duplicate a category as a new custom category placed after it
+ * @param {string} id - Category id
+ * @returns {Promise<Object>} The copy
+ */
+export async function duplicateCategory(id) {
+  const categories = await getCategories();
+  const index = categories.findIndex(c => c.id === id);
+  if (index < 0) {
+    throw new Error('Category not found');
+  }
+
+  const original = categories[index];
+  const copy = {
+    ...original,
+    id: `custom_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+    name: `${original.name} (copy)`,
+    builtIn: false
+  };
+  categories.splice(index + 1, 0, copy);
+
+  await storeCategories(categories);
+  return copy;
+}
+
+/**
+ * Delete a category (at least one must remain)
+ * @param {string} id - Category id
+ * @returns {Promise<void>}
+ */
+export async function deleteCategory(id) {
+  const categories = await getCategories();
+  const remaining = categories.filter(c => c.id !== id);
+  if (remaining.length === 0) {
+    throw new Error('At least one category is required');
+  }
+  await storeCategories(remaining);
+}
+
+/**
+ * Restore the built-in categories to their defaults
+ * Edited built-ins are reset and deleted ones come back at their default position;
+ * custom categories are kept after them
+ * @returns {Promise<void>}
+ */
+export async function restoreDefaultCategories() {
+  const categories = await getCategories();
+  const custom = categories.filter(c => !c.builtIn);
+  await storeCategories([...getBuiltInCategories(), ...custom]);
+}
+
+/**
+ * Merge categories from a backup by id (backup copies replace stored ones)
+ * @param {Array<Object>} categories - Category definitions
+ * @returns {Promise<number>} Number of categories restored
+ */
+export async function mergeCategories(categories) {
+  const merged = await getCategories();
+  let count = 0;
+
+  for (const category of categories || []) {
+    if (!category || typeof category.id !== 'string') continue;
+    let fields;
+    try {
+      fields = normalizeCategory(category);
+    } catch (error) {
+      console.warn(`Skipping category ${category.id}:`, error.message);
+      continue;
+    }
+
+    const restored = { id: category.id, ...fields, builtIn: Boolean(category.builtIn) };
+    const index = merged.findIndex(c => c.id === category.id);
+    if (index >= 0) {
+      merged[index] = restored;
+    } else {
+      merged.push(restored);
+    }
+    count++;
+  }
+
+  if (count > 0) {
+    await storeCategories(merged);
+  }
+  return count;
+}
@@ -0,0 +1,76 @@
+/**
+ * Provider comparison
+ * Finds where structured analyses of the same chart from different providers
+ * agree and disagree on trend and key levels
+ */
+
+// Levels of the same type within this distance (relative to price) count as the same level
+const LEVEL_TOLERANCE = 0.02;
+
+/**
+ * Compare the trend calls of several structured analyses
+ * @param {Array<{provider: string, structured: Object}>} entries - Structured answers
+ * @returns {{agree: boolean, byProvider: Object<string, {direction: string, strength: string}>}}
+ */
+function compareTrends(entries) {
+  const byProvider = {};
+  entries.forEach(({ provider, structured }) => {
+    byProvider[provider] = { direction: structured.trend.direction, strength: structured.trend.strength };
+  });
+  const directions = new Set(Object.values(byProvider).map(trend => trend.direction));
+  return { agree: directions.size <= 1, byProvider };
+}
+
+/**
+ * Group key levels that several analyses place at about the same price
+ * @param {Array<{provider: string, structured: Object}>} entries - Structured answers
+ * @returns {Array<{type: string, price: number, prices: Object<string, number>, agree: boolean}>}
+ *   One row per level, highest price first; `prices` has each provider's price for it,
+ *   and `agree` is true when every provider named the level
+ */
+function compareLevels(entries) {
+  const groups = [];
+
+  entries.forEach(({ provider, structured }) => {
+    [...structured.levels]
+      .sort((a, b) => a.price - b.price)
+      .forEach(level => {
+        const group = groups.find(candidate => candidate.type === level.type &&
+          !(provider in candidate.prices) &&
+          Math.abs(candidate.price - level.price) <= candidate.price * LEVEL_TOLERANCE);
+        if (group) {
+          group.prices[provider] = level.price;
+          const prices = Object.values(group.prices);
+          group.price = prices.reduce((sum, price) => sum + price, 0) / prices.length;
+        } else {
+          groups.push({ type: level.type, price: level.price, prices: { [provider]: level.price } });
+        }
+      });
+  });
+
+  return groups
+    .map(group => ({ ...group, agree: Object.keys(group.prices).length === entries.length }))
+    .sort((a, b) => b.price - a.price);
+}
+
+/**
+ * Compare the structured answers of a comparison run
+ * Answers without a structured analysis (plain text, errors) are left out
+ * @param {Array<{provider: string, structured: Object|null}>} entries - Comparison answers
+ * @returns {Object|null} {providers, trend, levels, disagreements}, or null with fewer than two structured answers
+ */
+export function compareAnalyses(entries) {
+  const structured = entries.filter(entry => entry.structured);
+  if (structured.length < 2) {
+    return null;
+  }
+
+  const trend = compareTrends(structured);
+  const levels = compareLevels(structured);
+  return {
+    providers: structured.map(entry => entry.provider),
+    trend,
+    levels,
+    disagreements: (trend.agree ? 0 : 1) + levels.filter(level => !level.agree).length
+  };
+}
@@ -1,18 +1,203 @@
 /**
  * Conversation history management
- * Stores and retrieves conversation history with automatic cleanup
+ * Stores conversations in IndexedDB: messages are appended one record at a time and
+ * chart images are stored once as Blobs keyed by content hash. Old conversations are
+ * removed by the size/age retention policy in preferences; pinned ones are kept.
+ * Conversations carry search terms (messages, chart title, URL) and user tags.
+ * A provider comparison saves one conversation per provider plus a comparison record
+ * linking them; the record is removed with its last conversation.
  */
 
-const MAX_CONVERSATIONS = 15; // Keep last 15 conversations
-const STORAGE_KEY = 'conversation_history';
+import { STORES, withTransaction, requestToPromise, tokenize } from './db.js';
+import { getRetentionPolicy } from './preferences.js';
+
+const LEGACY_STORAGE_KEY = 'conversation_history'; // chrome.storage.local array used before IndexedDB
+const SNIPPET_CONTEXT = 60; // Characters shown either side of a search match
+
+let migrationPromise = null;
+
+/**
+ * Convert a data URL to a Blob
+ * @param {string} dataUrl - Data URL
+ * @returns {Promise<Blob>}
+ */
+async function dataUrlToBlob(dataUrl) {
+  const response = await fetch(dataUrl);
+  return await response.blob();
+}
+
+/**
+ * Convert a Blob to a data URL (works in the service worker, which has no FileReader)
+ * @param {Blob} blob - Image blob
+ * @returns {Promise<string>}
+ */
+async function blobToDataUrl(blob) {
+  const bytes = new Uint8Array(await blob.arrayBuffer());
+  let binary = '';
+  for (let i = 0; i < bytes.length; i += 0x8000) {
+    binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+  }
+  return `data:${blob.type || 'image/png'};base64,${btoa(binary)}`;
+}
+
+/**
+ * SHA-256 of a Blob's bytes as hex
+ * @param {Blob} blob - Image blob
+ * @returns {Promise<string>}
+ */
+async function hashBlob(blob) {
+  const digest = await crypto.subtle.digest('SHA-256', await blob.arrayBuffer());
+  return Array.from(new Uint8Array(digest))
+    .map(byte => byte.toString(16).padStart(2, '0'))
+    .join('');
+}
+
+/**
+ * Approximate stored size of messages
+ * @param {Array} messages - Messages
+ * @returns {number} Size in bytes
+ */
+function measureMessages(messages) {
+  return new Blob([JSON.stringify(messages)]).size;
+}
+
+/**
+ * Build search terms for a conversation's chart and messages
+ * @param {Object} metadata - Chart metadata (title, url)
+ * @param {Array} messages - Messages
+ * @param {Array<string>} existingTerms - Terms already indexed
+ * @returns {Array<string>} Unique search terms
+ */
+function buildSearchTerms(metadata, messages, existingTerms = []) {
+  const text = [
+    metadata?.title || '',
+    metadata?.url || '',
+    ...messages.map(message => (typeof message.content === 'string' ? message.content : ''))
+  ].join(' ');
+  return [...new Set([...existingTerms, ...tokenize(text)])];
+}
+
+/**
+ * Normalize user tags (trimmed, lowercase, unique)
+ * @param {Array<string>} tags - Tags
+ * @returns {Array<string>}
+ */
+function normalizeTags(tags) {
+  return [...new Set((tags || []).map(tag => String(tag).trim().toLowerCase()).filter(Boolean))];
+}
+
+/**
+ * Build message records for a conversation
+ * @param {string} conversationId - Conversation ID
+ * @param {Array} messages - Messages
+ * @param {number} startIndex - Index of the first message
+ * @returns {Array<Object>} Records for the messages store
+ */
+function toMessageRecords(conversationId, messages, startIndex = 0) {
+  return messages.map((message, offset) => ({
+    ...message,
+    conversationId,
+    index: startIndex + offset
+  }));
+}
+
+/**
+ * Strip storage keys from a message record
+ * @param {Object} record - Message record
+ * @returns {Object} Message {role, content, ...}
+ */
+function fromMessageRecord(record) {
+  const { conversationId, index, ...message } = record;
+  return message;
+}
+
+/**
+ * Prepare a chart image for storage (outside any transaction - hashing is async)
+ * @param {string|null} chartImage - Image data URL
+ * @returns {Promise<{hash: string, blob: Blob}|null>}
+ */
+async function prepareImage(chartImage) {
+  if (!chartImage) return null;
+  const blob = await dataUrlToBlob(chartImage);
+  return { hash: await hashBlob(blob), blob };
+}
+
+/**
+ * Write a conversation with its messages and image in one transaction
+ * @param {Object} conversation - Conversation record (without messages)
+ * @param {Array} messages - Messages
+ * @param {{hash: string, blob: Blob}|null} image - Prepared image
+ * @returns {Promise<void>}
+ */
+async function writeConversation(conversation, messages, image) {
+  await withTransaction([STORES.CONVERSATIONS, STORES.MESSAGES, STORES.IMAGES], 'readwrite', async (tx) => {
+    const images = tx.objectStore(STORES.IMAGES);
+    if (image && !(await requestToPromise(images.getKey(image.hash)))) {
+      images.put({ hash: image.hash, blob: image.blob, size: image.blob.size, type: image.blob.type });
+    }
+
+    tx.objectStore(STORES.CONVERSATIONS).put(conversation);
+    const messageStore = tx.objectStore(STORES.MESSAGES);
+    toMessageRecords(conversation.id, messages).forEach(record => messageStore.put(record));
+  });
+}
+
+/**
+ * Import conversations saved in chrome.storage.local by earlier versions
+ * Safe to run from several contexts: records keep their IDs, so re-imports overwrite
+ * @returns {Promise<number>} Number of conversations migrated
+ */
+export function migrateLegacyConversations() {
+  if (!migrationPromise) {
+    migrationPromise = (async () => {
+      const result = await chrome.storage.local.get([LEGACY_STORAGE_KEY]);
+      const legacy = result[LEGACY_STORAGE_KEY];
+      if (!Array.isArray(legacy) || legacy.length === 0) {
+        return 0;
+      }
+
+      for (const old of legacy) {
+        const messages = old.messages || [];
+        const image = await prepareImage(old.chartImage);
+        await writeConversation({
+          id: old.id,
+          timestamp: old.timestamp || Date.now(),
+          createdAt: old.timestamp || Date.now(),
+          provider: old.provider,
+          model: old.model || null,
+          category: old.category || 'market-analysis',
+          metadata: old.metadata || {},
+          imageHash: image ? image.hash : null,
+          messageCount: messages.length,
+          messagesSize: measureMessages(messages),
+          searchTerms: buildSearchTerms(old.metadata, messages),
+          tags: [],
+          pinned: false
+        }, messages, image);
+      }
+
+      await chrome.storage.local.remove([LEGACY_STORAGE_KEY]);
+      console.log(`Migrated ${legacy.length} conversations to IndexedDB`);
+      return legacy.length;
+    })().catch(error => {
+      migrationPromise = null; // Retry on next access
+      throw error;
+    });
+  }
+  return migrationPromise;
+}
 
 /**
- * Get all stored conversations
- * @returns {Promise<Array>} Array of conversation objects
+ * Get all stored conversations, most recent first
+ * Returns conversation records only; use getConversationById for messages and the image
+ * @returns {Promise<Array>} Conversation records ({id, timestamp, provider, model, category, metadata, imageHash, messageCount, tags, pinned, comparisonId?})
  */
 export async function getAllConversations() {
-  const result = await chrome.storage.local.get([STORAGE_KEY]);
-  return result[STORAGE_KEY] || [];
+  await migrateLegacyConversations();
+  const conversations = await withTransaction(STORES.CONVERSATIONS, 'readonly', (tx) =>
+    requestToPromise(tx.objectStore(STORES.CONVERSATIONS).getAll())
+  );
+  return conversations.sort((a, b) => b.timestamp - a.timestamp);
 }
 
 /**
@@ -22,49 +207,202 @@ export async function getAllConversations() {
  * @param {string} chartImage - Base64 image data URL
  * @param {Object} metadata - Chart metadata
  * @param {string} category - Prompt category used
+ * @param {string|null} model - Model that produced the analysis
  * @returns {Promise<string>} Conversation ID
  */
-export async function saveConversation(provider, messages, chartImage, metadata, category = 'market-analysis') {
-  const conversations = await getAllConversations();
-  
-  // Create new conversation
+export async function saveConversation(provider, messages, chartImage, metadata, category = 'market-analysis', model = null) {
+  await migrateLegacyConversations();
+
   const conversationId = `conv_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
-  const conversation = {
+  const now = Date.now();
+  const image = await prepareImage(chartImage);
+
+  await writeConversation({
     id: conversationId,
-    timestamp: Date.now(),
+    timestamp: now,
+    createdAt: now,
     provider,
+    model,
     category,
-    messages: [...messages], // Copy array
-    chartImage,
-    metadata: { ...metadata } // Copy object
-  };
-  
-  // Add to beginning (most recent first)
-  conversations.unshift(conversation);
-  
-  // Keep only last MAX_CONVERSATIONS
-  const trimmedConversations = conversations.slice(0, MAX_CONVERSATIONS);
-  
-  await chrome.storage.local.set({ [STORAGE_KEY]: trimmedConversations });
-  
+    metadata: { ...metadata }, // Copy object
+    imageHash: image ? image.hash : null,
+    messageCount: messages.length,
+    messagesSize: measureMessages(messages),
+    searchTerms: buildSearchTerms(metadata, messages),
+    tags: [],
+    pinned: false
+  }, messages, image);
+
+  await applyRetentionPolicy();
   return conversationId;
 }
 
 /**
  * Update an existing conversation
+ * Only messages past the stored count are written; earlier messages never change
  * @param {string} conversationId - Conversation ID
  * @param {Array} messages - Updated messages array
+ * @param {Object} updates - Optional field updates (e.g. model of the latest answer)
  * @returns {Promise<void>}
  */
-export async function updateConversation(conversationId, messages) {
-  const conversations = await getAllConversations();
-  const index = conversations.findIndex(c => c.id === conversationId);
-  
-  if (index !== -1) {
-    conversations[index].messages = [...messages];
-    conversations[index].timestamp = Date.now(); // Update timestamp
-    await chrome.storage.local.set({ [STORAGE_KEY]: conversations });
+export async function updateConversation(conversationId, messages, updates = {}) {
+  const updated = await withTransaction([STORES.CONVERSATIONS, STORES.MESSAGES], 'readwrite', async (tx) => {
+    const conversations = tx.objectStore(STORES.CONVERSATIONS);
+    const conversation = await requestToPromise(conversations.get(conversationId));
+    if (!conversation) {
+      return false;
+    }
+
+    const newMessages = messages.slice(conversation.messageCount);
+    const messageStore = tx.objectStore(STORES.MESSAGES);
+    toMessageRecords(conversationId, newMessages, conversation.messageCount)
+      .forEach(record => messageStore.put(record));
+
+    if (updates.model) {
+      conversation.model = updates.model;
+    }
+    conversation.messageCount += newMessages.length;
+    conversation.messagesSize += newMessages.length ? measureMessages(newMessages) : 0;
+    conversation.searchTerms = buildSearchTerms({}, newMessages, conversation.searchTerms || []);
+    conversation.timestamp = Date.now(); // Update timestamp
+    conversations.put(conversation);
+    return true;
+  });
+
+  if (updated) {
+    await applyRetentionPolicy();
+  }
+}
+
+/**
+ * Save a provider comparison
+ * Every provider that answered gets its own conversation (so it can be continued),
+ * tagged with the comparison ID; the comparison record keeps latency, cost and errors
+ * for all providers and the agreement summary
+ * @param {Object} comparison - Comparison run
+ * @param {Array<Object>} comparison.entries - {provider, model, messages, latencyMs, cost, usage, error}; messages is empty for failed providers
+ * @param {string} comparison.chartImage - Base64 image data URL
+ * @param {Object} comparison.metadata - Chart metadata
+ * @param {string} comparison.category - Prompt category used
+ * @param {Object|null} comparison.agreement - Agreement summary from compareAnalyses
+ * @returns {Promise<{comparisonId: string, conversationIds: Object<string, string>}>} Conversation IDs by provider
+ */
+export async function saveComparison({ entries, chartImage, metadata, category = 'market-analysis', agreement = null }) {
+  await migrateLegacyConversations();
+
+  const now = Date.now();
+  const comparisonId = `cmp_${now}_${Math.random().toString(36).substr(2, 9)}`;
+  const image = await prepareImage(chartImage);
+  const conversationIds = {};
+  if (!entries.some(entry => entry.messages?.length > 0)) {
+    throw new Error('No provider answered, so there is nothing to save');
   }
+
+  const records = entries.map((entry, position) => {
+    const messages = entry.messages || [];
+    const conversationId = messages.length > 0
+      ? `conv_${now}_${position}_${Math.random().toString(36).substr(2, 9)}`
+      : null;
+    if (conversationId) {
+      conversationIds[entry.provider] = conversationId;
+    }
+    return { entry, messages, conversationId };
+  });
+
+  await withTransaction([STORES.CONVERSATIONS, STORES.MESSAGES, STORES.IMAGES, STORES.COMPARISONS], 'readwrite', async (tx) => {
+    const images = tx.objectStore(STORES.IMAGES);
+    if (image && !(await requestToPromise(images.getKey(image.hash)))) {
+      images.put({ hash: image.hash, blob: image.blob, size: image.blob.size, type: image.blob.type });
+    }
+
+    const conversations = tx.objectStore(STORES.CONVERSATIONS);
+    const messageStore = tx.objectStore(STORES.MESSAGES);
+    records.filter(record => record.conversationId).forEach(({ entry, messages, conversationId }) => {
+      conversations.put({
+        id: conversationId,
+        timestamp: now,
+        createdAt: now,
+        provider: entry.provider,
+        model: entry.model || null,
+        category,
+        metadata: { ...metadata },
+        imageHash: image ? image.hash : null,
+        messageCount: messages.length,
+        messagesSize: measureMessages(messages),
+        searchTerms: buildSearchTerms(metadata, messages),
+        tags: [],
+        pinned: false,
+        comparisonId
+      });
+      toMessageRecords(conversationId, messages).forEach(record => messageStore.put(record));
+    });
+
+    tx.objectStore(STORES.COMPARISONS).put({
+      id: comparisonId,
+      timestamp: now,
+      category,
+      metadata: { ...metadata },
+      imageHash: image ? image.hash : null,
+      entries: records.map(({ entry, conversationId }) => ({
+        provider: entry.provider,
+        model: entry.model || null,
+        conversationId,
+        latencyMs: entry.latencyMs,
+        cost: entry.cost ?? null,
+        usage: entry.usage || null,
+        error: entry.error || null
+      })),
+      agreement
+    });
+  });
+
+  await applyRetentionPolicy();
+  return { comparisonId, conversationIds };
+}
+
+/**
+ * Get a comparison with each provider's messages and the chart image
+ * @param {string} comparisonId - Comparison ID
+ * @returns {Promise<Object|null>} Comparison record whose entries carry `messages`
+ *   (null once that conversation was deleted), plus chartImage (data URL); null if not found
+ */
+export async function getComparison(comparisonId) {
+  const stored = await withTransaction([STORES.COMPARISONS, STORES.CONVERSATIONS, STORES.MESSAGES, STORES.IMAGES], 'readonly', async (tx) => {
+    const comparison = await requestToPromise(tx.objectStore(STORES.COMPARISONS).get(comparisonId));
+    if (!comparison) return null;
+
+    const entries = [];
+    for (const entry of comparison.entries) {
+      const conversation = entry.conversationId
+        ? await requestToPromise(tx.objectStore(STORES.CONVERSATIONS).get(entry.conversationId))
+        : null;
+      const records = conversation
+        ? await requestToPromise(tx.objectStore(STORES.MESSAGES).index('conversationId').getAll(entry.conversationId))
+        : null;
+      entries.push({ ...entry, messages: records ? records.sort((a, b) => a.index - b.index).map(fromMessageRecord) : null });
+    }
+    const image = comparison.imageHash
+      ? await requestToPromise(tx.objectStore(STORES.IMAGES).get(comparison.imageHash))
+      : null;
+    return { comparison: { ...comparison, entries }, image };
+  });
+
+  if (!stored) return null;
+  return {
+    ...stored.comparison,
+    chartImage: stored.image ? await blobToDataUrl(stored.image.blob) : null
+  };
+}
+
+/**
+ * Check whether a comparison record is stored
+ * @param {string} comparisonId - Comparison ID
+ * @returns {Promise<boolean>}
+ */
+export async function hasComparison(comparisonId) {
+  const key = await withTransaction([STORES.COMPARISONS], 'readonly', (tx) =>
+    requestToPromise(tx.objectStore(STORES.COMPARISONS).getKey(comparisonId)));
+  return key !== undefined;
 }
 
 /**
@@ -72,18 +410,128 @@ export async function updateConversation(conversationId, messages) {
  * @returns {Promise<Object|null>} Most recent conversation or null
  */
 export async function getMostRecentConversation() {
-  const conversations = await getAllConversations();
-  return conversations.length > 0 ? conversations[0] : null;
+  await migrateLegacyConversations();
+  const latest = await withTransaction(STORES.CONVERSATIONS, 'readonly', async (tx) => {
+    const cursor = await requestToPromise(
+      tx.objectStore(STORES.CONVERSATIONS).index('timestamp').openCursor(null, 'prev')
+    );
+    return cursor ? cursor.value : null;
+  });
+  return latest ? await getConversationById(latest.id) : null;
 }
 
 /**
- * Get conversation by ID
+ * Get conversation by ID, with its messages and chart image (data URL)
  * @param {string} conversationId - Conversation ID
  * @returns {Promise<Object|null>} Conversation or null
  */
 export async function getConversationById(conversationId) {
-  const conversations = await getAllConversations();
-  return conversations.find(c => c.id === conversationId) || null;
+  await migrateLegacyConversations();
+  const stored = await withTransaction([STORES.CONVERSATIONS, STORES.MESSAGES, STORES.IMAGES], 'readonly', async (tx) => {
+    const conversation = await requestToPromise(tx.objectStore(STORES.CONVERSATIONS).get(conversationId));
+    if (!conversation) return null;
+
+    const records = await requestToPromise(
+      tx.objectStore(STORES.MESSAGES).index('conversationId').getAll(conversationId)
+    );
+    const image = conversation.imageHash
+      ? await requestToPromise(tx.objectStore(STORES.IMAGES).get(conversation.imageHash))
+      : null;
+    return { conversation, records, image };
+  });
+
+  if (!stored) return null;
+
+  const { conversation, records, image } = stored;
+  return {
+    ...conversation,
+    messages: records.sort((a, b) => a.index - b.index).map(fromMessageRecord),
+    chartImage: image ? await blobToDataUrl(image.blob) : null
+  };
+}
+
+/**
+ * Get a stored chart image as a Blob (e.g. for thumbnails via object URLs)
+ * @param {string} imageHash - Image hash from a conversation record
+ * @returns {Promise<Blob|null>}
+ */
+export async function getChartImageBlob(imageHash) {
+  if (!imageHash) return null;
+  const image = await withTransaction(STORES.IMAGES, 'readonly', (tx) =>
+    requestToPromise(tx.objectStore(STORES.IMAGES).get(imageHash))
+  );
+  return image ? image.blob : null;
+}
+
+/**
+ * Delete conversations with their messages, and images no other conversation uses
+ * @param {Array<string>} conversationIds - Conversation IDs
+ * @returns {Promise<void>}
+ */
+async function deleteConversations(conversationIds) {
+  if (conversationIds.length === 0) return;
+
+  await withTransaction([STORES.CONVERSATIONS, STORES.MESSAGES, STORES.IMAGES, STORES.COMPARISONS], 'readwrite', async (tx) => {
+    const conversations = tx.objectStore(STORES.CONVERSATIONS);
+    const messages = tx.objectStore(STORES.MESSAGES);
+    const images = tx.objectStore(STORES.IMAGES);
+    const comparisons = tx.objectStore(STORES.COMPARISONS);
+
+    for (const conversationId of conversationIds) {
+      const conversation = await requestToPromise(conversations.get(conversationId));
+      if (!conversation) continue;
+
+      const messageKeys = await requestToPromise(messages.index('conversationId').getAllKeys(conversationId));
+      messageKeys.forEach(key => messages.delete(key));
+      await requestToPromise(conversations.delete(conversationId));
+
+      if (conversation.imageHash) {
+        const users = await requestToPromise(conversations.index('imageHash').count(conversation.imageHash));
+        if (users === 0) {
+          images.delete(conversation.imageHash);
+        }
+      }
+
+      if (conversation.comparisonId) {
+        const members = await requestToPromise(conversations.index('comparisonId').count(conversation.comparisonId));
+        if (members === 0) {
+          comparisons.delete(conversation.comparisonId);
+        }
+      }
+    }
+  });
+}
+
+/**
+ * Store a conversation restored from a backup, keeping its ID, dates, tags and pin
+ * Replaces any stored conversation with the same ID
+ * @param {Object} conversation - Conversation with messages and chartImage (data URL)
+ * @returns {Promise<void>}
+ */
+export async function importConversation(conversation) {
+  await migrateLegacyConversations();
+
+  const messages = conversation.messages || [];
+  const image = await prepareImage(conversation.chartImage);
+
+  // Drops the old messages and, if nothing else uses it, the old image
+  await deleteConversations([conversation.id]);
+  await writeConversation({
+    id: conversation.id,
+    timestamp: conversation.timestamp || Date.now(),
+    createdAt: conversation.createdAt || conversation.timestamp || Date.now(),
+    provider: conversation.provider,
+    model: conversation.model || null,
+    category: conversation.category || 'market-analysis',
+    metadata: conversation.metadata || {},
+    imageHash: image ? image.hash : null,
+    messageCount: messages.length,
+    messagesSize: measureMessages(messages),
+    searchTerms: buildSearchTerms(conversation.metadata, messages),
+    tags: normalizeTags(conversation.tags),
+    pinned: Boolean(conversation.pinned),
+    ...(conversation.comparisonId ? { comparisonId: conversation.comparisonId } : {})
+  }, messages, image);
 }
 
 /**
@@ -92,9 +540,7 @@ export async function getConversationById(conversationId) {
  * @returns {Promise<void>}
  */
 export async function deleteConversation(conversationId) {
-  const conversations = await getAllConversations();
-  const filtered = conversations.filter(c => c.id !== conversationId);
-  await chrome.storage.local.set({ [STORAGE_KEY]: filtered });
+  await deleteConversations([conversationId]);
 }
 
 /**
@@ -102,15 +548,237 @@ export async function deleteConversation(conversationId) {
  * @returns {Promise<void>}
  */
 export async function clearAllConversations() {
-  await chrome.storage.local.remove([STORAGE_KEY]);
+  await withTransaction([STORES.CONVERSATIONS, STORES.MESSAGES, STORES.IMAGES, STORES.COMPARISONS], 'readwrite', (tx) => {
+    tx.objectStore(STORES.CONVERSATIONS).clear();
+    tx.objectStore(STORES.MESSAGES).clear();
+    tx.objectStore(STORES.IMAGES).clear();
+    tx.objectStore(STORES.COMPARISONS).clear();
+  });
 }
 
 /**
  * Get storage size estimate (for monitoring)
+ * Counts messages and each distinct chart image once
  * @returns {Promise<number>} Approximate size in bytes
  */
 export async function getStorageSize() {
-  const conversations = await getAllConversations();
-  const jsonString = JSON.stringify(conversations);
-  return new Blob([jsonString]).size;
+  await migrateLegacyConversations();
+  const { conversations, images } = await withTransaction([STORES.CONVERSATIONS, STORES.IMAGES], 'readonly', async (tx) => ({
+    conversations: await requestToPromise(tx.objectStore(STORES.CONVERSATIONS).getAll()),
+    images: await requestToPromise(tx.objectStore(STORES.IMAGES).getAll())
+  }));
+
+  const messagesSize = conversations.reduce((sum, c) => sum + (c.messagesSize || 0), 0);
+  const imagesSize = images.reduce((sum, image) => sum + (image.size || 0), 0);
+  return messagesSize + imagesSize;
+}
+
+/**
+ * Remove conversations beyond the retention policy
+ * Drops conversations older than maxAgeDays, then the oldest ones until the history
+ * fits in maxSizeMB. Pinned conversations and the most recent one are always kept.
+ * @returns {Promise<number>} Number of conversations removed
+ */
+export async function applyRetentionPolicy() {
+  const { maxSizeMB, maxAgeDays } = await getRetentionPolicy();
+  const conversations = await getAllConversations(); // Newest first
+  if (conversations.length <= 1) return 0;
+
+  const removable = conversations.slice(1).filter(c => !c.pinned);
+  const toDelete = new Set();
+  if (maxAgeDays > 0) {
+    const cutoff = Date.now() - maxAgeDays * 24 * 60 * 60 * 1000;
+    removable
+      .filter(c => c.timestamp < cutoff)
+      .forEach(c => toDelete.add(c.id));
+  }
+
+  // Images shared by several conversations only free space once the last user is gone
+  const maxBytes = maxSizeMB * 1024 * 1024;
+  let size = await getStorageSize();
+  if (size > maxBytes) {
+    const imageSizes = await withTransaction(STORES.IMAGES, 'readonly', async (tx) => {
+      const images = await requestToPromise(tx.objectStore(STORES.IMAGES).getAll());
+      return new Map(images.map(image => [image.hash, image.size || 0]));
+    });
+    const imageUsers = new Map();
+    conversations.forEach(c => {
+      if (c.imageHash) imageUsers.set(c.imageHash, (imageUsers.get(c.imageHash) || 0) + 1);
+    });
+
+    // Account for what the age limit already removes, then walk from the oldest
+    const release = (conversation) => {
+      size -= conversation.messagesSize || 0;
+      if (conversation.imageHash) {
+        const users = imageUsers.get(conversation.imageHash) - 1;
+        imageUsers.set(conversation.imageHash, users);
+        if (users === 0) size -= imageSizes.get(conversation.imageHash) || 0;
+      }
+    };
+    conversations.filter(c => toDelete.has(c.id)).forEach(release);
+
+    for (const conversation of [...removable].reverse()) {
+      if (size <= maxBytes) break;
+      if (toDelete.has(conversation.id)) continue;
+      toDelete.add(conversation.id);
+      release(conversation);
+    }
+  }
+
+  await deleteConversations([...toDelete]);
+  return toDelete.size;
+}
+
+/**
+ * Update fields of a conversation record
+ * @param {string} conversationId - Conversation ID
+ * @param {Function} change - Receives the record and modifies it
+ * @returns {Promise<Object|null>} Updated record, or null if not found
+ */
+async function modifyConversation(conversationId, change) {
+  return await withTransaction(STORES.CONVERSATIONS, 'readwrite', async (tx) => {
+    const store = tx.objectStore(STORES.CONVERSATIONS);
+    const conversation = await requestToPromise(store.get(conversationId));
+    if (!conversation) return null;
+    change(conversation);
+    store.put(conversation);
+    return conversation;
+  });
+}
+
+/**
+ * Set the tags of a conversation
+ * @param {string} conversationId - Conversation ID
+ * @param {Array<string>} tags - Tags (stored lowercase)
+ * @returns {Promise<Array<string>>} Saved tags
+ */
+export async function setConversationTags(conversationId, tags) {
+  const conversation = await modifyConversation(conversationId, (record) => {
+    record.tags = normalizeTags(tags);
+  });
+  if (!conversation) {
+    throw new Error('Conversation not found');
+  }
+  return conversation.tags;
+}
+
+/**
+ * Pin or unpin a conversation (pinned conversations are listed first and never expire)
+ * @param {string} conversationId - Conversation ID
+ * @param {boolean} pinned - Whether to pin
+ * @returns {Promise<void>}
+ */
+export async function setConversationPinned(conversationId, pinned) {
+  const conversation = await modifyConversation(conversationId, (record) => {
+    record.pinned = Boolean(pinned);
+  });
+  if (!conversation) {
+    throw new Error('Conversation not found');
+  }
+}
+
+/**
+ * List every tag in use
+ * @returns {Promise<Array<string>>} Tags in alphabetical order
+ */
+export async function getAllTags() {
+  await migrateLegacyConversations();
+  return await withTransaction(STORES.CONVERSATIONS, 'readonly', (tx) => new Promise((resolve, reject) => {
+    const tags = [];
+    const request = tx.objectStore(STORES.CONVERSATIONS).index('tags').openKeyCursor(null, 'nextunique');
+    request.onsuccess = () => {
+      const cursor = request.result;
+      if (!cursor) {
+        resolve(tags);
+        return;
+      }
+      tags.push(cursor.key);
+      cursor.continue();
+    };
+    request.onerror = () => reject(request.error);
+  }));
+}
+
+/**
+ * Build a snippet of text around the first match of any term
+ * @param {string} text - Message text
+ * @param {Array<string>} terms - Lowercase search terms
+ * @returns {string|null} Snippet, or null if no term occurs
+ */
+function buildSnippet(text, terms) {
+  const lower = text.toLowerCase();
+  const positions = terms.map(term => lower.indexOf(term)).filter(position => position !== -1);
+  if (positions.length === 0) return null;
+
+  const position = Math.min(...positions);
+  const start = Math.max(0, position - SNIPPET_CONTEXT);
+  const end = Math.min(text.length, position + SNIPPET_CONTEXT * 2);
+  const snippet = text.slice(start, end).replace(/[#*_`>]/g, '').replace(/\s+/g, ' ').trim();
+  return `${start > 0 ? '…' : ''}${snippet}${end < text.length ? '…' : ''}`;
+}
+
+/**
+ * Search saved conversations
+ * Every word of the text must match (as a word prefix) the chart title, URL or a message.
+ * Results list pinned conversations first, then most recent first.
+ * @param {Object} filters - Search filters (all optional)
+ * @param {string} filters.text - Free text
+ * @param {string} filters.provider - Provider id
+ * @param {string} filters.category - Prompt category
+ * @param {string} filters.tag - Tag
+ * @param {number} filters.from - Earliest timestamp (ms)
+ * @param {number} filters.to - Latest timestamp (ms)
+ * @returns {Promise<Array<Object>>} Conversation records; with text, each has a snippet of the first matching message
+ */
+export async function searchConversations({ text = '', provider = '', category = '', tag = '', from = null, to = null } = {}) {
+  await migrateLegacyConversations();
+  const terms = tokenize(text);
+
+  const { conversations, snippets } = await withTransaction([STORES.CONVERSATIONS, STORES.MESSAGES], 'readonly', async (tx) => {
+    const store = tx.objectStore(STORES.CONVERSATIONS);
+    let candidates;
+
+    if (terms.length > 0) {
+      // Prefix lookups on the terms index, intersected across words
+      let ids = null;
+      for (const term of terms) {
+        const keys = await requestToPromise(store.index('terms').getAllKeys(IDBKeyRange.bound(term, `${term}\uffff`)));
+        const matched = new Set(keys);
+        ids = ids ? new Set([...ids].filter(id => matched.has(id))) : matched;
+        if (ids.size === 0) break;
+      }
+      candidates = await Promise.all([...ids].map(id => requestToPromise(store.get(id))));
+    } else if (tag) {
+      candidates = await requestToPromise(store.index('tags').getAll(tag.toLowerCase()));
+    } else {
+      candidates = await requestToPromise(store.getAll());
+    }
+
+    const filtered = candidates.filter(c => c &&
+      (!provider || c.provider === provider) &&
+      (!category || c.category === category) &&
+      (!tag || (c.tags || []).includes(tag.toLowerCase())) &&
+      (from === null || c.timestamp >= from) &&
+      (to === null || c.timestamp <= to));
+
+    // Show where the text matched: the first message containing a search word
+    const snippetsById = new Map();
+    if (terms.length > 0) {
+      const messageIndex = tx.objectStore(STORES.MESSAGES).index('conversationId');
+      for (const conversation of filtered) {
+        const messages = await requestToPromise(messageIndex.getAll(conversation.id));
+        const snippet = messages
+          .sort((a, b) => a.index - b.index)
+          .map(message => buildSnippet(typeof message.content === 'string' ? message.content : '', terms))
+          .find(Boolean);
+        if (snippet) snippetsById.set(conversation.id, snippet);
+      }
+    }
+
+    return { conversations: filtered, snippets: snippetsById };
+  });
+
+  return conversations
+    .map(conversation => ({ ...conversation, snippet: snippets.get(conversation.id) || null }))
+    .sort((a, b) => (Number(Boolean(b.pinned)) - Number(Boolean(a.pinned))) || (b.timestamp - a.timestamp));
 }
@@ -4,56 +4,39 @@
  * Attempts to fetch actual costs from provider APIs when admin keys are available
  */
 
-// Provider pricing per million tokens (fallback when API costs unavailable)
-const PRICING = {
-  openai: {
-    'gpt-4o': {
-      input: 2.50,   // $2.50 per million tokens
-      output: 10.00  // $10.00 per million tokens
-    },
-    'gpt-4o-mini': {
-      input: 0.15,
-      output: 0.60
-    }
-  },
-  anthropic: {
-    'claude-3-haiku-20240307': {
-      input: 0.25,
-      output: 1.25
-    },
-    'claude-sonnet-4-5-20250929': {
-      input: 3.00,
-      output: 15.00
-    },
-    'claude-3-7-sonnet-20250219': {
-      input: 3.00,
-      output: 15.00
-    },
-    'claude-3-opus-20240229': {
-      input: 15.00,
-      output: 75.00
-    },
-    'claude-3-sonnet-20240229': {
-      input: 3.00,
-      output: 15.00
-    },
-    'claude-3-haiku-20240307': {
-      input: 0.25,
-      output: 1.25
-    }
-  },
-  google: {
-    'gemini-1.5-pro': {
-      input: 1.25,
-      output: 5.00
-    },
-    'gemini-1.5-flash': {
-      input: 0.075,
-      output: 0.30
-    }
-  }
+import { getProvider, listProviders } from '../providers/registry.js';
+
+const MAX_USAGE_RECORDS = 1000; // Oldest records are dropped beyond this
+const IMAGE_TOKEN_ESTIMATE = 1500; // Input tokens assumed for a chart image of unknown size
+const MAX_OPENAI_IMAGE_PATCHES = 1536;
+
+// OpenAI tokens per image (base) and per 512px tile, by model
+const OPENAI_IMAGE_TOKENS = {
+  'gpt-4o-mini': { base: 2833, tile: 5667 },
+  default: { base: 85, tile: 170 }
 };
 
+// Provider pricing per million tokens (fallback when API costs unavailable)
+// Built from the model definitions in the provider registry
+const PRICING = Object.fromEntries(
+  listProviders().map(provider => [
+    provider.id,
+    Object.fromEntries(
+      Object.entries(provider.models).map(([model, def]) => [model, def.pricing])
+    )
+  ])
+);
+
+// Thinking tokens a model may use on top of the answer, billed as output (see providers/google.js)
+const THINKING_BUDGETS = Object.fromEntries(
+  listProviders().map(provider => [
+    provider.id,
+    Object.fromEntries(
+      Object.entries(provider.models).map(([model, def]) => [model, def.thinkingBudget || 0])
+    )
+  ])
+);
+
 /**
  * Calculate cost from token usage
  * @param {string} provider - Provider name
@@ -80,6 +63,118 @@ export function calculateCost(provider, model, inputTokens, outputTokens) {
   return inputCost + outputCost;
 }
 
+/**
+ * Rough token count for text (about 4 characters per token)
+ * Used when a provider could not report usage, e.g. for a stream stopped part way
+ * @param {string} text - Text to measure
+ * @returns {number} Estimated token count
+ */
+export function estimateTokens(text) {
+  if (!text) return 0;
+  return Math.ceil(text.length / 4);
+}
+
+/**
+ * OpenAI image tokens
+ * The image is fitted in 2048x2048, its short side scaled down to 768, and counted in 512px
+ * tiles; GPT-4.1 mini counts 32px patches instead (at most 1536)
+ * @param {number} width - Image width in pixels
+ * @param {number} height - Image height in pixels
+ * @param {string} model - Model name
+ * @returns {number} Input tokens
+ */
+function estimateOpenAIImageTokens(width, height, model) {
+  if (model === 'gpt-4.1-mini') {
+    const patches = Math.min(MAX_OPENAI_IMAGE_PATCHES, Math.ceil(width / 32) * Math.ceil(height / 32));
+    return Math.ceil(patches * 1.62);
+  }
+
+  const fit = Math.min(1, 2048 / Math.max(width, height));
+  const shortSide = Math.min(1, 768 / (Math.min(width, height) * fit));
+  const scale = fit * shortSide;
+  const tiles = Math.ceil((width * scale) / 512) * Math.ceil((height * scale) / 512);
+  const { base, tile } = OPENAI_IMAGE_TOKENS[model] || OPENAI_IMAGE_TOKENS.default;
+  return base + tile * tiles;
+}
+
+/**
+ * Anthropic image tokens: width x height / 750, after scaling the long edge down to 1568px;
+ * larger images are scaled down to about 1600 tokens
+ * @param {number} width - Image width in pixels
+ * @param {number} height - Image height in pixels
+ * @returns {number} Input tokens
+ */
+function estimateAnthropicImageTokens(width, height) {
+  const scale = Math.min(1, 1568 / Math.max(width, height));
+  return Math.min(1600, Math.ceil((width * scale) * (height * scale) / 750));
+}
+
+/**
+ * Google Gemini image tokens: 258 for an image up to 384px on both sides, otherwise 258
+ * per 768x768 tile
+ * @param {number} width - Image width in pixels
+ * @param {number} height - Image height in pixels
+ * @returns {number} Input tokens
+ */
+function estimateGoogleImageTokens(width, height) {
+  if (width <= 384 && height <= 384) {
+    return 258;
+  }
+  return Math.ceil(width / 768) * Math.ceil(height / 768) * 258;
+}
+
+// Image token formula by provider; other providers (self-hosted endpoints) are OpenAI-compatible
+const IMAGE_TOKEN_FORMULAS = {
+  openai: estimateOpenAIImageTokens,
+  anthropic: estimateAnthropicImageTokens,
+  google: estimateGoogleImageTokens
+};
+
+/**
+ * Estimate the input tokens for a chart image
+ * @param {string} provider - Provider name
+ * @param {string} model - Model name
+ * @param {{width: number, height: number}|null} size - Image size in pixels, if known
+ * @returns {number} Input tokens
+ */
+export function estimateImageTokens(provider, model, size) {
+  if (!size?.width || !size?.height) {
+    return IMAGE_TOKEN_ESTIMATE;
+  }
+  const formula = IMAGE_TOKEN_FORMULAS[provider] || estimateOpenAIImageTokens;
+  return formula(size.width, size.height, model);
+}
+
+/**
+ * Estimate the most a request can cost before it is sent
+ * Input is the chart image, the prompts and the conversation history (follow-ups re-send
+ * all of it with the image); output is counted at the category's max output tokens, plus the
+ * model's thinking budget
+ * @param {Object} request - Request to estimate
+ * @param {string} request.provider - Provider name
+ * @param {string} request.model - Model name
+ * @param {{width: number, height: number}|null} request.imageSize - Chart image size in pixels, if known
+ * @param {string} request.prompt - System and user prompt text
+ * @param {Array} request.conversationHistory - Messages sent with the request, including a new question
+ * @param {number} request.maxTokens - Max output tokens
+ * @returns {{imageTokens: number, textTokens: number, inputTokens: number, outputTokens: number, cost: number}}
+ *   Estimate; cost in USD at the model's PRICING entry (0 for models without pricing)
+ */
+export function estimateRequestCost({ provider, model, imageSize = null, prompt = '', conversationHistory = [], maxTokens = 0 }) {
+  const imageTokens = estimateImageTokens(provider, model, imageSize);
+  const textTokens = estimateTokens(prompt) +
+    conversationHistory.reduce((sum, msg) => sum + estimateTokens(msg.content), 0);
+  const inputTokens = imageTokens + textTokens;
+  const outputTokens = maxTokens + (THINKING_BUDGETS[provider]?.[model] || 0);
+  return {
+    imageTokens,
+    textTokens,
+    inputTokens,
+    outputTokens,
+    cost: calculateCost(provider, model, inputTokens, outputTokens)
+  };
+}
+
 /**
  * Get current month start timestamp
  * @returns {number} Timestamp of first day of current month
@@ -89,6 +184,21 @@ function getCurrentMonthStart() {
   return new Date(now.getFullYear(), now.getMonth(), 1).getTime();
 }
 
+// Writes to usage_records read the whole list and write it back; run them one at a time
+// so parallel calls (e.g. every provider of a comparison finishing together) keep every record
+let usageWriteQueue = Promise.resolve();
+
+/**
+ * Run a read-modify-write of usage_records after the ones already queued
+ * @param {Function} task - Async function doing the update
+ * @returns {Promise<*>} Result of the task
+ */
+function queueUsageWrite(task) {
+  const run = usageWriteQueue.then(task);
+  usageWriteQueue = run.catch(() => {}); // A failed write must not block the next one
+  return run;
+}
+
 /**
  * Record usage for an API call
  * @param {string} provider - Provider name
@@ -96,29 +206,100 @@ function getCurrentMonthStart() {
  * @param {number} inputTokens - Input tokens used
  * @param {number} outputTokens - Output tokens used
  * @param {number} cost - Calculated cost
- * @returns {Promise<void>}
+ * @param {Object} details - What the call was for
+ * @param {string|null} details.category - Analysis category id
+ * @param {string|null} details.conversationId - Conversation the call belongs to; null for a new
+ *   analysis, whose conversation is only saved afterwards (see linkUsageToConversation)
+ * @param {number|null} details.latencyMs - Time from sending the request to the full answer
+ * @param {boolean} details.followUp - Whether the call answered a follow-up question
+ * @returns {Promise<string>} Usage record ID
  */
-export async function recordUsage(provider, model, inputTokens, outputTokens, cost) {
+export async function recordUsage(provider, model, inputTokens, outputTokens, cost, { category = null, conversationId = null, latencyMs = null, followUp = false } = {}) {
   const usageRecord = {
+    id: `usage_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
     timestamp: Date.now(),
     provider,
     model,
     inputTokens,
     outputTokens,
-    cost
+    cost,
+    category,
+    conversationId,
+    latencyMs,
+    followUp
   };
 
-  // Get existing usage records
+  await queueUsageWrite(async () => {
+    // Get existing usage records
+    const result = await chrome.storage.local.get(['usage_records']);
+    const records = result.usage_records || [];
+    
+    // Add new record
+    records.push(usageRecord);
+    
+    // Keep only the most recent records to prevent storage bloat
+    const trimmedRecords = records.slice(-MAX_USAGE_RECORDS);
+    
+    await chrome.storage.local.set({ usage_records: trimmedRecords });
+  });
+  return usageRecord.id;
+}
+
+/**
+ * Attach usage records to the conversation saved from their answers
+ * @param {Array<string>} recordIds - Usage record IDs (from recordUsage)
+ * @param {string} conversationId - Conversation ID
+ * @returns {Promise<void>}
+ */
+export async function linkUsageToConversation(recordIds, conversationId) {
+  const ids = new Set(recordIds.filter(Boolean));
+  if (ids.size === 0 || !conversationId) return;
+
+  await queueUsageWrite(async () => {
+    const records = await getUsageRecords();
+    let linked = false;
+    records.forEach(record => {
+      if (ids.has(record.id) && !record.conversationId) {
+        record.conversationId = conversationId;
+        linked = true;
+      }
+    });
+    if (linked) {
+      await chrome.storage.local.set({ usage_records: records });
+    }
+  });
+}
+
+/**
+ * Get all stored usage records (for backups, budgets and the usage dashboard)
+ * @returns {Promise<Array>} Usage records, oldest first
+ */
+export async function getUsageRecords() {
   const result = await chrome.storage.local.get(['usage_records']);
-  const records = result.usage_records || [];
-  
-  // Add new record
-  records.push(usageRecord);
-  
-  // Keep only last 1000 records to prevent storage bloat
-  const trimmedRecords = records.slice(-1000);
-  
-  await chrome.storage.local.set({ usage_records: trimmedRecords });
+  return result.usage_records || [];
+}
+
+/**
+ * Merge usage records from a backup into storage
+ * Records already present (same time, provider, model and token counts) are skipped
+ * @param {Array} records - Usage records to merge
+ * @returns {Promise<number>} Number of records added
+ */
+export async function mergeUsageRecords(records) {
+  return await queueUsageWrite(async () => {
+    const existing = await getUsageRecords();
+    const recordKey = (r) => `${r.timestamp}|${r.provider}|${r.model}|${r.inputTokens}|${r.outputTokens}`;
+    const known = new Set(existing.map(recordKey));
+    
+    const added = records.filter(r => !known.has(recordKey(r)));
+    if (added.length === 0) return 0;
+    
+    const merged = [...existing, ...added]
+      .sort((a, b) => a.timestamp - b.timestamp)
+      .slice(-MAX_USAGE_RECORDS);
+    await chrome.storage.local.set({ usage_records: merged });
+    return added.length;
+  });
 }
 
 /**
@@ -163,148 +344,6 @@ export function formatCost(cost) {
   return `$${cost.toFixed(2)}`;
 }
 
-/**
- * Get current month start timestamp in Unix seconds
- * @returns {number} Unix timestamp of first day of current month
- */
-function getCurrentMonthStartUnix() {
-  const now = new Date();
-  const monthStart = new Date(now.getFullYear(), now.getMonth(), 1);
-  return Math.floor(monthStart.getTime() / 1000);
-}
-
-/**
- * Get current month end timestamp in Unix seconds
- * @returns {number} Unix timestamp of last moment of current month
- */
-function getCurrentMonthEndUnix() {
-  const now = new Date();
-  const monthEnd = new Date(now.getFullYear(), now.getMonth() + 1, 0, 23, 59, 59);
-  return Math.floor(monthEnd.getTime() / 1000);
-}
-
-/**
- * Fetch actual costs from OpenAI API
- * @param {string} apiKey - OpenAI API key (can be admin key)
- * @returns {Promise<{thisMonthTotal: number, thisMonthAvg: number, totalCount: number}|null>}
- */
-export async function fetchOpenAICosts(apiKey) {
-  if (!apiKey) return null;
-  
-  try {
-    const monthStart = getCurrentMonthStartUnix();
-    const monthEnd = getCurrentMonthEndUnix();
-    
-    const response = await fetch(
-      `https://api.openai.com/v1/organization/costs?start_time=${monthStart}&end_time=${monthEnd}&bucket_width=1d&limit=31`,
-      {
-        headers: {
-          'Authorization': `Bearer ${apiKey}`,
-          'Content-Type': 'application/json'
-        }
-      }
-    );
-    
-    if (!response.ok) {
-      // If not admin key or other error, return null to use fallback
-      return null;
-    }
-    
-    const data = await response.json();
-    let totalCost = 0;
-    let requestCount = 0;
-    
-    // Sum costs from all buckets
-    if (data.data && Array.isArray(data.data)) {
-      for (const bucket of data.data) {
-        if (bucket.results && Array.isArray(bucket.results)) {
-          for (const result of bucket.results) {
-            if (result.amount && result.amount.value) {
-              totalCost += parseFloat(result.amount.value);
-              requestCount++;
-            }
-          }
-        }
-      }
-    }
-    
-    return {
-      thisMonthTotal: totalCost,
-      thisMonthAvg: requestCount > 0 ? totalCost / requestCount : 0,
-      totalCount: requestCount
-    };
-  } catch (error) {
-    console.error('Error fetching OpenAI costs:', error);
-    return null; // Fallback to token calculation
-  }
-}
-
-/**
- * Fetch actual costs from Anthropic API
- * @param {string} apiKey - Anthropic API key (must be admin key: sk-ant-admin...)
- * @returns {Promise<{thisMonthTotal: number, thisMonthAvg: number, totalCount: number}|null>}
- */
-export async function fetchAnthropicCosts(apiKey) {
-  if (!apiKey || !apiKey.startsWith('sk-ant-admin')) {
-    // Admin keys start with sk-ant-admin
-    return null;
-  }
-  
-  try {
-    const now = new Date();
-    const monthStart = new Date(now.getFullYear(), now.getMonth(), 1);
-    const monthEnd = new Date(now.getFullYear(), now.getMonth() + 1, 0, 23, 59, 59);
-    
-    const startTime = monthStart.toISOString();
-    const endTime = monthEnd.toISOString();
-    
-    const response = await fetch(
-      `https://api.anthropic.com/v1/organizations/cost_report?starting_at=${encodeURIComponent(startTime)}&ending_at=${encodeURIComponent(endTime)}&bucket_width=1d&limit=31`,
-      {
-        headers: {
-          'x-api-key': apiKey,
-          'anthropic-version': '2023-06-01',
-          'Content-Type': 'application/json'
-        }
-      }
-    );
-    
-    if (!response.ok) {
-      return null;
-    }
-    
-    const data = await response.json();
-    let totalCost = 0;
-    let bucketCount = 0;
-    
-    // Sum costs from all buckets
-    // Anthropic returns costs as decimal strings in cents
-    if (data.data && Array.isArray(data.data)) {
-      for (const bucket of data.data) {
-        if (bucket.results && Array.isArray(bucket.results)) {
-          for (const result of bucket.results) {
-            if (result.amount && result.amount.value) {
-              // Convert from cents (decimal string) to dollars
-              const costInCents = parseFloat(result.amount.value);
-              totalCost += costInCents / 100;
-              bucketCount++;
-            }
-          }
-        }
-      }
-    }
-    
-    return {
-      thisMonthTotal: totalCost,
-      thisMonthAvg: bucketCount > 0 ? totalCost / bucketCount : 0,
-      totalCount: bucketCount
-    };
-  } catch (error) {
-    console.error('Error fetching Anthropic costs:', error);
-    return null; // Fallback to token calculation
-  }
-}
-
 /**
  * Get usage statistics for a specific provider
  * @param {string} provider - Provider name
@@ -346,15 +385,13 @@ export async function getProviderUsageStats(provider) {
  * @returns {Promise<Object>} Cost stats
  */
 export async function getProviderCosts(provider, apiKey) {
-  // Try to fetch from API first
+  // Try to fetch from API first (only providers with a cost API)
   let apiCosts = null;
   
-  if (provider === 'openai') {
-    apiCosts = await fetchOpenAICosts(apiKey);
-  } else if (provider === 'anthropic') {
-    apiCosts = await fetchAnthropicCosts(apiKey);
+  const providerModule = getProvider(provider);
+  if (providerModule.PROVIDER.capabilities.costApi && providerModule.fetchCosts) {
+    apiCosts = await providerModule.fetchCosts(apiKey);
   }
-  // Google doesn't have a direct cost API
   
   // If API costs available (even if totalCount is 0), use them
   if (apiCosts !== null) {
@@ -0,0 +1,169 @@
+/**
+ * IndexedDB access
+ * Opens the extension database and wraps IndexedDB requests in promises.
+ * Used for conversation history, which outgrew chrome.storage.local.
+ */
+
+const DB_NAME = 'clarionchain-lens';
+const DB_VERSION = 3;
+
+export const STORES = {
+  CONVERSATIONS: 'conversations', // Conversation records (no messages or image data), with search terms and tags
+  MESSAGES: 'messages', // One record per message, keyed by [conversationId, index]
+  IMAGES: 'images', // Chart images as Blobs, keyed by SHA-256 of their bytes
+  COMPARISONS: 'comparisons' // Provider comparison runs, linking one conversation per provider
+};
+
+let dbPromise = null;
+
+/**
+ * Split text into lowercase search terms
+ * @param {string} text - Text to index or search for
+ * @returns {Array<string>} Unique terms of two or more characters
+ */
+export function tokenize(text) {
+  const terms = String(text || '').toLowerCase().match(/[\p{L}\p{N}]{2,}/gu) || [];
+  return [...new Set(terms)];
+}
+
+/**
+ * Create or migrate object stores
+ * Each version's changes are applied in order, so any older database can be upgraded
+ * @param {IDBDatabase} db - Database being upgraded
+ * @param {IDBTransaction} tx - The upgrade transaction
+ * @param {number} oldVersion - Version before the upgrade (0 for a new database)
+ */
+function upgradeDatabase(db, tx, oldVersion) {
+  if (oldVersion < 1) {
+    const conversations = db.createObjectStore(STORES.CONVERSATIONS, { keyPath: 'id' });
+    conversations.createIndex('timestamp', 'timestamp');
+    conversations.createIndex('imageHash', 'imageHash');
+
+    const messages = db.createObjectStore(STORES.MESSAGES, { keyPath: ['conversationId', 'index'] });
+    messages.createIndex('conversationId', 'conversationId');
+
+    db.createObjectStore(STORES.IMAGES, { keyPath: 'hash' });
+  }
+
+  if (oldVersion < 2) {
+    // Full-text search terms and user tags, one index entry per array element
+    const conversations = tx.objectStore(STORES.CONVERSATIONS);
+    conversations.createIndex('terms', 'searchTerms', { multiEntry: true });
+    conversations.createIndex('tags', 'tags', { multiEntry: true });
+
+    if (oldVersion >= 1) {
+      backfillSearchTerms(tx);
+    }
+  }
+
+  if (oldVersion < 3) {
+    const comparisons = db.createObjectStore(STORES.COMPARISONS, { keyPath: 'id' });
+    comparisons.createIndex('timestamp', 'timestamp');
+    tx.objectStore(STORES.CONVERSATIONS).createIndex('comparisonId', 'comparisonId');
+  }
+}
+
+/**
+ * Index conversations stored before search existed
+ * Runs inside the upgrade transaction, so it only uses request callbacks
+ * @param {IDBTransaction} tx - The upgrade transaction
+ */
+function backfillSearchTerms(tx) {
+  const texts = new Map(); // conversationId -> text of its messages
+
+  tx.objectStore(STORES.MESSAGES).openCursor().onsuccess = (event) => {
+    const cursor = event.target.result;
+    if (cursor) {
+      const { conversationId, content } = cursor.value;
+      texts.set(conversationId, `${texts.get(conversationId) || ''} ${typeof content === 'string' ? content : ''}`);
+      cursor.continue();
+      return;
+    }
+
+    tx.objectStore(STORES.CONVERSATIONS).openCursor().onsuccess = (conversationEvent) => {
+      const conversationCursor = conversationEvent.target.result;
+      if (!conversationCursor) return;
+
+      const conversation = conversationCursor.value;
+      const { title = '', url = '' } = conversation.metadata || {};
+      conversation.searchTerms = tokenize(`${title} ${url} ${texts.get(conversation.id) || ''}`);
+      conversation.tags = conversation.tags || [];
+      conversation.pinned = conversation.pinned || false;
+      conversationCursor.update(conversation);
+      conversationCursor.continue();
+    };
+  };
+}
+
+/**
+ * Open the database (once per context)
+ * @returns {Promise<IDBDatabase>}
+ */
+export function openDatabase() {
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve, reject) => {
+      const request = indexedDB.open(DB_NAME, DB_VERSION);
+      request.onupgradeneeded = (event) => upgradeDatabase(request.result, request.transaction, event.oldVersion);
+      request.onsuccess = () => {
+        const db = request.result;
+        // Another context is upgrading the schema: close so it can proceed, reopen on next use
+        db.onversionchange = () => {
+          db.close();
+          dbPromise = null;
+        };
+        resolve(db);
+      };
+      request.onerror = () => {
+        dbPromise = null;
+        reject(request.error);
+      };
+      request.onblocked = () => console.warn('Database upgrade blocked by another open context');
+    });
+  }
+  return dbPromise;
+}
+
+/**
+ * Wrap an IDBRequest in a promise
+ * @param {IDBRequest} request - IndexedDB request
+ * @returns {Promise<*>} Request result
+ */
+export function requestToPromise(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+/**
+ * Run work in a single transaction and wait for it to commit
+ * Only IndexedDB requests may be awaited inside the callback - awaiting anything
+ * else lets the transaction auto-commit early
+ * @param {string|Array<string>} storeNames - Stores used by the transaction
+ * @param {IDBTransactionMode} mode - 'readonly' or 'readwrite'
+ * @param {Function} callback - Receives the transaction; its return value is resolved
+ * @returns {Promise<*>} Callback result, once the transaction has completed
+ */
+export async function withTransaction(storeNames, mode, callback) {
+  const db = await openDatabase();
+  const tx = db.transaction(storeNames, mode);
+  const done = new Promise((resolve, reject) => {
+    tx.oncomplete = () => resolve();
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error || new Error('Transaction aborted'));
+  });
+  done.catch(() => {}); // Reported through the callback's error when both fail
+
+  try {
+    const result = await callback(tx);
+    await done;
+    return result;
+  } catch (error) {
+    try {
+      tx.abort();
+    } catch {
+      // Already finished
+    }
+    throw error;
+  }
+}
@@ -0,0 +1,246 @@
+/**
+ * Provider error taxonomy
+ * Turns each provider's HTTP errors, stream errors and network failures into one
+ * ProviderError with a code, so callers can decide whether to retry and the side
+ * panel can show guidance for the kind of failure
+ */
+
+export const ERROR_CODES = {
+  AUTH: 'auth', // Missing, invalid or revoked API key
+  QUOTA: 'quota', // Out of credits or over the billing quota
+  RATE_LIMIT: 'rate_limit', // Too many requests; try again later
+  OVERLOADED: 'overloaded', // Provider overloaded or failing (5xx)
+  CONTENT_TOO_LARGE: 'content_too_large', // Image or conversation too large for the model
+  NETWORK: 'network', // Provider could not be reached
+  INVALID_REQUEST: 'invalid_request', // Rejected request, e.g. unknown model
+  BUDGET: 'budget', // Over one of the user's spending budgets (checked locally, see utils/budget.js)
+  UNKNOWN: 'unknown'
+};
+
+// Codes worth retrying unchanged
+const RETRYABLE_CODES = [ERROR_CODES.RATE_LIMIT, ERROR_CODES.OVERLOADED, ERROR_CODES.NETWORK];
+
+const QUOTA_PATTERN = /quota|billing|credit|insufficient|exceeded your current/i;
+// Per-minute quotas (Google words its rate limits as quotas) clear by themselves
+const PER_MINUTE_PATTERN = /rate limit|per.?minute|per.?second/i;
+// What makes a 429 a spent quota rather than a rate limit: billing, credits or a daily limit
+const SPENT_QUOTA_PATTERN = /billing|credit|insufficient|exceeded your current quota|per.?day|daily/i;
+const TOO_LARGE_PATTERN = /too large|too long|maximum context|context length|context window|exceeds? the (?:maximum|limit)|image.*(?:size|dimensions)|payload/i;
+const AUTH_PATTERN = /api key|api_key|unauthori[sz]ed|authentication|permission/i;
+
+/**
+ * Error from an AI provider, normalized across providers
+ */
+export class ProviderError extends Error {
+  /**
+   * @param {string} message - Message shown to the user
+   * @param {Object} details - Error details
+   * @param {string} details.code - One of ERROR_CODES
+   * @param {boolean} details.retryable - Whether repeating the request may succeed (defaults by code)
+   * @param {number|null} details.retryAfter - Delay the provider asked for, in milliseconds
+   * @param {string|null} details.provider - Provider id
+   * @param {number|null} details.status - HTTP status
+   * @param {string|null} details.detail - Provider's own error type or code, e.g. overloaded_error
+   * @param {Object|null} details.usage - Tokens billed before the request failed ({inputTokens, outputTokens, totalTokens})
+   * @param {Error} details.cause - Underlying error
+   */
+  constructor(message, { code = ERROR_CODES.UNKNOWN, retryable, retryAfter = null, provider = null, status = null, detail = null, usage = null, cause } = {}) {
+    super(message, cause ? { cause } : undefined);
+    this.name = 'ProviderError';
+    this.code = Object.values(ERROR_CODES).includes(code) ? code : ERROR_CODES.UNKNOWN;
+    this.retryable = retryable ?? RETRYABLE_CODES.includes(this.code);
+    this.retryAfter = retryAfter;
+    this.provider = provider;
+    this.status = status;
+    this.detail = detail;
+    this.usage = usage;
+  }
+}
+
+/**
+ * Parse a Retry-After header value
+ * @param {string|null} value - Delay in seconds, or an HTTP date
+ * @returns {number|null} Delay in milliseconds, or null if missing or invalid
+ */
+export function parseRetryAfter(value) {
+  if (!value) return null;
+
+  const seconds = Number(value);
+  if (Number.isFinite(seconds) && seconds >= 0) {
+    return seconds * 1000;
+  }
+
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+/**
+ * Work out the error code for a failed provider response
+ * @param {number|null} status - HTTP status (null for errors sent mid-stream)
+ * @param {string|null} detail - Provider error type or code (e.g. insufficient_quota, RESOURCE_EXHAUSTED)
+ * @param {string} message - Provider error message
+ * @returns {string} Error code
+ */
+export function classifyError(status, detail, message) {
+  const text = `${detail || ''} ${message || ''}`;
+
+  if (detail === 'overloaded_error' || status === 503 || status === 529) {
+    return ERROR_CODES.OVERLOADED;
+  }
+  if (status === 413 || detail === 'request_too_large' || detail === 'context_length_exceeded') {
+    return ERROR_CODES.CONTENT_TOO_LARGE;
+  }
+  if (status === 402 || detail === 'insufficient_quota') {
+    return ERROR_CODES.QUOTA;
+  }
+  // Google's usual 429 reads "Resource has been exhausted (e.g. check quota)" and is a plain rate limit
+  if (status === 429 || detail === 'rate_limit_error' || detail === 'RESOURCE_EXHAUSTED') {
+    return SPENT_QUOTA_PATTERN.test(text) ? ERROR_CODES.QUOTA : ERROR_CODES.RATE_LIMIT;
+  }
+  if (status !== 401 && QUOTA_PATTERN.test(text) && !PER_MINUTE_PATTERN.test(text)) {
+    return ERROR_CODES.QUOTA;
+  }
+  if (status === 401 || status === 403 || ['authentication_error', 'permission_error', 'invalid_api_key', 'UNAUTHENTICATED', 'PERMISSION_DENIED'].includes(detail)) {
+    return ERROR_CODES.AUTH;
+  }
+  if (status === 408) {
+    return ERROR_CODES.NETWORK;
+  }
+  if (status >= 500 || detail === 'api_error') {
+    return ERROR_CODES.OVERLOADED;
+  }
+  if (status === 400 || status === 404 || status === 422 || detail === 'invalid_request_error' || detail === 'INVALID_ARGUMENT') {
+    // Some providers report bad keys and oversized input as plain invalid requests
+    if (TOO_LARGE_PATTERN.test(text)) return ERROR_CODES.CONTENT_TOO_LARGE;
+    if (AUTH_PATTERN.test(message || '') && /invalid|not valid|missing|incorrect/i.test(message || '')) return ERROR_CODES.AUTH;
+    return ERROR_CODES.INVALID_REQUEST;
+  }
+  return ERROR_CODES.UNKNOWN;
+}
+
+/**
+ * Get Google's typed error details of one type, e.g. google.rpc.RetryInfo
+ * @param {Object|null} errorObj - Error object from the response body
+ * @param {string} type - Detail type name
+ * @returns {Array<Object>} Matching details
+ */
+function getErrorDetails(errorObj, type) {
+  return Array.isArray(errorObj?.details)
+    ? errorObj.details.filter(item => typeof item?.['@type'] === 'string' && item['@type'].endsWith(`/${type}`))
+    : [];
+}
+
+/**
+ * Read the delay Google asks for in a RetryInfo detail, e.g. { retryDelay: "37s" }
+ * @param {Object|null} errorObj - Error object from the response body
+ * @returns {number|null} Delay in milliseconds, or null if there is none
+ */
+function parseRetryDelay(errorObj) {
+  const delay = getErrorDetails(errorObj, 'google.rpc.RetryInfo')[0]?.retryDelay;
+  const seconds = typeof delay === 'string' ? parseFloat(delay) : NaN;
+  return Number.isFinite(seconds) && seconds >= 0 ? Math.round(seconds * 1000) : null;
+}
+
+/**
+ * Build a ProviderError from a failed fetch response
+ * Reads the error body shapes used by OpenAI-compatible APIs, Anthropic and Google:
+ * { error: { message, type | code | status } }
+ * @param {Response} response - Response with a non-2xx status
+ * @param {string} provider - Provider id
+ * @param {string} label - Provider name for messages, e.g. "OpenAI"
+ * @returns {Promise<ProviderError>}
+ */
+export async function createResponseError(response, provider, label) {
+  const body = await response.text().catch(() => '');
+  let data = null;
+  try {
+    data = JSON.parse(body);
+  } catch {
+    // Not JSON (e.g. a proxy's HTML error page)
+  }
+
+  const errorObj = data?.error && typeof data.error === 'object' ? data.error : data;
+  const message = (typeof errorObj?.message === 'string' && errorObj.message) ||
+    (typeof data?.error === 'string' && data.error) ||
+    body.slice(0, 200).trim() ||
+    response.statusText;
+  // Google puts the HTTP status in `code` and its own status name (e.g. RESOURCE_EXHAUSTED) in `status`
+  const detail = errorObj?.type || (typeof errorObj?.code === 'string' ? errorObj.code : null) || errorObj?.status || null;
+  // Google names the quota that ran out (e.g. ...PerDay...) in QuotaFailure details
+  const quotaIds = getErrorDetails(errorObj, 'google.rpc.QuotaFailure')
+    .flatMap(item => (Array.isArray(item.violations) ? item.violations : []).map(v => v?.quotaId || ''))
+    .join(' ');
+  console.error(`${label} API error response (${response.status}):`, body);
+
+  return new ProviderError(`${label} API error ${response.status}: ${message}`, {
+    code: classifyError(response.status, detail ? String(detail) : null, `${message} ${quotaIds}`.trim()),
+    retryAfter: parseRetryAfter(response.headers.get('retry-after')) ?? parseRetryDelay(errorObj),
+    provider,
+    status: response.status,
+    detail: detail ? String(detail) : null
+  });
+}
+
+/**
+ * Build a ProviderError from an error event sent mid-stream, after a 200 response
+ * @param {Object} streamError - Error object from the event, e.g. Anthropic's {type, message}
+ * @param {string} provider - Provider id
+ * @param {string} label - Provider name for messages
+ * @returns {ProviderError}
+ */
+export function createStreamError(streamError, provider, label) {
+  const detail = streamError?.type || streamError?.code || null;
+  const message = streamError?.message || detail || 'stream failed';
+  return new ProviderError(`${label} API error: ${message}`, {
+    code: classifyError(null, detail, message),
+    provider,
+    detail
+  });
+}
+
+/**
+ * Turn any error thrown while calling a provider into a ProviderError
+ * Cancellations (AbortError) are returned unchanged so callers can tell them apart
+ * @param {Error} error - Caught error
+ * @param {string} provider - Provider id
+ * @returns {Error} ProviderError, or the AbortError
+ */
+export function normalizeError(error, provider) {
+  if (error instanceof ProviderError || error?.name === 'AbortError') {
+    return error;
+  }
+  // fetch rejects with a TypeError when the request never reached the server
+  if (error?.name === 'TypeError' && /fetch|network|load failed/i.test(error.message)) {
+    return new ProviderError(`Could not reach the provider: ${error.message}`, { code: ERROR_CODES.NETWORK, provider, cause: error });
+  }
+  return new ProviderError(`Failed to analyze chart: ${error?.message || error}`, { provider, cause: error });
+}
+
+/**
+ * Serialize an error for a runtime message
+ * @param {Error} error - Any error
+ * @returns {{message: string, code: string, retryable: boolean, retryAfter: number|null, provider: string|null, status: number|null, detail: string|null}}
+ */
+export function toErrorInfo(error) {
+  return {
+    message: error?.message || String(error),
+    code: error instanceof ProviderError ? error.code : ERROR_CODES.UNKNOWN,
+    retryable: error instanceof ProviderError ? error.retryable : false,
+    retryAfter: error?.retryAfter ?? null,
+    provider: error?.provider ?? null,
+    status: error?.status ?? null,
+    detail: error?.detail ?? null
+  };
+}
+
+/**
+ * Rebuild an error received in a runtime message
+ * @param {Object|string} info - Error info from toErrorInfo, or a plain message
+ * @returns {ProviderError}
+ */
+export function fromErrorInfo(info) {
+  if (!info || typeof info === 'string') {
+    return new ProviderError(info || 'Unknown error');
+  }
+  return new ProviderError(info.message, info);
+}
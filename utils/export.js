@@ -0,0 +1,391 @@
+/**
+ * Conversation export
+ * Builds Markdown, HTML and JSON files from saved conversations (one or a batch)
+ * and downloads them through chrome.downloads. The JSON layout is documented
+ * in EXPORT_SCHEMA.md.
+ */
+
+import { getProviderInfo } from '../providers/registry.js';
+import { DEFAULT_CATEGORIES } from './prompts.js';
+import { formatPrice } from './analysis-schema.js';
+import { markdownToHtml } from './markdown.js';
+
+export const EXPORT_SCHEMA_ID = 'clarion-lens.conversations';
+export const EXPORT_SCHEMA_VERSION = 1;
+
+export const EXPORT_FORMATS = {
+  markdown: { name: 'Markdown', extension: 'md', mimeType: 'text/markdown' },
+  html: { name: 'HTML report', extension: 'html', mimeType: 'text/html' },
+  json: { name: 'JSON', extension: 'json', mimeType: 'application/json' }
+};
+
+/**
+ * Describe a conversation's provider, model and category for display
+ * @param {Object} conversation - Conversation with messages
+ * @param {Array<Object>} categories - The user's category definitions (utils/categories.js)
+ * @returns {{providerName: string, modelName: string|null, categoryName: string}}
+ */
+function describeConversation(conversation, categories = []) {
+  const info = getProviderInfo(conversation.provider);
+  const category = categories.find(c => c.id === conversation.category) || DEFAULT_CATEGORIES[conversation.category];
+  const model = conversation.model ||
+    [...conversation.messages].reverse().find(msg => msg.role === 'assistant' && msg.model)?.model || null;
+
+  return {
+    providerName: info?.name || conversation.provider || 'Unknown',
+    modelName: model ? (info?.models?.[model]?.name || model) : null,
+    categoryName: category?.name || conversation.category || 'Market Analysis'
+  };
+}
+
+/**
+ * Build a file name from a title and date
+ * @param {string} title - Conversation title or batch label
+ * @param {number} timestamp - Date for the name
+ * @param {string} extension - File extension
+ * @returns {string} File name
+ */
+function buildFilename(title, timestamp, extension) {
+  const slug = String(title || 'chart')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '')
+    .substring(0, 50) || 'chart';
+  const date = new Date(timestamp).toISOString().slice(0, 10);
+  return `clarion-lens-${slug}-${date}.${extension}`;
+}
+
+/**
+ * Escape text for HTML
+ * @param {string} text - Raw text
+ * @returns {string} Escaped text
+ */
+function escapeHtml(text) {
+  return String(text ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+/**
+ * Render a structured analysis as HTML cards (mirrors the side panel cards)
+ * @param {Object} analysis - Validated analysis (utils/analysis-schema.js)
+ * @returns {string} HTML
+ */
+function structuredToHtml(analysis) {
+  const cards = [];
+
+  cards.push(`<section class="card">
+<h4>Overview</h4>
+<p><span class="badge ${escapeHtml(analysis.trend.direction)}">${escapeHtml(analysis.trend.direction)} · ${escapeHtml(analysis.trend.strength)}</span>
+<span class="badge">${escapeHtml(analysis.volatility.regime)} volatility</span></p>
+<p>${escapeHtml(analysis.summary)}</p>
+<p class="muted">${escapeHtml(analysis.trend.rationale)}</p>
+</section>`);
+
+  if (analysis.levels.length > 0) {
+    const rows = [...analysis.levels]
+      .sort((a, b) => b.price - a.price)
+      .map(level => `<tr class="${escapeHtml(level.type)}"><td class="level-type">${escapeHtml(level.type)}${level.strength === 'major' ? ' ★' : ''}</td><td>${escapeHtml(formatPrice(level.price))}</td><td>${escapeHtml(level.label)}</td></tr>`);
+    cards.push(`<section class="card">
+<h4>Key Levels</h4>
+<table><tr><th>Type</th><th>Price</th><th>Level</th></tr>
+${rows.join('\n')}
+</table>
+</section>`);
+  }
+
+  if (analysis.scenarios.length > 0) {
+    const rows = analysis.scenarios.map(scenario => {
+      const target = scenario.target !== null ? ` · Target ${escapeHtml(formatPrice(scenario.target))}` : '';
+      return `<div class="scenario"><p><span class="badge ${escapeHtml(scenario.name)}">${escapeHtml(scenario.name)}</span> ${escapeHtml(String(scenario.probability))}%${target}</p>
+<p>${escapeHtml(scenario.description)}</p>
+<p class="muted">Invalidated if ${escapeHtml(scenario.invalidation)}</p></div>`;
+    });
+    cards.push(`<section class="card">
+<h4>Scenarios</h4>
+${rows.join('\n')}
+</section>`);
+  }
+
+  if (analysis.invalidation.length > 0) {
+    const items = analysis.invalidation.map(item => {
+      const price = item.price !== null ? ` (${escapeHtml(formatPrice(item.price))})` : '';
+      return `<li>${escapeHtml(item.condition)}${price}</li>`;
+    });
+    cards.push(`<section class="card">
+<h4>Invalidation</h4>
+<ul>${items.join('')}</ul>
+</section>`);
+  }
+
+  if (analysis.onChainImplications) {
+    cards.push(`<section class="card">
+<h4>On-Chain Implications</h4>
+<p>${escapeHtml(analysis.onChainImplications)}</p>
+</section>`);
+  }
+
+  return cards.join('\n');
+}
+
+/**
+ * Render one conversation as Markdown, with the chart embedded as a PNG data URL
+ * @param {Object} conversation - Conversation with messages and chartImage
+ * @param {Array<Object>} categories - The user's category definitions, for category names
+ * @returns {string} Markdown
+ */
+export function conversationToMarkdown(conversation, categories = []) {
+  const { providerName, modelName, categoryName } = describeConversation(conversation, categories);
+  const metadata = conversation.metadata || {};
+  const lines = [];
+
+  lines.push(`# ${metadata.title || 'Bitcoin Chart'}`, '');
+  lines.push(`- **Provider:** ${providerName}${modelName ? ` (${modelName})` : ''}`);
+  lines.push(`- **Category:** ${categoryName}`);
+  lines.push(`- **Date:** ${new Date(conversation.createdAt || conversation.timestamp).toISOString()}`);
+  if (metadata.url) {
+    lines.push(`- **Chart:** <${metadata.url}>`);
+  }
+  if (conversation.tags?.length) {
+    lines.push(`- **Tags:** ${conversation.tags.join(', ')}`);
+  }
+  lines.push('');
+
+  if (conversation.chartImage) {
+    lines.push(`![Chart](${conversation.chartImage})`, '');
+  }
+
+  conversation.messages.forEach(msg => {
+    if (msg.role === 'user') {
+      lines.push('## You', '', msg.content, '');
+    } else {
+      const model = msg.model && msg.model !== conversation.model ? ` (${msg.model})` : '';
+      const state = msg.interrupted ? ' (interrupted)' : msg.finishReason ? ` (cut off: ${msg.finishReason})` : '';
+      lines.push(`## Analysis${model}${state}`, '', msg.content, '');
+    }
+  });
+
+  return lines.join('\n').trim() + '\n';
+}
+
+/**
+ * Render one conversation as an HTML article
+ * @param {Object} conversation - Conversation with messages and chartImage
+ * @param {Array<Object>} categories - The user's category definitions, for category names
+ * @returns {string} HTML
+ */
+function conversationToHtmlArticle(conversation, categories) {
+  const { providerName, modelName, categoryName } = describeConversation(conversation, categories);
+  const metadata = conversation.metadata || {};
+  const date = new Date(conversation.createdAt || conversation.timestamp);
+
+  const details = [
+    `<dt>Provider</dt><dd>${escapeHtml(providerName)}${modelName ? ` (${escapeHtml(modelName)})` : ''}</dd>`,
+    `<dt>Category</dt><dd>${escapeHtml(categoryName)}</dd>`,
+    `<dt>Date</dt><dd><time datetime="${date.toISOString()}">${escapeHtml(date.toLocaleString())}</time></dd>`
+  ];
+  if (metadata.url) {
+    details.push(`<dt>Chart</dt><dd><a href="${escapeHtml(metadata.url)}">${escapeHtml(metadata.url)}</a></dd>`);
+  }
+  if (conversation.tags?.length) {
+    details.push(`<dt>Tags</dt><dd>${escapeHtml(conversation.tags.join(', '))}</dd>`);
+  }
+
+  const messages = conversation.messages.map(msg => {
+    if (msg.role === 'user') {
+      return `<div class="message user"><p>${escapeHtml(msg.content)}</p></div>`;
+    }
+    const body = msg.structured ? structuredToHtml(msg.structured) : markdownToHtml(msg.content, { headingOffset: 1 }); // h1 is the report title
+    const state = msg.interrupted ? 'Interrupted' : msg.finishReason ? `Cut off: ${msg.finishReason}` : null;
+    const meta = [msg.model, state].filter(Boolean).join(' · ');
+    return `<div class="message assistant${state ? ' interrupted' : ''}">
+${body}
+${meta ? `<p class="meta">${escapeHtml(meta)}</p>` : ''}
+</div>`;
+  });
+
+  return `<article>
+<h1>${escapeHtml(metadata.title || 'Bitcoin Chart')}</h1>
+<dl>${details.join('')}</dl>
+${conversation.chartImage ? `<img class="chart" src="${escapeHtml(conversation.chartImage)}" alt="Chart">` : ''}
+${messages.join('\n')}
+</article>`;
+}
+
+const REPORT_STYLES = `
+body { margin: 0 auto; max-width: 860px; padding: 24px; background: #0a0a0a; color: #e0e0e0; font: 14px/1.6 -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif; }
+a { color: #ff8c00; }
+h1 { color: #ff8c00; font-size: 22px; margin: 0 0 8px; }
+h2, h3, h4, h5, h6 { color: #ffffff; margin: 16px 0 6px; }
+code { background: #222222; padding: 1px 4px; border-radius: 3px; font-size: 12px; }
+pre { background: #141414; border: 1px solid #333333; border-radius: 6px; padding: 8px 12px; overflow-x: auto; }
+pre code { background: none; padding: 0; }
+blockquote { margin: 8px 0; padding-left: 12px; border-left: 3px solid #333333; color: #aaaaaa; }
+dl { display: grid; grid-template-columns: max-content 1fr; gap: 2px 12px; margin: 0 0 16px; font-size: 12px; }
+dt { color: #888888; }
+dd { margin: 0; }
+article { padding-bottom: 32px; margin-bottom: 32px; border-bottom: 1px solid #333333; }
+article:last-child { border-bottom: none; }
+.chart { max-width: 100%; border: 1px solid #333333; border-radius: 6px; margin-bottom: 16px; }
+.message { padding: 10px 14px; border-radius: 8px; margin: 10px 0; }
+.message.user { background: #ff8c00; color: #000000; margin-left: 20%; }
+.message.assistant { background: #1a1a1a; border: 1px solid #333333; }
+.message.interrupted { border-color: #ffa500; }
+.meta, .muted { color: #888888; font-size: 12px; }
+.card { background: #141414; border: 1px solid #333333; border-radius: 6px; padding: 8px 12px; margin: 8px 0; }
+.card h4 { margin: 0 0 6px; font-size: 11px; text-transform: uppercase; letter-spacing: 0.5px; color: #888888; }
+.badge { display: inline-block; font-size: 11px; font-weight: 600; padding: 1px 8px; border-radius: 10px; border: 1px solid #333333; text-transform: capitalize; }
+.badge.bullish { color: #00ff00; }
+.badge.bearish { color: #ff4d4d; }
+.badge.neutral, .badge.base { color: #ffa500; }
+table { width: 100%; border-collapse: collapse; font-size: 12px; }
+th, td { text-align: left; padding: 3px 6px; border-bottom: 1px solid #333333; }
+th { color: #888888; font-weight: normal; }
+tr.support .level-type { color: #00ff00; }
+tr.resistance .level-type { color: #ff4d4d; }
+.level-type { text-transform: capitalize; }
+`;
+
+/**
+ * Render conversations as a self-contained HTML report (styles and charts inline)
+ * @param {Array<Object>} conversations - Conversations with messages and chartImage
+ * @param {Array<Object>} categories - The user's category definitions, for category names
+ * @returns {string} HTML document
+ */
+export function conversationsToHtml(conversations, categories = []) {
+  const title = conversations.length === 1
+    ? conversations[0].metadata?.title || 'Bitcoin Chart'
+    : `${conversations.length} chart analyses`;
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="UTF-8">
+<meta name="viewport" content="width=device-width, initial-scale=1.0">
+<title>${escapeHtml(title)} - Clarion | Lens</title>
+<style>${REPORT_STYLES}</style>
+</head>
+<body>
+${conversations.map(conversation => conversationToHtmlArticle(conversation, categories)).join('\n')}
+<p class="muted">Exported from Clarion | Lens on ${escapeHtml(new Date().toISOString())}. Not financial advice.</p>
+</body>
+</html>
+`;
+}
+
+/**
+ * Convert a conversation to its JSON export record (see EXPORT_SCHEMA.md)
+ * @param {Object} conversation - Conversation with messages and chartImage
+ * @returns {Object} Export record
+ */
+export function toExportRecord(conversation) {
+  const image = conversation.chartImage?.match(/^data:([^;,]+);base64,(.*)$/);
+
+  return {
+    id: conversation.id || null,
+    createdAt: new Date(conversation.createdAt || conversation.timestamp).toISOString(),
+    updatedAt: new Date(conversation.timestamp).toISOString(),
+    provider: conversation.provider,
+    model: conversation.model || null,
+    category: conversation.category || 'market-analysis',
+    tags: conversation.tags || [],
+    pinned: Boolean(conversation.pinned),
+    ...(conversation.comparisonId ? { comparisonId: conversation.comparisonId } : {}),
+    metadata: conversation.metadata || {},
+    chartImage: image ? { mimeType: image[1], data: image[2] } : null,
+    messages: conversation.messages.map(msg => {
+      const message = { role: msg.role, content: msg.content };
+      if (msg.model) message.model = msg.model;
+      if (msg.provider) message.provider = msg.provider;
+      if (msg.fallbackFrom) message.fallbackFrom = msg.fallbackFrom;
+      if (msg.attempts) message.attempts = msg.attempts;
+      if (msg.interrupted) message.interrupted = true;
+      if (msg.finishReason) message.finishReason = msg.finishReason;
+      if (msg.generation) message.generation = msg.generation;
+      if (msg.structured) message.structured = msg.structured;
+      return message;
+    })
+  };
+}
+
+/**
+ * Render conversations as a JSON export document (see EXPORT_SCHEMA.md)
+ * @param {Array<Object>} conversations - Conversations with messages and chartImage
+ * @returns {string} JSON text
+ */
+export function conversationsToJson(conversations) {
+  return JSON.stringify({
+    schema: EXPORT_SCHEMA_ID,
+    version: EXPORT_SCHEMA_VERSION,
+    exportedAt: new Date().toISOString(),
+    conversations: conversations.map(toExportRecord)
+  }, null, 2);
+}
+
+/**
+ * Build an export file for one or more conversations
+ * A batch becomes a single file: one Markdown document or HTML report with a section
+ * per conversation, or one JSON document
+ * @param {Array<Object>} conversations - Conversations with messages and chartImage
+ * @param {string} format - Key of EXPORT_FORMATS
+ * @param {Array<Object>} categories - The user's category definitions, for category names
+ * @returns {{filename: string, content: string, mimeType: string}} Export file
+ */
+export function buildExport(conversations, format, categories = []) {
+  const exportFormat = EXPORT_FORMATS[format];
+  if (!exportFormat) {
+    throw new Error(`Unknown export format: ${format}`);
+  }
+  if (conversations.length === 0) {
+    throw new Error('No conversations to export');
+  }
+
+  let content;
+  switch (format) {
+    case 'markdown':
+      content = conversations.map(conversation => conversationToMarkdown(conversation, categories)).join('\n---\n\n');
+      break;
+    case 'html':
+      content = conversationsToHtml(conversations, categories);
+      break;
+    case 'json':
+      content = conversationsToJson(conversations);
+      break;
+  }
+
+  const filename = conversations.length === 1
+    ? buildFilename(conversations[0].metadata?.title, conversations[0].timestamp, exportFormat.extension)
+    : buildFilename(`${conversations.length}-conversations`, Date.now(), exportFormat.extension);
+
+  return { filename, content, mimeType: exportFormat.mimeType };
+}
+
+/**
+ * Download an export file through chrome.downloads
+ * @param {{filename: string, content: string, mimeType: string}} file - Export file
+ * @returns {Promise<number>} Download id
+ */
+export async function downloadExport(file) {
+  const url = URL.createObjectURL(new Blob([file.content], { type: `${file.mimeType};charset=utf-8` }));
+
+  try {
+    const downloadId = await chrome.downloads.download({ url, filename: file.filename, saveAs: true });
+
+    // The object URL must outlive the download, so release it once Chrome is done with it
+    const onChanged = (delta) => {
+      if (delta.id === downloadId && delta.state && delta.state.current !== 'in_progress') {
+        chrome.downloads.onChanged.removeListener(onChanged);
+        URL.revokeObjectURL(url);
+      }
+    };
+    chrome.downloads.onChanged.addListener(onChanged);
+
+    return downloadId;
+  } catch (error) {
+    URL.revokeObjectURL(url);
+    throw error;
+  }
+}
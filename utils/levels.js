@@ -0,0 +1,139 @@
+/**
+ * Chart level extraction
+ * Collects support, resistance and invalidation prices from an analysis
+ * so the content script can draw them on the chart
+ */
+
+// Levels of the same kind closer than this (relative to price) are drawn as one zone
+const ZONE_TOLERANCE = 0.01;
+
+// "$60,000", "$60k", "$1.2M", "$58,000-$60,000", "$58k to $60k"
+const PRICE_PATTERN = /\$\s?(\d[\d,]*(?:\.\d+)?)\s*([kmb])?\b(?:\s*(?:-|–|to)\s*\$?\s?(\d[\d,]*(?:\.\d+)?)\s*([kmb])?\b)?/gi;
+
+const SUFFIX_MULTIPLIERS = { k: 1e3, m: 1e6, b: 1e9 };
+
+/**
+ * Parse a price written in an analysis
+ * @param {string} digits - Number with optional thousands separators
+ * @param {string|undefined} suffix - k, m or b
+ * @returns {number} Price
+ */
+function parsePrice(digits, suffix) {
+  const value = Number(digits.replace(/,/g, ''));
+  return suffix ? value * SUFFIX_MULTIPLIERS[suffix.toLowerCase()] : value;
+}
+
+/**
+ * Get overlay levels from a structured analysis
+ * @param {Object} analysis - Validated structured analysis
+ * @returns {Array<{kind: string, price: number, label: string}>} Levels
+ */
+export function getLevelsFromStructured(analysis) {
+  const levels = analysis.levels.map(level => ({
+    kind: level.type,
+    price: level.price,
+    label: level.label
+  }));
+
+  analysis.invalidation
+    .filter(item => typeof item.price === 'number')
+    .forEach(item => {
+      levels.push({ kind: 'invalidation', price: item.price, label: item.condition });
+    });
+
+  return levels;
+}
+
+/**
+ * Extract levels from free-text analysis
+ * Only dollar prices on lines that mention support, resistance or invalidation are used
+ * @param {string} text - Analysis text
+ * @returns {Array<{kind: string, price: number, priceHigh?: number, label: string}>} Levels
+ */
+export function extractLevelsFromText(text) {
+  const levels = [];
+
+  (text || '').split('\n').forEach(line => {
+    const lower = line.toLowerCase();
+    let kind = null;
+    if (lower.includes('invalidat')) {
+      kind = 'invalidation';
+    } else if (lower.includes('resistance')) {
+      kind = 'resistance';
+    } else if (lower.includes('support')) {
+      kind = 'support';
+    }
+    if (!kind) return;
+
+    // Drop list markers and Markdown emphasis
+    const label = line.replace(/^[\s>*-]+/, '').replace(/[*_`#]/g, '').replace(/\s+/g, ' ').trim().substring(0, 60);
+
+    for (const match of line.matchAll(PRICE_PATTERN)) {
+      const price = parsePrice(match[1], match[2]);
+      if (!Number.isFinite(price) || price <= 0) continue;
+
+      const level = { kind, price, label };
+      if (match[3]) {
+        const other = parsePrice(match[3], match[4] || match[2]);
+        if (Number.isFinite(other) && other > 0 && other !== price) {
+          level.price = Math.min(price, other);
+          level.priceHigh = Math.max(price, other);
+        }
+      }
+      levels.push(level);
+    }
+  });
+
+  return levels;
+}
+
+/**
+ * Merge levels of the same kind that sit within ZONE_TOLERANCE of each other into zones
+ * @param {Array<Object>} levels - Levels
+ * @returns {Array<Object>} Levels sorted by price, with priceHigh set on zones
+ */
+export function mergeNearbyLevels(levels) {
+  const merged = [];
+
+  [...levels]
+    .sort((a, b) => a.price - b.price)
+    .forEach(level => {
+      const previous = merged.findLast(item => item.kind === level.kind);
+      const previousHigh = previous ? (previous.priceHigh ?? previous.price) : null;
+
+      if (previous && level.price <= previousHigh * (1 + ZONE_TOLERANCE)) {
+        const high = Math.max(previousHigh, level.priceHigh ?? level.price);
+        if (high > previous.price) {
+          previous.priceHigh = high;
+        }
+        if (level.label && !previous.label.includes(level.label)) {
+          previous.label = `${previous.label} / ${level.label}`;
+        }
+        return;
+      }
+      merged.push({ ...level });
+    });
+
+  return merged;
+}
+
+/**
+ * Get the levels to draw for a conversation
+ * Uses the latest assistant answer that names any levels, preferring structured data
+ * @param {Array<Object>} messages - Conversation messages
+ * @returns {Array<Object>} Levels for the chart overlay
+ */
+export function getOverlayLevels(messages) {
+  const answers = messages.filter(msg => msg.role === 'assistant').reverse();
+
+  for (const message of answers) {
+    const levels = message.structured
+      ? getLevelsFromStructured(message.structured)
+      : extractLevelsFromText(message.content);
+    if (levels.length > 0) {
+      return mergeNearbyLevels(levels);
+    }
+  }
+
+  return [];
+}
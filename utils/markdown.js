@@ -0,0 +1,609 @@
+/**
+ * Markdown rendering for model output
+ * Parses the Markdown the models write (headings, lists, GFM tables, code, blockquotes,
+ * links, emphasis) into a small block tree and renders it either as DOM nodes (side panel)
+ * or as an HTML string (exported reports). Only the tags in ALLOWED_TAGS are ever created,
+ * text is always inserted as text, and links are limited to http(s) and mailto URLs, so
+ * model output cannot inject markup or scripts. Raw HTML in the input is shown as text.
+ */
+
+export const ALLOWED_TAGS = [
+  'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'p', 'br', 'hr',
+  'strong', 'em', 'del', 'code', 'pre', 'blockquote',
+  'ul', 'ol', 'li', 'table', 'thead', 'tbody', 'tr', 'th', 'td', 'a'
+];
+
+const SAFE_URL_PROTOCOLS = ['http:', 'https:', 'mailto:'];
+const ESCAPABLE = '\\`*_{}[]()#+-.!|~<>';
+
+const FENCE = /^ {0,3}(`{3,}|~{3,})\s*([\w+#.-]*)/;
+const HEADING = /^ {0,3}(#{1,6})\s+(.*?)(?:\s+#+)?\s*$/;
+const RULE = /^ {0,3}([-*_])(?:\s*\1){2,}\s*$/;
+const BLOCKQUOTE = /^ {0,3}>/;
+const LIST_ITEM = /^( *)([-*+•]|\d{1,9}[.)])( +|$)(.*)$/;
+const TABLE_DELIMITER = /^\s*\|?\s*:?-+:?\s*(?:\|\s*:?-+:?\s*)*\|?\s*$/;
+
+/**
+ * Check that a link target is safe to open
+ * @param {string} url - URL from the Markdown
+ * @returns {string|null} Normalized absolute URL, or null for relative, javascript:, data: and other URLs
+ */
+export function sanitizeUrl(url) {
+  try {
+    const parsed = new URL(String(url).trim());
+    return SAFE_URL_PROTOCOLS.includes(parsed.protocol) ? parsed.href : null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Find the closing emphasis marker
+ * @param {string} text - Inline text
+ * @param {string} marker - '*', '**', '_', '__' or '~~'
+ * @param {number} from - Index after the opening marker
+ * @returns {number} Index of the closing marker, or -1
+ */
+function findClosingMarker(text, marker, from) {
+  let index = text.indexOf(marker, from);
+  while (index !== -1) {
+    const run = text.slice(index).match(new RegExp(`^\\${marker[0]}+`))[0];
+    // A single marker must not be part of a longer run (e.g. the '**' of nested bold)
+    if ((marker.length > 1 || run.length === 1) && index > from && !/\s/.test(text[index - 1])) {
+      return index;
+    }
+    index = text.indexOf(marker, index + run.length);
+  }
+  return -1;
+}
+
+/**
+ * Parse an inline link starting at `[`
+ * @param {string} text - Inline text
+ * @param {number} start - Index of the opening bracket
+ * @returns {{node: Object, end: number}|null} Link node and the index after it
+ */
+function parseLink(text, start) {
+  let depth = 0;
+  let close = -1;
+  for (let i = start; i < text.length; i++) {
+    if (text[i] === '\\') {
+      i++;
+    } else if (text[i] === '[') {
+      depth++;
+    } else if (text[i] === ']' && --depth === 0) {
+      close = i;
+      break;
+    }
+  }
+  if (close === -1) return null;
+
+  const target = text.slice(close + 1).match(/^\(\s*<?([^\s<>()]*(?:\([^\s()]*\)[^\s<>()]*)*)>?(?:\s+"[^"]*")?\s*\)/);
+  if (!target) return null;
+
+  return {
+    node: { type: 'link', href: sanitizeUrl(target[1]), children: parseInline(text.slice(start + 1, close)) },
+    end: close + 1 + target[0].length
+  };
+}
+
+/**
+ * Parse inline Markdown
+ * @param {string} text - Text of a paragraph, heading, list item or table cell
+ * @returns {Array<Object>} Inline nodes: text, break, code, strong, em, del, link
+ */
+function parseInline(text) {
+  const nodes = [];
+  let buffer = '';
+  const flush = () => {
+    if (buffer) {
+      nodes.push({ type: 'text', text: buffer });
+      buffer = '';
+    }
+  };
+
+  let i = 0;
+  while (i < text.length) {
+    const char = text[i];
+
+    if (char === '\\' && ESCAPABLE.includes(text[i + 1])) {
+      buffer += text[i + 1];
+      i += 2;
+      continue;
+    }
+
+    if (char === '\n') {
+      flush();
+      nodes.push({ type: 'break' });
+      i++;
+      continue;
+    }
+
+    if (char === '`') {
+      const run = text.slice(i).match(/^`+/)[0];
+      const end = text.indexOf(run, i + run.length);
+      if (end !== -1) {
+        flush();
+        nodes.push({ type: 'code', text: text.slice(i + run.length, end).replace(/^ (.+) $/, '$1') });
+        i = end + run.length;
+      } else {
+        buffer += run;
+        i += run.length;
+      }
+      continue;
+    }
+
+    if (char === '*' || char === '_' || (char === '~' && text[i + 1] === '~')) {
+      const marker = text[i + 1] === char ? char + char : char;
+      const opensWord = text[i + marker.length] && !/\s/.test(text[i + marker.length]);
+      // Underscores inside words (snake_case) are not emphasis
+      const insideWord = char === '_' && /\w/.test(text[i - 1] || '');
+      const close = opensWord && !insideWord ? findClosingMarker(text, marker, i + marker.length) : -1;
+      if (close !== -1) {
+        flush();
+        const type = char === '~' ? 'del' : (marker.length === 2 ? 'strong' : 'em');
+        nodes.push({ type, children: parseInline(text.slice(i + marker.length, close)) });
+        i = close + marker.length;
+      } else {
+        buffer += marker;
+        i += marker.length;
+      }
+      continue;
+    }
+
+    if (char === '[') {
+      const link = parseLink(text, i);
+      if (link) {
+        flush();
+        nodes.push(link.node);
+        i = link.end;
+        continue;
+      }
+    }
+
+    if (char === '<') {
+      const autolink = text.slice(i).match(/^<((?:https?:\/\/|mailto:)[^\s<>]+)>/i);
+      if (autolink) {
+        flush();
+        nodes.push({ type: 'link', href: sanitizeUrl(autolink[1]), children: [{ type: 'text', text: autolink[1] }] });
+        i += autolink[0].length;
+        continue;
+      }
+    }
+
+    buffer += char;
+    i++;
+  }
+  flush();
+  return nodes;
+}
+
+/**
+ * Split a table row into cells
+ * Pipes inside code spans or escaped as \| do not split
+ * @param {string} line - Table row
+ * @returns {Array<string>} Cell texts
+ */
+function splitTableRow(line) {
+  const row = line.trim().replace(/^\|/, '').replace(/(?<!\\)\|$/, '');
+  const cells = [];
+  let cell = '';
+  let inCode = false;
+  for (let i = 0; i < row.length; i++) {
+    if (row[i] === '\\' && row[i + 1] === '|') {
+      cell += '\\|';
+      i++;
+    } else if (row[i] === '`') {
+      inCode = !inCode;
+      cell += '`';
+    } else if (row[i] === '|' && !inCode) {
+      cells.push(cell.trim());
+      cell = '';
+    } else {
+      cell += row[i];
+    }
+  }
+  cells.push(cell.trim());
+  return cells;
+}
+
+/**
+ * Check whether a table starts at a line (a header row followed by a delimiter row)
+ * @param {Array<string>} lines - Lines
+ * @param {number} index - Line index
+ * @returns {boolean}
+ */
+function isTableStart(lines, index) {
+  const header = lines[index];
+  const delimiter = lines[index + 1];
+  return header.includes('|') && delimiter !== undefined && delimiter.includes('-') &&
+    TABLE_DELIMITER.test(delimiter) &&
+    splitTableRow(header).length === splitTableRow(delimiter).length;
+}
+
+/**
+ * Check whether a line closes a code fence
+ * @param {string} line - Line
+ * @param {string} fence - Opening fence, e.g. ``` or ~~~~
+ * @returns {boolean} True for a run of the same character at least as long, and nothing else
+ */
+function isClosingFence(line, fence) {
+  const match = line.match(/^ {0,3}(`{3,}|~{3,})\s*$/);
+  return Boolean(match) && match[1][0] === fence[0] && match[1].length >= fence.length;
+}
+
+/**
+ * Check whether a line starts a block other than a paragraph
+ * @param {Array<string>} lines - Lines
+ * @param {number} index - Line index
+ * @returns {boolean}
+ */
+function isBlockStart(lines, index) {
+  const line = lines[index];
+  return FENCE.test(line) || HEADING.test(line) || RULE.test(line) || BLOCKQUOTE.test(line) ||
+    LIST_ITEM.test(line) || isTableStart(lines, index);
+}
+
+/**
+ * Parse a list starting at a list item line
+ * Lines indented past the first marker belong to the current item (nested lists, more paragraphs)
+ * @param {Array<string>} lines - Lines
+ * @param {number} start - Index of the first item
+ * @returns {{block: Object, next: number}} List block and the index after it
+ */
+function parseList(lines, start) {
+  const first = lines[start].match(LIST_ITEM);
+  const baseIndent = first[1].length;
+  const ordered = /\d/.test(first[2]);
+  // Items of the same list: bullets (any of -*+•), or numbers with the same delimiter
+  const continuesList = (item) => ordered
+    ? /\d/.test(item[2]) && item[2].slice(-1) === first[2].slice(-1)
+    : !/\d/.test(item[2]);
+  const items = [];
+  let current = null;
+  let i = start;
+
+  while (i < lines.length) {
+    const line = lines[i];
+    const item = line.match(LIST_ITEM);
+    const indent = line.match(/^ */)[0].length;
+
+    if (item && indent <= baseIndent + 1 && !RULE.test(line)) {
+      if (!continuesList(item)) break; // A different kind of list starts
+      current = { lines: [item[4]], contentIndent: indent + item[2].length + Math.min(item[3].length || 1, 4) };
+      items.push(current);
+    } else if (!line.trim()) {
+      // A blank line ends the list unless the item or list continues after it
+      const nextIndex = lines.findIndex((candidate, index) => index > i && candidate.trim());
+      if (nextIndex === -1) break;
+      const next = lines[nextIndex];
+      const nextIndent = next.match(/^ */)[0].length;
+      const nextItem = next.match(LIST_ITEM);
+      if (nextIndent <= baseIndent && !(nextItem && continuesList(nextItem))) break;
+      current.lines.push('');
+    } else if (indent > baseIndent) {
+      current.lines.push(line.slice(Math.min(indent, current.contentIndent)));
+    } else {
+      break;
+    }
+    i++;
+  }
+
+  return {
+    block: {
+      type: 'list',
+      ordered,
+      start: ordered ? parseInt(first[2], 10) : null,
+      items: items.map(entry => parseBlocks(entry.lines))
+    },
+    next: i
+  };
+}
+
+/**
+ * Parse block-level Markdown
+ * @param {Array<string>} lines - Lines (tabs already expanded)
+ * @returns {Array<Object>} Blocks: heading, paragraph, list, code, blockquote, table, rule
+ */
+function parseBlocks(lines) {
+  const blocks = [];
+  let i = 0;
+
+  while (i < lines.length) {
+    const line = lines[i];
+    let match;
+
+    if (!line.trim()) {
+      i++;
+    } else if ((match = line.match(FENCE))) {
+      // An unclosed fence runs to the end, so a streaming code block renders as code
+      const fence = match[1];
+      const code = [];
+      i++;
+      while (i < lines.length && !isClosingFence(lines[i], fence)) {
+        code.push(lines[i]);
+        i++;
+      }
+      blocks.push({ type: 'code', language: match[2] || null, text: code.join('\n') });
+      i++;
+    } else if ((match = line.match(HEADING))) {
+      blocks.push({ type: 'heading', level: match[1].length, children: parseInline(match[2]) });
+      i++;
+    } else if (RULE.test(line)) {
+      blocks.push({ type: 'rule' });
+      i++;
+    } else if (BLOCKQUOTE.test(line)) {
+      const quoted = [];
+      while (i < lines.length && BLOCKQUOTE.test(lines[i])) {
+        quoted.push(lines[i].replace(/^ {0,3}> ?/, ''));
+        i++;
+      }
+      blocks.push({ type: 'blockquote', children: parseBlocks(quoted) });
+    } else if (LIST_ITEM.test(line)) {
+      const { block, next } = parseList(lines, i);
+      blocks.push(block);
+      i = next;
+    } else if (isTableStart(lines, i)) {
+      const header = splitTableRow(line);
+      const align = splitTableRow(lines[i + 1]).map(cell => {
+        if (cell.startsWith(':') && cell.endsWith(':')) return 'center';
+        if (cell.endsWith(':')) return 'right';
+        return cell.startsWith(':') ? 'left' : null;
+      });
+      const rows = [];
+      i += 2;
+      while (i < lines.length && lines[i].trim() && lines[i].includes('|') && !isBlockStart(lines, i)) {
+        const cells = splitTableRow(lines[i]);
+        rows.push(header.map((_, column) => parseInline(cells[column] || '')));
+        i++;
+      }
+      blocks.push({ type: 'table', align, header: header.map(cell => parseInline(cell)), rows });
+    } else {
+      const paragraph = [line.trim()];
+      i++;
+      while (i < lines.length && lines[i].trim() && !isBlockStart(lines, i)) {
+        paragraph.push(lines[i].trim());
+        i++;
+      }
+      blocks.push({ type: 'paragraph', children: parseInline(paragraph.join('\n')) });
+    }
+  }
+
+  return blocks;
+}
+
+/**
+ * Parse Markdown into blocks
+ * @param {string} text - Markdown text
+ * @returns {Array<Object>} Block tree
+ */
+export function parseMarkdown(text) {
+  const lines = String(text ?? '')
+    .replace(/\r\n?/g, '\n')
+    .split('\n')
+    .map(line => line.replace(/^\t+/, tabs => '    '.repeat(tabs.length)));
+  return parseBlocks(lines);
+}
+
+/**
+ * Escape text for HTML
+ * @param {string} text - Raw text
+ * @returns {string} Escaped text
+ */
+function escapeHtml(text) {
+  return String(text ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+/**
+ * Render inline nodes as HTML
+ * @param {Array<Object>} nodes - Inline nodes
+ * @returns {string} HTML
+ */
+function inlineToHtml(nodes) {
+  return nodes.map(node => {
+    switch (node.type) {
+      case 'text': return escapeHtml(node.text);
+      case 'break': return '<br>';
+      case 'code': return `<code>${escapeHtml(node.text)}</code>`;
+      case 'link': return node.href
+        ? `<a href="${escapeHtml(node.href)}" target="_blank" rel="noopener noreferrer">${inlineToHtml(node.children)}</a>`
+        : inlineToHtml(node.children);
+      default: return `<${node.type}>${inlineToHtml(node.children)}</${node.type}>`; // strong, em, del
+    }
+  }).join('');
+}
+
+/**
+ * Split a list item so its leading paragraph renders inline, as in a tight list
+ * @param {Array<Object>} blocks - Item blocks
+ * @returns {Array} [inline nodes of the leading paragraph or null, remaining blocks]
+ */
+function splitListItem(blocks) {
+  return blocks[0]?.type === 'paragraph' ? [blocks[0].children, blocks.slice(1)] : [null, blocks];
+}
+
+/**
+ * Render blocks as HTML
+ * @param {Array<Object>} blocks - Blocks
+ * @param {number} headingOffset - Added to heading levels (capped at h6)
+ * @returns {string} HTML
+ */
+function blocksToHtml(blocks, headingOffset) {
+  return blocks.map(block => {
+    switch (block.type) {
+      case 'heading': {
+        const level = Math.min(block.level + headingOffset, 6);
+        return `<h${level}>${inlineToHtml(block.children)}</h${level}>`;
+      }
+      case 'paragraph':
+        return `<p>${inlineToHtml(block.children)}</p>`;
+      case 'rule':
+        return '<hr>';
+      case 'code':
+        return `<pre><code>${escapeHtml(block.text)}</code></pre>`;
+      case 'blockquote':
+        return `<blockquote>${blocksToHtml(block.children, headingOffset)}</blockquote>`;
+      case 'list': {
+        const tag = block.ordered ? 'ol' : 'ul';
+        const start = block.ordered && block.start !== 1 ? ` start="${block.start}"` : '';
+        const items = block.items.map(item => {
+          const [lead, rest] = splitListItem(item);
+          return `<li>${lead ? inlineToHtml(lead) : ''}${blocksToHtml(rest, headingOffset)}</li>`;
+        });
+        return `<${tag}${start}>\n${items.join('\n')}\n</${tag}>`;
+      }
+      case 'table': {
+        const cell = (tag, content, column) => block.align[column]
+          ? `<${tag} style="text-align: ${block.align[column]}">${inlineToHtml(content)}</${tag}>`
+          : `<${tag}>${inlineToHtml(content)}</${tag}>`;
+        const header = `<tr>${block.header.map((content, column) => cell('th', content, column)).join('')}</tr>`;
+        const rows = block.rows.map(row => `<tr>${row.map((content, column) => cell('td', content, column)).join('')}</tr>`);
+        return `<table>\n<thead>${header}</thead>\n<tbody>\n${rows.join('\n')}\n</tbody>\n</table>`;
+      }
+      default:
+        return '';
+    }
+  }).join('\n');
+}
+
+/**
+ * Render Markdown as an HTML string (for exported reports)
+ * @param {string} text - Markdown text
+ * @param {Object} options - Render options
+ * @param {number} options.headingOffset - Added to heading levels, e.g. 1 when the page has its own h1
+ * @returns {string} HTML using only ALLOWED_TAGS
+ */
+export function markdownToHtml(text, { headingOffset = 0 } = {}) {
+  return blocksToHtml(parseMarkdown(text), headingOffset);
+}
+
+/**
+ * Create an allowlisted element
+ * @param {string} tag - Tag name
+ * @returns {HTMLElement}
+ */
+function createAllowedElement(tag) {
+  if (!ALLOWED_TAGS.includes(tag)) {
+    throw new Error(`Tag not allowed in rendered Markdown: ${tag}`);
+  }
+  return document.createElement(tag);
+}
+
+/**
+ * Append inline nodes to an element
+ * @param {HTMLElement} parent - Element to fill
+ * @param {Array<Object>} nodes - Inline nodes
+ */
+function appendInline(parent, nodes) {
+  nodes.forEach(node => {
+    if (node.type === 'text') {
+      parent.appendChild(document.createTextNode(node.text));
+    } else if (node.type === 'break') {
+      parent.appendChild(createAllowedElement('br'));
+    } else if (node.type === 'code') {
+      const code = createAllowedElement('code');
+      code.textContent = node.text;
+      parent.appendChild(code);
+    } else if (node.type === 'link' && !node.href) {
+      appendInline(parent, node.children);
+    } else if (node.type === 'link') {
+      const link = createAllowedElement('a');
+      link.href = node.href;
+      link.target = '_blank';
+      link.rel = 'noopener noreferrer';
+      appendInline(link, node.children);
+      parent.appendChild(link);
+    } else {
+      const element = createAllowedElement(node.type);
+      appendInline(element, node.children);
+      parent.appendChild(element);
+    }
+  });
+}
+
+/**
+ * Append blocks to an element
+ * @param {HTMLElement|DocumentFragment} parent - Element to fill
+ * @param {Array<Object>} blocks - Blocks
+ */
+function appendBlocks(parent, blocks) {
+  blocks.forEach(block => {
+    let element;
+    switch (block.type) {
+      case 'heading':
+        element = createAllowedElement(`h${block.level}`);
+        appendInline(element, block.children);
+        break;
+      case 'paragraph':
+        element = createAllowedElement('p');
+        appendInline(element, block.children);
+        break;
+      case 'rule':
+        element = createAllowedElement('hr');
+        break;
+      case 'code': {
+        element = createAllowedElement('pre');
+        const code = createAllowedElement('code');
+        code.textContent = block.text;
+        element.appendChild(code);
+        break;
+      }
+      case 'blockquote':
+        element = createAllowedElement('blockquote');
+        appendBlocks(element, block.children);
+        break;
+      case 'list':
+        element = createAllowedElement(block.ordered ? 'ol' : 'ul');
+        if (block.ordered && block.start !== 1) {
+          element.start = block.start;
+        }
+        block.items.forEach(item => {
+          const li = createAllowedElement('li');
+          const [lead, rest] = splitListItem(item);
+          if (lead) appendInline(li, lead);
+          appendBlocks(li, rest);
+          element.appendChild(li);
+        });
+        break;
+      case 'table': {
+        element = createAllowedElement('table');
+        const addRow = (section, cells, tag) => {
+          const row = createAllowedElement('tr');
+          cells.forEach((content, column) => {
+            const cell = createAllowedElement(tag);
+            if (block.align[column]) cell.style.textAlign = block.align[column];
+            appendInline(cell, content);
+            row.appendChild(cell);
+          });
+          section.appendChild(row);
+        };
+        const head = createAllowedElement('thead');
+        addRow(head, block.header, 'th');
+        const body = createAllowedElement('tbody');
+        block.rows.forEach(cells => addRow(body, cells, 'td'));
+        element.append(head, body);
+        break;
+      }
+      default:
+        return;
+    }
+    parent.appendChild(element);
+  });
+}
+
+/**
+ * Render Markdown as DOM nodes (for the side panel)
+ * Builds elements directly instead of assigning HTML, using only ALLOWED_TAGS
+ * @param {string} text - Markdown text
+ * @returns {DocumentFragment}
+ */
+export function renderMarkdown(text) {
+  const fragment = document.createDocumentFragment();
+  appendBlocks(fragment, parseMarkdown(text));
+  return fragment;
+}
@@ -0,0 +1,285 @@
+/**
+ * User preference storage
+ * Non-secret settings (model choices, UI options) stored in chrome.storage.local
+ */
+
+import { getProviderInfo, isKnownProvider } from '../providers/registry.js';
+import { BUDGET_SETTINGS_KEY, saveBudgetSettings } from './budget.js';
+
+const MODEL_KEY_PREFIX = 'model_';
+const BASE_URL_KEY_PREFIX = 'base_url_';
+const STRUCTURED_OUTPUT_KEY = 'structured_output';
+const RETENTION_KEY = 'history_retention';
+const RETRY_POLICY_KEY_PREFIX = 'retry_policy_';
+const FALLBACK_CHAIN_KEY = 'fallback_chain';
+
+// Storage keys included in backups, with the setters that validate and save them on restore
+const PREFERENCE_SETTERS = {
+  [STRUCTURED_OUTPUT_KEY]: saveStructuredOutput,
+  [RETENTION_KEY]: saveRetentionPolicy,
+  [FALLBACK_CHAIN_KEY]: saveFallbackChain,
+  [BUDGET_SETTINGS_KEY]: saveBudgetSettings
+};
+// Per-provider keys (prefix + provider id); setters take (provider, value)
+const PROVIDER_PREFERENCE_SETTERS = {
+  [MODEL_KEY_PREFIX]: saveSelectedModel,
+  [BASE_URL_KEY_PREFIX]: saveBaseUrl,
+  [RETRY_POLICY_KEY_PREFIX]: saveRetryPolicy
+};
+
+// Conversation history retention: oldest conversations are removed beyond these limits
+export const DEFAULT_RETENTION = {
+  maxSizeMB: 200, // Total size of messages and chart images
+  maxAgeDays: 0 // 0 keeps conversations regardless of age
+};
+
+// Retrying temporary provider errors (rate limits, overload, server errors)
+export const DEFAULT_RETRY_POLICY = {
+  maxAttempts: 3, // Including the first request; 1 disables retries
+  baseDelayMs: 1000, // Doubled after each failed attempt
+  maxDelayMs: 30000 // Longest wait; a longer Retry-After moves on to the fallback chain
+};
+
+/**
+ * Get the selected model for a provider
+ * Falls back to the provider default if nothing is saved or the saved model is no longer offered
+ * @param {string} provider - Provider name
+ * @returns {Promise<string|null>} Model id
+ */
+export async function getSelectedModel(provider) {
+  const info = getProviderInfo(provider);
+  if (!info) {
+    return null;
+  }
+
+  const key = `${MODEL_KEY_PREFIX}${provider}`;
+  const result = await chrome.storage.local.get([key]);
+  const model = result[key];
+
+  // Providers that list models at runtime accept whatever was picked from that list
+  if (info.capabilities.dynamicModels) {
+    return model || info.defaultModel;
+  }
+
+  if (model && info.models[model]) {
+    return model;
+  }
+  return info.defaultModel;
+}
+
+/**
+ * Save the selected model for a provider
+ * @param {string} provider - Provider name
+ * @param {string} model - Model id
+ * @returns {Promise<void>}
+ */
+export async function saveSelectedModel(provider, model) {
+  const info = getProviderInfo(provider);
+  const known = info && (info.capabilities.dynamicModels ? Boolean(model) : Boolean(info.models[model]));
+  if (!known) {
+    throw new Error(`Unknown model for ${provider}: ${model}`);
+  }
+
+  const key = `${MODEL_KEY_PREFIX}${provider}`;
+  await chrome.storage.local.set({ [key]: model });
+}
+
+/**
+ * Get the endpoint base URL for a provider with a configurable endpoint
+ * @param {string} provider - Provider name
+ * @returns {Promise<string|null>} Base URL, or the provider default
+ */
+export async function getBaseUrl(provider) {
+  const key = `${BASE_URL_KEY_PREFIX}${provider}`;
+  const result = await chrome.storage.local.get([key]);
+  return result[key] || getProviderInfo(provider)?.defaultBaseUrl || null;
+}
+
+/**
+ * Save the endpoint base URL for a provider
+ * @param {string} provider - Provider name
+ * @param {string} baseUrl - Base URL (http or https)
+ * @returns {Promise<void>}
+ */
+export async function saveBaseUrl(provider, baseUrl) {
+  let url;
+  try {
+    url = new URL(baseUrl.trim());
+  } catch {
+    throw new Error('Base URL is not a valid URL');
+  }
+  if (url.protocol !== 'http:' && url.protocol !== 'https:') {
+    throw new Error('Base URL must start with http:// or https://');
+  }
+
+  const key = `${BASE_URL_KEY_PREFIX}${provider}`;
+  await chrome.storage.local.set({ [key]: baseUrl.trim().replace(/\/+$/, '') });
+}
+
+/**
+ * Check whether structured (JSON schema) analysis is enabled
+ * @returns {Promise<boolean>}
+ */
+export async function getStructuredOutput() {
+  const result = await chrome.storage.local.get([STRUCTURED_OUTPUT_KEY]);
+  return result[STRUCTURED_OUTPUT_KEY] === true;
+}
+
+/**
+ * Enable or disable structured analysis
+ * @param {boolean} enabled - Whether to request structured output
+ * @returns {Promise<void>}
+ */
+export async function saveStructuredOutput(enabled) {
+  await chrome.storage.local.set({ [STRUCTURED_OUTPUT_KEY]: Boolean(enabled) });
+}
+
+/**
+ * Get the conversation history retention policy
+ * @returns {Promise<{maxSizeMB: number, maxAgeDays: number}>}
+ */
+export async function getRetentionPolicy() {
+  const result = await chrome.storage.local.get([RETENTION_KEY]);
+  return { ...DEFAULT_RETENTION, ...(result[RETENTION_KEY] || {}) };
+}
+
+/**
+ * Save the conversation history retention policy
+ * @param {Object} policy - Retention policy
+ * @param {number} policy.maxSizeMB - Maximum history size in MB (at least 1)
+ * @param {number} policy.maxAgeDays - Maximum age in days (0 = no limit)
+ * @returns {Promise<void>}
+ */
+export async function saveRetentionPolicy({ maxSizeMB, maxAgeDays }) {
+  if (!Number.isFinite(maxSizeMB) || maxSizeMB < 1) {
+    throw new Error('History size limit must be at least 1 MB');
+  }
+  if (!Number.isFinite(maxAgeDays) || maxAgeDays < 0) {
+    throw new Error('History age limit must be 0 (no limit) or more days');
+  }
+
+  await chrome.storage.local.set({
+    [RETENTION_KEY]: { maxSizeMB, maxAgeDays: Math.floor(maxAgeDays) }
+  });
+}
+
+/**
+ * Get the retry policy for a provider
+ * @param {string} provider - Provider name
+ * @returns {Promise<{maxAttempts: number, baseDelayMs: number, maxDelayMs: number}>}
+ */
+export async function getRetryPolicy(provider) {
+  const key = `${RETRY_POLICY_KEY_PREFIX}${provider}`;
+  const result = await chrome.storage.local.get([key]);
+  return { ...DEFAULT_RETRY_POLICY, ...(result[key] || {}) };
+}
+
+/**
+ * Save the retry policy for a provider
+ * @param {string} provider - Provider name
+ * @param {Object} policy - Retry policy
+ * @param {number} policy.maxAttempts - Attempts including the first (1-10)
+ * @param {number} policy.baseDelayMs - First backoff delay in ms (at least 100)
+ * @param {number} policy.maxDelayMs - Longest delay in ms (at least baseDelayMs)
+ * @returns {Promise<void>}
+ */
+export async function saveRetryPolicy(provider, { maxAttempts, baseDelayMs, maxDelayMs }) {
+  if (!Number.isInteger(maxAttempts) || maxAttempts < 1 || maxAttempts > 10) {
+    throw new Error('Attempts must be a whole number from 1 to 10');
+  }
+  if (!Number.isFinite(baseDelayMs) || baseDelayMs < 100) {
+    throw new Error('First retry delay must be at least 0.1 seconds');
+  }
+  if (!Number.isFinite(maxDelayMs) || maxDelayMs < baseDelayMs) {
+    throw new Error('Longest retry delay must be at least the first delay');
+  }
+
+  const key = `${RETRY_POLICY_KEY_PREFIX}${provider}`;
+  await chrome.storage.local.set({ [key]: { maxAttempts, baseDelayMs, maxDelayMs } });
+}
+
+/**
+ * Get the fallback chain: providers to try, in order, when one stays unavailable
+ * @returns {Promise<Array<string>>} Provider ids (empty when fallback is off)
+ */
+export async function getFallbackChain() {
+  const result = await chrome.storage.local.get([FALLBACK_CHAIN_KEY]);
+  const chain = result[FALLBACK_CHAIN_KEY];
+  return Array.isArray(chain) ? chain.filter(provider => isKnownProvider(provider)) : [];
+}
+
+/**
+ * Save the fallback chain
+ * @param {Array<string>} chain - Provider ids in order
+ * @returns {Promise<void>}
+ */
+export async function saveFallbackChain(chain) {
+  const unknown = chain.find(provider => !isKnownProvider(provider));
+  if (unknown) {
+    throw new Error(`Unknown provider: ${unknown}`);
+  }
+  await chrome.storage.local.set({ [FALLBACK_CHAIN_KEY]: [...new Set(chain)] });
+}
+
+/**
+ * Check whether a storage key holds a preference
+ * @param {string} key - chrome.storage.local key
+ * @returns {boolean}
+ */
+function isPreferenceKey(key) {
+  return key in PREFERENCE_SETTERS || Object.keys(PROVIDER_PREFERENCE_SETTERS).some(prefix => key.startsWith(prefix));
+}
+
+/**
+ * Validate and save one restored preference with its setter
+ * @param {string} key - chrome.storage.local key
+ * @param {*} value - Value from the backup
+ * @returns {Promise<void>}
+ * @throws {Error} When the value (or the provider it belongs to) is not valid
+ */
+async function restorePreference(key, value) {
+  if (key in PREFERENCE_SETTERS) {
+    await PREFERENCE_SETTERS[key](value);
+    return;
+  }
+
+  const prefix = Object.keys(PROVIDER_PREFERENCE_SETTERS).find(p => key.startsWith(p));
+  const provider = key.slice(prefix.length);
+  if (!isKnownProvider(provider)) {
+    throw new Error(`Unknown provider: ${provider}`);
+  }
+  await PROVIDER_PREFERENCE_SETTERS[prefix](provider, value);
+}
+
+/**
+ * Get all stored preferences (for backup)
+ * @returns {Promise<Object>} Preference values by storage key
+ */
+export async function getAllPreferences() {
+  const stored = await chrome.storage.local.get(null);
+  return Object.fromEntries(Object.entries(stored).filter(([key]) => isPreferenceKey(key)));
+}
+
+/**
+ * Restore preferences from a backup
+ * Each value is saved through its setter (saveSelectedModel, saveRetentionPolicy,
+ * saveBudgetSettings...), so values those would reject are skipped rather than stored.
+ * Keys that are not preferences are ignored
+ * @param {Object} preferences - Preference values by storage key
+ * @returns {Promise<number>} Number of preferences restored
+ */
+export async function restorePreferences(preferences) {
+  let restored = 0;
+  for (const [key, value] of Object.entries(preferences || {})) {
+    if (!isPreferenceKey(key) || value === undefined) {
+      continue;
+    }
+    try {
+      await restorePreference(key, value);
+      restored++;
+    } catch (error) {
+      console.warn(`Skipping invalid preference ${key} in backup:`, error.message);
+    }
+  }
+  return restored;
+}
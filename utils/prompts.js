@@ -1,13 +1,45 @@
 /**
- * Prompt categories and their system prompts
- * Each category has a different analysis focus
+ * Prompt categories and templates
+ * A category is a system prompt and a user prompt template with a different analysis
+ * focus. The built-in categories below are the defaults; users edit, add and delete
+ * categories in settings (utils/categories.js). Categories marked `structured` can
+ * return the shared JSON analysis schema (utils/analysis-schema.js).
  */
 
-export const PROMPT_CATEGORIES = {
+// Variables available in prompt templates as {{name}}
+export const TEMPLATE_VARIABLES = {
+  title: 'Chart title',
+  url: 'Page URL of the chart',
+  timestamp: 'Capture time (ISO 8601)',
+  series: 'Data values extracted from the page (empty when none)'
+};
+
+export const DEFAULT_USER_PROMPT = `Analyze this Bitcoin chart from {{url}}.
+
+Chart Title: {{title}}
+Timestamp: {{timestamp}}
+
+{{series}}
+
+Please provide a comprehensive analysis following the structure outlined in your instructions.`;
+
+// Generation settings used when a category does not set its own
+// provider/model null = the provider and model selected in settings
+export const DEFAULT_GENERATION = {
+  provider: null,
+  model: null,
+  temperature: 0.7,
+  maxTokens: 1500,
+  stop: null
+};
+
+export const DEFAULT_CATEGORIES = {
   'market-analysis': {
     name: 'Market Analysis',
+    label: 'Market',
     description: 'Technical and on-chain market insights',
-    getSystemPrompt: (metadata) => `You are a professional Bitcoin on-chain market analyst. Analyze the provided Bitcoin price chart and provide structured technical and on-chain insights.
+    structured: true,
+    systemPrompt: `You are a professional Bitcoin on-chain market analyst. Analyze the provided Bitcoin price chart and provide structured technical and on-chain insights.
 
 Your analysis must:
 1. Identify trend direction (bullish, bearish, or neutral)
@@ -22,14 +54,18 @@ Guidelines:
 - Avoid giving financial advice
 - Focus on objective technical and on-chain analysis
 - Use clear, structured formatting
-- Base conclusions on visible chart patterns and indicators`
+- Base conclusions on visible chart patterns and indicators`,
+    userPrompt: DEFAULT_USER_PROMPT,
+    generation: { ...DEFAULT_GENERATION }
   },
   'education': {
     name: 'Education',
+    label: 'EDU',
     description: 'Learn how Bitcoin metrics work',
-    getSystemPrompt: (metadata) => `You are an educational Bitcoin on-chain metrics instructor. Your goal is to teach users how Bitcoin on-chain metrics work and what they mean.
+    structured: false,
+    systemPrompt: `You are an educational Bitcoin on-chain metrics instructor. Your goal is to teach users how Bitcoin on-chain metrics work and what they mean.
 
-When analyzing this Bitcoin chart from ${metadata.url || 'bitview.space'}:
+When analyzing this Bitcoin chart from {{url}}:
 
 1. Identify which metrics are visible on the chart
 2. Explain what each metric measures and why it matters
@@ -44,12 +80,16 @@ Guidelines:
 - Avoid jargon or explain it when used
 - Use analogies when helpful
 - Focus on understanding, not predictions
-- Encourage learning and curiosity`
+- Encourage learning and curiosity`,
+    userPrompt: DEFAULT_USER_PROMPT,
+    generation: { ...DEFAULT_GENERATION, maxTokens: 3000 } // Explanations run long
   },
   'trading-signals': {
     name: 'Trading Signals',
+    label: 'Trade',
     description: 'Actionable trading insights',
-    getSystemPrompt: (metadata) => `You are a Bitcoin trading analyst specializing in actionable signals from on-chain data. Analyze the chart to identify potential trading opportunities.
+    structured: true,
+    systemPrompt: `You are a Bitcoin trading analyst specializing in actionable signals from on-chain data. Analyze the chart to identify potential trading opportunities.
 
 Your analysis should:
 1. Identify key entry and exit signals based on chart patterns
@@ -64,12 +104,16 @@ Guidelines:
 - Be specific about price levels and conditions
 - Always include risk considerations
 - Avoid giving direct trading advice
-- Emphasize risk management`
+- Emphasize risk management`,
+    userPrompt: DEFAULT_USER_PROMPT,
+    generation: { ...DEFAULT_GENERATION, temperature: 0.3 } // Consistent levels over creative prose
   },
   'technical-analysis': {
     name: 'Technical Analysis',
+    label: 'Technical',
     description: 'Chart patterns and technical indicators',
-    getSystemPrompt: (metadata) => `You are a technical analysis expert specializing in Bitcoin chart patterns and technical indicators. Provide detailed technical analysis of the chart.
+    structured: true,
+    systemPrompt: `You are a technical analysis expert specializing in Bitcoin chart patterns and technical indicators. Provide detailed technical analysis of the chart.
 
 Your analysis should:
 1. Identify chart patterns (head and shoulders, triangles, flags, etc.)
@@ -84,35 +128,123 @@ Guidelines:
 - Use proper technical analysis terminology
 - Be objective and data-driven
 - Explain the significance of identified patterns
-- Provide clear technical levels`
+- Provide clear technical levels`,
+    userPrompt: DEFAULT_USER_PROMPT,
+    generation: { ...DEFAULT_GENERATION, temperature: 0.5, maxTokens: 2000 }
   }
 };
 
+/**
+ * Resolve a category argument to a definition
+ * Accepts a category definition or a built-in id; anything else falls back to Market Analysis
+ * @param {Object|string} category - Category definition or built-in category id
+ * @returns {Object} Category definition
+ */
+function resolveCategory(category) {
+  if (category && typeof category === 'object' && typeof category.systemPrompt === 'string') {
+    return category;
+  }
+  return DEFAULT_CATEGORIES[category] || DEFAULT_CATEGORIES['market-analysis'];
+}
+
+/**
+ * Fill a prompt template's {{variables}} from chart metadata
+ * Unknown variables are left as written; runs of blank lines left by empty values are collapsed
+ * @param {string} template - Prompt template
+ * @param {Object} metadata - Chart metadata
+ * @returns {string} Prompt
+ */
+export function renderTemplate(template, metadata = {}) {
+  const values = {
+    title: metadata.title || 'Bitcoin Price Chart',
+    url: metadata.url || 'bitview.space',
+    timestamp: metadata.timestamp || new Date().toISOString(),
+    series: formatSeriesSummary(metadata.series)
+  };
+
+  return String(template || '')
+    .replace(/\{\{\s*(\w+)\s*\}\}/g, (match, name) => (name in values ? values[name] : match))
+    .replace(/\n{3,}/g, '\n\n')
+    .trim();
+}
+
 /**
  * Get system prompt for a category
- * @param {string} category - Category key
+ * @param {Object|string} category - Category definition or built-in category id
  * @param {Object} metadata - Chart metadata
  * @returns {string} System prompt
  */
 export function getSystemPrompt(category, metadata) {
-  const categoryDef = PROMPT_CATEGORIES[category];
-  if (!categoryDef) {
-    // Fallback to market-analysis if category not found
-    return PROMPT_CATEGORIES['market-analysis'].getSystemPrompt(metadata);
-  }
-  return categoryDef.getSystemPrompt(metadata);
+  return renderTemplate(resolveCategory(category).systemPrompt, metadata);
 }
 
 /**
- * Get user prompt (same for all categories, includes metadata)
+ * Get user prompt for a category (the default template unless the category has its own)
+ * @param {Object|string} category - Category definition or built-in category id
  * @param {Object} metadata - Chart metadata
  * @returns {string} User prompt
  */
-export function getUserPrompt(metadata) {
-  return `Analyze this Bitcoin chart from ${metadata.url || 'bitview.space'}.
+export function getUserPrompt(category, metadata) {
+  return renderTemplate(resolveCategory(category).userPrompt || DEFAULT_USER_PROMPT, metadata);
+}
 
-Chart Title: ${metadata.title || 'Bitcoin Price Chart'}
-Timestamp: ${metadata.timestamp || new Date().toISOString()}
+/**
+ * Get a category's generation settings, filling in defaults
+ * @param {Object|string} category - Category definition or built-in category id
+ * @returns {{provider: string|null, model: string|null, temperature: number, maxTokens: number, stop: string|null}}
+ */
+export function getGenerationSettings(category) {
+  return { ...DEFAULT_GENERATION, ...(resolveCategory(category).generation || {}) };
+}
 
-Please provide a comprehensive analysis following the structure outlined in your instructions.`;
+/**
+ * Check whether a category supports structured (JSON schema) output
+ * @param {Object|string} category - Category definition or built-in category id
+ * @returns {boolean}
+ */
+export function supportsStructuredOutput(category) {
+  return Boolean(resolveCategory(category).structured);
+}
+
+/**
+ * Format a number compactly for prompts (6 significant digits, no exponent)
+ * @param {number} value - Number
+ * @returns {string} Formatted number
+ */
+function formatNumber(value) {
+  if (typeof value !== 'number' || !Number.isFinite(value)) return 'n/a';
+  return Number(value.toPrecision(6)).toLocaleString('en-US', { maximumFractionDigits: 6 });
+}
+
+/**
+ * Build a compact numeric summary of the chart's extracted series data
+ * @param {Object|null} series - metadata.series from the content script
+ * @returns {string} Summary lines, or an empty string when nothing was extracted
+ */
+export function formatSeriesSummary(series) {
+  if (!series) return '';
+
+  const lines = [];
+  if (series.metrics?.length) {
+    lines.push(`- Metrics: ${series.metrics.join(', ')}`);
+  }
+  if (series.dateRange) {
+    lines.push(`- Date range: ${series.dateRange.from || '?'} to ${series.dateRange.to || '?'}`);
+  }
+  if (series.scale) {
+    lines.push(`- Price axis: ${series.scale} scale`);
+  }
+  (series.series || []).forEach(item => {
+    const parts = [`last ${formatNumber(item.last)}${item.lastDate ? ` (${item.lastDate})` : ''}`];
+    if (item.count) {
+      parts.push(`range ${formatNumber(item.min)} to ${formatNumber(item.max)} over ${item.count} points`);
+    }
+    if (item.count && item.firstDate) {
+      parts.push(`first ${formatNumber(item.first)} (${item.firstDate})`);
+    }
+    lines.push(`- ${item.name}: ${parts.join('; ')}`);
+  });
+
+  if (lines.length === 0) return '';
+  return `Chart data extracted from the page (quote these exact values rather than estimating from the image):\n${lines.join('\n')}`;
 }
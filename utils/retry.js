@@ -0,0 +1,89 @@
+/**
+ * Retry with backoff
+ * Decides which provider errors are worth retrying and waits between attempts with
+ * exponential backoff, honoring the Retry-After header when the provider sends one
+ */
+
+import { ProviderError } from './errors.js';
+
+/**
+ * Check whether an error is temporary, so the request may succeed if repeated
+ * Rate limits, overloaded or failing servers and network failures are; cancellations,
+ * bad keys, exhausted quotas and invalid requests are not
+ * @param {Error} error - Error thrown by a provider
+ * @returns {boolean}
+ */
+export function isRetryableError(error) {
+  return error instanceof ProviderError && error.retryable;
+}
+
+/**
+ * Work out how long to wait before the next attempt
+ * Uses Retry-After when given, otherwise exponential backoff with jitter
+ * @param {number} attempt - Attempt that just failed (1-based)
+ * @param {Object} policy - Retry policy {baseDelayMs, maxDelayMs}
+ * @param {Error} error - Error from the failed attempt
+ * @returns {number|null} Delay in milliseconds, or null when Retry-After asks for longer than maxDelayMs
+ */
+export function getRetryDelay(attempt, policy, error) {
+  if (typeof error?.retryAfter === 'number') {
+    return error.retryAfter <= policy.maxDelayMs ? error.retryAfter : null;
+  }
+  const backoff = policy.baseDelayMs * 2 ** (attempt - 1);
+  const jitter = 0.5 + Math.random() / 2; // 50-100% of the backoff, so clients do not retry in step
+  return Math.min(policy.maxDelayMs, Math.round(backoff * jitter));
+}
+
+/**
+ * Wait, unless cancelled first
+ * @param {number} ms - Delay in milliseconds
+ * @param {AbortSignal|null} signal - Cancels the wait
+ * @returns {Promise<void>} Rejects with an AbortError when cancelled
+ */
+function sleep(ms, signal) {
+  return new Promise((resolve, reject) => {
+    if (signal?.aborted) {
+      reject(new DOMException('Request cancelled', 'AbortError'));
+      return;
+    }
+    const timer = setTimeout(() => {
+      signal?.removeEventListener('abort', onAbort);
+      resolve();
+    }, ms);
+    const onAbort = () => {
+      clearTimeout(timer);
+      reject(new DOMException('Request cancelled', 'AbortError'));
+    };
+    signal?.addEventListener('abort', onAbort, { once: true });
+  });
+}
+
+/**
+ * Run a request, retrying temporary failures
+ * @param {Function} request - Receives the attempt number (1-based) and returns a promise
+ * @param {Object} options - Retry options
+ * @param {Object} options.policy - Retry policy {maxAttempts, baseDelayMs, maxDelayMs}
+ * @param {AbortSignal|null} options.signal - Cancels waiting between attempts
+ * @param {Function|null} options.onRetry - Called before each wait with {attempt, delayMs, error}
+ * @returns {Promise<{result: *, attempts: number}>} Result of the successful attempt and how many attempts it took
+ */
+export async function withRetry(request, { policy, signal = null, onRetry = null }) {
+  for (let attempt = 1; ; attempt++) {
+    try {
+      return { result: await request(attempt), attempts: attempt };
+    } catch (error) {
+      const delayMs = attempt < policy.maxAttempts && isRetryableError(error)
+        ? getRetryDelay(attempt, policy, error)
+        : null;
+      if (delayMs === null) {
+        throw error;
+      }
+
+      console.warn(`Attempt ${attempt} failed, retrying in ${delayMs} ms:`, error.message);
+      if (onRetry) {
+        onRetry({ attempt, delayMs, error });
+      }
+      await sleep(delayMs, signal);
+    }
+  }
+}
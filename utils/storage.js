@@ -1,32 +1,47 @@
 /**
  * Secure storage utilities for API keys
- * Keys are stored in chrome.storage.local and never exposed to page context
+ * Keys are stored in chrome.storage.local and never exposed to page context.
+ * With the key vault enabled (utils/vault.js) they are stored encrypted as {iv, data}
+ * records and can only be read while the vault is unlocked.
  */
 
+import { createVault, unlockVault, removeVault, encryptSecret, decryptSecret, isVaultEnabled, DEFAULT_AUTO_LOCK_MINUTES } from './vault.js';
+
+const API_KEY_PREFIX = 'api_key_';
+
 /**
  * Save API key for a provider
  * @param {string} provider - Provider name ('openai', 'anthropic', 'google')
  * @param {string} apiKey - The API key to store
  * @returns {Promise<void>}
+ * @throws {Error} When the key vault is locked
  */
 export async function saveApiKey(provider, apiKey) {
   if (!apiKey || !apiKey.trim()) {
     throw new Error('API key cannot be empty');
   }
   
-  const key = `api_key_${provider}`;
-  await chrome.storage.local.set({ [key]: apiKey.trim() });
+  const key = `${API_KEY_PREFIX}${provider}`;
+  const value = await isVaultEnabled()
+    ? await encryptSecret(apiKey.trim(), provider)
+    : apiKey.trim();
+  await chrome.storage.local.set({ [key]: value });
 }
 
 /**
  * Get API key for a provider
  * @param {string} provider - Provider name
  * @returns {Promise<string|null>}
+ * @throws {Error} When the key is encrypted and the key vault is locked
  */
 export async function getApiKey(provider) {
-  const key = `api_key_${provider}`;
+  const key = `${API_KEY_PREFIX}${provider}`;
   const result = await chrome.storage.local.get([key]);
-  return result[key] || null;
+  const value = result[key];
+  if (value && typeof value === 'object') {
+    return await decryptSecret(value, provider);
+  }
+  return value || null;
 }
 
 /**
@@ -35,12 +50,13 @@ export async function getApiKey(provider) {
  * @returns {Promise<void>}
  */
 export async function removeApiKey(provider) {
-  const key = `api_key_${provider}`;
+  const key = `${API_KEY_PREFIX}${provider}`;
   await chrome.storage.local.remove([key]);
 }
 
 /**
  * Get all stored API keys (for status display)
+ * Encrypted keys are not decrypted for this
  * @returns {Promise<Object>} Object with provider keys
  */
 export async function getAllApiKeys() {
@@ -48,9 +64,13 @@ export async function getAllApiKeys() {
   const apiKeys = {};
   
   for (const [key, value] of Object.entries(keys)) {
-    if (key.startsWith('api_key_')) {
-      const provider = key.replace('api_key_', '');
-      apiKeys[provider] = value ? '***' + value.slice(-4) : null;
+    if (key.startsWith(API_KEY_PREFIX)) {
+      const provider = key.replace(API_KEY_PREFIX, '');
+      if (value && typeof value === 'object') {
+        apiKeys[provider] = '*** (encrypted)';
+      } else {
+        apiKeys[provider] = value ? '***' + value.slice(-4) : null;
+      }
     }
   }
   
@@ -59,10 +79,74 @@ export async function getAllApiKeys() {
 
 /**
  * Check if a provider has an API key configured
+ * Works while the key vault is locked
  * @param {string} provider - Provider name
  * @returns {Promise<boolean>}
  */
 export async function hasApiKey(provider) {
-  const key = await getApiKey(provider);
-  return key !== null && key.length > 0;
+  const key = `${API_KEY_PREFIX}${provider}`;
+  const result = await chrome.storage.local.get([key]);
+  const value = result[key];
+  return typeof value === 'object' ? value !== null : Boolean(value);
+}
+
+/**
+ * Get the stored API key entries
+ * @returns {Promise<Object<string, string|Object>>} Storage key -> plain key or encrypted record
+ */
+async function getStoredApiKeys() {
+  const keys = await chrome.storage.local.get(null);
+  return Object.fromEntries(Object.entries(keys).filter(([key, value]) => key.startsWith(API_KEY_PREFIX) && value));
+}
+
+/**
+ * Turn on the key vault and encrypt the API keys stored in plain text
+ * @param {string} passphrase - Passphrase for the vault
+ * @param {number} autoLockMinutes - Lock after this many minutes without use (0 = when the browser closes)
+ * @returns {Promise<number>} Number of keys encrypted
+ */
+export async function enableKeyVault(passphrase, autoLockMinutes = DEFAULT_AUTO_LOCK_MINUTES) {
+  await createVault(passphrase, autoLockMinutes);
+
+  const encrypted = {};
+  for (const [key, value] of Object.entries(await getStoredApiKeys())) {
+    if (typeof value === 'string') {
+      encrypted[key] = await encryptSecret(value, key.replace(API_KEY_PREFIX, ''));
+    }
+  }
+  await chrome.storage.local.set(encrypted);
+  return Object.keys(encrypted).length;
+}
+
+/**
+ * Turn off the key vault and store the API keys in plain text again
+ * @param {string} passphrase - Vault passphrase
+ * @returns {Promise<number>} Number of keys decrypted
+ * @throws {Error} When the passphrase is wrong
+ */
+export async function disableKeyVault(passphrase) {
+  await unlockVault(passphrase);
+
+  const decrypted = {};
+  for (const [key, value] of Object.entries(await getStoredApiKeys())) {
+    if (typeof value === 'object') {
+      decrypted[key] = await decryptSecret(value, key.replace(API_KEY_PREFIX, ''));
+    }
+  }
+  await chrome.storage.local.set(decrypted);
+  await removeVault();
+  return Object.keys(decrypted).length;
+}
+
+/**
+ * Remove the key vault and every encrypted API key, for a forgotten passphrase
+ * @returns {Promise<number>} Number of keys removed
+ */
+export async function resetKeyVault() {
+  const encrypted = Object.entries(await getStoredApiKeys())
+    .filter(([, value]) => typeof value === 'object')
+    .map(([key]) => key);
+  await chrome.storage.local.remove(encrypted);
+  await removeVault();
+  return encrypted.length;
 }
@@ -0,0 +1,317 @@
+/**
+ * API key vault
+ * Optional passphrase protection for stored API keys. Keys are encrypted with AES-GCM
+ * under a key derived from the passphrase with PBKDF2; the passphrase itself is never
+ * stored. While unlocked, the derived key is kept in chrome.storage.session, which only
+ * extension pages and the service worker can read and which is cleared when the browser
+ * closes. utils/storage.js encrypts and decrypts through this module.
+ */
+
+const VAULT_CONFIG_KEY = 'key_vault';
+const VAULT_SESSION_KEY = 'key_vault_session';
+const VAULT_LOCK_ALARM = 'key_vault_auto_lock';
+const PBKDF2_ITERATIONS = 600000;
+const VERIFIER_TEXT = 'clarion-lens-key-vault'; // Encrypted at setup; decrypting it checks the passphrase
+const MIN_PASSPHRASE_LENGTH = 8;
+
+export const DEFAULT_AUTO_LOCK_MINUTES = 30;
+
+/**
+ * Encode bytes as base64
+ * @param {ArrayBuffer|Uint8Array} bytes - Bytes
+ * @returns {string}
+ */
+function toBase64(bytes) {
+  return btoa(String.fromCharCode(...new Uint8Array(bytes)));
+}
+
+/**
+ * Decode base64 to bytes
+ * @param {string} text - Base64 text
+ * @returns {Uint8Array}
+ */
+function fromBase64(text) {
+  return Uint8Array.from(atob(text), char => char.charCodeAt(0));
+}
+
+/**
+ * Derive the AES-GCM key from a passphrase
+ * @param {string} passphrase - User passphrase
+ * @param {Uint8Array} salt - Random salt stored with the vault
+ * @param {number} iterations - PBKDF2 iterations
+ * @returns {Promise<CryptoKey>} Extractable, so it can be kept in session storage while unlocked
+ */
+async function deriveKey(passphrase, salt, iterations) {
+  const material = await crypto.subtle.importKey('raw', new TextEncoder().encode(passphrase), 'PBKDF2', false, ['deriveKey']);
+  return await crypto.subtle.deriveKey(
+    { name: 'PBKDF2', salt, iterations, hash: 'SHA-256' },
+    material,
+    { name: 'AES-GCM', length: 256 },
+    true,
+    ['encrypt', 'decrypt']
+  );
+}
+
+/**
+ * Encrypt text with AES-GCM
+ * @param {CryptoKey} key - Vault key
+ * @param {string} text - Plain text
+ * @param {string} context - Bound to the ciphertext (e.g. the provider id), so it cannot be swapped to another entry
+ * @returns {Promise<{iv: string, data: string}>} Base64 IV and ciphertext
+ */
+async function encrypt(key, text, context) {
+  const iv = crypto.getRandomValues(new Uint8Array(12));
+  const data = await crypto.subtle.encrypt(
+    { name: 'AES-GCM', iv, additionalData: new TextEncoder().encode(context) },
+    key,
+    new TextEncoder().encode(text)
+  );
+  return { iv: toBase64(iv), data: toBase64(data) };
+}
+
+/**
+ * Decrypt text encrypted by encrypt()
+ * @param {CryptoKey} key - Vault key
+ * @param {{iv: string, data: string}} record - Encrypted record
+ * @param {string} context - Context the record was encrypted with
+ * @returns {Promise<string>} Plain text; rejects when the key or context is wrong
+ */
+async function decrypt(key, record, context) {
+  const text = await crypto.subtle.decrypt(
+    { name: 'AES-GCM', iv: fromBase64(record.iv), additionalData: new TextEncoder().encode(context) },
+    key,
+    fromBase64(record.data)
+  );
+  return new TextDecoder().decode(text);
+}
+
+/**
+ * Get the vault settings
+ * @returns {Promise<Object|null>} {salt, iterations, verifier, autoLockMinutes}, or null when the vault is off
+ */
+async function getVaultConfig() {
+  const result = await chrome.storage.local.get([VAULT_CONFIG_KEY]);
+  return result[VAULT_CONFIG_KEY] || null;
+}
+
+/**
+ * Keep the vault key for this browser session
+ * Schedules an alarm for the auto-lock time, so the key is removed even if it is never read again
+ * @param {CryptoKey} key - Vault key
+ * @param {number} autoLockMinutes - Lock after this many minutes without use (0 = when the browser closes)
+ * @returns {Promise<void>}
+ */
+async function storeSessionKey(key, autoLockMinutes) {
+  const raw = await crypto.subtle.exportKey('raw', key);
+  const expiresAt = autoLockMinutes > 0 ? Date.now() + autoLockMinutes * 60 * 1000 : null;
+  await chrome.storage.session.set({
+    [VAULT_SESSION_KEY]: { key: toBase64(raw), expiresAt }
+  });
+
+  // Creating an alarm with the same name replaces it, so each use pushes the lock back
+  if (expiresAt) {
+    await chrome.alarms.create(VAULT_LOCK_ALARM, { when: expiresAt });
+  } else {
+    await chrome.alarms.clear(VAULT_LOCK_ALARM);
+  }
+}
+
+/**
+ * Get the vault key while unlocked
+ * Locks the vault once the auto-lock time has passed
+ * @returns {Promise<CryptoKey|null>} Vault key, or null when locked
+ */
+async function getSessionKey() {
+  const result = await chrome.storage.session.get([VAULT_SESSION_KEY]);
+  const session = result[VAULT_SESSION_KEY];
+  if (!session) {
+    return null;
+  }
+  if (session.expiresAt && Date.now() > session.expiresAt) {
+    await lockVault();
+    return null;
+  }
+  return await crypto.subtle.importKey('raw', fromBase64(session.key), 'AES-GCM', true, ['encrypt', 'decrypt']);
+}
+
+/**
+ * Get the vault key, restarting the auto-lock timer
+ * @returns {Promise<CryptoKey>} Vault key
+ * @throws {Error} When the vault is locked
+ */
+async function requireSessionKey() {
+  const key = await getSessionKey();
+  if (!key) {
+    throw new Error('API keys are locked. Unlock the key vault in settings.');
+  }
+  const config = await getVaultConfig();
+  await storeSessionKey(key, config?.autoLockMinutes ?? DEFAULT_AUTO_LOCK_MINUTES);
+  return key;
+}
+
+/**
+ * Check whether the vault is set up
+ * @returns {Promise<boolean>}
+ */
+export async function isVaultEnabled() {
+  return Boolean(await getVaultConfig());
+}
+
+/**
+ * Get the vault state for display
+ * @returns {Promise<{enabled: boolean, locked: boolean, autoLockMinutes: number, expiresAt: number|null}>}
+ */
+export async function getVaultStatus() {
+  const config = await getVaultConfig();
+  if (!config) {
+    return { enabled: false, locked: false, autoLockMinutes: DEFAULT_AUTO_LOCK_MINUTES, expiresAt: null };
+  }
+  const unlocked = Boolean(await getSessionKey());
+  const result = await chrome.storage.session.get([VAULT_SESSION_KEY]);
+  return {
+    enabled: true,
+    locked: !unlocked,
+    autoLockMinutes: config.autoLockMinutes,
+    expiresAt: unlocked ? result[VAULT_SESSION_KEY].expiresAt : null
+  };
+}
+
+/**
+ * Check a passphrase for a new vault
+ * @param {string} passphrase - Passphrase
+ */
+function assertPassphrase(passphrase) {
+  if (typeof passphrase !== 'string' || passphrase.length < MIN_PASSPHRASE_LENGTH) {
+    throw new Error(`Passphrase must be at least ${MIN_PASSPHRASE_LENGTH} characters`);
+  }
+}
+
+/**
+ * Set up the vault with a passphrase and unlock it
+ * Stored keys are not touched here; see enableKeyVault in utils/storage.js
+ * @param {string} passphrase - Passphrase
+ * @param {number} autoLockMinutes - Lock after this many minutes without use (0 = when the browser closes)
+ * @returns {Promise<void>}
+ */
+export async function createVault(passphrase, autoLockMinutes = DEFAULT_AUTO_LOCK_MINUTES) {
+  assertPassphrase(passphrase);
+  if (await isVaultEnabled()) {
+    throw new Error('The key vault is already enabled');
+  }
+
+  const salt = crypto.getRandomValues(new Uint8Array(16));
+  const key = await deriveKey(passphrase, salt, PBKDF2_ITERATIONS);
+  await chrome.storage.local.set({
+    [VAULT_CONFIG_KEY]: {
+      salt: toBase64(salt),
+      iterations: PBKDF2_ITERATIONS,
+      verifier: await encrypt(key, VERIFIER_TEXT, VAULT_CONFIG_KEY),
+      autoLockMinutes
+    }
+  });
+  await storeSessionKey(key, autoLockMinutes);
+}
+
+/**
+ * Unlock the vault for this browser session
+ * @param {string} passphrase - Passphrase
+ * @returns {Promise<void>}
+ * @throws {Error} When the passphrase is wrong
+ */
+export async function unlockVault(passphrase) {
+  const config = await getVaultConfig();
+  if (!config) {
+    throw new Error('The key vault is not enabled');
+  }
+
+  const key = await deriveKey(passphrase || '', fromBase64(config.salt), config.iterations);
+  try {
+    await decrypt(key, config.verifier, VAULT_CONFIG_KEY);
+  } catch {
+    throw new Error('Wrong passphrase');
+  }
+  await storeSessionKey(key, config.autoLockMinutes);
+}
+
+/**
+ * Lock the vault: forget the key until the passphrase is entered again
+ * @returns {Promise<void>}
+ */
+export async function lockVault() {
+  await chrome.storage.session.remove([VAULT_SESSION_KEY]);
+  await chrome.alarms.clear(VAULT_LOCK_ALARM);
+}
+
+/**
+ * Handle a chrome.alarms alarm: lock the vault when its auto-lock time has passed
+ * The expiry is checked again because a key used just before the alarm fired is still in use
+ * @param {chrome.alarms.Alarm} alarm - Alarm that fired
+ * @returns {Promise<void>}
+ */
+export async function handleAutoLockAlarm(alarm) {
+  if (alarm.name !== VAULT_LOCK_ALARM) {
+    return;
+  }
+  const result = await chrome.storage.session.get([VAULT_SESSION_KEY]);
+  const session = result[VAULT_SESSION_KEY];
+  if (session?.expiresAt && Date.now() >= session.expiresAt) {
+    await lockVault();
+  }
+}
+
+/**
+ * Remove the vault (stored keys must already be decrypted; see disableKeyVault in utils/storage.js)
+ * @returns {Promise<void>}
+ */
+export async function removeVault() {
+  await chrome.storage.local.remove([VAULT_CONFIG_KEY]);
+  await lockVault();
+}
+
+/**
+ * Change how long the vault stays unlocked without use
+ * @param {number} minutes - Minutes (0 = until the browser closes)
+ * @returns {Promise<void>}
+ */
+export async function setAutoLockMinutes(minutes) {
+  if (!Number.isInteger(minutes) || minutes < 0) {
+    throw new Error('Auto-lock must be a whole number of minutes');
+  }
+  const config = await getVaultConfig();
+  if (!config) {
+    throw new Error('The key vault is not enabled');
+  }
+  await chrome.storage.local.set({ [VAULT_CONFIG_KEY]: { ...config, autoLockMinutes: minutes } });
+
+  const key = await getSessionKey();
+  if (key) {
+    await storeSessionKey(key, minutes);
+  }
+}
+
+/**
+ * Encrypt a secret with the unlocked vault
+ * @param {string} secret - Plain text (e.g. an API key)
+ * @param {string} context - What the secret belongs to (e.g. the provider id)
+ * @returns {Promise<{iv: string, data: string}>} Encrypted record
+ * @throws {Error} When the vault is locked
+ */
+export async function encryptSecret(secret, context) {
+  return await encrypt(await requireSessionKey(), secret, context);
+}
+
+/**
+ * Decrypt a secret with the unlocked vault
+ * @param {{iv: string, data: string}} record - Encrypted record
+ * @param {string} context - Context it was encrypted with
+ * @returns {Promise<string>} Plain text
+ * @throws {Error} When the vault is locked or the record cannot be decrypted
+ */
+export async function decryptSecret(record, context) {
+  const key = await requireSessionKey();
+  try {
+    return await decrypt(key, record, context);
+  } catch {
+    throw new Error(`Could not decrypt the stored secret for ${context}`);
+  }
+}